@@ -1,24 +1,56 @@
 const asyncHandler = require('express-async-handler');
-const jwt = require('jsonwebtoken');
 const { getConnection } = require('../config/database');
 const OTPService = require('../services/otpService');
+const LockoutService = require('../services/lockoutService');
+const TokenService = require('../services/tokenService');
+const SessionService = require('../services/sessionService');
 const ValidationService = require('../services/validationService');
+const NotificationService = require('../services/notificationService');
+const MessageTemplateService = require('../services/messageTemplateService');
+const PermissionService = require('../services/permissionService');
+const { disconnectSessions } = require('../socket/socketHandler');
+
+// Reject requests for locked accounts with 423 Locked
+const ensureNotLocked = async (res, phone) => {
+    const lockStatus = await LockoutService.getLockStatus(phone);
+
+    if (lockStatus.isLocked) {
+        res.set('Retry-After', String(lockStatus.retryAfterSeconds));
+        res.status(423);
+        throw new Error(`Account temporarily locked due to repeated failed verifications. Try again in ${Math.ceil(lockStatus.retryAfterSeconds / 60)} minute(s).`);
+    }
+};
 
-// Generate JWT tokens
-const generateTokens = (id) => {
-    const accessToken = jwt.sign({ id }, process.env.JWT_SECRET, { expiresIn: '1h' });
-    const refreshToken = jwt.sign({ id }, process.env.JWT_REFRESH_SECRET, { expiresIn: '7d' });
-    return { accessToken, refreshToken };
+// Verify OTP, mapping a lockout triggered by this attempt to 423
+const verifyOTPOrLock = async (res, phone, otp, purpose, ipAddress, channel = null) => {
+    try {
+        return await OTPService.verifyOTP(phone, otp, purpose, ipAddress, channel);
+    } catch (error) {
+        if (error.lockedUntil) {
+            res.set('Retry-After', String(Math.ceil((new Date(error.lockedUntil) - Date.now()) / 1000)));
+            res.status(423);
+        }
+        throw error;
+    }
 };
 
+// Device metadata stored alongside refresh tokens
+const getDeviceInfo = (req) => ({
+    ipAddress: req.ip || null,
+    userAgent: req.get('user-agent') || null,
+    deviceName: typeof req.body?.deviceName === 'string' ? req.body.deviceName.substring(0, 255) : null
+});
+
 // @desc    Send OTP for registration/login
 // @route   POST /api/auth/send-otp
 // @access  Public
 const sendOTP = asyncHandler(async (req, res) => {
-    const { phone, purpose = 'registration' } = req.body;
+    const { phone, purpose = 'registration', channel = 'sms', language } = req.body;
 
-    // Validate phone number
+    // Validate phone number, channel and (optional) message language
     const validPhone = ValidationService.validatePhone(phone);
+    const validChannel = ValidationService.validateOTPChannel(channel);
+    const validLanguage = language ? ValidationService.validateLanguage(language) : null;
 
     // If purpose is login, check if user exists
     if (purpose === 'login') {
@@ -39,13 +71,16 @@ const sendOTP = asyncHandler(async (req, res) => {
         }
     }
 
+    await ensureNotLocked(res, validPhone);
+
     // Send OTP
-    const result = await OTPService.sendOTP(validPhone, purpose);
+    const result = await OTPService.sendOTP(validPhone, purpose, validChannel, validLanguage);
 
     // Log activity
     req.io?.emit('otp_sent', {
         phone: validPhone,
         purpose,
+        channel: validChannel,
         timestamp: new Date().toISOString()
     });
 
@@ -54,6 +89,9 @@ const sendOTP = asyncHandler(async (req, res) => {
         message: result.message,
         data: {
             phone: result.phone,
+            channel: result.channel,
+            email: result.email,
+            locale: result.locale,
             expiresAt: result.expiresAt
         }
     });
@@ -63,23 +101,31 @@ const sendOTP = asyncHandler(async (req, res) => {
 // @route   POST /api/auth/verify-otp
 // @access  Public
 const verifyOTP = asyncHandler(async (req, res) => {
-    const { phone, otp, purpose = 'registration' } = req.body;
+    const { phone, otp, purpose = 'registration', channel } = req.body;
 
     // Validate inputs
     const validPhone = ValidationService.validatePhone(phone);
     const validOTP = ValidationService.validateOTP(otp);
+    const validChannel = channel ? ValidationService.validateOTPChannel(channel) : null;
+
+    await ensureNotLocked(res, validPhone);
 
     // Verify OTP
-    const result = await OTPService.verifyOTP(validPhone, validOTP, purpose);
+    const result = await verifyOTPOrLock(res, validPhone, validOTP, purpose, req.ip, validChannel);
 
     const connection = getConnection();
 
     // Check if user exists
     const [existingUser] = await connection.execute(
-        'SELECT id, phone, email, is_verified, role FROM users WHERE phone = ?',
+        'SELECT id, phone, email, is_verified, is_active, role FROM users WHERE phone = ?',
         [validPhone]
     );
 
+    if (existingUser.length > 0 && !existingUser[0].is_active) {
+        res.status(401);
+        throw new Error('Account is deactivated. Please contact support.');
+    }
+
     let user;
     if (existingUser.length > 0) {
         // Update existing user as verified
@@ -103,13 +149,13 @@ const verifyOTP = asyncHandler(async (req, res) => {
         };
     }
 
-    // Generate tokens
-    const { accessToken, refreshToken } = generateTokens(user.id);
+    // Start a session and generate tokens
+    const { sessionId, accessToken, refreshToken } = await SessionService.startSession(user.id, getDeviceInfo(req));
 
     // Log activity
     await connection.execute(
-        'INSERT INTO activity_logs (user_id, action, description, ip_address) VALUES (?, ?, ?, ?)',
-        [user.id, 'OTP_VERIFIED', `OTP verified for ${purpose}`, req.ip]
+        'INSERT INTO activity_logs (user_id, session_id, action, description, ip_address) VALUES (?, ?, ?, ?, ?)',
+        [user.id, sessionId, 'OTP_VERIFIED', `OTP verified for ${purpose}`, req.ip]
     );
 
     // Emit real-time event
@@ -129,8 +175,10 @@ const verifyOTP = asyncHandler(async (req, res) => {
                 phone: user.phone,
                 email: user.email,
                 isVerified: user.is_verified,
-                role: user.role
+                role: user.role,
+                permissions: await PermissionService.getPermissionsForRole(user.role)
             },
+            sessionId,
             accessToken,
             refreshToken
         }
@@ -141,18 +189,23 @@ const verifyOTP = asyncHandler(async (req, res) => {
 // @route   POST /api/auth/resend-otp
 // @access  Public
 const resendOTP = asyncHandler(async (req, res) => {
-    const { phone, purpose = 'registration' } = req.body;
+    const { phone, purpose = 'registration', channel = 'sms', language } = req.body;
 
-    // Validate phone number
+    // Validate phone number, channel and (optional) message language
     const validPhone = ValidationService.validatePhone(phone);
+    const validChannel = ValidationService.validateOTPChannel(channel);
+    const validLanguage = language ? ValidationService.validateLanguage(language) : null;
+
+    await ensureNotLocked(res, validPhone);
 
     // Resend OTP
-    const result = await OTPService.resendOTP(validPhone, purpose);
+    const result = await OTPService.resendOTP(validPhone, purpose, validChannel, validLanguage);
 
     // Emit real-time event
     req.io?.emit('otp_resent', {
         phone: validPhone,
         purpose,
+        channel: validChannel,
         timestamp: new Date().toISOString()
     });
 
@@ -161,6 +214,9 @@ const resendOTP = asyncHandler(async (req, res) => {
         message: result.message,
         data: {
             phone: result.phone,
+            channel: result.channel,
+            email: result.email,
+            locale: result.locale,
             expiresAt: result.expiresAt
         }
     });
@@ -170,14 +226,17 @@ const resendOTP = asyncHandler(async (req, res) => {
 // @route   POST /api/auth/login
 // @access  Public
 const loginWithOTP = asyncHandler(async (req, res) => {
-    const { phone, otp } = req.body;
+    const { phone, otp, channel } = req.body;
 
     // Validate inputs
     const validPhone = ValidationService.validatePhone(phone);
     const validOTP = ValidationService.validateOTP(otp);
+    const validChannel = channel ? ValidationService.validateOTPChannel(channel) : null;
+
+    await ensureNotLocked(res, validPhone);
 
     // Verify OTP
-    await OTPService.verifyOTP(validPhone, validOTP, 'login');
+    await verifyOTPOrLock(res, validPhone, validOTP, 'login', req.ip, validChannel);
 
     const connection = getConnection();
 
@@ -199,13 +258,13 @@ const loginWithOTP = asyncHandler(async (req, res) => {
         throw new Error('Account not verified');
     }
 
-    // Generate tokens
-    const { accessToken, refreshToken } = generateTokens(user.id);
+    // Start a session and generate tokens
+    const { sessionId, accessToken, refreshToken } = await SessionService.startSession(user.id, getDeviceInfo(req));
 
     // Log activity
     await connection.execute(
-        'INSERT INTO activity_logs (user_id, action, description, ip_address) VALUES (?, ?, ?, ?)',
-        [user.id, 'LOGIN', 'User logged in with OTP', req.ip]
+        'INSERT INTO activity_logs (user_id, session_id, action, description, ip_address) VALUES (?, ?, ?, ?, ?)',
+        [user.id, sessionId, 'LOGIN', 'User logged in with OTP', req.ip]
     );
 
     // Emit real-time event
@@ -224,8 +283,10 @@ const loginWithOTP = asyncHandler(async (req, res) => {
                 phone: user.phone,
                 email: user.email,
                 isVerified: user.is_verified,
-                role: user.role
+                role: user.role,
+                permissions: await PermissionService.getPermissionsForRole(user.role)
             },
+            sessionId,
             accessToken,
             refreshToken
         }
@@ -243,41 +304,39 @@ const refreshToken = asyncHandler(async (req, res) => {
         throw new Error('Refresh token required');
     }
 
+    let rotated;
     try {
-        // Verify refresh token
-        const decoded = jwt.verify(token, process.env.JWT_REFRESH_SECRET);
-
-        const connection = getConnection();
-
-        // Get user
-        const [rows] = await connection.execute(
-            'SELECT id, phone, email, is_verified, is_active, role FROM users WHERE id = ? AND is_active = TRUE',
-            [decoded.id]
-        );
-
-        if (rows.length === 0) {
-            res.status(401);
-            throw new Error('User not found');
-        }
-
-        const user = rows[0];
+        // Rotate refresh token (revokes the whole family if it was already used)
+        rotated = await TokenService.rotateRefreshToken(token, getDeviceInfo(req));
+    } catch (error) {
+        res.status(401);
+        throw new Error(error.message || 'Invalid refresh token');
+    }
 
-        // Generate new tokens
-        const { accessToken, refreshToken: newRefreshToken } = generateTokens(user.id);
+    const connection = getConnection();
 
-        res.status(200).json({
-            success: true,
-            message: 'Token refreshed successfully',
-            data: {
-                accessToken,
-                refreshToken: newRefreshToken
-            }
-        });
+    // Get user
+    const [rows] = await connection.execute(
+        'SELECT id, phone, email, is_verified, is_active, role FROM users WHERE id = ? AND is_active = TRUE',
+        [rotated.userId]
+    );
 
-    } catch (error) {
+    if (rows.length === 0) {
+        await SessionService.revokeSession(rotated.familyId, { reason: 'user_inactive' });
         res.status(401);
-        throw new Error('Invalid refresh token');
+        throw new Error('User not found');
     }
+
+    await SessionService.touchSession(rotated.familyId, req.ip);
+
+    res.status(200).json({
+        success: true,
+        message: 'Token refreshed successfully',
+        data: {
+            accessToken: rotated.accessToken,
+            refreshToken: rotated.refreshToken
+        }
+    });
 });
 
 // @desc    Check if phone number is registered
@@ -317,11 +376,28 @@ const checkPhoneRegistration = asyncHandler(async (req, res) => {
 // @access  Private
 const logout = asyncHandler(async (req, res) => {
     const connection = getConnection();
+    const { refreshToken: token } = req.body;
+
+    // End the current session, which also revokes its refresh tokens
+    if (req.sessionId) {
+        await SessionService.revokeSession(req.sessionId, { userId: req.user.id, reason: 'logout', revokedBy: req.user.id });
+        disconnectSessions(req.io, [req.sessionId], 'logout');
+    }
+
+    // Revoke the refresh token family so it cannot be used again
+    if (token) {
+        try {
+            await TokenService.revokeRefreshToken(token, req.user.id, 'logout');
+        } catch (error) {
+            res.status(400);
+            throw new Error(error.message);
+        }
+    }
 
     // Log activity
     await connection.execute(
-        'INSERT INTO activity_logs (user_id, action, description, ip_address) VALUES (?, ?, ?, ?)',
-        [req.user.id, 'LOGOUT', 'User logged out', req.ip]
+        'INSERT INTO activity_logs (user_id, session_id, action, description, ip_address) VALUES (?, ?, ?, ?, ?)',
+        [req.user.id, req.sessionId || null, 'LOGOUT', 'User logged out', req.ip]
     );
 
     // Emit real-time event
@@ -336,6 +412,197 @@ const logout = asyncHandler(async (req, res) => {
     });
 });
 
+// @desc    Log out of every device
+// @route   POST /api/auth/logout-all
+// @access  Private
+const logoutAll = asyncHandler(async (req, res) => {
+    const connection = getConnection();
+    const keepCurrent = req.body.keepCurrent === true || req.body.keepCurrent === 'true';
+    const exceptSessionId = keepCurrent ? req.sessionId || null : null;
+
+    const revokedSessionIds = await SessionService.revokeAllSessions(req.user.id, {
+        exceptSessionId,
+        reason: 'logout_all',
+        revokedBy: req.user.id
+    });
+
+    disconnectSessions(req.io, revokedSessionIds, 'logout_all');
+
+    // Log activity
+    await connection.execute(
+        'INSERT INTO activity_logs (user_id, session_id, action, action_category, action_type, description, metadata, ip_address) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+        [
+            req.user.id,
+            req.sessionId || null,
+            'LOGOUT_ALL',
+            'auth',
+            'logout',
+            keepCurrent ? 'User logged out of all other devices' : 'User logged out of all devices',
+            JSON.stringify({ revokedSessions: revokedSessionIds }),
+            req.ip
+        ]
+    );
+
+    res.status(200).json({
+        success: true,
+        message: keepCurrent ? 'Logged out of all other devices' : 'Logged out of all devices',
+        data: {
+            revokedCount: revokedSessionIds.length
+        }
+    });
+});
+
+// @desc    List active sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+const getSessions = asyncHandler(async (req, res) => {
+    const sessions = await SessionService.listSessions(req.user.id, req.sessionId);
+
+    res.status(200).json({
+        success: true,
+        data: {
+            sessions,
+            count: sessions.length
+        }
+    });
+});
+
+// @desc    Revoke a session
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+const revokeSession = asyncHandler(async (req, res) => {
+    const connection = getConnection();
+    const sessionId = req.params.id;
+
+    const revoked = await SessionService.revokeSession(sessionId, {
+        userId: req.user.id,
+        reason: 'revoked',
+        revokedBy: req.user.id
+    });
+
+    if (!revoked) {
+        res.status(404);
+        throw new Error('Session not found or already ended');
+    }
+
+    disconnectSessions(req.io, [sessionId], 'revoked');
+
+    // Log activity
+    await connection.execute(
+        'INSERT INTO activity_logs (user_id, session_id, action, action_category, action_type, target_type, target_identifier, description, ip_address) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+        [req.user.id, req.sessionId || null, 'SESSION_REVOKED', 'auth', 'logout', 'session', sessionId, 'User revoked a session', req.ip]
+    );
+
+    res.status(200).json({
+        success: true,
+        message: 'Session revoked successfully',
+        data: {
+            sessionId,
+            wasCurrent: sessionId === req.sessionId
+        }
+    });
+});
+
+// @desc    Get WhatsApp notification consent
+// @route   GET /api/auth/whatsapp-opt-in
+// @access  Private
+const getWhatsAppOptIn = asyncHandler(async (req, res) => {
+    const optIn = await NotificationService.getWhatsAppOptIn(req.user.id);
+
+    res.status(200).json({
+        success: true,
+        data: optIn
+    });
+});
+
+// @desc    Opt in to or out of WhatsApp notifications
+// @route   PUT /api/auth/whatsapp-opt-in
+// @access  Private
+const updateWhatsAppOptIn = asyncHandler(async (req, res) => {
+    const { optIn } = req.body;
+
+    if (typeof optIn !== 'boolean') {
+        res.status(400);
+        throw new Error('optIn must be true or false');
+    }
+
+    const connection = getConnection();
+    const previous = await NotificationService.getWhatsAppOptIn(req.user.id);
+
+    await NotificationService.setWhatsAppOptIn(req.user.id, optIn);
+
+    // Log activity - consent changes are kept for compliance
+    await connection.execute(`
+        INSERT INTO activity_logs
+        (user_id, session_id, action, action_category, action_type, target_type, target_id, description, old_values, new_values, ip_address, user_agent)
+        VALUES (?, ?, ?, 'auth', 'update', 'user', ?, ?, ?, ?, ?, ?)
+    `, [
+        req.user.id,
+        req.sessionId || null,
+        optIn ? 'WHATSAPP_OPT_IN' : 'WHATSAPP_OPT_OUT',
+        req.user.id,
+        optIn ? 'User opted in to WhatsApp notifications' : 'User opted out of WhatsApp notifications',
+        JSON.stringify({ whatsappOptIn: previous?.optIn ?? false }),
+        JSON.stringify({ whatsappOptIn: optIn }),
+        req.ip,
+        req.get('user-agent') || null
+    ]);
+
+    res.status(200).json({
+        success: true,
+        message: optIn ? 'Opted in to WhatsApp notifications' : 'Opted out of WhatsApp notifications',
+        data: await NotificationService.getWhatsAppOptIn(req.user.id)
+    });
+});
+
+// @desc    Get the language used for the user's messages
+// @route   GET /api/auth/language
+// @access  Private
+const getLanguage = asyncHandler(async (req, res) => {
+    res.status(200).json({
+        success: true,
+        data: {
+            language: await MessageTemplateService.getUserLocale(req.user.id),
+            available: MessageTemplateService.locales
+        }
+    });
+});
+
+// @desc    Set the language used for the user's SMS, email and in-app messages
+// @route   PUT /api/auth/language
+// @access  Private
+const updateLanguage = asyncHandler(async (req, res) => {
+    const language = ValidationService.validateLanguage(req.body.language);
+    const connection = getConnection();
+    const previous = await MessageTemplateService.getUserLocale(req.user.id);
+
+    await NotificationService.setPreferredLanguage(req.user.id, language);
+
+    // Log activity
+    await connection.execute(`
+        INSERT INTO activity_logs
+        (user_id, session_id, action, action_category, action_type, target_type, target_id, description, old_values, new_values, ip_address, user_agent)
+        VALUES (?, ?, 'LANGUAGE_UPDATED', 'auth', 'update', 'user', ?, ?, ?, ?, ?, ?)
+    `, [
+        req.user.id,
+        req.sessionId || null,
+        req.user.id,
+        `User changed message language from ${previous} to ${language}`,
+        JSON.stringify({ preferredLanguage: previous }),
+        JSON.stringify({ preferredLanguage: language }),
+        req.ip,
+        req.get('user-agent') || null
+    ]);
+
+    res.status(200).json({
+        success: true,
+        message: 'Language updated successfully',
+        data: {
+            language
+        }
+    });
+});
+
 module.exports = {
     sendOTP,
     verifyOTP,
@@ -343,5 +610,12 @@ module.exports = {
     loginWithOTP,
     refreshToken,
     logout,
+    logoutAll,
+    getSessions,
+    revokeSession,
+    getWhatsAppOptIn,
+    updateWhatsAppOptIn,
+    getLanguage,
+    updateLanguage,
     checkPhoneRegistration
 };
\ No newline at end of file
@@ -0,0 +1,43 @@
+const asyncHandler = require('express-async-handler');
+const PincodeService = require('../services/pincodeService');
+const ProductCategoryService = require('../services/productCategoryService');
+const Helpers = require('../utils/helpers');
+
+// @desc    Look up the state and districts of a PIN code
+// @route   GET /api/meta/pincode/:pin
+// @access  Public
+const getPincode = asyncHandler(async (req, res) => {
+    const { pin } = req.params;
+
+    if (!Helpers.validatePincode(pin)) {
+        res.status(400);
+        throw new Error('Pincode must be 6 digits and cannot start with 0');
+    }
+
+    const pincode = await PincodeService.lookup(pin);
+
+    if (!pincode) {
+        res.status(404);
+        throw new Error(`Pincode ${pin} not found`);
+    }
+
+    res.status(200).json({
+        success: true,
+        data: pincode
+    });
+});
+
+// @desc    The active product category tree for dropdowns
+// @route   GET /api/meta/categories
+// @access  Public
+const getCategories = asyncHandler(async (req, res) => {
+    res.status(200).json({
+        success: true,
+        data: await ProductCategoryService.getTree()
+    });
+});
+
+module.exports = {
+    getPincode,
+    getCategories
+};
@@ -0,0 +1,312 @@
+const asyncHandler = require('express-async-handler');
+const ValidationService = require('../services/validationService');
+const VendorLifecycleService = require('../services/vendorLifecycleService');
+const ProductCatalogService = require('../services/productCatalogService');
+const ProductImportService = require('../services/productImportService');
+const ProductCategoryService = require('../services/productCategoryService');
+const Logger = require('../utils/logger');
+
+// The signed-in vendor. Before approval, products are part of the onboarding
+// form; the product API takes over once the vendor is approved.
+const loadVendor = async (req, res, { write = false } = {}) => {
+    const vendor = await VendorLifecycleService.getVendorByUserId(req.user.id);
+
+    if (!vendor || !vendor.vendorId || !vendor.onboardingId) {
+        res.status(404);
+        throw new Error('Vendor profile not found. Complete the onboarding form first');
+    }
+
+    if (write && vendor.state !== 'approved') {
+        res.status(409);
+        throw new Error(`Products can be changed here once the vendor is approved; the application is ${vendor.state.replace(/_/g, ' ')}. Use the onboarding form until then`);
+    }
+
+    return vendor;
+};
+
+// One of the vendor's own products
+const loadProduct = async (req, res, vendor) => {
+    const product = await ProductCatalogService.getProduct(req.params.productId);
+
+    if (!product || product.onboardingId !== vendor.onboardingId) {
+        res.status(404);
+        throw new Error('Product not found');
+    }
+
+    return product;
+};
+
+const checkSku = async (res, vendor, sku, productId = null) => {
+    if (sku && await ProductCatalogService.findSkuConflict(vendor.onboardingId, sku, productId)) {
+        res.status(409);
+        throw new Error(`SKU ${sku} is already used by another of your products`);
+    }
+};
+
+// Product fields with their category names checked against the taxonomy
+const resolveCategories = async (res, fields, product = null) => {
+    try {
+        return await ProductCategoryService.resolveProductFields(fields, { product });
+    } catch (error) {
+        res.status(400);
+        throw new Error(error.message);
+    }
+};
+
+const actionContext = (req) => ({
+    actorId: req.user.id,
+    ipAddress: req.ip,
+    sessionId: req.sessionId || null,
+    io: req.io
+});
+
+// @desc    List the vendor's products
+// @route   GET /api/vendor/products
+// @access  Private
+const getProducts = asyncHandler(async (req, res) => {
+    const vendor = await loadVendor(req, res);
+    const { active, approvalStatus } = req.query;
+
+    if (approvalStatus && !ProductCatalogService.approvalStatuses.includes(approvalStatus)) {
+        res.status(400);
+        throw new Error(`Approval status must be one of ${ProductCatalogService.approvalStatuses.join(', ')}`);
+    }
+
+    const products = await ProductCatalogService.listProducts(vendor.onboardingId, {
+        isActive: active === undefined ? null : active === 'true',
+        approvalStatus: approvalStatus || null
+    });
+
+    res.status(200).json({
+        success: true,
+        data: {
+            products,
+            total: products.length
+        }
+    });
+});
+
+// @desc    Get one of the vendor's products
+// @route   GET /api/vendor/products/:productId
+// @access  Private
+const getProduct = asyncHandler(async (req, res) => {
+    const vendor = await loadVendor(req, res);
+    const product = await loadProduct(req, res, vendor);
+
+    res.status(200).json({
+        success: true,
+        data: product
+    });
+});
+
+// @desc    Add a product for approval
+// @route   POST /api/vendor/products
+// @access  Private (approved vendors)
+const createProduct = asyncHandler(async (req, res) => {
+    const vendor = await loadVendor(req, res, { write: true });
+    const fields = await resolveCategories(res, ValidationService.validateProduct(req.body));
+
+    await checkSku(res, vendor, fields.sku);
+
+    const product = await ProductCatalogService.createProduct(vendor.onboardingId, fields, actionContext(req));
+
+    res.status(201).json({
+        success: true,
+        message: 'Product added. It will appear in your catalog once approved',
+        data: product
+    });
+});
+
+// @desc    Change a product; changes to approved products wait for re-approval
+// @route   PUT /api/vendor/products/:productId
+// @access  Private (approved vendors)
+const updateProduct = asyncHandler(async (req, res) => {
+    const data = ValidationService.validateProduct(req.body, { partial: true });
+    const vendor = await loadVendor(req, res, { write: true });
+    const product = await loadProduct(req, res, vendor);
+    const fields = await resolveCategories(res, data, product);
+
+    await checkSku(res, vendor, fields.sku, product.id);
+
+    const updated = await ProductCatalogService.updateProduct(product, fields, actionContext(req));
+
+    res.status(200).json({
+        success: true,
+        message: updated.approvalStatus === 'pending'
+            ? 'Product changes saved and sent for approval'
+            : 'Product is unchanged',
+        data: updated
+    });
+});
+
+// @desc    Take a product out of the catalog
+// @route   PUT /api/vendor/products/:productId/deactivate
+// @access  Private (approved vendors)
+const deactivateProduct = asyncHandler(async (req, res) => {
+    const vendor = await loadVendor(req, res, { write: true });
+    const product = await loadProduct(req, res, vendor);
+
+    if (!product.isActive) {
+        res.status(400);
+        throw new Error('Product is already inactive');
+    }
+
+    const updated = await ProductCatalogService.setActive(product, false, actionContext(req));
+
+    res.status(200).json({
+        success: true,
+        message: 'Product deactivated',
+        data: updated
+    });
+});
+
+// @desc    Put a deactivated product back in the catalog
+// @route   PUT /api/vendor/products/:productId/activate
+// @access  Private (approved vendors)
+const activateProduct = asyncHandler(async (req, res) => {
+    const vendor = await loadVendor(req, res, { write: true });
+    const product = await loadProduct(req, res, vendor);
+
+    if (product.isActive) {
+        res.status(400);
+        throw new Error('Product is already active');
+    }
+
+    const updated = await ProductCatalogService.setActive(product, true, actionContext(req));
+
+    res.status(200).json({
+        success: true,
+        message: 'Product activated',
+        data: updated
+    });
+});
+
+// @desc    Delete a product
+// @route   DELETE /api/vendor/products/:productId
+// @access  Private (approved vendors)
+const deleteProduct = asyncHandler(async (req, res) => {
+    const vendor = await loadVendor(req, res, { write: true });
+    const product = await loadProduct(req, res, vendor);
+
+    await ProductCatalogService.deleteProduct(product, actionContext(req));
+
+    res.status(200).json({
+        success: true,
+        message: 'Product deleted',
+        data: { id: product.id }
+    });
+});
+
+// @desc    Import products from a CSV or XLSX sheet; dryRun=true previews the import
+// @route   POST /api/vendor/products/import
+// @access  Private (approved vendors)
+const importProducts = asyncHandler(async (req, res) => {
+    const format = req.file && ProductImportService.fileFormat(req.file.originalname);
+
+    if (!format) {
+        res.status(400);
+        throw new Error('Upload a CSV or XLSX sheet in the file field');
+    }
+
+    const dryRun = [true, 'true', '1'].includes(req.body?.dryRun ?? req.query.dryRun);
+    const vendor = await loadVendor(req, res, { write: true });
+
+    if (await ProductImportService.findActiveJob(vendor.onboardingId)) {
+        res.status(409);
+        throw new Error('Another product import is still running. Wait for it to finish');
+    }
+
+    let rows;
+    try {
+        rows = await ProductImportService.readSheet(req.file.buffer, format);
+    } catch (error) {
+        res.status(400);
+        throw new Error(error.message);
+    }
+
+    const job = await ProductImportService.createJob(vendor.onboardingId, {
+        userId: req.user.id,
+        fileName: req.file.originalname,
+        format,
+        dryRun,
+        totalRows: rows.length
+    });
+
+    // Large sheets take a while; the vendor follows the job instead of waiting
+    ProductImportService.runJob(job, rows, actionContext(req))
+        .catch(error => Logger.error(`Product import ${job.id} failed:`, error));
+
+    res.status(202).json({
+        success: true,
+        message: dryRun
+            ? 'Checking the sheet. The preview shows what an import would change'
+            : 'Importing the sheet. New and changed products will go for approval',
+        data: job
+    });
+});
+
+// @desc    List the vendor's recent product imports
+// @route   GET /api/vendor/products/import
+// @access  Private
+const getImportJobs = asyncHandler(async (req, res) => {
+    const vendor = await loadVendor(req, res);
+    const jobs = await ProductImportService.listJobs(vendor.onboardingId);
+
+    res.status(200).json({
+        success: true,
+        data: jobs
+    });
+});
+
+// @desc    Get a product import's status and the outcome of each row
+// @route   GET /api/vendor/products/import/:jobId
+// @access  Private
+const getImportJob = asyncHandler(async (req, res) => {
+    const vendor = await loadVendor(req, res);
+    const job = await ProductImportService.getJob(req.params.jobId);
+
+    if (!job || job.onboardingId !== vendor.onboardingId) {
+        res.status(404);
+        throw new Error('Import not found');
+    }
+
+    res.status(200).json({
+        success: true,
+        data: job
+    });
+});
+
+// @desc    Download the vendor's products in the import template
+// @route   GET /api/vendor/products/export?format=xlsx|csv
+// @access  Private
+const exportProducts = asyncHandler(async (req, res) => {
+    const format = req.query.format || 'xlsx';
+
+    if (!ProductImportService.fileFormats.includes(format)) {
+        res.status(400);
+        throw new Error(`Format must be one of ${ProductImportService.fileFormats.join(', ')}`);
+    }
+
+    const vendor = await loadVendor(req, res);
+    const products = await ProductCatalogService.listProducts(vendor.onboardingId);
+    const sheet = await ProductImportService.buildSheet(products, format);
+
+    res.status(200)
+        .type(ProductImportService.contentType(format))
+        .attachment(`products-${vendor.vendorId}.${format}`)
+        .send(sheet);
+});
+
+module.exports = {
+    getProducts,
+    getProduct,
+    createProduct,
+    updateProduct,
+    deactivateProduct,
+    activateProduct,
+    deleteProduct,
+    importProducts,
+    getImportJobs,
+    getImportJob,
+    exportProducts
+};
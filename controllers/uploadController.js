@@ -1,8 +1,20 @@
 const asyncHandler = require('express-async-handler');
 const UploadService = require('../services/uploadService');
+const DocumentVerificationService = require('../services/documentVerificationService');
 const { getConnection } = require('../config/database');
 const Logger = require('../utils/logger');
 
+// Remove files multer already stored when the upload is refused or cannot be saved
+const removeUploadedFiles = async (files) => {
+    for (const file of files || []) {
+        try {
+            await UploadService.deleteFile(file.key);
+        } catch (cleanupError) {
+            Logger.error('File cleanup error during upload failure', cleanupError);
+        }
+    }
+};
+
 // @desc    Upload files
 // @route   POST /api/upload
 // @access  Private
@@ -10,19 +22,27 @@ const uploadFiles = asyncHandler(async (req, res) => {
     const userId = req.user.id;
     const vendorOnboardingId = req.params.vendorId || req.body.vendorOnboardingId || null;
     const category = req.body.category || 'general';
+    const documentType = req.body.documentType || null;
 
     if (!req.files || req.files.length === 0) {
         res.status(400);
         throw new Error('No files uploaded');
     }
 
+    if (documentType && !DocumentVerificationService.documentTypes.includes(documentType)) {
+        await removeUploadedFiles(req.files);
+        res.status(400);
+        throw new Error(`Document type must be one of: ${DocumentVerificationService.documentTypes.join(', ')}`);
+    }
+
     try {
         // Save file information to database
         const uploadedFiles = await UploadService.uploadMultipleFiles(
             req.files,
             userId,
             vendorOnboardingId,
-            category
+            category,
+            documentType
         );
 
         // Log activity
@@ -38,6 +58,7 @@ const uploadFiles = asyncHandler(async (req, res) => {
             vendorOnboardingId,
             filesCount: req.files.length,
             category,
+            documentType,
             timestamp: new Date().toISOString()
         });
 
@@ -52,15 +73,7 @@ const uploadFiles = asyncHandler(async (req, res) => {
 
     } catch (error) {
         // Clean up uploaded files if database save fails
-        if (req.files) {
-            for (const file of req.files) {
-                try {
-                    await UploadService.deleteFile(file.key);
-                } catch (cleanupError) {
-                    Logger.error('File cleanup error during upload failure', cleanupError);
-                }
-            }
-        }
+        await removeUploadedFiles(req.files);
 
         res.status(500);
         throw new Error('File upload failed: ' + error.message);
@@ -83,7 +96,7 @@ const getUserFiles = asyncHandler(async (req, res) => {
         // Build query
         let query = `
             SELECT id, file_name, original_name, file_path, file_size, mime_type, 
-                   file_type, category, s3_url, created_at
+                   file_type, category, document_type, verification_status, verification_notes, s3_url, created_at
             FROM file_uploads 
             WHERE user_id = ?
         `;
@@ -1,6 +1,21 @@
 const asyncHandler = require('express-async-handler');
 const { getConnection } = require('../config/database');
 const ValidationService = require('../services/validationService');
+const NotificationService = require('../services/notificationService');
+const PermissionService = require('../services/permissionService');
+const VendorLifecycleService = require('../services/vendorLifecycleService');
+const OnboardingReviewService = require('../services/onboardingReviewService');
+const OnboardingVersionService = require('../services/onboardingVersionService');
+const ApprovalWorkflowService = require('../services/approvalWorkflowService');
+const ReviewQueueService = require('../services/reviewQueueService');
+const GstVerificationService = require('../services/gstVerificationService');
+const BankVerificationService = require('../services/bankVerificationService');
+const DocumentVerificationService = require('../services/documentVerificationService');
+const DuplicateDetectionService = require('../services/duplicateDetectionService');
+const VendorSearchService = require('../services/vendorSearchService');
+const ProductCatalogService = require('../services/productCatalogService');
+const ProductCategoryService = require('../services/productCategoryService');
+const { notifyUserSockets } = require('../socket/socketHandler');
 const Logger = require('../utils/logger');
 
 // @desc    Register new vendor
@@ -12,6 +27,15 @@ const registerVendor = asyncHandler(async (req, res) => {
     // Validate input data
     const validatedData = ValidationService.validateVendorRegistration(req.body);
 
+    const pincodeError = await ValidationService.checkPincodeStates(validatedData, [
+        ['pincode', 'state', 'Pincode']
+    ]);
+
+    if (pincodeError) {
+        res.status(400);
+        throw new Error(pincodeError);
+    }
+
     // Check if phone number already exists
     const [existingUser] = await connection.execute(
         'SELECT id FROM users WHERE phone = ?',
@@ -38,12 +62,17 @@ const registerVendor = asyncHandler(async (req, res) => {
 
     // Create user
     const [userResult] = await connection.execute(
-        'INSERT INTO users (phone, email, is_verified, role) VALUES (?, ?, FALSE, "vendor")',
-        [validatedData.contactNumber, validatedData.email]
+        'INSERT INTO users (phone, email, is_verified, role, preferred_language) VALUES (?, ?, FALSE, "vendor", ?)',
+        [validatedData.contactNumber, validatedData.email, validatedData.preferredLanguage || 'en']
     );
 
     const userId = userResult.insertId;
 
+    // Consent given on the registration form
+    if (validatedData.whatsappOptIn) {
+        await NotificationService.setWhatsAppOptIn(userId, true);
+    }
+
     // Create vendor profile
     const [profileResult] = await connection.execute(`
         INSERT INTO vendor_profiles 
@@ -79,6 +108,16 @@ const registerVendor = asyncHandler(async (req, res) => {
         timestamp: new Date().toISOString()
     });
 
+    // In-app and WhatsApp/SMS notification - sent in the background
+    NotificationService.notifyUser(userId, 'registration_received', {
+        name: validatedData.authorizedPersonName || validatedData.entityName
+    }, req.io);
+
+    // A new phone number does not make a new business; reviewers see likely
+    // duplicates in the vendor list
+    DuplicateDetectionService.checkVendor(profileResult.insertId, { detectedOn: 'registration', io: req.io })
+        .catch(error => Logger.error(`Duplicate check for vendor ${profileResult.insertId} failed:`, error));
+
     res.status(201).json({
         success: true,
         message: 'Vendor registered successfully. Please verify your phone number.',
@@ -112,6 +151,67 @@ const submitOnboardingForm = asyncHandler(async (req, res) => {
     if (validatedData.corrPincode === '') validatedData.corrPincode = null;
     if (validatedData.mobileNo === '') validatedData.mobileNo = null;
     if (validatedData.mobileNumber === '') validatedData.mobileNumber = null;
+    if (!validatedData.panNumber) validatedData.panNumber = null;
+    validatedData.regState = validatedData.regState || validatedData.state;
+
+    const pincodeError = await ValidationService.checkPincodeStates(validatedData, [
+        [null, 'state', 'State'],
+        ['regPincode', 'regState', 'Registered address pincode'],
+        ['corrPincode', 'corrState', 'Correspondence address pincode']
+    ]);
+
+    if (pincodeError) {
+        res.status(400);
+        throw new Error(pincodeError);
+    }
+
+    // PAN is linked to the vendor's uploaded PAN card: the one named, or else their latest
+    let panDocument = null;
+    if (validatedData.panNumber) {
+        panDocument = await DocumentVerificationService.findPanDocument(userId, validatedData.panDocumentId);
+
+        if (validatedData.panDocumentId && !panDocument) {
+            res.status(400);
+            throw new Error('PAN document not found. Upload the PAN card with document type pan first');
+        }
+    }
+
+    // SKUs are unique per vendor
+    const skus = (validatedData.products || []).map(product => product.sku).filter(Boolean);
+    const repeatedSku = skus.find((sku, index) => skus.indexOf(sku) !== index);
+
+    if (repeatedSku) {
+        res.status(400);
+        throw new Error(`SKU ${repeatedSku} is used for more than one product`);
+    }
+
+    // Product categories must be nodes of the taxonomy, stored as it spells them
+    if (validatedData.products?.length > 0) {
+        const categoryTree = await ProductCategoryService.loadTree();
+
+        for (const [index, product] of validatedData.products.entries()) {
+            try {
+                Object.assign(product, await ProductCategoryService.resolveProductFields(product, { tree: categoryTree }));
+            } catch (error) {
+                res.status(400);
+                throw new Error(`Product ${index + 1}: ${error.message}`);
+            }
+        }
+    }
+
+    // Only the last 4 digits and a reference token of the Aadhaar number are
+    // kept; leaving it out keeps the number already on file
+    const aadhaar = validatedData.aadhaarNumber
+        ? DocumentVerificationService.protectAadhaar(validatedData.aadhaarNumber)
+        : { last4: null, reference: null };
+
+    // The form is locked once review has started
+    const lifecycle = await VendorLifecycleService.getVendorByUserId(userId);
+
+    if (!VendorLifecycleService.canEditOnboarding(lifecycle.state)) {
+        res.status(409);
+        throw new Error(`Onboarding form cannot be changed while the application is ${lifecycle.state.replace(/_/g, ' ')}`);
+    }
 
     // Check if user already has an onboarding record
     const [existingOnboarding] = await connection.execute(
@@ -120,6 +220,7 @@ const submitOnboardingForm = asyncHandler(async (req, res) => {
     );
 
     let onboardingId;
+    let catalogSkus = new Set();
 
     if (existingOnboarding.length > 0) {
         // Update existing record
@@ -135,9 +236,11 @@ const submitOnboardingForm = asyncHandler(async (req, res) => {
                 corr_state = ?, corr_dist = ?, corr_pincode = ?,
                 contact_person = ?, designation = ?, mobile_number = ?, email_address = ?,
                 gstin_reg_no = ?, vat_cst = ?, tin_no = ?, import_export_code = ?,
+                pan_number = ?, pan_document_id = ?,
+                aadhaar_last4 = COALESCE(?, aadhaar_last4), aadhaar_reference = COALESCE(?, aadhaar_reference),
                 account_no = ?, bank_name = ?, branch = ?, ifsc_code = ?,
                 credit_period = ?, electronic_credit = ?, lead_time_delivery = ?,
-                buying_module = ?, margin_percent = ?, status = 'submitted',
+                buying_module = ?, margin_percent = ?,
                 updated_at = CURRENT_TIMESTAMP
             WHERE id = ?
         `, [
@@ -146,23 +249,22 @@ const submitOnboardingForm = asyncHandler(async (req, res) => {
             validatedData.nameOfEntity, validatedData.nameOfEstablishment, validatedData.typeOfSupplier,
             validatedData.gstinNumber, validatedData.mobileNo, validatedData.emailId,
             validatedData.buildingName, validatedData.flatNo, validatedData.wardNo,
-            validatedData.state, validatedData.regDist, validatedData.regPincode,
+            validatedData.regState, validatedData.regDist, validatedData.regPincode,
             validatedData.sameAsRegistered, validatedData.corrBuildingName, validatedData.corrFlatNo,
             validatedData.corrWardNo, validatedData.corrState, validatedData.corrDist,
             validatedData.corrPincode, validatedData.contactPerson, validatedData.designation,
             validatedData.mobileNumber, validatedData.emailAddress, validatedData.gstinRegNo,
             validatedData.vatCst, validatedData.tinNo, validatedData.importExportCode,
+            validatedData.panNumber, panDocument?.id || null, aadhaar.last4, aadhaar.reference,
             validatedData.accountNo, validatedData.bankName, validatedData.branch,
             validatedData.ifscCode, validatedData.creditPeriod, validatedData.electronicCredit,
             validatedData.leadTimeDelivery, validatedData.buyingModule, validatedData.marginPercent,
             onboardingId
         ]);
 
-        // Delete existing products
-        await connection.execute(
-            'DELETE FROM vendor_products WHERE vendor_onboarding_id = ?',
-            [onboardingId]
-        );
+        // The form's products replace the ones it added before; products
+        // managed through the product API or an import stay
+        catalogSkus = await ProductCatalogService.clearFormProducts(onboardingId);
 
     } else {
         // Create new record
@@ -176,22 +278,24 @@ const submitOnboardingForm = asyncHandler(async (req, res) => {
              corr_state, corr_dist, corr_pincode,
              contact_person, designation, mobile_number, email_address,
              gstin_reg_no, vat_cst, tin_no, import_export_code,
+             pan_number, pan_document_id, aadhaar_last4, aadhaar_reference,
              account_no, bank_name, branch, ifsc_code,
              credit_period, electronic_credit, lead_time_delivery,
              buying_module, margin_percent, status)
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'submitted')
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'draft')
         `, [
             userId, validatedData.companyType, validatedData.supplyTo, validatedData.state,
             validatedData.city, validatedData.multipleStore, validatedData.nameOfAuthorizedPerson,
             validatedData.nameOfEntity, validatedData.nameOfEstablishment, validatedData.typeOfSupplier,
             validatedData.gstinNumber, validatedData.mobileNo, validatedData.emailId,
             validatedData.buildingName, validatedData.flatNo, validatedData.wardNo,
-            validatedData.state, validatedData.regDist, validatedData.regPincode,
+            validatedData.regState, validatedData.regDist, validatedData.regPincode,
             validatedData.sameAsRegistered, validatedData.corrBuildingName, validatedData.corrFlatNo,
             validatedData.corrWardNo, validatedData.corrState, validatedData.corrDist,
             validatedData.corrPincode, validatedData.contactPerson, validatedData.designation,
             validatedData.mobileNumber, validatedData.emailAddress, validatedData.gstinRegNo,
             validatedData.vatCst, validatedData.tinNo, validatedData.importExportCode,
+            validatedData.panNumber, panDocument?.id || null, aadhaar.last4, aadhaar.reference,
             validatedData.accountNo, validatedData.bankName, validatedData.branch,
             validatedData.ifscCode, validatedData.creditPeriod, validatedData.electronicCredit,
             validatedData.leadTimeDelivery, validatedData.buyingModule, validatedData.marginPercent
@@ -200,22 +304,37 @@ const submitOnboardingForm = asyncHandler(async (req, res) => {
         onboardingId = onboardingResult.insertId;
     }
 
-    // Insert products
-    if (validatedData.products && validatedData.products.length > 0) {
-        for (const product of validatedData.products) {
+    // Insert products. A form product with the SKU of a kept catalog product
+    // is left out: the catalog version, with its approval state, stands.
+    const formProducts = (validatedData.products || [])
+        .filter(product => !product.sku || !catalogSkus.has(product.sku.toLowerCase()));
+
+    if (formProducts.length > 0) {
+        for (const product of formProducts) {
             await connection.execute(`
                 INSERT INTO vendor_products 
-                (vendor_onboarding_id, product_category, sub_category, micro_category, 
-                 brand, product_name, quantity)
-                VALUES (?, ?, ?, ?, ?, ?, ?)
+                (vendor_onboarding_id, sku, product_category, sub_category, micro_category,
+                 category_id, sub_category_id, micro_category_id,
+                 brand, product_name, quantity, unit, price_per_unit, minimum_order_quantity,
+                 product_description, product_specifications)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
             `, [
                 onboardingId,
+                product.sku || null,
                 product.productCategory,
                 product.subCategory,
                 product.microCategory,
+                product.categoryId,
+                product.subCategoryId,
+                product.microCategoryId,
                 product.brand,
                 product.productName,
-                product.quantity
+                product.quantity,
+                product.unit || 'pieces',
+                product.pricePerUnit ?? null,
+                product.minimumOrderQuantity ?? null,
+                product.productDescription || null,
+                product.productSpecifications ? JSON.stringify(product.productSpecifications) : null
             ]);
         }
     }
@@ -232,6 +351,51 @@ const submitOnboardingForm = asyncHandler(async (req, res) => {
         [userId, 'ONBOARDING_SUBMITTED', 'Vendor onboarding form submitted', req.ip]
     );
 
+    // Move the application to submitted; edits to an already submitted form keep their status
+    let status = lifecycle.onboardingId ? lifecycle.onboardingStatus : 'draft';
+
+    if (!isDraft && lifecycle.state !== 'submitted') {
+        const result = await VendorLifecycleService.transition({ ...lifecycle, onboardingId }, 'submitted', {
+            actorId: userId,
+            ipAddress: req.ip,
+            io: req.io
+        });
+        status = result.vendor.onboardingStatus;
+
+        // Start the approval stages for the vendor's supplier type and category,
+        // then the review SLA clock and reviewer assignment
+        const submitted = await VendorLifecycleService.getVendorByUserId(userId);
+        await ApprovalWorkflowService.startRound(submitted, { io: req.io });
+        await ReviewQueueService.queueSubmission(submitted, { io: req.io });
+    }
+
+    // Resubmitting answers the reviewer's field comments. Each submission is
+    // also kept as a version so reviewers can see what changed.
+    let resolvedComments = 0;
+    let version = null;
+    if (!isDraft) {
+        resolvedComments = await OnboardingReviewService.resolveOpenComments(onboardingId);
+        version = await OnboardingVersionService.createSnapshot(onboardingId, userId);
+
+        // The GSTIN lookup runs in the background; reviewers see the result on the vendor profile
+        if (validatedData.gstinNumber) {
+            GstVerificationService.verifyOnboarding(onboardingId, { io: req.io })
+                .catch(error => Logger.error(`GST verification for onboarding ${onboardingId} failed:`, error));
+        }
+
+        // Likewise the penny-drop, unless these bank details were already checked
+        if (validatedData.accountNo && validatedData.ifscCode) {
+            BankVerificationService.verifyOnboarding(onboardingId, { io: req.io, skipIfChecked: true })
+                .catch(error => Logger.error(`Bank verification for onboarding ${onboardingId} failed:`, error));
+        }
+
+        // The form adds the GSTIN, bank account and PAN to compare with other vendors
+        if (lifecycle.vendorId) {
+            DuplicateDetectionService.checkVendor(lifecycle.vendorId, { detectedOn: 'onboarding', io: req.io })
+                .catch(error => Logger.error(`Duplicate check for vendor ${lifecycle.vendorId} failed:`, error));
+        }
+    }
+
     // Emit real-time event
     req.io?.emit('onboarding_submitted', {
         userId,
@@ -240,23 +404,30 @@ const submitOnboardingForm = asyncHandler(async (req, res) => {
         timestamp: new Date().toISOString()
     });
 
+    if (!isDraft) {
+        // In-app and WhatsApp/SMS notification - sent in the background
+        NotificationService.notifyUser(userId, 'registration_received', {
+            name: validatedData.nameOfAuthorizedPerson || validatedData.nameOfEntity || 'Vendor'
+        }, req.io);
+    }
+
     res.status(200).json({
         success: true,
-        message: 'Onboarding form submitted successfully',
+        message: isDraft ? 'Onboarding draft saved successfully' : 'Onboarding form submitted successfully',
         data: {
             onboardingId,
-            status: 'submitted',
-            productsCount: validatedData.products?.length || 0
+            status,
+            version,
+            resolvedComments,
+            productsCount: formProducts.length
         }
     });
 });
 
-// @desc    Get vendor profile
-// @route   GET /api/vendor/profile
-// @access  Private
-const getVendorProfile = asyncHandler(async (req, res) => {
+// Profile, onboarding form, products, files and GST check for a vendor user.
+// Returns null when the user has no vendor profile.
+const loadVendorProfile = async (userId) => {
     const connection = getConnection();
-    const userId = req.user.id;
 
     // Get vendor profile
     const [profileRows] = await connection.execute(`
@@ -267,8 +438,7 @@ const getVendorProfile = asyncHandler(async (req, res) => {
     `, [userId]);
 
     if (profileRows.length === 0) {
-        res.status(404);
-        throw new Error('Vendor profile not found');
+        return null;
     }
 
     const profile = profileRows[0];
@@ -329,13 +499,286 @@ const getVendorProfile = asyncHandler(async (req, res) => {
         }
     }
 
+    return {
+        profile,
+        onboarding,
+        products,
+        uploadedFiles,
+        gstVerification: onboarding ? await GstVerificationService.getLatest(onboarding.id) : null,
+        bankVerification: onboarding ? await BankVerificationService.getLatest(onboarding.id) : null
+    };
+};
+
+// @desc    Get vendor profile
+// @route   GET /api/vendor/profile
+// @access  Private
+const getVendorProfile = asyncHandler(async (req, res) => {
+    const data = await loadVendorProfile(req.user.id);
+
+    if (!data) {
+        res.status(404);
+        throw new Error('Vendor profile not found');
+    }
+
+    res.status(200).json({
+        success: true,
+        data
+    });
+});
+
+// @desc    Get a vendor's profile, onboarding form and GST and bank checks
+// @route   GET /api/vendor/:id/profile
+// @access  Private (vendor.read)
+const getVendorProfileById = asyncHandler(async (req, res) => {
+    const vendor = await VendorLifecycleService.getVendor(req.params.id);
+
+    if (!vendor) {
+        res.status(404);
+        throw new Error('Vendor not found');
+    }
+
     res.status(200).json({
         success: true,
         data: {
-            profile,
-            onboarding,
-            products,
-            uploadedFiles
+            ...(await loadVendorProfile(vendor.userId)),
+            status: vendor.state
+        }
+    });
+});
+
+// @desc    Check the vendor's GSTIN against the GST register again
+// @route   POST /api/vendor/:id/gst/verify
+// @access  Private (vendor.gst.verify)
+const verifyVendorGst = asyncHandler(async (req, res) => {
+    const vendor = await VendorLifecycleService.getVendor(req.params.id);
+
+    if (!vendor) {
+        res.status(404);
+        throw new Error('Vendor not found');
+    }
+
+    const connection = getConnection();
+    const [forms] = await connection.execute(
+        'SELECT gstin_number FROM vendor_onboarding WHERE id = ?',
+        [vendor.onboardingId || 0]
+    );
+
+    if (forms.length === 0 || !forms[0].gstin_number) {
+        res.status(409);
+        throw new Error('Vendor has not entered a GSTIN on the onboarding form');
+    }
+
+    const verification = await GstVerificationService.verifyOnboarding(vendor.onboardingId, {
+        requestedBy: req.user.id,
+        io: req.io
+    });
+
+    res.status(200).json({
+        success: true,
+        message: `GSTIN check: ${verification.status.replace('_', ' ')}`,
+        data: verification
+    });
+});
+
+// @desc    Penny-drop the vendor's bank account again
+// @route   POST /api/vendor/:id/bank/verify
+// @access  Private (vendor.bank.verify)
+const verifyVendorBank = asyncHandler(async (req, res) => {
+    const vendor = await VendorLifecycleService.getVendor(req.params.id);
+
+    if (!vendor) {
+        res.status(404);
+        throw new Error('Vendor not found');
+    }
+
+    const connection = getConnection();
+    const [forms] = await connection.execute(
+        'SELECT account_no, ifsc_code FROM vendor_onboarding WHERE id = ?',
+        [vendor.onboardingId || 0]
+    );
+
+    if (forms.length === 0 || !forms[0].account_no || !forms[0].ifsc_code) {
+        res.status(409);
+        throw new Error('Vendor has not entered a bank account number and IFSC on the onboarding form');
+    }
+
+    const verification = await BankVerificationService.verifyOnboarding(vendor.onboardingId, {
+        requestedBy: req.user.id,
+        io: req.io
+    });
+
+    res.status(200).json({
+        success: true,
+        message: `Bank account check: ${verification.status.replace('_', ' ')}`,
+        data: verification
+    });
+});
+
+// @desc    Get the vendor's bank account checks, newest first
+// @route   GET /api/vendor/:id/bank/verification
+// @access  Private (vendor.read)
+const getBankVerification = asyncHandler(async (req, res) => {
+    const vendor = await VendorLifecycleService.getVendor(req.params.id);
+
+    if (!vendor) {
+        res.status(404);
+        throw new Error('Vendor not found');
+    }
+
+    const onboardingId = vendor.onboardingId || 0;
+
+    res.status(200).json({
+        success: true,
+        data: {
+            vendorId: vendor.vendorId,
+            latest: await BankVerificationService.getLatest(onboardingId),
+            history: await BankVerificationService.listVerifications(onboardingId),
+            approvalBlocker: await BankVerificationService.getApprovalBlocker(onboardingId)
+        }
+    });
+});
+
+// @desc    Mark a name mismatch or failed bank check verified or rejected by hand
+// @route   PUT /api/vendor/:id/bank/verification
+// @access  Private (vendor.bank.verify)
+const decideBankVerification = asyncHandler(async (req, res) => {
+    const { decision, notes } = ValidationService.validateBankVerificationDecision(req.body);
+    const vendor = await VendorLifecycleService.getVendor(req.params.id);
+
+    if (!vendor) {
+        res.status(404);
+        throw new Error('Vendor not found');
+    }
+
+    const latest = await BankVerificationService.getLatest(vendor.onboardingId || 0);
+
+    if (!latest || !latest.current) {
+        res.status(409);
+        throw new Error('The vendor\'s current bank details have not been checked yet');
+    }
+
+    if (!['name_mismatch', 'failed'].includes(latest.status)) {
+        res.status(409);
+        throw new Error(`Only name mismatch or failed checks can be decided by hand; this one is ${latest.status.replace('_', ' ')}`);
+    }
+
+    const verification = await BankVerificationService.recordDecision(vendor.onboardingId, decision, {
+        actorId: req.user.id,
+        notes,
+        ipAddress: req.ip,
+        sessionId: req.sessionId || null,
+        io: req.io
+    });
+
+    res.status(200).json({
+        success: true,
+        message: `Bank account marked ${verification.status}`,
+        data: verification
+    });
+});
+
+// @desc    Get the vendors flagged as possible duplicates of a vendor
+// @route   GET /api/vendor/:id/duplicates
+// @access  Private (vendor.read)
+const getVendorDuplicates = asyncHandler(async (req, res) => {
+    const vendor = await VendorLifecycleService.getVendor(req.params.id);
+
+    if (!vendor) {
+        res.status(404);
+        throw new Error('Vendor not found');
+    }
+
+    const flags = await DuplicateDetectionService.listForVendor(vendor.vendorId);
+
+    res.status(200).json({
+        success: true,
+        data: {
+            vendorId: vendor.vendorId,
+            open: flags.filter(flag => flag.status === 'open').length,
+            flags
+        }
+    });
+});
+
+// @desc    Get possible duplicate vendor pairs by status
+// @route   GET /api/vendor/duplicates
+// @access  Private (vendor.read)
+const getDuplicateFlags = asyncHandler(async (req, res) => {
+    const status = req.query.status || 'open';
+
+    if (!DuplicateDetectionService.statuses.includes(status)) {
+        res.status(400);
+        throw new Error(`Status must be one of ${DuplicateDetectionService.statuses.join(', ')}`);
+    }
+
+    const result = await DuplicateDetectionService.listFlags({
+        status,
+        page: Math.max(parseInt(req.query.page) || 1, 1),
+        limit: Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100)
+    });
+
+    res.status(200).json({
+        success: true,
+        data: result
+    });
+});
+
+// @desc    Link, merge or dismiss a possible duplicate pair
+// @route   PUT /api/vendor/duplicates/:flagId
+// @access  Private (vendor.duplicates.resolve)
+const resolveDuplicateFlag = asyncHandler(async (req, res) => {
+    const { action, keepVendorId, notes } = ValidationService.validateDuplicateResolution(req.body);
+    const flag = await DuplicateDetectionService.getFlag(req.params.flagId);
+
+    if (!flag) {
+        res.status(404);
+        throw new Error('Duplicate flag not found');
+    }
+
+    if (flag.status !== 'open') {
+        res.status(409);
+        throw new Error(`This flag has already been ${flag.status}`);
+    }
+
+    if (action === 'merge') {
+        const ids = flag.vendors.map(vendor => vendor.vendorId);
+
+        if (!ids.includes(keepVendorId)) {
+            res.status(400);
+            throw new Error(`The vendor to keep must be one of ${ids.join(' or ')}`);
+        }
+
+        const duplicate = flag.vendors.find(vendor => vendor.vendorId !== keepVendorId);
+
+        if (duplicate.status === 'approved') {
+            res.status(409);
+            throw new Error('An approved vendor cannot be merged away. Suspend it first or keep it instead');
+        }
+    }
+
+    const { flag: resolved, retired } = await DuplicateDetectionService.resolve(flag.id, action, {
+        keepVendorId,
+        actorId: req.user.id,
+        notes,
+        ipAddress: req.ip,
+        sessionId: req.sessionId || null,
+        io: req.io
+    });
+
+    // The merged-away vendor's open sessions are told why, then disconnected
+    if (retired) {
+        await notifyUserSockets(req.io, retired.userId, 'account_deactivated', 'account_deactivated', {
+            payload: { reason: `Merged into vendor #${keepVendorId}` },
+            disconnect: true
+        });
+    }
+
+    res.status(200).json({
+        success: true,
+        message: `Vendors marked ${resolved.status}`,
+        data: {
+            ...resolved,
+            retiredVendor: retired
         }
     });
 });
@@ -350,6 +793,28 @@ const updateVendorProfile = asyncHandler(async (req, res) => {
     // Validate input data (partial validation for updates)
     const sanitizedData = ValidationService.sanitizeInput(req.body);
 
+    // A new state or pincode is checked against the other one, as stored if unchanged
+    if (sanitizedData.state !== undefined || sanitizedData.pincode !== undefined) {
+        const [profiles] = await connection.execute(
+            'SELECT state, pincode FROM vendor_profiles WHERE user_id = ?',
+            [userId]
+        );
+        const location = {
+            state: sanitizedData.state ?? profiles[0]?.state,
+            pincode: sanitizedData.pincode ?? profiles[0]?.pincode
+        };
+        const pincodeError = await ValidationService.checkPincodeStates(location, [['pincode', 'state', 'Pincode']]);
+
+        if (pincodeError) {
+            res.status(400);
+            throw new Error(pincodeError);
+        }
+
+        if (sanitizedData.state !== undefined) {
+            sanitizedData.state = location.state;
+        }
+    }
+
     // Update vendor profile
     const updateFields = [];
     const updateValues = [];
@@ -399,7 +864,7 @@ const getOnboardingStatus = asyncHandler(async (req, res) => {
 
     // Get onboarding status
     const [rows] = await connection.execute(`
-        SELECT vo.status, vo.created_at, vo.updated_at,
+        SELECT vo.id, vo.status, vo.submitted_at, vo.review_notes, vo.created_at, vo.updated_at,
                vp.status as profile_status,
                COUNT(vpr.id) as products_count
         FROM vendor_onboarding vo
@@ -416,6 +881,10 @@ const getOnboardingStatus = asyncHandler(async (req, res) => {
             data: {
                 onboardingStatus: 'not_started',
                 profileStatus: 'incomplete',
+                lifecycleStatus: 'draft',
+                canEdit: true,
+                reviewNotes: null,
+                changesRequested: [],
                 productsCount: 0,
                 submittedAt: null,
                 lastUpdated: null
@@ -425,14 +894,19 @@ const getOnboardingStatus = asyncHandler(async (req, res) => {
     }
 
     const status = rows[0];
+    const lifecycleStatus = (await VendorLifecycleService.getVendorByUserId(userId)).state;
 
     res.status(200).json({
         success: true,
         data: {
             onboardingStatus: status.status,
             profileStatus: status.profile_status,
+            lifecycleStatus,
+            canEdit: VendorLifecycleService.canEditOnboarding(lifecycleStatus),
+            reviewNotes: status.review_notes,
+            changesRequested: await OnboardingReviewService.listComments(status.id, { status: 'open' }),
             productsCount: status.products_count,
-            submittedAt: status.created_at,
+            submittedAt: status.submitted_at,
             lastUpdated: status.updated_at
         }
     });
@@ -440,174 +914,596 @@ const getOnboardingStatus = asyncHandler(async (req, res) => {
 
 // Admin Controllers
 
-// @desc    Get all vendors
+// @desc    Search vendors with filters, sorting and facet counts
 // @route   GET /api/vendor/all
 // @access  Private (Admin only)
 const getAllVendors = asyncHandler(async (req, res) => {
-    const connection = getConnection();
-    const { page = 1, limit = 10, status, search } = req.query;
+    let filters;
+    try {
+        filters = ValidationService.validateVendorSearch(req.query);
+    } catch (error) {
+        res.status(400);
+        throw new Error(error.message);
+    }
 
-    const offset = (page - 1) * limit;
-    let whereClause = '';
-    const queryParams = [];
+    const result = await VendorSearchService.search(filters, { userId: req.user.id });
 
-    // Build where clause
-    const conditions = [];
+    res.status(200).json({
+        success: true,
+        data: result
+    });
+});
+
+// Check a staff-requested status change against the lifecycle rules and the
+// user's permissions. Returns the vendor in its current state.
+const checkTransition = async (req, res, to, reason = null) => {
+    const vendor = await VendorLifecycleService.getVendor(req.params.id);
 
-    if (status) {
-        conditions.push('vp.status = ?');
-        queryParams.push(status);
+    if (!vendor) {
+        res.status(404);
+        throw new Error('Vendor not found');
     }
 
-    if (search) {
-        conditions.push('(vp.entity_name LIKE ? OR vp.authorized_person_name LIKE ? OR u.phone LIKE ?)');
-        queryParams.push(`%${search}%`, `%${search}%`, `%${search}%`);
+    const rule = VendorLifecycleService.getTransition(vendor.state, to);
+
+    if (!rule) {
+        const allowed = VendorLifecycleService.getAllowedTransitions(vendor.state)
+            .filter(transition => transition.permission)
+            .map(transition => transition.to);
+        res.status(409);
+        throw new Error(`Cannot move vendor from ${vendor.state} to ${to}. Allowed: ${allowed.join(', ') || 'none'}`);
     }
 
-    if (conditions.length > 0) {
-        whereClause = 'WHERE ' + conditions.join(' AND ');
+    if (!rule.permission) {
+        res.status(409);
+        throw new Error('Only the vendor can submit their onboarding form');
     }
 
-    // Get vendors with pagination
-    const [vendors] = await connection.execute(`
-        SELECT vp.*, u.phone, u.email, u.is_verified, u.created_at as registered_at,
-               vo.status as onboarding_status, vo.created_at as onboarding_submitted_at
-        FROM vendor_profiles vp
-        JOIN users u ON vp.user_id = u.id
-        LEFT JOIN vendor_onboarding vo ON vp.user_id = vo.user_id
-        ${whereClause}
-        ORDER BY vp.created_at DESC
-        LIMIT ? OFFSET ?
-    `, [...queryParams, parseInt(limit), parseInt(offset)]);
-
-    // Get total count
-    const [countResult] = await connection.execute(`
-        SELECT COUNT(*) as total
-        FROM vendor_profiles vp
-        JOIN users u ON vp.user_id = u.id
-        LEFT JOIN vendor_onboarding vo ON vp.user_id = vo.user_id
-        ${whereClause}
-    `, queryParams);
+    if (!(await PermissionService.hasPermission(req.user.role, rule.permission))) {
+        res.status(403);
+        throw new Error(`Access denied. Requires permission: ${rule.permission}`);
+    }
 
-    const total = countResult[0].total;
+    if (rule.reasonRequired && !reason) {
+        res.status(400);
+        throw new Error(`A reason is required to move a vendor to ${to.replace(/_/g, ' ')}`);
+    }
+
+    return vendor;
+};
+
+const applyTransition = async (req, vendor, to, reason = null) => {
+    return await VendorLifecycleService.transition(vendor, to, {
+        actorId: req.user.id,
+        reason,
+        ipAddress: req.ip,
+        sessionId: req.sessionId || null,
+        io: req.io
+    });
+};
+
+// Final approval waits for the bank account on the form to be verified
+const checkBankVerified = async (res, vendor) => {
+    const blocker = await BankVerificationService.getApprovalBlocker(vendor.onboardingId);
+
+    if (blocker) {
+        res.status(409);
+        throw new Error(blocker);
+    }
+};
+
+// Record a decision on the vendor's pending approval stage. Returns null when
+// no approval workflow applies to the vendor.
+const decideStage = async (req, res, vendor, decision, notes = null) => {
+    const stage = await ApprovalWorkflowService.getCurrentStage(vendor, { io: req.io });
+
+    if (!stage) {
+        return null;
+    }
+
+    if (stage.role !== req.user.role && !(await PermissionService.hasPermission(req.user.role, 'vendor.approval.override'))) {
+        res.status(403);
+        throw new Error(`Stage '${stage.name}' is assigned to the ${stage.role} role`);
+    }
+
+    if (decision === 'rejected' && !notes) {
+        res.status(400);
+        throw new Error('Notes are required to reject a stage');
+    }
+
+    if (decision === 'approved' && await ApprovalWorkflowService.isFinalStage(vendor, stage)) {
+        await checkBankVerified(res, vendor);
+    }
+
+    return await ApprovalWorkflowService.recordDecision(vendor, stage, decision, {
+        actorId: req.user.id,
+        notes,
+        ipAddress: req.ip,
+        sessionId: req.sessionId || null,
+        io: req.io
+    });
+};
+
+// Check and apply a staff-requested status change. Approval goes through the
+// vendor's approval stages when a workflow applies.
+const runTransition = async (req, res, to, reason = null) => {
+    const vendor = await checkTransition(req, res, to, reason);
+
+    if (VendorLifecycleService.getTransition(vendor.state, to).action === 'approve') {
+        const result = await decideStage(req, res, vendor, 'approved', reason);
+        if (result) {
+            return result;
+        }
+        await checkBankVerified(res, vendor);
+    }
+
+    return await applyTransition(req, vendor, to, reason);
+};
+
+// Response message for an approval that may have completed only one stage
+const approvalMessage = (result) => (result.nextStage
+    ? `${result.stage.name} approved. Waiting for ${result.nextStage.name} (${result.nextStage.role})`
+    : 'Vendor approved successfully');
+
+// @desc    Approve vendor
+// @route   PUT /api/vendor/:id/approve
+// @access  Private (vendor.approve)
+const approveVendor = asyncHandler(async (req, res) => {
+    const notes = typeof req.body?.notes === 'string' ? req.body.notes.trim() || null : null;
+    const result = await runTransition(req, res, 'approved', notes);
 
     res.status(200).json({
         success: true,
+        message: approvalMessage(result),
         data: {
-            vendors,
-            pagination: {
-                page: parseInt(page),
-                limit: parseInt(limit),
-                total,
-                pages: Math.ceil(total / limit)
-            }
+            vendorId: result.vendor.vendorId,
+            status: result.vendor.state,
+            approvalStage: result.stage || null,
+            nextStage: result.nextStage || null
         }
     });
 });
 
-// @desc    Approve vendor
-// @route   PUT /api/vendor/:id/approve
-// @access  Private (Admin only)
-const approveVendor = asyncHandler(async (req, res) => {
-    const connection = getConnection();
-    const vendorId = req.params.id;
+// @desc    Reject vendor
+// @route   PUT /api/vendor/:id/reject
+// @access  Private (vendor.reject)
+const rejectVendor = asyncHandler(async (req, res) => {
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : null;
+    const { vendor } = await runTransition(req, res, 'rejected', reason || null);
 
-    // Update vendor status
-    await connection.execute(
-        'UPDATE vendor_profiles SET status = "approved", updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-        [vendorId]
-    );
+    res.status(200).json({
+        success: true,
+        message: 'Vendor rejected successfully',
+        data: {
+            vendorId: vendor.vendorId,
+            status: 'rejected',
+            reason
+        }
+    });
+});
 
-    // Get vendor details for notification
-    const [vendorRows] = await connection.execute(`
-        SELECT vp.*, u.phone FROM vendor_profiles vp
-        JOIN users u ON vp.user_id = u.id
-        WHERE vp.id = ?
-    `, [vendorId]);
+// @desc    Move vendor to another lifecycle status
+// @route   PUT /api/vendor/:id/transition
+// @access  Private (permission depends on the transition)
+const transitionVendor = asyncHandler(async (req, res) => {
+    const data = ValidationService.validateVendorTransition(req.body);
+    const result = await runTransition(req, res, data.status, data.reason);
+    const { vendor, from, to, action } = result;
+
+    res.status(200).json({
+        success: true,
+        message: result.stage ? approvalMessage(result) : `Vendor moved from ${from} to ${to}`,
+        data: {
+            vendorId: vendor.vendorId,
+            action,
+            previousStatus: from,
+            status: to,
+            profileStatus: vendor.profileStatus,
+            onboardingStatus: vendor.onboardingStatus,
+            reason: data.reason,
+            approvalStage: result.stage || null,
+            nextStage: result.nextStage || null,
+            allowedTransitions: VendorLifecycleService.getAllowedTransitions(to).filter(transition => transition.permission)
+        }
+    });
+});
+
+// @desc    Request changes to specific onboarding fields
+// @route   PUT /api/vendor/:id/request-changes
+// @access  Private (vendor.status.update)
+const requestChanges = asyncHandler(async (req, res) => {
+    const { comments, reason } = ValidationService.validateChangeRequest(req.body);
+    const summary = reason || `Changes requested to ${comments.length} field${comments.length === 1 ? '' : 's'}: ${[...new Set(comments.map(c => c.field))].join(', ')}`;
+
+    const vendor = await checkTransition(req, res, 'requires_changes', summary);
 
-    if (vendorRows.length === 0) {
+    if (!vendor.onboardingId) {
+        res.status(409);
+        throw new Error('Vendor has not filled in the onboarding form');
+    }
+
+    const productsCount = await OnboardingReviewService.countProducts(vendor.onboardingId);
+    for (const { field } of comments) {
+        const problem = OnboardingReviewService.checkField(field, productsCount);
+        if (problem) {
+            res.status(400);
+            throw new Error(problem);
+        }
+    }
+
+    const openComments = await OnboardingReviewService.addComments(vendor.onboardingId, comments, req.user.id);
+    const { vendor: updated, from } = await applyTransition(req, vendor, 'requires_changes', summary);
+
+    // Send the vendor the fields to fix
+    req.io?.to(`user_${vendor.userId}`).emit('onboarding_changes_requested', {
+        status: 'requires_changes',
+        reason: summary,
+        comments: openComments.map(({ id, field, comment, createdAt }) => ({ id, field, comment, createdAt })),
+        timestamp: new Date().toISOString()
+    });
+
+    res.status(200).json({
+        success: true,
+        message: 'Changes requested from vendor',
+        data: {
+            vendorId: updated.vendorId,
+            previousStatus: from,
+            status: updated.state,
+            reason: summary,
+            comments: openComments
+        }
+    });
+});
+
+// @desc    Get reviewer comments on a vendor's onboarding form
+// @route   GET /api/vendor/:id/review-comments
+// @access  Private (vendor.read)
+const getReviewComments = asyncHandler(async (req, res) => {
+    const vendor = await VendorLifecycleService.getVendor(req.params.id);
+
+    if (!vendor) {
         res.status(404);
         throw new Error('Vendor not found');
     }
 
-    const vendor = vendorRows[0];
+    const { status } = req.query;
+    if (status && !['open', 'resolved'].includes(status)) {
+        res.status(400);
+        throw new Error('status must be open or resolved');
+    }
 
-    // Log activity
-    await connection.execute(
-        'INSERT INTO activity_logs (user_id, action, description, ip_address) VALUES (?, ?, ?, ?)',
-        [req.user.id, 'VENDOR_APPROVED', `Approved vendor: ${vendor.entity_name}`, req.ip]
-    );
+    res.status(200).json({
+        success: true,
+        data: {
+            vendorId: vendor.vendorId,
+            status: vendor.state,
+            comments: vendor.onboardingId
+                ? await OnboardingReviewService.listComments(vendor.onboardingId, { status })
+                : []
+        }
+    });
+});
 
-    // Emit real-time event
-    req.io?.emit('vendor_approved', {
-        vendorId,
-        entityName: vendor.entity_name,
-        phone: vendor.phone,
-        approvedBy: req.user.id,
-        timestamp: new Date().toISOString()
+// Vendor and onboarding form for the reviewer endpoints
+const loadVendorOnboarding = async (req, res) => {
+    const vendor = await VendorLifecycleService.getVendor(req.params.id);
+
+    if (!vendor) {
+        res.status(404);
+        throw new Error('Vendor not found');
+    }
+
+    if (!vendor.onboardingId) {
+        res.status(404);
+        throw new Error('Vendor has not filled in the onboarding form');
+    }
+
+    return vendor;
+};
+
+// @desc    List submitted versions of a vendor's onboarding form
+// @route   GET /api/vendor/:id/onboarding/versions
+// @access  Private (vendor.read)
+const getOnboardingVersions = asyncHandler(async (req, res) => {
+    const vendor = await loadVendorOnboarding(req, res);
+    const versions = await OnboardingVersionService.listVersions(vendor.onboardingId);
+
+    // Summarise what each submission changed compared with the one before
+    const summaries = versions.map((version, index) => {
+        const changes = index > 0 ? OnboardingVersionService.compare(versions[index - 1], version) : null;
+        return {
+            version: version.version,
+            submittedBy: version.submittedBy,
+            submittedAt: version.submittedAt,
+            productsCount: version.products.length,
+            changedSections: changes ? changes.changedSections : null,
+            changedFields: changes ? changes.fields.length + changes.products.changed.length + changes.products.added.length + changes.products.removed.length : null,
+            bankDetailsChanged: changes ? changes.bankDetailsChanged : null
+        };
+    }).reverse();
+
+    res.status(200).json({
+        success: true,
+        data: {
+            vendorId: vendor.vendorId,
+            onboardingId: vendor.onboardingId,
+            versions: summaries
+        }
+    });
+});
+
+// @desc    Get one submitted version of a vendor's onboarding form
+// @route   GET /api/vendor/:id/onboarding/versions/:version
+// @access  Private (vendor.read)
+const getOnboardingVersion = asyncHandler(async (req, res) => {
+    const vendor = await loadVendorOnboarding(req, res);
+    const version = await OnboardingVersionService.getVersion(vendor.onboardingId, parseInt(req.params.version) || 0);
+
+    if (!version) {
+        res.status(404);
+        throw new Error('Version not found');
+    }
+
+    res.status(200).json({
+        success: true,
+        data: version
+    });
+});
+
+// @desc    Field-level diff between two versions of a vendor's onboarding form
+// @route   GET /api/vendor/:id/onboarding/diff?from=1&to=2
+// @access  Private (vendor.read)
+const getOnboardingDiff = asyncHandler(async (req, res) => {
+    const vendor = await loadVendorOnboarding(req, res);
+    const versions = await OnboardingVersionService.listVersions(vendor.onboardingId);
+
+    if (versions.length < 2) {
+        res.status(404);
+        throw new Error(versions.length === 0
+            ? 'The onboarding form has not been submitted yet'
+            : 'The onboarding form has been submitted only once; there is nothing to compare');
+    }
+
+    // Defaults to the latest submission against the one before it
+    const toNumber = req.query.to ? parseInt(req.query.to) : versions[versions.length - 1].version;
+    const fromNumber = req.query.from ? parseInt(req.query.from) : toNumber - 1;
+
+    if (!(fromNumber < toNumber)) {
+        res.status(400);
+        throw new Error('from must be an earlier version than to');
+    }
+
+    const older = versions.find(version => version.version === fromNumber);
+    const newer = versions.find(version => version.version === toNumber);
+
+    if (!older || !newer) {
+        res.status(404);
+        throw new Error(`Version ${!older ? fromNumber : toNumber} not found`);
+    }
+
+    res.status(200).json({
+        success: true,
+        data: {
+            vendorId: vendor.vendorId,
+            onboardingId: vendor.onboardingId,
+            fromSubmittedAt: older.submittedAt,
+            toSubmittedAt: newer.submittedAt,
+            ...OnboardingVersionService.compare(older, newer)
+        }
     });
+});
+
+// @desc    Approve or reject the vendor's pending approval stage
+// @route   POST /api/vendor/:id/approval/decision
+// @access  Private (the stage's assignee role, or vendor.approval.override)
+const decideApprovalStage = asyncHandler(async (req, res) => {
+    const { decision, notes } = ValidationService.validateApprovalDecision(req.body);
+    const vendor = await VendorLifecycleService.getVendor(req.params.id);
+
+    if (!vendor) {
+        res.status(404);
+        throw new Error('Vendor not found');
+    }
+
+    if (!['submitted', 'under_review'].includes(vendor.state)) {
+        res.status(409);
+        throw new Error(`Vendor is ${vendor.state.replace(/_/g, ' ')}; only submitted applications have approval stages`);
+    }
+
+    const result = await decideStage(req, res, vendor, decision, notes);
+
+    if (!result) {
+        res.status(409);
+        throw new Error('No approval workflow applies to this vendor; approve or reject it directly');
+    }
 
     res.status(200).json({
         success: true,
-        message: 'Vendor approved successfully',
+        message: decision === 'approved' ? approvalMessage(result) : `${result.stage.name} rejected the vendor`,
         data: {
-            vendorId,
-            status: 'approved'
+            vendorId: result.vendor.vendorId,
+            previousStatus: result.from,
+            status: result.vendor.state,
+            stage: result.stage,
+            nextStage: result.nextStage
         }
     });
 });
 
-// @desc    Reject vendor
-// @route   PUT /api/vendor/:id/reject
-// @access  Private (Admin only)
-const rejectVendor = asyncHandler(async (req, res) => {
-    const connection = getConnection();
-    const vendorId = req.params.id;
-    const { reason } = req.body;
+// @desc    Get the vendor's approval workflow and stage decisions
+// @route   GET /api/vendor/:id/approval
+// @access  Private (vendor.read)
+const getApprovalStatus = asyncHandler(async (req, res) => {
+    const vendor = await VendorLifecycleService.getVendor(req.params.id);
 
-    // Update vendor status
-    await connection.execute(
-        'UPDATE vendor_profiles SET status = "rejected", updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-        [vendorId]
-    );
+    if (!vendor) {
+        res.status(404);
+        throw new Error('Vendor not found');
+    }
 
-    // Get vendor details
-    const [vendorRows] = await connection.execute(`
-        SELECT vp.*, u.phone FROM vendor_profiles vp
-        JOIN users u ON vp.user_id = u.id
-        WHERE vp.id = ?
-    `, [vendorId]);
+    const rounds = await ApprovalWorkflowService.getRounds(vendor.vendorId);
+    const currentRound = rounds[0] || null;
+
+    res.status(200).json({
+        success: true,
+        data: {
+            vendorId: vendor.vendorId,
+            status: vendor.state,
+            supplierType: vendor.supplierType,
+            category: vendor.category,
+            workflow: await ApprovalWorkflowService.findWorkflowFor(vendor),
+            currentStage: currentRound?.stages.find(stage => stage.status === 'pending') || null,
+            rounds
+        }
+    });
+});
+
+// Query values accepted for the queue's SLA filter
+const SLA_STATUSES = ['on_track', 'due_soon', 'overdue'];
+
+// @desc    Get the pending reviews assigned to the current user
+// @route   GET /api/vendor/queue/mine
+// @access  Private (vendor.read)
+const getMyReviewQueue = asyncHandler(async (req, res) => {
+    const { items, summary } = await ReviewQueueService.listQueue({ assignedTo: req.user.id });
+
+    res.status(200).json({
+        success: true,
+        data: {
+            reviewerId: req.user.id,
+            slaHours: ReviewQueueService.slaHours,
+            summary,
+            items
+        }
+    });
+});
+
+// @desc    Get every pending review with its assignee and SLA status
+// @route   GET /api/vendor/queue
+// @access  Private (vendor.read)
+const getReviewQueue = asyncHandler(async (req, res) => {
+    const { assignedTo, sla } = req.query;
+
+    if (sla && !SLA_STATUSES.includes(sla)) {
+        res.status(400);
+        throw new Error(`SLA filter must be one of: ${SLA_STATUSES.join(', ')}`);
+    }
+
+    let assignee = null;
+    if (assignedTo === 'me') {
+        assignee = req.user.id;
+    } else if (assignedTo === 'unassigned') {
+        assignee = 'unassigned';
+    } else if (assignedTo) {
+        assignee = parseInt(assignedTo);
+        if (!assignee) {
+            res.status(400);
+            throw new Error('assignedTo must be a user ID, me or unassigned');
+        }
+    }
+
+    const { items, summary } = await ReviewQueueService.listQueue({ assignedTo: assignee, slaStatus: sla || null });
+
+    res.status(200).json({
+        success: true,
+        data: {
+            slaHours: ReviewQueueService.slaHours,
+            summary,
+            items
+        }
+    });
+});
+
+// @desc    Assign a vendor's pending review to a reviewer (or the next in rotation)
+// @route   PUT /api/vendor/:id/assign
+// @access  Private (reviews.assign)
+const assignReviewer = asyncHandler(async (req, res) => {
+    const { reviewerId } = ValidationService.validateReviewAssignment(req.body);
+    const vendor = await VendorLifecycleService.getVendor(req.params.id);
 
-    if (vendorRows.length === 0) {
+    if (!vendor) {
         res.status(404);
         throw new Error('Vendor not found');
     }
 
-    const vendor = vendorRows[0];
+    if (!['submitted', 'under_review'].includes(vendor.state)) {
+        res.status(409);
+        throw new Error(`Vendor is ${vendor.state.replace(/_/g, ' ')}; only submitted applications can be assigned`);
+    }
 
-    // Log activity
-    await connection.execute(
-        'INSERT INTO activity_logs (user_id, action, description, ip_address) VALUES (?, ?, ?, ?)',
-        [req.user.id, 'VENDOR_REJECTED', `Rejected vendor: ${vendor.entity_name}. Reason: ${reason || 'Not specified'}`, req.ip]
-    );
+    const options = {
+        ipAddress: req.ip,
+        sessionId: req.sessionId || null,
+        io: req.io
+    };
+    let item;
 
-    // Emit real-time event
-    req.io?.emit('vendor_rejected', {
-        vendorId,
-        entityName: vendor.entity_name,
-        phone: vendor.phone,
-        reason,
-        rejectedBy: req.user.id,
-        timestamp: new Date().toISOString()
+    if (reviewerId) {
+        const reviewer = await ReviewQueueService.getEligibleReviewer(reviewerId);
+
+        if (!reviewer) {
+            res.status(400);
+            throw new Error('Reviewer must be an active staff member who can review vendors');
+        }
+
+        item = await ReviewQueueService.assign(vendor, reviewer, { ...options, assignedBy: req.user.id });
+    } else {
+        item = await ReviewQueueService.assignRoundRobin(vendor, options);
+
+        if (!item) {
+            res.status(409);
+            throw new Error('No active reviewers are available');
+        }
+    }
+
+    res.status(200).json({
+        success: true,
+        message: `Review assigned to ${item.assignedTo.email || item.assignedTo.phone}`,
+        data: item
+    });
+});
+
+// @desc    Assign every unassigned pending review round-robin
+// @route   POST /api/vendor/queue/auto-assign
+// @access  Private (reviews.assign)
+const autoAssignReviews = asyncHandler(async (req, res) => {
+    const { assigned, unassigned } = await ReviewQueueService.assignUnassigned({
+        ipAddress: req.ip,
+        sessionId: req.sessionId || null,
+        io: req.io
     });
 
     res.status(200).json({
         success: true,
-        message: 'Vendor rejected successfully',
+        message: `Assigned ${assigned.length} review${assigned.length === 1 ? '' : 's'}`,
         data: {
-            vendorId,
-            status: 'rejected',
-            reason
+            assigned,
+            unassigned
+        }
+    });
+});
+
+// @desc    Get vendor lifecycle status and status history
+// @route   GET /api/vendor/:id/status-history
+// @access  Private (vendor.read)
+const getVendorStatusHistory = asyncHandler(async (req, res) => {
+    const vendor = await VendorLifecycleService.getVendor(req.params.id);
+
+    if (!vendor) {
+        res.status(404);
+        throw new Error('Vendor not found');
+    }
+
+    res.status(200).json({
+        success: true,
+        data: {
+            vendorId: vendor.vendorId,
+            entityName: vendor.entityName,
+            status: vendor.state,
+            profileStatus: vendor.profileStatus,
+            onboardingStatus: vendor.onboardingStatus,
+            allowedTransitions: VendorLifecycleService.getAllowedTransitions(vendor.state).filter(transition => transition.permission),
+            history: await VendorLifecycleService.getHistory(vendor.vendorId)
         }
     });
 });
@@ -616,9 +1512,30 @@ module.exports = {
     registerVendor,
     submitOnboardingForm,
     getVendorProfile,
+    getVendorProfileById,
+    verifyVendorGst,
+    verifyVendorBank,
+    getBankVerification,
+    decideBankVerification,
+    getVendorDuplicates,
+    getDuplicateFlags,
+    resolveDuplicateFlag,
     updateVendorProfile,
     getOnboardingStatus,
     getAllVendors,
     approveVendor,
-    rejectVendor
+    rejectVendor,
+    transitionVendor,
+    requestChanges,
+    getReviewComments,
+    getOnboardingVersions,
+    getOnboardingVersion,
+    getOnboardingDiff,
+    decideApprovalStage,
+    getApprovalStatus,
+    getMyReviewQueue,
+    getReviewQueue,
+    assignReviewer,
+    autoAssignReviews,
+    getVendorStatusHistory
 };
\ No newline at end of file
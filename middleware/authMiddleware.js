@@ -1,6 +1,10 @@
 const jwt = require('jsonwebtoken');
 const asyncHandler = require('express-async-handler');
 const { getConnection } = require('../config/database');
+const SessionService = require('../services/sessionService');
+const PermissionService = require('../services/permissionService');
+
+const SESSION_REVOKED_MESSAGE = 'Not authorized, session has been revoked';
 
 const protect = asyncHandler(async (req, res, next) => {
     let token;
@@ -33,13 +37,23 @@ const protect = asyncHandler(async (req, res, next) => {
                 throw new Error('Account is deactivated');
             }
 
+            // Tokens bound to a session are only valid while the session is
+            if (decoded.sid) {
+                const isActive = await SessionService.isSessionActive(decoded.sid, user.id);
+                if (!isActive) {
+                    throw new Error(SESSION_REVOKED_MESSAGE);
+                }
+                await SessionService.touchSession(decoded.sid, req.ip);
+            }
+
             // Add user to request object
             req.user = user;
+            req.sessionId = decoded.sid || null;
             next();
 
         } catch (error) {
             res.status(401);
-            throw new Error('Not authorized, token failed');
+            throw new Error(error.message === SESSION_REVOKED_MESSAGE ? SESSION_REVOKED_MESSAGE : 'Not authorized, token failed');
         }
     }
 
@@ -49,12 +63,13 @@ const protect = asyncHandler(async (req, res, next) => {
     }
 });
 
-const adminOnly = asyncHandler(async (req, res, next) => {
-    if (req.user && req.user.role === 'admin') {
+// Allow the request only if the user's role grants every listed permission
+const requirePermission = (...permissions) => asyncHandler(async (req, res, next) => {
+    if (req.user && await PermissionService.hasPermission(req.user.role, ...permissions)) {
         next();
     } else {
         res.status(403);
-        throw new Error('Access denied. Admin privileges required.');
+        throw new Error(`Access denied. Requires permission: ${permissions.join(', ')}`);
     }
 });
 
@@ -67,4 +82,4 @@ const verifiedOnly = asyncHandler(async (req, res, next) => {
     }
 });
 
-module.exports = { protect, adminOnly, verifiedOnly };
\ No newline at end of file
+module.exports = { protect, requirePermission, verifiedOnly };
\ No newline at end of file
@@ -32,6 +32,11 @@ const errorHandler = (err, req, res, next) => {
         message = 'Invalid field in query';
     }
 
+    // A vendor lifecycle move lost a race with another request
+    if (err.code === 'VENDOR_STATE_CHANGED') {
+        statusCode = 409;
+    }
+
     // JWT errors
     if (err.name === 'JsonWebTokenError') {
         statusCode = 401;
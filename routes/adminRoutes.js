@@ -1,14 +1,30 @@
 const express = require('express');
 const router = express.Router();
-const { protect, adminOnly } = require('../middleware/authMiddleware');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
 const CleanupService = require('../services/cleanupService');
+const LockoutService = require('../services/lockoutService');
+const OTPService = require('../services/otpService');
+const WhatsAppService = require('../services/whatsappService');
+const MessageTemplateService = require('../services/messageTemplateService');
+const PermissionService = require('../services/permissionService');
+const UserManagementService = require('../services/userManagementService');
+const SessionService = require('../services/sessionService');
+const NotificationService = require('../services/notificationService');
+const ApprovalWorkflowService = require('../services/approvalWorkflowService');
+const VendorLifecycleService = require('../services/vendorLifecycleService');
+const DocumentVerificationService = require('../services/documentVerificationService');
+const PincodeService = require('../services/pincodeService');
+const ProductCatalogService = require('../services/productCatalogService');
+const ProductCategoryService = require('../services/productCategoryService');
+const { disconnectSessions, notifyUserSockets, applyRoleChange } = require('../socket/socketHandler');
+const ValidationService = require('../services/validationService');
 const { getConnection } = require('../config/database');
 const asyncHandler = require('express-async-handler');
 
 // @desc    Manual cleanup trigger
 // @route   POST /api/admin/cleanup
-// @access  Private (Admin only)
-router.post('/cleanup', protect, adminOnly, asyncHandler(async (req, res) => {
+// @access  Private (system.cleanup)
+router.post('/cleanup', protect, requirePermission('system.cleanup'), asyncHandler(async (req, res) => {
     const results = await CleanupService.manualCleanup();
 
     res.status(200).json({
@@ -20,8 +36,8 @@ router.post('/cleanup', protect, adminOnly, asyncHandler(async (req, res) => {
 
 // @desc    Get system statistics
 // @route   GET /api/admin/stats
-// @access  Private (Admin only)
-router.get('/stats', protect, adminOnly, asyncHandler(async (req, res) => {
+// @access  Private (stats.read)
+router.get('/stats', protect, requirePermission('stats.read'), asyncHandler(async (req, res) => {
     const connection = getConnection();
 
     // Get various statistics
@@ -30,7 +46,8 @@ router.get('/stats', protect, adminOnly, asyncHandler(async (req, res) => {
             COUNT(*) as total_users,
             SUM(CASE WHEN is_verified = TRUE THEN 1 ELSE 0 END) as verified_users,
             SUM(CASE WHEN role = 'vendor' THEN 1 ELSE 0 END) as vendors,
-            SUM(CASE WHEN role = 'admin' THEN 1 ELSE 0 END) as admins
+            SUM(CASE WHEN role = 'admin' THEN 1 ELSE 0 END) as admins,
+            SUM(CASE WHEN role NOT IN ('vendor', 'admin') THEN 1 ELSE 0 END) as staff
         FROM users
     `);
 
@@ -53,6 +70,23 @@ router.get('/stats', protect, adminOnly, asyncHandler(async (req, res) => {
         FROM vendor_onboarding
     `);
 
+    // Older rows may spell a state differently, so counts are merged by state code
+    const [stateRows] = await connection.execute(`
+        SELECT state, COUNT(*) as count FROM vendor_profiles GROUP BY state
+    `);
+    const vendorsByState = new Map();
+    for (const row of stateRows) {
+        const state = PincodeService.normalizeState(row.state);
+        const key = state?.code || row.state || 'unknown';
+        const entry = vendorsByState.get(key) || {
+            state: state?.name || row.state || null,
+            state_code: state?.code || null,
+            count: 0
+        };
+        entry.count += Number(row.count);
+        vendorsByState.set(key, entry);
+    }
+
     const [fileStats] = await connection.execute(`
         SELECT 
             COUNT(*) as total_files,
@@ -70,18 +104,23 @@ router.get('/stats', protect, adminOnly, asyncHandler(async (req, res) => {
         LIMIT 10
     `);
 
+    // OTP delivery success rate per SMS provider
+    const smsDelivery = await OTPService.getDeliveryStats();
+
     res.status(200).json({
         success: true,
         data: {
             users: userStats[0],
             vendors: vendorStats[0],
             onboarding: onboardingStats[0],
+            vendors_by_state: [...vendorsByState.values()].sort((a, b) => b.count - a.count),
             files: {
                 ...fileStats[0],
                 total_size_mb: Math.round(fileStats[0].total_size / 1024 / 1024 * 100) / 100,
                 avg_file_size_mb: Math.round(fileStats[0].avg_file_size / 1024 / 1024 * 100) / 100
             },
             recent_activity: recentActivity,
+            sms_delivery: smsDelivery,
             timestamp: new Date().toISOString()
         }
     });
@@ -89,8 +128,8 @@ router.get('/stats', protect, adminOnly, asyncHandler(async (req, res) => {
 
 // @desc    Get recent activity logs
 // @route   GET /api/admin/activity
-// @access  Private (Admin only)
-router.get('/activity', protect, adminOnly, asyncHandler(async (req, res) => {
+// @access  Private (activity.read)
+router.get('/activity', protect, requirePermission('activity.read'), asyncHandler(async (req, res) => {
     const connection = getConnection();
     const { page = 1, limit = 50, action, userId } = req.query;
     const offset = (page - 1) * limit;
@@ -139,10 +178,1159 @@ router.get('/activity', protect, adminOnly, asyncHandler(async (req, res) => {
     });
 }));
 
+// @desc    Get currently locked accounts
+// @route   GET /api/admin/users/locked
+// @access  Private (users.read)
+router.get('/users/locked', protect, requirePermission('users.read'), asyncHandler(async (req, res) => {
+    const connection = getConnection();
+
+    const [users] = await connection.execute(`
+        SELECT id, phone, email, role, login_attempts, locked_until
+        FROM users
+        WHERE locked_until IS NOT NULL AND locked_until > NOW()
+        ORDER BY locked_until DESC
+    `);
+
+    res.status(200).json({
+        success: true,
+        data: {
+            users,
+            count: users.length
+        }
+    });
+}));
+
+// @desc    Unlock a locked account
+// @route   POST /api/admin/users/:id/unlock
+// @access  Private (users.unlock)
+router.post('/users/:id/unlock', protect, requirePermission('users.unlock'), asyncHandler(async (req, res) => {
+    const connection = getConnection();
+    const userId = req.params.id;
+
+    const [rows] = await connection.execute(
+        'SELECT id, phone, login_attempts, locked_until FROM users WHERE id = ?',
+        [userId]
+    );
+
+    if (rows.length === 0) {
+        res.status(404);
+        throw new Error('User not found');
+    }
+
+    const user = rows[0];
+    await LockoutService.unlockUser(user.id);
+
+    // Log activity
+    await connection.execute(`
+        INSERT INTO activity_logs
+        (user_id, session_id, action, action_category, action_type, target_type, target_id, target_identifier,
+         description, old_values, new_values, ip_address)
+        VALUES (?, ?, ?, 'security', 'update', 'user', ?, ?, ?, ?, ?, ?)
+    `, [
+        req.user.id,
+        req.sessionId || null,
+        'ACCOUNT_UNLOCKED',
+        user.id,
+        user.phone,
+        `Admin unlocked account ${user.phone}`,
+        JSON.stringify({ login_attempts: user.login_attempts, locked_until: user.locked_until }),
+        JSON.stringify({ login_attempts: 0, locked_until: null }),
+        req.ip
+    ]);
+
+    res.status(200).json({
+        success: true,
+        message: 'Account unlocked successfully',
+        data: {
+            userId: user.id,
+            phone: user.phone
+        }
+    });
+}));
+
+// Parse an optional true/false query filter
+const parseBooleanFilter = (value) => {
+    if (value === undefined || value === '') return undefined;
+    return value === 'true' || value === '1';
+};
+
+// Load the user named in :id or respond 404
+const loadTargetUser = async (req, res) => {
+    const user = await UserManagementService.getUser(req.params.id);
+
+    if (!user) {
+        res.status(404);
+        throw new Error('User not found');
+    }
+
+    return user;
+};
+
+// Refuse changes that would leave no active admin
+const ensureAnotherAdmin = async (res, user, action) => {
+    if (user.role === 'admin' && user.isActive && await UserManagementService.countOtherActiveAdmins(user.id) === 0) {
+        res.status(400);
+        throw new Error(`Cannot ${action} the last active admin`);
+    }
+};
+
+// @desc    List users with filters
+// @route   GET /api/admin/users
+// @access  Private (users.read)
+router.get('/users', protect, requirePermission('users.read'), asyncHandler(async (req, res) => {
+    const { role, verified, active, locked, search, page, limit } = req.query;
+
+    const result = await UserManagementService.listUsers({
+        role,
+        verified: parseBooleanFilter(verified),
+        active: parseBooleanFilter(active),
+        locked: parseBooleanFilter(locked),
+        search,
+        page,
+        limit
+    });
+
+    res.status(200).json({
+        success: true,
+        data: result
+    });
+}));
+
+// @desc    Invite a staff member by phone
+// @route   POST /api/admin/users/invite
+// @access  Private (users.manage)
+router.post('/users/invite', protect, requirePermission('users.manage'), asyncHandler(async (req, res) => {
+    const connection = getConnection();
+    const data = ValidationService.validateInviteUser(req.body);
+
+    const role = await PermissionService.getRole(data.role);
+    if (!role) {
+        res.status(400);
+        throw new Error(`Unknown role '${data.role}'`);
+    }
+
+    if (role.name === 'vendor') {
+        res.status(400);
+        throw new Error('Vendors register themselves. Invite staff roles only.');
+    }
+
+    if (role.name === 'admin' && !(await PermissionService.hasPermission(req.user.role, 'roles.manage'))) {
+        res.status(403);
+        throw new Error('Access denied. Requires permission: roles.manage');
+    }
+
+    if (await UserManagementService.findByPhone(data.phone)) {
+        res.status(400);
+        throw new Error('Phone number already registered');
+    }
+
+    if (data.email && await UserManagementService.findByEmail(data.email)) {
+        res.status(400);
+        throw new Error('Email already registered');
+    }
+
+    const user = await UserManagementService.inviteUser(data, req.user.id);
+
+    // Log activity
+    await connection.execute(`
+        INSERT INTO activity_logs
+        (user_id, session_id, action, action_category, action_type, target_type, target_id, target_identifier,
+         description, new_values, ip_address)
+        VALUES (?, ?, ?, 'admin', 'create', 'user', ?, ?, ?, ?, ?)
+    `, [
+        req.user.id,
+        req.sessionId || null,
+        'USER_INVITED',
+        user.id,
+        user.phone,
+        `Invited ${user.phone} as ${role.name}`,
+        JSON.stringify({ phone: user.phone, email: user.email, role: user.role, isActive: true }),
+        req.ip
+    ]);
+
+    // Invitation SMS - sent in the background
+    NotificationService.notifyBySms(user.id, 'staff_invited', { role: role.displayName });
+
+    req.io?.to('admin_room').emit('user_invited', {
+        userId: user.id,
+        phone: user.phone,
+        role: user.role,
+        invitedBy: req.user.id,
+        timestamp: new Date().toISOString()
+    });
+
+    res.status(201).json({
+        success: true,
+        message: 'User invited successfully',
+        data: user
+    });
+}));
+
+// @desc    Get a user with their active sessions
+// @route   GET /api/admin/users/:id
+// @access  Private (users.read)
+router.get('/users/:id', protect, requirePermission('users.read'), asyncHandler(async (req, res) => {
+    const user = await loadTargetUser(req, res);
+
+    res.status(200).json({
+        success: true,
+        data: {
+            ...user,
+            permissions: await PermissionService.getPermissionsForRole(user.role),
+            sessions: await SessionService.listSessions(user.id)
+        }
+    });
+}));
+
+// @desc    Change a user's role
+// @route   PUT /api/admin/users/:id/role
+// @access  Private (users.manage; roles.manage to grant or remove admin)
+router.put('/users/:id/role', protect, requirePermission('users.manage'), asyncHandler(async (req, res) => {
+    const connection = getConnection();
+    const user = await loadTargetUser(req, res);
+
+    const role = await PermissionService.getRole(req.body.role);
+    if (!role) {
+        res.status(400);
+        throw new Error(`Unknown role '${req.body.role}'`);
+    }
+
+    if (user.id === req.user.id) {
+        res.status(400);
+        throw new Error('You cannot change your own role');
+    }
+
+    if (user.role === role.name) {
+        res.status(400);
+        throw new Error(`User already has the ${role.name} role`);
+    }
+
+    if ((role.name === 'admin' || user.role === 'admin') && !(await PermissionService.hasPermission(req.user.role, 'roles.manage'))) {
+        res.status(403);
+        throw new Error('Access denied. Requires permission: roles.manage');
+    }
+
+    await ensureAnotherAdmin(res, user, 'demote');
+
+    const updated = await UserManagementService.changeRole(user.id, role.name);
+
+    // Log activity
+    await connection.execute(`
+        INSERT INTO activity_logs
+        (user_id, session_id, action, action_category, action_type, target_type, target_id, target_identifier,
+         description, old_values, new_values, severity, ip_address)
+        VALUES (?, ?, ?, 'admin', 'update', 'user', ?, ?, ?, ?, ?, 'medium', ?)
+    `, [
+        req.user.id,
+        req.sessionId || null,
+        'USER_ROLE_CHANGED',
+        user.id,
+        user.phone,
+        `Changed role of ${user.phone} from ${user.role} to ${role.name}`,
+        JSON.stringify({ role: user.role }),
+        JSON.stringify({ role: role.name }),
+        req.ip
+    ]);
+
+    // Update the user's live sessions and notify them
+    await applyRoleChange(req.io, user.id, role.name, role.displayName);
+
+    req.io?.to('admin_room').emit('user_updated', {
+        userId: user.id,
+        change: 'role',
+        oldRole: user.role,
+        role: role.name,
+        updatedBy: req.user.id,
+        timestamp: new Date().toISOString()
+    });
+
+    res.status(200).json({
+        success: true,
+        message: 'Role changed successfully',
+        data: updated
+    });
+}));
+
+// @desc    Deactivate an account and end its sessions
+// @route   POST /api/admin/users/:id/deactivate
+// @access  Private (users.manage)
+router.post('/users/:id/deactivate', protect, requirePermission('users.manage'), asyncHandler(async (req, res) => {
+    const connection = getConnection();
+    const user = await loadTargetUser(req, res);
+    const { reason } = req.body;
+
+    if (user.id === req.user.id) {
+        res.status(400);
+        throw new Error('You cannot deactivate your own account');
+    }
+
+    if (!user.isActive) {
+        res.status(400);
+        throw new Error('Account is already deactivated');
+    }
+
+    await ensureAnotherAdmin(res, user, 'deactivate');
+
+    const updated = await UserManagementService.deactivateUser(user.id, req.user.id);
+    const revokedSessionIds = await SessionService.revokeAllSessions(user.id, {
+        reason: 'deactivated',
+        revokedBy: req.user.id
+    });
+
+    // Log activity
+    await connection.execute(`
+        INSERT INTO activity_logs
+        (user_id, session_id, action, action_category, action_type, target_type, target_id, target_identifier,
+         description, old_values, new_values, metadata, severity, ip_address)
+        VALUES (?, ?, ?, 'admin', 'update', 'user', ?, ?, ?, ?, ?, ?, 'medium', ?)
+    `, [
+        req.user.id,
+        req.sessionId || null,
+        'USER_DEACTIVATED',
+        user.id,
+        user.phone,
+        `Deactivated account ${user.phone}${reason ? `. Reason: ${reason}` : ''}`,
+        JSON.stringify({ isActive: true }),
+        JSON.stringify({ isActive: false }),
+        JSON.stringify({ reason: reason || null, revokedSessions: revokedSessionIds }),
+        req.ip
+    ]);
+
+    // Tell the user's open sessions why, then disconnect them
+    await notifyUserSockets(req.io, user.id, 'account_deactivated', 'account_deactivated', {
+        payload: { reason: reason || null },
+        disconnect: true
+    });
+
+    req.io?.to('admin_room').emit('user_updated', {
+        userId: user.id,
+        change: 'deactivated',
+        updatedBy: req.user.id,
+        timestamp: new Date().toISOString()
+    });
+
+    res.status(200).json({
+        success: true,
+        message: 'Account deactivated successfully',
+        data: {
+            ...updated,
+            revokedSessions: revokedSessionIds.length
+        }
+    });
+}));
+
+// @desc    Reactivate a deactivated account
+// @route   POST /api/admin/users/:id/reactivate
+// @access  Private (users.manage)
+router.post('/users/:id/reactivate', protect, requirePermission('users.manage'), asyncHandler(async (req, res) => {
+    const connection = getConnection();
+    const user = await loadTargetUser(req, res);
+
+    if (user.isActive) {
+        res.status(400);
+        throw new Error('Account is already active');
+    }
+
+    // A vendor merged away as a duplicate lives on in the vendor it was merged into
+    if (user.mergedIntoVendorId) {
+        res.status(409);
+        throw new Error(`This account's vendor was merged into vendor #${user.mergedIntoVendorId} and cannot be reactivated`);
+    }
+
+    const updated = await UserManagementService.reactivateUser(user.id);
+
+    // Log activity
+    await connection.execute(`
+        INSERT INTO activity_logs
+        (user_id, session_id, action, action_category, action_type, target_type, target_id, target_identifier,
+         description, old_values, new_values, ip_address)
+        VALUES (?, ?, ?, 'admin', 'update', 'user', ?, ?, ?, ?, ?, ?)
+    `, [
+        req.user.id,
+        req.sessionId || null,
+        'USER_REACTIVATED',
+        user.id,
+        user.phone,
+        `Reactivated account ${user.phone}`,
+        JSON.stringify({ isActive: false }),
+        JSON.stringify({ isActive: true }),
+        req.ip
+    ]);
+
+    req.io?.to('admin_room').emit('user_updated', {
+        userId: user.id,
+        change: 'reactivated',
+        updatedBy: req.user.id,
+        timestamp: new Date().toISOString()
+    });
+
+    res.status(200).json({
+        success: true,
+        message: 'Account reactivated successfully',
+        data: updated
+    });
+}));
+
+// @desc    Log a user out of every device
+// @route   POST /api/admin/users/:id/logout
+// @access  Private (users.sessions.revoke)
+router.post('/users/:id/logout', protect, requirePermission('users.sessions.revoke'), asyncHandler(async (req, res) => {
+    const connection = getConnection();
+    const user = await loadTargetUser(req, res);
+
+    const revokedSessionIds = await SessionService.revokeAllSessions(user.id, {
+        reason: 'admin_logout',
+        revokedBy: req.user.id
+    });
+
+    disconnectSessions(req.io, revokedSessionIds, 'admin_logout');
+
+    // Log activity
+    await connection.execute(`
+        INSERT INTO activity_logs
+        (user_id, session_id, action, action_category, action_type, target_type, target_id, target_identifier,
+         description, old_values, new_values, metadata, ip_address)
+        VALUES (?, ?, ?, 'security', 'logout', 'user', ?, ?, ?, ?, ?, ?, ?)
+    `, [
+        req.user.id,
+        req.sessionId || null,
+        'USER_FORCE_LOGOUT',
+        user.id,
+        user.phone,
+        `Logged ${user.phone} out of ${revokedSessionIds.length} session(s)`,
+        JSON.stringify({ activeSessions: user.activeSessions }),
+        JSON.stringify({ activeSessions: 0 }),
+        JSON.stringify({ revokedSessions: revokedSessionIds }),
+        req.ip
+    ]);
+
+    req.io?.to('admin_room').emit('user_updated', {
+        userId: user.id,
+        change: 'logged_out',
+        updatedBy: req.user.id,
+        timestamp: new Date().toISOString()
+    });
+
+    res.status(200).json({
+        success: true,
+        message: 'User logged out of all devices',
+        data: {
+            userId: user.id,
+            revokedSessions: revokedSessionIds.length
+        }
+    });
+}));
+
+// @desc    List WhatsApp templates and the template names the app sends
+// @route   GET /api/admin/whatsapp/templates
+// @access  Private (templates.manage)
+router.get('/whatsapp/templates', protect, requirePermission('templates.manage'), asyncHandler(async (req, res) => {
+    const { templates, available } = await WhatsAppService.listTemplates();
+
+    res.status(200).json({
+        success: true,
+        data: {
+            templates,
+            available,
+            whatsappConfigured: WhatsAppService.isConfigured()
+        }
+    });
+}));
+
+// @desc    Create a WhatsApp template
+// @route   POST /api/admin/whatsapp/templates
+// @access  Private (templates.manage)
+router.post('/whatsapp/templates', protect, requirePermission('templates.manage'), asyncHandler(async (req, res) => {
+    const connection = getConnection();
+    const data = ValidationService.validateWhatsAppTemplate(req.body);
+
+    if (!WhatsAppService.templateNames.includes(data.name)) {
+        res.status(400);
+        throw new Error(`Unknown template name. Use one of: ${WhatsAppService.templateNames.join(', ')}`);
+    }
+
+    const template = await WhatsAppService.createTemplate(data, req.user.id);
+
+    // Log activity
+    await connection.execute(`
+        INSERT INTO activity_logs
+        (user_id, session_id, action, action_category, action_type, target_type, target_id, target_identifier,
+         description, new_values, ip_address)
+        VALUES (?, ?, ?, 'admin', 'create', 'whatsapp_template', ?, ?, ?, ?, ?)
+    `, [
+        req.user.id,
+        req.sessionId || null,
+        'WHATSAPP_TEMPLATE_CREATED',
+        template.id,
+        `${template.name}:${template.language}`,
+        `Created WhatsApp template ${template.name} (${template.language})`,
+        JSON.stringify(data),
+        req.ip
+    ]);
+
+    res.status(201).json({
+        success: true,
+        message: 'WhatsApp template created successfully',
+        data: template
+    });
+}));
+
+// @desc    Update a WhatsApp template
+// @route   PUT /api/admin/whatsapp/templates/:id
+// @access  Private (templates.manage)
+router.put('/whatsapp/templates/:id', protect, requirePermission('templates.manage'), asyncHandler(async (req, res) => {
+    const connection = getConnection();
+    const existing = await WhatsAppService.getTemplateById(req.params.id);
+
+    if (!existing) {
+        res.status(404);
+        throw new Error('WhatsApp template not found');
+    }
+
+    const changes = ValidationService.validateWhatsAppTemplate(req.body, { partial: true });
+    const template = await WhatsAppService.updateTemplate(existing.id, changes, req.user.id);
+
+    // Log activity
+    await connection.execute(`
+        INSERT INTO activity_logs
+        (user_id, session_id, action, action_category, action_type, target_type, target_id, target_identifier,
+         description, old_values, new_values, ip_address)
+        VALUES (?, ?, ?, 'admin', 'update', 'whatsapp_template', ?, ?, ?, ?, ?, ?)
+    `, [
+        req.user.id,
+        req.sessionId || null,
+        'WHATSAPP_TEMPLATE_UPDATED',
+        template.id,
+        `${template.name}:${template.language}`,
+        `Updated WhatsApp template ${template.name} (${template.language})`,
+        JSON.stringify(Object.fromEntries(Object.keys(changes).map(key => [key, existing[key]]))),
+        JSON.stringify(changes),
+        req.ip
+    ]);
+
+    res.status(200).json({
+        success: true,
+        message: 'WhatsApp template updated successfully',
+        data: template
+    });
+}));
+
+// @desc    Delete a WhatsApp template
+// @route   DELETE /api/admin/whatsapp/templates/:id
+// @access  Private (templates.manage)
+router.delete('/whatsapp/templates/:id', protect, requirePermission('templates.manage'), asyncHandler(async (req, res) => {
+    const connection = getConnection();
+    const existing = await WhatsAppService.getTemplateById(req.params.id);
+
+    if (!existing) {
+        res.status(404);
+        throw new Error('WhatsApp template not found');
+    }
+
+    await WhatsAppService.deleteTemplate(existing.id);
+
+    // Log activity
+    await connection.execute(`
+        INSERT INTO activity_logs
+        (user_id, session_id, action, action_category, action_type, target_type, target_id, target_identifier,
+         description, old_values, ip_address)
+        VALUES (?, ?, ?, 'admin', 'delete', 'whatsapp_template', ?, ?, ?, ?, ?)
+    `, [
+        req.user.id,
+        req.sessionId || null,
+        'WHATSAPP_TEMPLATE_DELETED',
+        existing.id,
+        `${existing.name}:${existing.language}`,
+        `Deleted WhatsApp template ${existing.name} (${existing.language})`,
+        JSON.stringify(existing),
+        req.ip
+    ]);
+
+    res.status(200).json({
+        success: true,
+        message: 'WhatsApp template deleted successfully'
+    });
+}));
+
+// @desc    List message templates with built-in text and overrides per locale
+// @route   GET /api/admin/message-templates
+// @access  Private (templates.manage)
+router.get('/message-templates', protect, requirePermission('templates.manage'), asyncHandler(async (req, res) => {
+    res.status(200).json({
+        success: true,
+        data: {
+            templates: await MessageTemplateService.listTemplates(),
+            locales: MessageTemplateService.locales,
+            defaultLocale: MessageTemplateService.defaultLocale
+        }
+    });
+}));
+
+// @desc    Get one message template in one locale
+// @route   GET /api/admin/message-templates/:key/:locale
+// @access  Private (templates.manage)
+router.get('/message-templates/:key/:locale', protect, requirePermission('templates.manage'), asyncHandler(async (req, res) => {
+    const template = await MessageTemplateService.getTemplate(req.params.key, req.params.locale);
+
+    if (!template) {
+        res.status(404);
+        throw new Error('Message template not found');
+    }
+
+    res.status(200).json({
+        success: true,
+        data: template
+    });
+}));
+
+// @desc    Override a message template's text for a locale
+// @route   PUT /api/admin/message-templates/:key/:locale
+// @access  Private (templates.manage)
+router.put('/message-templates/:key/:locale', protect, requirePermission('templates.manage'), asyncHandler(async (req, res) => {
+    const connection = getConnection();
+    const existing = await MessageTemplateService.getTemplate(req.params.key, req.params.locale);
+
+    if (!existing) {
+        res.status(404);
+        throw new Error('Message template not found');
+    }
+
+    const data = ValidationService.validateMessageTemplate(req.body);
+
+    // Only the variables the message type supplies can be used
+    const unknown = MessageTemplateService.findUnknownPlaceholders(existing.key, `${data.subject || ''} ${data.body}`);
+    if (unknown.length > 0) {
+        res.status(400);
+        throw new Error(`Unknown placeholder(s) ${unknown.map(name => `{{${name}}}`).join(', ')}. Allowed: ${existing.variables.join(', ') || 'none'}`);
+    }
+
+    const template = await MessageTemplateService.saveOverride(existing.key, existing.locale, data, req.user.id);
+
+    // Log activity
+    await connection.execute(`
+        INSERT INTO activity_logs
+        (user_id, session_id, action, action_category, action_type, target_type, target_id, target_identifier,
+         description, old_values, new_values, ip_address)
+        VALUES (?, ?, ?, 'admin', 'update', 'message_template', ?, ?, ?, ?, ?, ?)
+    `, [
+        req.user.id,
+        req.sessionId || null,
+        'MESSAGE_TEMPLATE_UPDATED',
+        template.override.id,
+        `${template.key}:${template.locale}`,
+        `Updated message template ${template.key} (${template.locale})`,
+        JSON.stringify(existing.override || existing.default),
+        JSON.stringify(data),
+        req.ip
+    ]);
+
+    res.status(200).json({
+        success: true,
+        message: 'Message template updated successfully',
+        data: template
+    });
+}));
+
+// @desc    Remove a message template override, reverting to the built-in text
+// @route   DELETE /api/admin/message-templates/:key/:locale
+// @access  Private (templates.manage)
+router.delete('/message-templates/:key/:locale', protect, requirePermission('templates.manage'), asyncHandler(async (req, res) => {
+    const connection = getConnection();
+    const existing = await MessageTemplateService.getTemplate(req.params.key, req.params.locale);
+
+    if (!existing || !existing.override) {
+        res.status(404);
+        throw new Error('No override found for this message template');
+    }
+
+    await MessageTemplateService.deleteOverride(existing.key, existing.locale);
+
+    // Log activity
+    await connection.execute(`
+        INSERT INTO activity_logs
+        (user_id, session_id, action, action_category, action_type, target_type, target_id, target_identifier,
+         description, old_values, ip_address)
+        VALUES (?, ?, ?, 'admin', 'delete', 'message_template', ?, ?, ?, ?, ?)
+    `, [
+        req.user.id,
+        req.sessionId || null,
+        'MESSAGE_TEMPLATE_RESET',
+        existing.override.id,
+        `${existing.key}:${existing.locale}`,
+        `Reverted message template ${existing.key} (${existing.locale}) to the built-in text`,
+        JSON.stringify(existing.override),
+        req.ip
+    ]);
+
+    res.status(200).json({
+        success: true,
+        message: 'Message template reverted to the built-in text',
+        data: await MessageTemplateService.getTemplate(existing.key, existing.locale)
+    });
+}));
+
+// @desc    List roles with their permissions, and every available permission
+// @route   GET /api/admin/roles
+// @access  Private (roles.manage)
+router.get('/roles', protect, requirePermission('roles.manage'), asyncHandler(async (req, res) => {
+    res.status(200).json({
+        success: true,
+        data: {
+            roles: await PermissionService.listRoles(),
+            permissions: await PermissionService.listPermissions()
+        }
+    });
+}));
+
+// @desc    Replace the permissions a role grants
+// @route   PUT /api/admin/roles/:name/permissions
+// @access  Private (roles.manage)
+router.put('/roles/:name/permissions', protect, requirePermission('roles.manage'), asyncHandler(async (req, res) => {
+    const connection = getConnection();
+    const existing = await PermissionService.getRole(req.params.name);
+
+    if (!existing) {
+        res.status(404);
+        throw new Error('Role not found');
+    }
+
+    if (existing.name === 'admin') {
+        res.status(400);
+        throw new Error('The admin role always holds every permission');
+    }
+
+    const { permissions } = ValidationService.validateRolePermissions(req.body);
+
+    const unknown = permissions.filter(permission => !PermissionService.permissionNames.includes(permission));
+    if (unknown.length > 0) {
+        res.status(400);
+        throw new Error(`Unknown permission(s): ${unknown.join(', ')}`);
+    }
+
+    const role = await PermissionService.setRolePermissions(existing.name, permissions, req.user.id);
+
+    // Log activity
+    await connection.execute(`
+        INSERT INTO activity_logs
+        (user_id, session_id, action, action_category, action_type, target_type, target_id, target_identifier,
+         description, old_values, new_values, severity, ip_address)
+        VALUES (?, ?, ?, 'security', 'update', 'role', ?, ?, ?, ?, ?, 'medium', ?)
+    `, [
+        req.user.id,
+        req.sessionId || null,
+        'ROLE_PERMISSIONS_UPDATED',
+        role.id,
+        role.name,
+        `Updated permissions of role ${role.name}`,
+        JSON.stringify({ permissions: existing.permissions }),
+        JSON.stringify({ permissions: role.permissions }),
+        req.ip
+    ]);
+
+    // Sockets check permissions per event; refresh admin dashboards
+    req.io?.to('admin_room').emit('role_permissions_updated', {
+        role: role.name,
+        permissions: role.permissions,
+        updatedBy: req.user.id,
+        timestamp: new Date().toISOString()
+    });
+
+    res.status(200).json({
+        success: true,
+        message: 'Role permissions updated successfully',
+        data: role
+    });
+}));
+
+// Stage roles must be existing staff roles
+const checkStageRoles = async (res, stages) => {
+    for (const stage of stages) {
+        if (stage.role === 'vendor' || !(await PermissionService.roleExists(stage.role))) {
+            res.status(400);
+            throw new Error(`Stage '${stage.name}' must be assigned to an existing staff role, not '${stage.role}'`);
+        }
+    }
+};
+
+// Log an approval workflow change
+const logWorkflowChange = async (req, action, workflow, description, oldValues = null) => {
+    const connection = getConnection();
+    await connection.execute(`
+        INSERT INTO activity_logs
+        (user_id, session_id, action, action_category, action_type, target_type, target_id, target_identifier,
+         description, old_values, new_values, ip_address)
+        VALUES (?, ?, ?, 'admin', ?, 'approval_workflow', ?, ?, ?, ?, ?, ?)
+    `, [
+        req.user.id,
+        req.sessionId || null,
+        action,
+        action === 'APPROVAL_WORKFLOW_CREATED' ? 'create' : action === 'APPROVAL_WORKFLOW_DELETED' ? 'delete' : 'update',
+        workflow.id,
+        workflow.name,
+        description,
+        oldValues ? JSON.stringify(oldValues) : null,
+        action === 'APPROVAL_WORKFLOW_DELETED' ? null : JSON.stringify(workflow),
+        req.ip
+    ]);
+};
+
+// @desc    List approval workflows and their stages
+// @route   GET /api/admin/approval-workflows
+// @access  Private (approvals.manage)
+router.get('/approval-workflows', protect, requirePermission('approvals.manage'), asyncHandler(async (req, res) => {
+    res.status(200).json({
+        success: true,
+        data: await ApprovalWorkflowService.listWorkflows()
+    });
+}));
+
+// @desc    Create an approval workflow
+// @route   POST /api/admin/approval-workflows
+// @access  Private (approvals.manage)
+router.post('/approval-workflows', protect, requirePermission('approvals.manage'), asyncHandler(async (req, res) => {
+    const data = ValidationService.validateApprovalWorkflow(req.body);
+    await checkStageRoles(res, data.stages);
+
+    const workflow = await ApprovalWorkflowService.createWorkflow(data, req.user.id);
+    await logWorkflowChange(req, 'APPROVAL_WORKFLOW_CREATED', workflow, `Created approval workflow ${workflow.name}`);
+
+    res.status(201).json({
+        success: true,
+        message: 'Approval workflow created successfully',
+        data: workflow
+    });
+}));
+
+// @desc    Replace an approval workflow's settings and stages
+// @route   PUT /api/admin/approval-workflows/:id
+// @access  Private (approvals.manage)
+router.put('/approval-workflows/:id', protect, requirePermission('approvals.manage'), asyncHandler(async (req, res) => {
+    const existing = await ApprovalWorkflowService.getWorkflow(req.params.id);
+
+    if (!existing) {
+        res.status(404);
+        throw new Error('Approval workflow not found');
+    }
+
+    const data = ValidationService.validateApprovalWorkflow(req.body);
+    await checkStageRoles(res, data.stages);
+
+    const workflow = await ApprovalWorkflowService.updateWorkflow(existing.id, data, req.user.id);
+    await logWorkflowChange(req, 'APPROVAL_WORKFLOW_UPDATED', workflow, `Updated approval workflow ${workflow.name}`, existing);
+
+    res.status(200).json({
+        success: true,
+        message: 'Approval workflow updated. Reviews already in progress keep their current stages.',
+        data: workflow
+    });
+}));
+
+// @desc    Delete an approval workflow
+// @route   DELETE /api/admin/approval-workflows/:id
+// @access  Private (approvals.manage)
+router.delete('/approval-workflows/:id', protect, requirePermission('approvals.manage'), asyncHandler(async (req, res) => {
+    const existing = await ApprovalWorkflowService.getWorkflow(req.params.id);
+
+    if (!existing) {
+        res.status(404);
+        throw new Error('Approval workflow not found');
+    }
+
+    await ApprovalWorkflowService.deleteWorkflow(existing.id);
+    await logWorkflowChange(req, 'APPROVAL_WORKFLOW_DELETED', existing, `Deleted approval workflow ${existing.name}`, existing);
+
+    res.status(200).json({
+        success: true,
+        message: 'Approval workflow deleted. Reviews already in progress keep their current stages.'
+    });
+}));
+
+// @desc    List a vendor's uploaded documents with their verification status, PAN and masked Aadhaar
+// @route   GET /api/admin/vendors/:id/documents
+// @access  Private (vendor.read)
+router.get('/vendors/:id/documents', protect, requirePermission('vendor.read'), asyncHandler(async (req, res) => {
+    const vendor = await VendorLifecycleService.getVendor(req.params.id);
+
+    if (!vendor) {
+        res.status(404);
+        throw new Error('Vendor not found');
+    }
+
+    const documents = vendor.onboardingId ? await DocumentVerificationService.listDocuments(vendor.onboardingId) : null;
+
+    if (!documents) {
+        res.status(404);
+        throw new Error('Vendor has not started the onboarding form');
+    }
+
+    res.status(200).json({
+        success: true,
+        data: {
+            vendorId: vendor.vendorId,
+            ...documents
+        }
+    });
+}));
+
+// @desc    Mark an uploaded document verified, rejected or back to pending
+// @route   PUT /api/admin/documents/:fileId/verification
+// @access  Private (vendor.documents.verify)
+router.put('/documents/:fileId/verification', protect, requirePermission('vendor.documents.verify'), asyncHandler(async (req, res) => {
+    const { status, notes } = ValidationService.validateDocumentVerification(req.body);
+    const existing = await DocumentVerificationService.getDocument(req.params.fileId);
+
+    if (!existing) {
+        res.status(404);
+        throw new Error('Document not found');
+    }
+
+    const document = await DocumentVerificationService.setStatus(existing.id, status, {
+        actorId: req.user.id,
+        notes,
+        ipAddress: req.ip,
+        sessionId: req.sessionId || null,
+        io: req.io
+    });
+
+    res.status(200).json({
+        success: true,
+        message: `Document marked ${status}`,
+        data: document
+    });
+}));
+
+// @desc    List products and product changes waiting for approval, oldest first
+// @route   GET /api/admin/products/pending
+// @access  Private (vendor.read)
+router.get('/products/pending', protect, requirePermission('vendor.read'), asyncHandler(async (req, res) => {
+    const result = await ProductCatalogService.listPending({
+        page: Math.max(parseInt(req.query.page) || 1, 1),
+        limit: Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100)
+    });
+
+    res.status(200).json({
+        success: true,
+        data: result
+    });
+}));
+
+// @desc    Approve or reject a new product or a change to an approved product
+// @route   PUT /api/admin/products/:productId/review
+// @access  Private (vendor.approve)
+router.put('/products/:productId/review', protect, requirePermission('vendor.approve'), asyncHandler(async (req, res) => {
+    const { decision, notes } = ValidationService.validateProductReview(req.body);
+    const product = await ProductCatalogService.getProduct(req.params.productId);
+
+    if (!product) {
+        res.status(404);
+        throw new Error('Product not found');
+    }
+
+    if (product.approvalStatus !== 'pending') {
+        res.status(409);
+        throw new Error('Product has no change waiting for approval');
+    }
+
+    // Another product may have taken the SKU since the change was requested
+    const sku = product.pendingChanges?.sku;
+    if (decision === 'approved' && sku && await ProductCatalogService.findSkuConflict(product.onboardingId, sku, product.id)) {
+        res.status(409);
+        throw new Error(`SKU ${sku} is already used by another of the vendor's products`);
+    }
+
+    const reviewed = await ProductCatalogService.review(product, decision, {
+        actorId: req.user.id,
+        notes,
+        ipAddress: req.ip,
+        sessionId: req.sessionId || null,
+        io: req.io
+    });
+
+    res.status(200).json({
+        success: true,
+        message: `Product ${product.pendingChanges ? 'changes ' : ''}${decision}`,
+        data: reviewed
+    });
+}));
+
+const categoryContext = (req) => ({
+    actorId: req.user.id,
+    ipAddress: req.ip,
+    sessionId: req.sessionId || null
+});
+
+// Another node under the same parent already answering to one of the names
+const checkCategoryNames = async (res, parentId, names, excludeId = null) => {
+    const tree = await ProductCategoryService.loadTree();
+    const conflict = ProductCategoryService.findConflict(tree, parentId, names, excludeId);
+
+    if (conflict) {
+        res.status(409);
+        throw new Error(`${conflict.name} already uses that name or alias here`);
+    }
+};
+
+// @desc    The product category tree with inactive nodes, aliases and product counts
+// @route   GET /api/admin/categories
+// @access  Private (vendor.read)
+router.get('/categories', protect, requirePermission('vendor.read'), asyncHandler(async (req, res) => {
+    res.status(200).json({
+        success: true,
+        data: await ProductCategoryService.getTree({ admin: true })
+    });
+}));
+
+// @desc    Add a category, or a sub or micro category under parentId
+// @route   POST /api/admin/categories
+// @access  Private (categories.manage)
+router.post('/categories', protect, requirePermission('categories.manage'), asyncHandler(async (req, res) => {
+    const data = ValidationService.validateCategory(req.body);
+    let parent = null;
+
+    if (data.parentId) {
+        parent = await ProductCategoryService.getCategory(data.parentId);
+
+        if (!parent) {
+            res.status(404);
+            throw new Error('Parent category not found');
+        }
+
+        if (parent.level === 'micro_category') {
+            res.status(400);
+            throw new Error('Micro categories cannot have children');
+        }
+    }
+
+    await checkCategoryNames(res, parent?.id || null, [data.name, ...(data.aliases || [])]);
+
+    const category = await ProductCategoryService.createCategory(parent, data, categoryContext(req));
+
+    res.status(201).json({
+        success: true,
+        message: `${category.name} added`,
+        data: category
+    });
+}));
+
+// @desc    Rename, re-alias, reorder, deactivate or reactivate a category
+// @route   PUT /api/admin/categories/:id
+// @access  Private (categories.manage)
+router.put('/categories/:id', protect, requirePermission('categories.manage'), asyncHandler(async (req, res) => {
+    const category = await ProductCategoryService.getCategory(req.params.id);
+
+    if (!category) {
+        res.status(404);
+        throw new Error('Category not found');
+    }
+
+    const data = ValidationService.validateCategory(req.body, { partial: true });
+    await checkCategoryNames(res, category.parentId, [data.name || category.name, ...(data.aliases || [])], category.id);
+
+    const updated = await ProductCategoryService.updateCategory(category, data, categoryContext(req));
+
+    res.status(200).json({
+        success: true,
+        message: updated.name !== category.name
+            ? `Renamed ${category.name} to ${updated.name} on every product using it`
+            : `${updated.name} updated`,
+        data: updated
+    });
+}));
+
+// @desc    Delete a category no product or sub category uses
+// @route   DELETE /api/admin/categories/:id
+// @access  Private (categories.manage)
+router.delete('/categories/:id', protect, requirePermission('categories.manage'), asyncHandler(async (req, res) => {
+    const category = await ProductCategoryService.getCategory(req.params.id);
+
+    if (!category) {
+        res.status(404);
+        throw new Error('Category not found');
+    }
+
+    if (await ProductCategoryService.hasChildren(category)) {
+        res.status(409);
+        throw new Error(`${category.name} has categories under it. Delete those first, or deactivate it instead`);
+    }
+
+    const usage = await ProductCategoryService.countUsage(category);
+    if (usage > 0) {
+        res.status(409);
+        throw new Error(`${usage} product${usage === 1 ? ' uses' : 's use'} ${category.name}. Deactivate it instead`);
+    }
+
+    await ProductCategoryService.deleteCategory(category, categoryContext(req));
+
+    res.status(200).json({
+        success: true,
+        message: `${category.name} deleted`,
+        data: { id: category.id }
+    });
+}));
+
+// @desc    Get notification delivery log
+// @route   GET /api/admin/notifications
+// @access  Private (notifications.read)
+router.get('/notifications', protect, requirePermission('notifications.read'), asyncHandler(async (req, res) => {
+    const connection = getConnection();
+    const { page = 1, limit = 50, userId, status, channel } = req.query;
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+    const offset = (pageNum - 1) * limitNum;
+
+    const conditions = [];
+    const params = [];
+
+    if (userId) {
+        conditions.push('nd.user_id = ?');
+        params.push(userId);
+    }
+
+    if (status) {
+        conditions.push('nd.status = ?');
+        params.push(status);
+    }
+
+    if (channel) {
+        conditions.push('nd.channel = ?');
+        params.push(channel);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const [deliveries] = await connection.execute(`
+        SELECT nd.id, nd.user_id, u.phone, nd.template_name, nd.channel, nd.provider, nd.provider_message_id,
+               nd.status, nd.error, nd.fallback_for_id, nd.created_at, nd.updated_at
+        FROM notification_deliveries nd
+        JOIN users u ON nd.user_id = u.id
+        ${whereClause}
+        ORDER BY nd.created_at DESC
+        LIMIT ${limitNum} OFFSET ${offset}
+    `, params);
+
+    const [countResult] = await connection.execute(
+        `SELECT COUNT(*) as total FROM notification_deliveries nd ${whereClause}`,
+        params
+    );
+
+    res.status(200).json({
+        success: true,
+        data: {
+            deliveries,
+            pagination: {
+                page: pageNum,
+                limit: limitNum,
+                total: countResult[0].total,
+                pages: Math.ceil(countResult[0].total / limitNum)
+            }
+        }
+    });
+}));
+
 // @desc    System health check
 // @route   GET /api/admin/health
-// @access  Private (Admin only)
-router.get('/health', protect, adminOnly, asyncHandler(async (req, res) => {
+// @access  Private (system.health)
+router.get('/health', protect, requirePermission('system.health'), asyncHandler(async (req, res) => {
     const connection = getConnection();
     const healthChecks = {
         database: false,
@@ -7,6 +7,13 @@ const {
     loginWithOTP,
     refreshToken,
     logout,
+    logoutAll,
+    getSessions,
+    revokeSession,
+    getWhatsAppOptIn,
+    updateWhatsAppOptIn,
+    getLanguage,
+    updateLanguage,
     checkPhoneRegistration
 } = require('../controllers/authController');
 const { otpLimiter, loginLimiter } = require('../middleware/rateLimiter');
@@ -47,4 +54,39 @@ router.post('/refresh', refreshToken);
 // @access  Private
 router.post('/logout', protect, logout);
 
+// @desc    Log out of every device
+// @route   POST /api/auth/logout-all
+// @access  Private
+router.post('/logout-all', protect, logoutAll);
+
+// @desc    List active sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+router.get('/sessions', protect, getSessions);
+
+// @desc    Revoke a session
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+router.delete('/sessions/:id', protect, revokeSession);
+
+// @desc    Get WhatsApp notification consent
+// @route   GET /api/auth/whatsapp-opt-in
+// @access  Private
+router.get('/whatsapp-opt-in', protect, getWhatsAppOptIn);
+
+// @desc    Opt in to or out of WhatsApp notifications
+// @route   PUT /api/auth/whatsapp-opt-in
+// @access  Private
+router.put('/whatsapp-opt-in', protect, updateWhatsAppOptIn);
+
+// @desc    Get message language
+// @route   GET /api/auth/language
+// @access  Private
+router.get('/language', protect, getLanguage);
+
+// @desc    Set message language
+// @route   PUT /api/auth/language
+// @access  Private
+router.put('/language', protect, updateLanguage);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,82 @@
+const express = require('express');
+const router = express.Router();
+const asyncHandler = require('express-async-handler');
+const SmsService = require('../services/smsService');
+
+// Only mounted when ENABLE_DEV_OUTBOX=true, and never in production - see server.js
+
+// Resolve the outbox provider or fail with 404 when another provider is active
+const getOutbox = (res) => {
+    const outbox = SmsService.getOutbox();
+
+    if (!outbox) {
+        res.status(404);
+        throw new Error(`SMS outbox is not active (current provider: ${SmsService.getPrimaryProviderName()})`);
+    }
+
+    return outbox;
+};
+
+// @desc    List messages captured by the SMS outbox
+// @route   GET /api/dev/outbox
+// @access  Development only
+router.get('/outbox', asyncHandler(async (req, res) => {
+    const outbox = getOutbox(res);
+    const { phone, limit = 50 } = req.query;
+    const limitNum = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+
+    const messages = await outbox.getMessages({ to: phone || null, limit: limitNum });
+
+    res.status(200).json({
+        success: true,
+        data: {
+            messages,
+            count: messages.length
+        }
+    });
+}));
+
+// @desc    Get the latest outbox message for a phone, with any OTP it contains
+// @route   GET /api/dev/outbox/latest
+// @access  Development only
+router.get('/outbox/latest', asyncHandler(async (req, res) => {
+    const outbox = getOutbox(res);
+    const { phone } = req.query;
+
+    if (!phone) {
+        res.status(400);
+        throw new Error('phone query parameter is required');
+    }
+
+    const [message] = await outbox.getMessages({ to: phone, limit: 1 });
+
+    if (!message) {
+        res.status(404);
+        throw new Error(`No messages sent to ${phone}`);
+    }
+
+    const otpMatch = message.body.match(/\b(\d{6})\b/);
+
+    res.status(200).json({
+        success: true,
+        data: {
+            message,
+            otp: otpMatch ? otpMatch[1] : null
+        }
+    });
+}));
+
+// @desc    Clear the SMS outbox
+// @route   DELETE /api/dev/outbox
+// @access  Development only
+router.delete('/outbox', asyncHandler(async (req, res) => {
+    const outbox = getOutbox(res);
+    await outbox.clear();
+
+    res.status(200).json({
+        success: true,
+        message: 'Outbox cleared'
+    });
+}));
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getPincode,
+    getCategories
+} = require('../controllers/metaController');
+
+// @desc    Look up the state and districts of a PIN code
+// @route   GET /api/meta/pincode/:pin
+// @access  Public
+router.get('/pincode/:pin', getPincode);
+
+// @desc    The active product category tree for dropdowns
+// @route   GET /api/meta/categories
+// @access  Public
+router.get('/categories', getCategories);
+
+module.exports = router;
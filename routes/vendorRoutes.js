@@ -4,13 +4,51 @@ const {
     registerVendor,
     submitOnboardingForm,
     getVendorProfile,
+    getVendorProfileById,
+    verifyVendorGst,
+    verifyVendorBank,
+    getBankVerification,
+    decideBankVerification,
+    getVendorDuplicates,
+    getDuplicateFlags,
+    resolveDuplicateFlag,
     updateVendorProfile,
     getOnboardingStatus,
     getAllVendors,
     approveVendor,
-    rejectVendor
+    rejectVendor,
+    transitionVendor,
+    requestChanges,
+    getReviewComments,
+    getOnboardingVersions,
+    getOnboardingVersion,
+    getOnboardingDiff,
+    decideApprovalStage,
+    getApprovalStatus,
+    getMyReviewQueue,
+    getReviewQueue,
+    assignReviewer,
+    autoAssignReviews,
+    getVendorStatusHistory
 } = require('../controllers/vendorController');
-const { protect, adminOnly, verifiedOnly } = require('../middleware/authMiddleware');
+const {
+    getProducts,
+    getProduct,
+    createProduct,
+    updateProduct,
+    deactivateProduct,
+    activateProduct,
+    deleteProduct,
+    importProducts,
+    getImportJobs,
+    getImportJob,
+    exportProducts
+} = require('../controllers/productController');
+const { protect, requirePermission, verifiedOnly } = require('../middleware/authMiddleware');
+const UploadService = require('../services/uploadService');
+
+// Product sheets are read from memory, not stored
+const sheetUpload = UploadService.createSheetUpload();
 
 // @desc    Register new vendor
 // @route   POST /api/vendor/register
@@ -37,20 +75,180 @@ router.put('/profile', protect, updateVendorProfile);
 // @access  Private
 router.get('/onboarding-status', protect, getOnboardingStatus);
 
+// @desc    List the vendor's products
+// @route   GET /api/vendor/products
+// @access  Private
+router.get('/products', protect, getProducts);
+
+// @desc    Add a product for approval
+// @route   POST /api/vendor/products
+// @access  Private (approved vendors)
+router.post('/products', protect, createProduct);
+
+// @desc    Import products from a CSV or XLSX sheet; dryRun=true previews the import
+// @route   POST /api/vendor/products/import
+// @access  Private (approved vendors)
+router.post('/products/import', protect, sheetUpload.single('file'), importProducts);
+
+// @desc    List the vendor's recent product imports
+// @route   GET /api/vendor/products/import
+// @access  Private
+router.get('/products/import', protect, getImportJobs);
+
+// @desc    Get a product import's status and the outcome of each row
+// @route   GET /api/vendor/products/import/:jobId
+// @access  Private
+router.get('/products/import/:jobId', protect, getImportJob);
+
+// @desc    Download the vendor's products in the import template
+// @route   GET /api/vendor/products/export
+// @access  Private
+router.get('/products/export', protect, exportProducts);
+
+// @desc    Get one of the vendor's products
+// @route   GET /api/vendor/products/:productId
+// @access  Private
+router.get('/products/:productId', protect, getProduct);
+
+// @desc    Change a product; changes to approved products wait for re-approval
+// @route   PUT /api/vendor/products/:productId
+// @access  Private (approved vendors)
+router.put('/products/:productId', protect, updateProduct);
+
+// @desc    Take a product out of the catalog
+// @route   PUT /api/vendor/products/:productId/deactivate
+// @access  Private (approved vendors)
+router.put('/products/:productId/deactivate', protect, deactivateProduct);
+
+// @desc    Put a deactivated product back in the catalog
+// @route   PUT /api/vendor/products/:productId/activate
+// @access  Private (approved vendors)
+router.put('/products/:productId/activate', protect, activateProduct);
+
+// @desc    Delete a product
+// @route   DELETE /api/vendor/products/:productId
+// @access  Private (approved vendors)
+router.delete('/products/:productId', protect, deleteProduct);
+
 // Admin routes
-// @desc    Get all vendors
+// @desc    Search vendors with filters, sorting and facet counts
 // @route   GET /api/vendor/all
-// @access  Private (Admin only)
-router.get('/all', protect, adminOnly, getAllVendors);
+// @access  Private (vendor.read)
+router.get('/all', protect, requirePermission('vendor.read'), getAllVendors);
+
+// @desc    Get the pending reviews assigned to the current user
+// @route   GET /api/vendor/queue/mine
+// @access  Private (vendor.read)
+router.get('/queue/mine', protect, requirePermission('vendor.read'), getMyReviewQueue);
+
+// @desc    Get every pending review with its assignee and SLA status
+// @route   GET /api/vendor/queue
+// @access  Private (vendor.read)
+router.get('/queue', protect, requirePermission('vendor.read'), getReviewQueue);
 
-// @desc    Approve vendor
+// @desc    Assign every unassigned pending review round-robin
+// @route   POST /api/vendor/queue/auto-assign
+// @access  Private (reviews.assign)
+router.post('/queue/auto-assign', protect, requirePermission('reviews.assign'), autoAssignReviews);
+
+// @desc    Get possible duplicate vendor pairs by status
+// @route   GET /api/vendor/duplicates
+// @access  Private (vendor.read)
+router.get('/duplicates', protect, requirePermission('vendor.read'), getDuplicateFlags);
+
+// @desc    Link, merge or dismiss a possible duplicate pair
+// @route   PUT /api/vendor/duplicates/:flagId
+// @access  Private (vendor.duplicates.resolve)
+router.put('/duplicates/:flagId', protect, requirePermission('vendor.duplicates.resolve'), resolveDuplicateFlag);
+
+// @desc    Get a vendor's profile, onboarding form and GST and bank checks
+// @route   GET /api/vendor/:id/profile
+// @access  Private (vendor.read)
+router.get('/:id/profile', protect, requirePermission('vendor.read'), getVendorProfileById);
+
+// @desc    Check the vendor's GSTIN against the GST register again
+// @route   POST /api/vendor/:id/gst/verify
+// @access  Private (vendor.gst.verify)
+router.post('/:id/gst/verify', protect, requirePermission('vendor.gst.verify'), verifyVendorGst);
+
+// @desc    Penny-drop the vendor's bank account again
+// @route   POST /api/vendor/:id/bank/verify
+// @access  Private (vendor.bank.verify)
+router.post('/:id/bank/verify', protect, requirePermission('vendor.bank.verify'), verifyVendorBank);
+
+// @desc    Get the vendor's bank account checks
+// @route   GET /api/vendor/:id/bank/verification
+// @access  Private (vendor.read)
+router.get('/:id/bank/verification', protect, requirePermission('vendor.read'), getBankVerification);
+
+// @desc    Mark a name mismatch or failed bank check verified or rejected by hand
+// @route   PUT /api/vendor/:id/bank/verification
+// @access  Private (vendor.bank.verify)
+router.put('/:id/bank/verification', protect, requirePermission('vendor.bank.verify'), decideBankVerification);
+
+// @desc    Get the vendors flagged as possible duplicates of a vendor
+// @route   GET /api/vendor/:id/duplicates
+// @access  Private (vendor.read)
+router.get('/:id/duplicates', protect, requirePermission('vendor.read'), getVendorDuplicates);
+
+// @desc    Approve vendor (or the pending approval stage)
 // @route   PUT /api/vendor/:id/approve
-// @access  Private (Admin only)
-router.put('/:id/approve', protect, adminOnly, approveVendor);
+// @access  Private (vendor.approve)
+router.put('/:id/approve', protect, requirePermission('vendor.approve'), approveVendor);
 
 // @desc    Reject vendor
 // @route   PUT /api/vendor/:id/reject
-// @access  Private (Admin only)
-router.put('/:id/reject', protect, adminOnly, rejectVendor);
+// @access  Private (vendor.reject)
+router.put('/:id/reject', protect, requirePermission('vendor.reject'), rejectVendor);
+
+// @desc    Assign a vendor's pending review to a reviewer (or the next in rotation)
+// @route   PUT /api/vendor/:id/assign
+// @access  Private (reviews.assign)
+router.put('/:id/assign', protect, requirePermission('reviews.assign'), assignReviewer);
+
+// @desc    Move vendor to another lifecycle status
+// @route   PUT /api/vendor/:id/transition
+// @access  Private (permission depends on the transition)
+router.put('/:id/transition', protect, transitionVendor);
+
+// @desc    Request changes to specific onboarding fields
+// @route   PUT /api/vendor/:id/request-changes
+// @access  Private (vendor.status.update)
+router.put('/:id/request-changes', protect, requirePermission('vendor.status.update'), requestChanges);
+
+// @desc    Get reviewer comments on a vendor's onboarding form
+// @route   GET /api/vendor/:id/review-comments
+// @access  Private (vendor.read)
+router.get('/:id/review-comments', protect, requirePermission('vendor.read'), getReviewComments);
+
+// @desc    List submitted versions of a vendor's onboarding form
+// @route   GET /api/vendor/:id/onboarding/versions
+// @access  Private (vendor.read)
+router.get('/:id/onboarding/versions', protect, requirePermission('vendor.read'), getOnboardingVersions);
+
+// @desc    Get one submitted version of a vendor's onboarding form
+// @route   GET /api/vendor/:id/onboarding/versions/:version
+// @access  Private (vendor.read)
+router.get('/:id/onboarding/versions/:version', protect, requirePermission('vendor.read'), getOnboardingVersion);
+
+// @desc    Field-level diff between two versions of a vendor's onboarding form
+// @route   GET /api/vendor/:id/onboarding/diff
+// @access  Private (vendor.read)
+router.get('/:id/onboarding/diff', protect, requirePermission('vendor.read'), getOnboardingDiff);
+
+// @desc    Approve or reject the vendor's pending approval stage
+// @route   POST /api/vendor/:id/approval/decision
+// @access  Private (the stage's assignee role, or vendor.approval.override)
+router.post('/:id/approval/decision', protect, decideApprovalStage);
+
+// @desc    Get the vendor's approval workflow and stage decisions
+// @route   GET /api/vendor/:id/approval
+// @access  Private (vendor.read)
+router.get('/:id/approval', protect, requirePermission('vendor.read'), getApprovalStatus);
+
+// @desc    Get vendor lifecycle status and status history
+// @route   GET /api/vendor/:id/status-history
+// @access  Private (vendor.read)
+router.get('/:id/status-history', protect, requirePermission('vendor.read'), getVendorStatusHistory);
 
 module.exports = router;
\ No newline at end of file
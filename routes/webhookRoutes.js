@@ -0,0 +1,64 @@
+const express = require('express');
+const router = express.Router();
+const asyncHandler = require('express-async-handler');
+const SmsService = require('../services/smsService');
+const OTPService = require('../services/otpService');
+const NotificationService = require('../services/notificationService');
+const Logger = require('../utils/logger');
+
+// @desc    Receive SMS/WhatsApp delivery receipts from a provider
+// @route   POST /api/webhooks/sms/:provider (Gupshup may also use GET)
+// @access  Public (verified per provider - Twilio signature or SMS_WEBHOOK_TOKEN)
+const handleDeliveryReceipt = asyncHandler(async (req, res) => {
+    const providerName = req.params.provider.toLowerCase();
+
+    if (!SmsService.availableProviders.includes(providerName)) {
+        res.status(404);
+        throw new Error(`Unknown SMS provider '${req.params.provider}'`);
+    }
+
+    const provider = SmsService.getProvider(providerName);
+
+    if (!provider.verifyWebhook(req)) {
+        Logger.warning(`Rejected unverified ${providerName} delivery receipt from ${req.ip}`);
+        res.status(403);
+        throw new Error('Webhook verification failed');
+    }
+
+    let receipts;
+    try {
+        receipts = provider.parseDeliveryReceipt(req);
+    } catch (error) {
+        res.status(400);
+        throw new Error(error.message);
+    }
+
+    let updated = 0;
+    for (const receipt of receipts) {
+        if (!receipt.messageId || !receipt.status) {
+            continue;
+        }
+
+        updated += await OTPService.updateDeliveryStatus(providerName, receipt.messageId, receipt.status, receipt.error);
+        // Twilio reports WhatsApp notifications through the same callback
+        updated += await NotificationService.handleDeliveryReceipt(providerName, receipt.messageId, receipt.status, receipt.error);
+
+        if (receipt.status === 'failed' || receipt.status === 'undelivered') {
+            Logger.warning(`SMS ${receipt.messageId} via ${providerName} ${receipt.status}: ${receipt.error || 'no reason given'}`);
+        }
+    }
+
+    res.status(200).json({
+        success: true,
+        data: {
+            received: receipts.length,
+            updated
+        }
+    });
+});
+
+router.route('/sms/:provider')
+    .get(handleDeliveryReceipt)
+    .post(handleDeliveryReceipt);
+
+module.exports = router;
@@ -0,0 +1,110 @@
+/**
+ * Approval Workflow Schema Definitions
+ * Configurable approval stages per supplier type or category, and the stage
+ * decisions recorded for each vendor
+ */
+
+const approvalWorkflowsSchema = `
+    CREATE TABLE IF NOT EXISTS approval_workflows (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(100) UNIQUE NOT NULL COMMENT 'Workflow name',
+        description VARCHAR(255) NULL COMMENT 'What the workflow is for',
+        supplier_type VARCHAR(100) NULL COMMENT 'Supplier type it applies to (NULL for any)',
+        category VARCHAR(255) NULL COMMENT 'Vendor category it applies to (NULL for any)',
+        is_active BOOLEAN DEFAULT TRUE COMMENT 'Inactive workflows are not used for new reviews',
+        created_by INT NULL COMMENT 'Admin who created the workflow',
+        updated_by INT NULL COMMENT 'Admin who last changed the workflow',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+        -- Foreign Keys
+        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+        FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL,
+
+        -- Indexes
+        INDEX idx_supplier_type_category (supplier_type, category),
+        INDEX idx_is_active (is_active)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Vendor approval workflows'
+`;
+
+const approvalStagesSchema = `
+    CREATE TABLE IF NOT EXISTS approval_stages (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        workflow_id INT NOT NULL COMMENT 'Reference to approval_workflows',
+        stage_order INT NOT NULL COMMENT 'Position in the workflow, starting at 1',
+        name VARCHAR(100) NOT NULL COMMENT 'Stage name shown to reviewers',
+        role VARCHAR(50) NOT NULL COMMENT 'Role whose members decide this stage',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+        -- Foreign Keys
+        FOREIGN KEY (workflow_id) REFERENCES approval_workflows(id) ON DELETE CASCADE,
+
+        -- Indexes
+        UNIQUE KEY uk_workflow_stage_order (workflow_id, stage_order),
+        INDEX idx_role (role)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Ordered stages of each approval workflow'
+`;
+
+const vendorApprovalStagesSchema = `
+    CREATE TABLE IF NOT EXISTS vendor_approval_stages (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        vendor_profile_id INT NOT NULL COMMENT 'Reference to vendor_profiles',
+        workflow_id INT NULL COMMENT 'Workflow the stage was copied from',
+        round INT NOT NULL DEFAULT 1 COMMENT 'Review round; a resubmission starts a new round',
+        stage_order INT NOT NULL COMMENT 'Position in the workflow',
+        stage_name VARCHAR(100) NOT NULL COMMENT 'Stage name at the time the round started',
+        role VARCHAR(50) NOT NULL COMMENT 'Role whose members decide this stage',
+        status ENUM('waiting', 'pending', 'approved', 'rejected', 'cancelled') DEFAULT 'waiting' COMMENT 'pending is the stage awaiting a decision',
+        decided_by INT NULL COMMENT 'Reviewer who made the decision',
+        decided_at TIMESTAMP NULL COMMENT 'Decision time',
+        notes TEXT NULL COMMENT 'Reviewer notes for the decision',
+        activated_at TIMESTAMP NULL COMMENT 'When the stage started waiting for a decision',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+        -- Foreign Keys
+        FOREIGN KEY (vendor_profile_id) REFERENCES vendor_profiles(id) ON DELETE CASCADE,
+        FOREIGN KEY (workflow_id) REFERENCES approval_workflows(id) ON DELETE SET NULL,
+        FOREIGN KEY (decided_by) REFERENCES users(id) ON DELETE SET NULL,
+
+        -- Indexes
+        UNIQUE KEY uk_vendor_round_stage (vendor_profile_id, round, stage_order),
+        INDEX idx_status_role (status, role)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Approval stage decisions per vendor'
+`;
+
+// Seed data. A standard procurement-then-finance workflow is created only on
+// a fresh database; after that workflows are managed through the admin API.
+const approvalSeeds = [
+    `INSERT INTO approval_workflows (name, description)
+    SELECT 'Standard approval', 'Procurement review followed by finance approval'
+    WHERE NOT EXISTS (SELECT 1 FROM (SELECT id FROM approval_workflows) w)`,
+
+    `INSERT IGNORE INTO approval_stages (workflow_id, stage_order, name, role)
+    SELECT w.id, s.stage_order, s.name, s.role
+    FROM approval_workflows w
+    JOIN (SELECT 1 as stage_order, 'Procurement review' as name, 'reviewer' as role
+          UNION ALL SELECT 2, 'Finance approval', 'finance') s
+    WHERE w.name = 'Standard approval'
+      AND NOT EXISTS (SELECT 1 FROM (SELECT workflow_id FROM approval_stages) st WHERE st.workflow_id = w.id)`
+];
+
+module.exports = {
+    approvalWorkflows: {
+        tableName: 'approval_workflows',
+        schema: approvalWorkflowsSchema,
+        description: 'Vendor approval workflows'
+    },
+    approvalStages: {
+        tableName: 'approval_stages',
+        schema: approvalStagesSchema,
+        description: 'Ordered stages of each approval workflow'
+    },
+    vendorApprovalStages: {
+        tableName: 'vendor_approval_stages',
+        schema: vendorApprovalStagesSchema,
+        description: 'Approval stage decisions per vendor'
+    },
+    constraints: [],
+    indexes: [],
+    seeds: approvalSeeds
+};
@@ -44,6 +44,8 @@ const fileUploadsSchema = `
         upload_status ENUM('uploading', 'completed', 'failed', 'processing') DEFAULT 'completed' COMMENT 'Upload status',
         virus_scan_status ENUM('pending', 'clean', 'infected', 'failed') DEFAULT 'pending' COMMENT 'Virus scan status',
         is_verified BOOLEAN DEFAULT FALSE COMMENT 'Whether file has been verified by admin',
+        verification_status ENUM('pending', 'verified', 'rejected') DEFAULT 'pending' COMMENT 'Reviewer decision on the document',
+        verification_notes VARCHAR(500) COMMENT 'Reviewer notes, e.g. why the document was rejected',
         verified_by INT COMMENT 'Admin who verified the file',
         verified_at TIMESTAMP NULL COMMENT 'File verification timestamp',
         
@@ -68,6 +70,7 @@ const fileUploadsSchema = `
         INDEX idx_upload_status (upload_status),
         INDEX idx_virus_scan_status (virus_scan_status),
         INDEX idx_is_verified (is_verified),
+        INDEX idx_verification_status (verification_status),
         INDEX idx_uploaded_at (uploaded_at),
         INDEX idx_expires_at (expires_at),
         INDEX idx_file_hash (file_hash),
@@ -75,6 +78,13 @@ const fileUploadsSchema = `
     ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='File upload and storage management'
 `;
 
+// Bring file_uploads tables created before document verification up to date
+const fileMigrations = [
+    `ALTER TABLE file_uploads ADD COLUMN verification_status ENUM('pending', 'verified', 'rejected') DEFAULT 'pending' COMMENT 'Reviewer decision on the document' AFTER is_verified`,
+    `ALTER TABLE file_uploads ADD COLUMN verification_notes VARCHAR(500) COMMENT 'Reviewer notes, e.g. why the document was rejected' AFTER verification_status`,
+    `ALTER TABLE file_uploads ADD INDEX idx_verification_status (verification_status)`
+];
+
 module.exports = {
     fileUploads: {
         tableName: 'file_uploads',
@@ -93,6 +103,7 @@ module.exports = {
         `CREATE INDEX IF NOT EXISTS idx_file_uploads_vendor_document ON file_uploads(vendor_onboarding_id, document_type)`,
         `CREATE INDEX IF NOT EXISTS idx_file_uploads_cleanup ON file_uploads(expires_at, upload_status)`
     ],
+    migrations: fileMigrations,
     triggers: [
         `
         CREATE TRIGGER IF NOT EXISTS trg_file_extension_extract 
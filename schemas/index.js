@@ -5,9 +5,16 @@
 
 const userSchema = require('./userSchema');
 const otpSchema = require('./otpSchema');
+const refreshTokenSchema = require('./refreshTokenSchema');
+const sessionSchema = require('./sessionSchema');
 const vendorSchema = require('./vendorSchema');
 const fileSchema = require('./fileSchema');
 const activitySchema = require('./activitySchema');
+const notificationSchema = require('./notificationSchema');
+const roleSchema = require('./roleSchema');
+const approvalSchema = require('./approvalSchema');
+const verificationSchema = require('./verificationSchema');
+const masterDataSchema = require('./masterDataSchema');
 
 /**
  * All database schemas organized by category
@@ -16,17 +23,48 @@ const schemas = {
     // Core User Management
     user: userSchema,
     otp: otpSchema,
+    refreshTokens: refreshTokenSchema,
+    userSessions: sessionSchema,
+
+    // Access Control
+    roles: roleSchema.roles,
+    permissions: roleSchema.permissions,
+    rolePermissions: roleSchema.rolePermissions,
+    roleDefaultGrants: roleSchema.roleDefaultGrants,
 
     // Vendor Management
     vendorProfile: vendorSchema.vendorProfile,
     vendorOnboarding: vendorSchema.vendorOnboarding,
     vendorProducts: vendorSchema.vendorProducts,
+    vendorStatusHistory: vendorSchema.vendorStatusHistory,
+    onboardingReviewComments: vendorSchema.onboardingReviewComments,
+    onboardingVersions: vendorSchema.onboardingVersions,
+    vendorDuplicateFlags: vendorSchema.vendorDuplicateFlags,
+    productImportJobs: vendorSchema.productImportJobs,
+
+    // Approval Workflows
+    approvalWorkflows: approvalSchema.approvalWorkflows,
+    approvalStages: approvalSchema.approvalStages,
+    vendorApprovalStages: approvalSchema.vendorApprovalStages,
+
+    // Verification
+    gstVerifications: verificationSchema.gstVerifications,
+    bankVerifications: verificationSchema.bankVerifications,
 
     // File Management
     fileUploads: fileSchema.fileUploads,
 
+    // Master Data
+    pincodes: masterDataSchema.pincodes,
+    productCategories: masterDataSchema.productCategories,
+
     // Activity and System
-    activityLogs: activitySchema.activityLogs
+    activityLogs: activitySchema.activityLogs,
+
+    // Notifications
+    whatsappTemplates: notificationSchema.whatsappTemplates,
+    messageTemplates: notificationSchema.messageTemplates,
+    notificationDeliveries: notificationSchema.notificationDeliveries
 };
 
 /**
@@ -37,7 +75,14 @@ const constraints = {
     file: fileSchema.constraints,
     activity: activitySchema.constraints,
     user: userSchema.constraints,
-    otp: otpSchema.constraints
+    otp: otpSchema.constraints,
+    refreshTokens: refreshTokenSchema.constraints,
+    userSessions: sessionSchema.constraints,
+    notification: notificationSchema.constraints,
+    role: roleSchema.constraints,
+    approval: approvalSchema.constraints,
+    verification: verificationSchema.constraints,
+    masterData: masterDataSchema.constraints
 };
 
 /**
@@ -48,13 +93,43 @@ const indexes = {
     file: fileSchema.indexes,
     activity: activitySchema.indexes,
     user: userSchema.indexes,
-    otp: otpSchema.indexes
+    otp: otpSchema.indexes,
+    refreshTokens: refreshTokenSchema.indexes,
+    userSessions: sessionSchema.indexes,
+    notification: notificationSchema.indexes,
+    role: roleSchema.indexes,
+    approval: approvalSchema.indexes,
+    verification: verificationSchema.indexes,
+    masterData: masterDataSchema.indexes
+};
+
+/**
+ * Column and index changes for tables that already exist, organized by category.
+ * New columns are also part of the CREATE TABLE statements; these bring older
+ * databases up to date and are skipped when the change is already present.
+ */
+const migrations = {
+    user: userSchema.migrations,
+    otp: otpSchema.migrations,
+    vendor: vendorSchema.migrations,
+    file: fileSchema.migrations
+};
+
+/**
+ * Reference data inserted after the tables exist, organized by category.
+ * Seeds must be idempotent (INSERT IGNORE / ON DUPLICATE KEY UPDATE) as they
+ * run on every setup.
+ */
+const seeds = {
+    role: roleSchema.seeds,
+    approval: approvalSchema.seeds
 };
 
 /**
  * All triggers organized by category
  */
 const triggers = {
+    vendor: vendorSchema.triggers,
     otp: otpSchema.triggers,
     file: fileSchema.triggers,
     activity: activitySchema.triggers
@@ -66,11 +141,32 @@ const triggers = {
 const creationOrder = [
     'user',                 // Base table - no dependencies
     'otp',                  // Depends on users (soft dependency)
+    'refreshTokens',        // Depends on users
+    'userSessions',         // Depends on users
+    'roles',                // No dependencies
+    'permissions',          // No dependencies
+    'rolePermissions',      // Depends on roles, permissions and users
+    'roleDefaultGrants',    // Depends on roles and permissions
     'vendorProfile',        // Depends on users
     'vendorOnboarding',     // Depends on users
-    'vendorProducts',       // Depends on vendor_onboarding
+    'productCategories',    // Depends on users
+    'vendorProducts',       // Depends on vendor_onboarding and product_categories
+    'vendorStatusHistory',  // Depends on users, vendor_profiles and vendor_onboarding
+    'onboardingReviewComments', // Depends on vendor_onboarding and users
+    'onboardingVersions',   // Depends on vendor_onboarding and users
+    'vendorDuplicateFlags', // Depends on vendor_profiles and users
+    'productImportJobs',    // Depends on vendor_onboarding and users
+    'approvalWorkflows',    // Depends on users
+    'approvalStages',       // Depends on approval_workflows
+    'vendorApprovalStages', // Depends on vendor_profiles, approval_workflows and users
+    'gstVerifications',     // Depends on vendor_onboarding and users
+    'bankVerifications',    // Depends on vendor_onboarding and users
     'fileUploads',          // Depends on users and vendor_onboarding
-    'activityLogs'          // Depends on users (soft dependency)
+    'activityLogs',         // Depends on users (soft dependency)
+    'whatsappTemplates',    // Depends on users
+    'messageTemplates',     // Depends on users
+    'notificationDeliveries', // Depends on users
+    'pincodes'              // No dependencies
 ];
 
 /**
@@ -109,6 +205,22 @@ const getAllIndexes = () => {
     return Object.values(indexes).flat();
 };
 
+/**
+ * Get all migrations
+ * @returns {Array} Array of all migration statements
+ */
+const getAllMigrations = () => {
+    return Object.values(migrations).flat().filter(Boolean);
+};
+
+/**
+ * Get all seed statements
+ * @returns {Array} Array of all seed statements
+ */
+const getAllSeeds = () => {
+    return Object.values(seeds).flat().filter(Boolean);
+};
+
 /**
  * Get all triggers
  * @returns {Array} Array of all trigger statements
@@ -125,15 +237,39 @@ const schemaMetadata = {
     lastUpdated: '2026-01-29',
     totalTables: Object.keys(schemas).length,
     categories: {
-        'User Management': ['user', 'otp'],
-        'Vendor Management': ['vendorProfile', 'vendorOnboarding', 'vendorProducts'],
+        'User Management': ['user', 'otp', 'refreshTokens', 'userSessions'],
+        'Access Control': ['roles', 'permissions', 'rolePermissions', 'roleDefaultGrants'],
+        'Vendor Management': ['vendorProfile', 'vendorOnboarding', 'vendorProducts', 'vendorStatusHistory', 'onboardingReviewComments', 'onboardingVersions', 'vendorDuplicateFlags', 'productImportJobs'],
+        'Approval Workflows': ['approvalWorkflows', 'approvalStages', 'vendorApprovalStages'],
+        'Verification': ['gstVerifications', 'bankVerifications'],
         'File Management': ['fileUploads'],
-        'System & Activity': ['activityLogs']
+        'Master Data': ['pincodes', 'productCategories'],
+        'System & Activity': ['activityLogs'],
+        'Notifications': ['whatsappTemplates', 'messageTemplates', 'notificationDeliveries']
     },
     features: [
         'User authentication and authorization',
+        'Role-based access control with configurable permissions',
         'OTP-based verification system',
+        'OTP delivery tracking across SMS providers',
+        'WhatsApp notifications with opt-in tracking and SMS fallback',
+        'Localized message templates with admin overrides',
+        'Refresh token rotation and revocation',
+        'Device session management',
         'Comprehensive vendor onboarding',
+        'Vendor lifecycle state machine with status history',
+        'Per-field reviewer comments on onboarding forms',
+        'Onboarding submission history with field-level diffs',
+        'Duplicate vendor detection with link and merge',
+        'Full-text vendor search with facet counts',
+        'Vendor product catalog with re-approval and CSV/XLSX import',
+        'Configurable multi-stage vendor approval',
+        'Reviewer assignment queue with SLA escalation',
+        'GSTIN verification against the GST register',
+        'Bank account penny-drop verification before approval',
+        'PAN and Aadhaar capture with per-document verification',
+        'PIN code directory for state and district checks',
+        'Managed product category taxonomy',
         'File upload and management',
         'Activity logging and audit trails'
     ]
@@ -182,6 +318,8 @@ module.exports = {
     schemas,
     constraints,
     indexes,
+    migrations,
+    seeds,
     triggers,
     creationOrder,
     schemaMetadata,
@@ -191,6 +329,8 @@ module.exports = {
     getSchemasInOrder,
     getAllConstraints,
     getAllIndexes,
+    getAllMigrations,
+    getAllSeeds,
     getAllTriggers,
     validation
 };
\ No newline at end of file
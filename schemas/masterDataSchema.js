@@ -0,0 +1,62 @@
+/**
+ * Master Data Schema Definitions
+ * Reference data loaded from bundled datasets or managed by admins
+ */
+
+const pincodesSchema = `
+    CREATE TABLE IF NOT EXISTS pincodes (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        pincode CHAR(6) NOT NULL COMMENT 'Six digit India Post PIN code',
+        district VARCHAR(100) NOT NULL COMMENT 'District served by the PIN code',
+        state VARCHAR(100) NOT NULL COMMENT 'Canonical state or union territory name',
+        state_code CHAR(2) NULL COMMENT 'GST state code of the state',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+        -- A PIN code can serve more than one district
+        UNIQUE KEY uk_pincode_district (pincode, district),
+        INDEX idx_state_code (state_code)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='India PIN code to district and state directory'
+`;
+
+const productCategoriesSchema = `
+    CREATE TABLE IF NOT EXISTS product_categories (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        parent_id INT NULL COMMENT 'Category of a sub category, or sub category of a micro category',
+        level ENUM('category', 'sub_category', 'micro_category') NOT NULL COMMENT 'Depth in the taxonomy',
+        name VARCHAR(100) NOT NULL COMMENT 'Canonical name stored on products',
+        slug VARCHAR(120) NOT NULL COMMENT 'Name as matched against free text, unique under the parent',
+        aliases JSON NULL COMMENT 'Other spellings that resolve to this node, e.g. previous names',
+        sort_order INT NOT NULL DEFAULT 0 COMMENT 'Position among its siblings in dropdowns',
+        is_active BOOLEAN NOT NULL DEFAULT TRUE COMMENT 'Inactive nodes are kept on products but not offered for new ones',
+        created_by INT NULL COMMENT 'Admin who added the node',
+        updated_by INT NULL COMMENT 'Admin who last changed the node',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+        -- Foreign Keys
+        FOREIGN KEY (parent_id) REFERENCES product_categories(id),
+        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+        FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL,
+
+        -- Indexes
+        UNIQUE KEY uk_parent_slug (parent_id, slug),
+        INDEX idx_level_active (level, is_active)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Product category, sub category and micro category tree'
+`;
+
+module.exports = {
+    pincodes: {
+        tableName: 'pincodes',
+        schema: pincodesSchema,
+        description: 'India PIN code to district and state directory'
+    },
+    productCategories: {
+        tableName: 'product_categories',
+        schema: productCategoriesSchema,
+        description: 'Product category, sub category and micro category tree'
+    },
+    constraints: [
+        `ALTER TABLE pincodes ADD CONSTRAINT chk_pincodes_pincode_format CHECK (pincode REGEXP '^[1-9][0-9]{5}$')`
+    ],
+    indexes: []
+};
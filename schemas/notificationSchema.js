@@ -0,0 +1,101 @@
+/**
+ * Notification Schema Definitions
+ * WhatsApp message templates, localized message text overrides and the
+ * per-message delivery log for notifications
+ */
+
+const whatsappTemplatesSchema = `
+    CREATE TABLE IF NOT EXISTS whatsapp_templates (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(50) NOT NULL COMMENT 'Template key used in code (otp, vendor_approved, ...)',
+        language VARCHAR(10) NOT NULL DEFAULT 'en' COMMENT 'Template language code',
+        content_sid VARCHAR(64) NULL COMMENT 'Twilio Content SID (HX...) of the approved WhatsApp template',
+        variables JSON NULL COMMENT 'Ordered variable names mapped to {{1}}, {{2}}, ... in the template',
+        fallback_body TEXT NULL COMMENT 'SMS text used when WhatsApp is unavailable, with {{name}} placeholders',
+        description VARCHAR(255) NULL COMMENT 'What the template is used for',
+        is_active BOOLEAN DEFAULT TRUE COMMENT 'Inactive templates are not sent over WhatsApp',
+        created_by INT NULL COMMENT 'Admin who created the template',
+        updated_by INT NULL COMMENT 'Admin who last changed the template',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+        -- Foreign Keys
+        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+        FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL,
+
+        -- Indexes
+        UNIQUE KEY uk_template_name_language (name, language),
+        INDEX idx_is_active (is_active)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='WhatsApp template configuration'
+`;
+
+const notificationDeliveriesSchema = `
+    CREATE TABLE IF NOT EXISTS notification_deliveries (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL COMMENT 'Recipient user',
+        template_name VARCHAR(50) NOT NULL COMMENT 'Notification template that was sent',
+        channel ENUM('whatsapp', 'sms') NOT NULL COMMENT 'Channel used for this attempt',
+        provider VARCHAR(20) NULL COMMENT 'Provider that accepted the message',
+        provider_message_id VARCHAR(100) NULL COMMENT 'Message ID/SID returned by the provider',
+        recipient VARCHAR(30) NOT NULL COMMENT 'Phone number the message went to',
+        status ENUM('pending', 'queued', 'sent', 'delivered', 'undelivered', 'failed', 'skipped') DEFAULT 'pending' COMMENT 'Latest delivery status',
+        error VARCHAR(255) NULL COMMENT 'Why the attempt failed or was skipped',
+        variables JSON NULL COMMENT 'Template variables, kept so a failed WhatsApp message can be re-sent by SMS',
+        fallback_for_id INT NULL COMMENT 'WhatsApp attempt this SMS replaced',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+        -- Foreign Keys
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (fallback_for_id) REFERENCES notification_deliveries(id) ON DELETE SET NULL,
+
+        -- Indexes
+        INDEX idx_user_id (user_id),
+        INDEX idx_provider_message (provider, provider_message_id),
+        INDEX idx_status (status),
+        INDEX idx_created_at (created_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Notification delivery attempts per channel'
+`;
+
+const messageTemplatesSchema = `
+    CREATE TABLE IF NOT EXISTS message_templates (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        template_key VARCHAR(50) NOT NULL COMMENT 'Message type (otp, vendor_approved, ...)',
+        locale VARCHAR(5) NOT NULL COMMENT 'Locale code (en, hi, mr, gu, ta, te)',
+        subject VARCHAR(255) NULL COMMENT 'Email subject / notification title, with {{name}} placeholders',
+        body TEXT NOT NULL COMMENT 'Message text, with {{name}} placeholders',
+        updated_by INT NULL COMMENT 'Admin who last changed the text',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+        -- Foreign Keys
+        FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL,
+
+        -- Indexes
+        UNIQUE KEY uk_template_key_locale (template_key, locale)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Admin overrides of built-in message text per locale'
+`;
+
+const notificationIndexes = [
+    `CREATE INDEX IF NOT EXISTS idx_notification_deliveries_user_template ON notification_deliveries(user_id, template_name, created_at)`
+];
+
+module.exports = {
+    whatsappTemplates: {
+        tableName: 'whatsapp_templates',
+        schema: whatsappTemplatesSchema,
+        description: 'WhatsApp template Content SIDs, variables and SMS fallback text'
+    },
+    messageTemplates: {
+        tableName: 'message_templates',
+        schema: messageTemplatesSchema,
+        description: 'Admin-edited message text per template and locale'
+    },
+    notificationDeliveries: {
+        tableName: 'notification_deliveries',
+        schema: notificationDeliveriesSchema,
+        description: 'Notification delivery attempts over WhatsApp and SMS'
+    },
+    constraints: [],
+    indexes: notificationIndexes
+};
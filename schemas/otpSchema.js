@@ -7,8 +7,10 @@ const otpTableSchema = `
     CREATE TABLE IF NOT EXISTS otps (
         id INT AUTO_INCREMENT PRIMARY KEY,
         phone VARCHAR(15) NOT NULL COMMENT 'Phone number for OTP',
-        otp_code VARCHAR(6) NOT NULL COMMENT '6-digit OTP code',
+        otp_code CHAR(64) NOT NULL COMMENT 'HMAC-SHA256 of the 6-digit OTP code (hex)',
+        otp_salt CHAR(32) NOT NULL COMMENT 'Random per-OTP salt mixed into the HMAC',
         purpose ENUM('registration', 'login', 'verification', 'password_reset') DEFAULT 'registration' COMMENT 'Purpose of OTP',
+        channel ENUM('sms', 'email', 'whatsapp') DEFAULT 'sms' COMMENT 'Channel the OTP was delivered through',
         expires_at TIMESTAMP NOT NULL COMMENT 'OTP expiration time',
         is_used BOOLEAN DEFAULT FALSE COMMENT 'Whether OTP has been used',
         attempts INT DEFAULT 0 COMMENT 'Number of verification attempts',
@@ -17,19 +19,29 @@ const otpTableSchema = `
         user_agent TEXT COMMENT 'User agent string',
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT 'OTP creation time',
         used_at TIMESTAMP NULL COMMENT 'OTP usage time',
+
+        -- Delivery Tracking
+        provider VARCHAR(20) NULL COMMENT 'SMS provider (or smtp) that accepted the message',
+        provider_message_id VARCHAR(100) NULL COMMENT 'Message ID/SID returned by the provider',
+        failover_from VARCHAR(20) NULL COMMENT 'Primary provider that failed before this one was used',
+        delivery_status ENUM('pending', 'queued', 'sent', 'delivered', 'undelivered', 'failed') DEFAULT 'pending' COMMENT 'Latest delivery status',
+        delivery_error VARCHAR(255) NULL COMMENT 'Provider error for failed deliveries',
+        delivery_updated_at TIMESTAMP NULL COMMENT 'When the delivery status last changed',
         
         -- Indexes for performance
-        INDEX idx_phone_otp (phone, otp_code),
+        INDEX idx_phone_purpose_active (phone, purpose, is_used, created_at),
         INDEX idx_phone_purpose (phone, purpose),
         INDEX idx_expires_at (expires_at),
         INDEX idx_is_used (is_used),
         INDEX idx_created_at (created_at),
-        INDEX idx_phone_expires (phone, expires_at, is_used)
+        INDEX idx_phone_expires (phone, expires_at, is_used),
+        INDEX idx_provider_message (provider, provider_message_id),
+        INDEX idx_provider_created (provider, created_at)
     ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='OTP storage and verification table'
 `;
 
 const otpConstraints = [
-    `ALTER TABLE otps ADD CONSTRAINT chk_otp_code_format CHECK (otp_code REGEXP '^[0-9]{6}$')`,
+    `ALTER TABLE otps ADD CONSTRAINT chk_otp_code_hash_format CHECK (otp_code REGEXP '^[0-9a-f]{64}$')`,
     `ALTER TABLE otps ADD CONSTRAINT chk_attempts_positive CHECK (attempts >= 0)`,
     `ALTER TABLE otps ADD CONSTRAINT chk_max_attempts_positive CHECK (max_attempts > 0)`,
     `ALTER TABLE otps ADD CONSTRAINT chk_expires_future CHECK (expires_at > created_at)`
@@ -40,6 +52,30 @@ const otpIndexes = [
     `CREATE INDEX IF NOT EXISTS idx_otps_phone_active ON otps(phone, is_used, expires_at)`
 ];
 
+// Bring otps tables created before delivery tracking, code hashing and channels up to date
+const otpMigrations = [
+    `ALTER TABLE otps ADD COLUMN provider VARCHAR(20) NULL COMMENT 'SMS provider that accepted the message'`,
+    `ALTER TABLE otps ADD COLUMN provider_message_id VARCHAR(100) NULL COMMENT 'Message ID/SID returned by the provider'`,
+    `ALTER TABLE otps ADD COLUMN failover_from VARCHAR(20) NULL COMMENT 'Primary provider that failed before this one was used'`,
+    `ALTER TABLE otps ADD COLUMN delivery_status ENUM('pending', 'queued', 'sent', 'delivered', 'undelivered', 'failed') DEFAULT 'pending' COMMENT 'Latest delivery status'`,
+    `ALTER TABLE otps ADD COLUMN delivery_error VARCHAR(255) NULL COMMENT 'Provider error for failed deliveries'`,
+    `ALTER TABLE otps ADD COLUMN delivery_updated_at TIMESTAMP NULL COMMENT 'When the delivery status last changed'`,
+    `ALTER TABLE otps ADD INDEX idx_provider_message (provider, provider_message_id)`,
+    `ALTER TABLE otps ADD INDEX idx_provider_created (provider, created_at)`,
+
+    // Codes are stored as salted HMACs. Plaintext codes from before the change
+    // are discarded (users simply request a new OTP).
+    `ALTER TABLE otps DROP CHECK chk_otp_code_format`,
+    `DELETE FROM otps WHERE otp_code REGEXP '^[0-9]{6}$'`,
+    `ALTER TABLE otps MODIFY COLUMN otp_code CHAR(64) NOT NULL COMMENT 'HMAC-SHA256 of the 6-digit OTP code (hex)'`,
+    `ALTER TABLE otps ADD COLUMN otp_salt CHAR(32) NOT NULL COMMENT 'Random per-OTP salt mixed into the HMAC' AFTER otp_code`,
+    `ALTER TABLE otps DROP INDEX idx_phone_otp`,
+    `ALTER TABLE otps ADD INDEX idx_phone_purpose_active (phone, purpose, is_used, created_at)`,
+
+    `ALTER TABLE otps ADD COLUMN channel ENUM('sms', 'email', 'whatsapp') DEFAULT 'sms' COMMENT 'Channel the OTP was delivered through' AFTER purpose`,
+    `ALTER TABLE otps MODIFY COLUMN channel ENUM('sms', 'email', 'whatsapp') DEFAULT 'sms' COMMENT 'Channel the OTP was delivered through'`
+];
+
 const otpTriggers = [
     `
     CREATE TRIGGER IF NOT EXISTS trg_otp_used_timestamp 
@@ -58,6 +94,7 @@ module.exports = {
     schema: otpTableSchema,
     constraints: otpConstraints,
     indexes: otpIndexes,
+    migrations: otpMigrations,
     triggers: otpTriggers,
-    description: 'OTP generation, storage, and verification management'
-};
\ No newline at end of file
+    description: 'OTP generation, storage, verification and delivery tracking'
+};
@@ -0,0 +1,49 @@
+/**
+ * Refresh Token Schema Definition
+ * Handles server-side refresh token storage, rotation and revocation
+ */
+
+const refreshTokenTableSchema = `
+    CREATE TABLE IF NOT EXISTS refresh_tokens (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL COMMENT 'Reference to users table',
+        token_hash CHAR(64) NOT NULL COMMENT 'SHA-256 hash of the token ID (jti)',
+        family_id CHAR(36) NOT NULL COMMENT 'Rotation family shared by all tokens descended from one login',
+        replaced_by_hash CHAR(64) NULL COMMENT 'Hash of the token issued when this one was rotated',
+
+        -- Device Metadata
+        ip_address VARCHAR(45) COMMENT 'IP address the token was issued to',
+        user_agent TEXT COMMENT 'User agent string of the issuing client',
+        device_name VARCHAR(255) COMMENT 'Client supplied device name',
+
+        -- Lifecycle
+        expires_at TIMESTAMP NOT NULL COMMENT 'Token expiration time',
+        last_used_at TIMESTAMP NULL COMMENT 'When the token was last presented',
+        revoked_at TIMESTAMP NULL COMMENT 'When the token was rotated or revoked',
+        revoked_reason VARCHAR(50) NULL COMMENT 'Why the token was revoked (rotated, logout, reuse_detected, etc.)',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT 'Token issue time',
+
+        -- Foreign Keys
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+
+        -- Indexes
+        UNIQUE INDEX idx_token_hash (token_hash),
+        INDEX idx_user_id (user_id),
+        INDEX idx_family_id (family_id),
+        INDEX idx_expires_at (expires_at),
+        INDEX idx_revoked_at (revoked_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Refresh token store for rotation and revocation'
+`;
+
+const refreshTokenIndexes = [
+    `CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family_active ON refresh_tokens(family_id, revoked_at)`,
+    `CREATE INDEX IF NOT EXISTS idx_refresh_tokens_cleanup ON refresh_tokens(expires_at, revoked_at)`
+];
+
+module.exports = {
+    tableName: 'refresh_tokens',
+    schema: refreshTokenTableSchema,
+    constraints: [],
+    indexes: refreshTokenIndexes,
+    description: 'Refresh token storage with rotation families and device metadata'
+};
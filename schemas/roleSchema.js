@@ -0,0 +1,200 @@
+/**
+ * Role Schema Definitions
+ * Roles, the permissions they grant, and the built-in role/permission catalog
+ */
+
+// Every permission the application checks. Names are <resource>.<action>.
+const PERMISSIONS = {
+    'vendor.read': { category: 'vendor', description: 'View all vendors and their registrations' },
+    'vendor.approve': { category: 'vendor', description: 'Approve vendor registrations' },
+    'vendor.reject': { category: 'vendor', description: 'Reject vendor registrations' },
+    'vendor.status.update': { category: 'vendor', description: 'Change a vendor\'s status from the live dashboard' },
+    'vendor.approval.override': { category: 'vendor', description: 'Decide any approval stage, whatever role it is assigned to' },
+    'reviews.assign': { category: 'vendor', description: 'Assign pending vendor reviews to reviewers' },
+    'approvals.manage': { category: 'vendor', description: 'Configure approval workflows and their stages' },
+    'vendor.gst.verify': { category: 'vendor', description: 'Re-run GSTIN verification against the GST register' },
+    'vendor.documents.verify': { category: 'vendor', description: 'Mark uploaded vendor documents verified or rejected' },
+    'vendor.bank.verify': { category: 'vendor', description: 'Run bank account checks and decide name mismatches by hand' },
+    'vendor.duplicates.resolve': { category: 'vendor', description: 'Link, merge or dismiss vendors flagged as possible duplicates' },
+    'categories.manage': { category: 'vendor', description: 'Add, rename, deactivate and delete product categories' },
+    'users.read': { category: 'users', description: 'View user accounts and locked accounts' },
+    'users.unlock': { category: 'users', description: 'Unlock accounts locked after failed OTP attempts' },
+    'users.manage': { category: 'users', description: 'Invite staff, change roles, and deactivate or reactivate accounts' },
+    'users.sessions.revoke': { category: 'users', description: 'Force a user to log out of every device' },
+    'roles.manage': { category: 'users', description: 'View roles and change the permissions they grant' },
+    'activity.read': { category: 'system', description: 'View activity logs' },
+    'stats.read': { category: 'system', description: 'View system statistics' },
+    'system.health': { category: 'system', description: 'View system health checks' },
+    'system.cleanup': { category: 'system', description: 'Run manual data cleanup' },
+    'templates.manage': { category: 'notifications', description: 'Manage WhatsApp and message templates' },
+    'notifications.read': { category: 'notifications', description: 'View the notification delivery log' },
+    'dashboard.realtime': { category: 'support', description: 'Receive live dashboard events (connections, form progress, support messages)' },
+    'support.respond': { category: 'support', description: 'Reply to vendor support messages' }
+};
+
+// Built-in roles and the permissions they start with. Admin always holds every permission.
+const DEFAULT_ROLES = {
+    admin: {
+        displayName: 'Administrator',
+        description: 'Full access to every administrative function',
+        permissions: Object.keys(PERMISSIONS)
+    },
+    vendor: {
+        displayName: 'Vendor',
+        description: 'Registered supplier managing their own profile',
+        permissions: []
+    },
+    reviewer: {
+        displayName: 'Procurement Reviewer',
+        description: 'Reviews and approves vendor registrations',
+        permissions: ['vendor.read', 'vendor.approve', 'vendor.reject', 'vendor.status.update', 'vendor.gst.verify', 'vendor.documents.verify', 'dashboard.realtime']
+    },
+    finance: {
+        displayName: 'Finance',
+        description: 'Verifies vendor bank details',
+        permissions: ['vendor.read', 'vendor.bank.verify', 'dashboard.realtime']
+    },
+    support: {
+        displayName: 'Support Agent',
+        description: 'Helps vendors with their accounts and support requests',
+        permissions: ['vendor.read', 'users.read', 'users.unlock', 'users.sessions.revoke', 'activity.read', 'notifications.read', 'dashboard.realtime', 'support.respond']
+    }
+};
+
+// The defaults of the first seed, before role_default_grants recorded what was
+// seeded. A database seeded back then counts these as seeded already, so only
+// defaults added since are granted to its roles.
+const FIRST_SEED_PERMISSIONS = {
+    reviewer: ['vendor.read', 'vendor.approve', 'vendor.reject', 'vendor.status.update', 'dashboard.realtime'],
+    finance: ['vendor.read', 'vendor.bank.verify', 'dashboard.realtime'],
+    support: ['vendor.read', 'users.read', 'users.unlock', 'activity.read', 'notifications.read', 'dashboard.realtime', 'support.respond']
+};
+
+const rolesSchema = `
+    CREATE TABLE IF NOT EXISTS roles (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(50) UNIQUE NOT NULL COMMENT 'Role key stored in users.role',
+        display_name VARCHAR(100) NOT NULL COMMENT 'Human readable role name',
+        description VARCHAR(255) NULL COMMENT 'What the role is for',
+        is_system BOOLEAN DEFAULT FALSE COMMENT 'Built-in role that cannot be removed',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='User roles'
+`;
+
+const permissionsSchema = `
+    CREATE TABLE IF NOT EXISTS permissions (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(100) UNIQUE NOT NULL COMMENT 'Permission key checked in code (vendor.approve, ...)',
+        category VARCHAR(50) NOT NULL COMMENT 'Grouping for display',
+        description VARCHAR(255) NULL COMMENT 'What the permission allows',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+        INDEX idx_category (category)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Permissions that can be granted to roles'
+`;
+
+const rolePermissionsSchema = `
+    CREATE TABLE IF NOT EXISTS role_permissions (
+        role_id INT NOT NULL COMMENT 'Role receiving the permission',
+        permission_id INT NOT NULL COMMENT 'Permission granted',
+        granted_by INT NULL COMMENT 'Admin who granted it (NULL for built-in grants)',
+        granted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+        PRIMARY KEY (role_id, permission_id),
+
+        -- Foreign Keys
+        FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE,
+        FOREIGN KEY (permission_id) REFERENCES permissions(id) ON DELETE CASCADE,
+        FOREIGN KEY (granted_by) REFERENCES users(id) ON DELETE SET NULL,
+
+        INDEX idx_permission_id (permission_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Permissions granted to each role'
+`;
+
+const roleDefaultGrantsSchema = `
+    CREATE TABLE IF NOT EXISTS role_default_grants (
+        role_id INT NOT NULL COMMENT 'Built-in role',
+        permission_id INT NOT NULL COMMENT 'Default permission already granted to it once',
+        seeded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+        PRIMARY KEY (role_id, permission_id),
+
+        -- Foreign Keys
+        FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE,
+        FOREIGN KEY (permission_id) REFERENCES permissions(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Default grants already seeded into role_permissions'
+`;
+
+const quote = (value) => `'${String(value).replace(/'/g, "''")}'`;
+
+// Seed data. Roles and permissions are upserted on every setup. Each default
+// grant of a built-in role is made once and recorded in role_default_grants,
+// so defaults added later reach existing databases while grants removed
+// through the admin API stay removed. Admin is always re-granted everything
+// so new permissions reach it automatically.
+const roleSeeds = [
+    `INSERT INTO permissions (name, category, description) VALUES
+        ${Object.entries(PERMISSIONS).map(([name, permission]) =>
+            `(${quote(name)}, ${quote(permission.category)}, ${quote(permission.description)})`).join(',\n        ')}
+    ON DUPLICATE KEY UPDATE category = VALUES(category), description = VALUES(description)`,
+
+    `INSERT INTO roles (name, display_name, description, is_system) VALUES
+        ${Object.entries(DEFAULT_ROLES).map(([name, role]) =>
+            `(${quote(name)}, ${quote(role.displayName)}, ${quote(role.description)}, TRUE)`).join(',\n        ')}
+    ON DUPLICATE KEY UPDATE is_system = TRUE`,
+
+    `INSERT IGNORE INTO role_permissions (role_id, permission_id)
+    SELECT r.id, p.id FROM roles r CROSS JOIN permissions p WHERE r.name = 'admin'`,
+
+    ...Object.entries(DEFAULT_ROLES)
+        .filter(([name, role]) => name !== 'admin' && role.permissions.length > 0)
+        .flatMap(([name, role]) => [
+            // A role granted its defaults before they were recorded
+            ...(FIRST_SEED_PERMISSIONS[name] ? [`INSERT IGNORE INTO role_default_grants (role_id, permission_id)
+    SELECT r.id, p.id FROM roles r
+    JOIN permissions p ON p.name IN (${FIRST_SEED_PERMISSIONS[name].map(quote).join(', ')})
+    WHERE r.name = ${quote(name)}
+      AND EXISTS (SELECT 1 FROM role_permissions rp WHERE rp.role_id = r.id)
+      AND NOT EXISTS (SELECT 1 FROM (SELECT role_id FROM role_default_grants) g WHERE g.role_id = r.id)`] : []),
+
+            `INSERT IGNORE INTO role_permissions (role_id, permission_id)
+    SELECT r.id, p.id FROM roles r
+    JOIN permissions p ON p.name IN (${role.permissions.map(quote).join(', ')})
+    WHERE r.name = ${quote(name)}
+      AND NOT EXISTS (SELECT 1 FROM role_default_grants g WHERE g.role_id = r.id AND g.permission_id = p.id)`,
+
+            `INSERT IGNORE INTO role_default_grants (role_id, permission_id)
+    SELECT r.id, p.id FROM roles r
+    JOIN permissions p ON p.name IN (${role.permissions.map(quote).join(', ')})
+    WHERE r.name = ${quote(name)}`
+        ])
+];
+
+module.exports = {
+    roles: {
+        tableName: 'roles',
+        schema: rolesSchema,
+        description: 'User roles'
+    },
+    permissions: {
+        tableName: 'permissions',
+        schema: permissionsSchema,
+        description: 'Permissions that can be granted to roles'
+    },
+    rolePermissions: {
+        tableName: 'role_permissions',
+        schema: rolePermissionsSchema,
+        description: 'Permissions granted to each role'
+    },
+    roleDefaultGrants: {
+        tableName: 'role_default_grants',
+        schema: roleDefaultGrantsSchema,
+        description: 'Default grants already seeded into role_permissions'
+    },
+    constraints: [],
+    indexes: [],
+    seeds: roleSeeds,
+    PERMISSIONS,
+    DEFAULT_ROLES
+};
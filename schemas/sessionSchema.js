@@ -0,0 +1,45 @@
+/**
+ * Session Schema Definition
+ * Tracks logged-in devices so users can review and revoke them
+ */
+
+const sessionTableSchema = `
+    CREATE TABLE IF NOT EXISTS user_sessions (
+        id CHAR(36) PRIMARY KEY COMMENT 'Session ID (also the refresh token family ID)',
+        user_id INT NOT NULL COMMENT 'Reference to users table',
+
+        -- Device Information
+        ip_address VARCHAR(45) COMMENT 'IP address at login',
+        user_agent TEXT COMMENT 'User agent string at login',
+        device_name VARCHAR(255) COMMENT 'Client supplied device name',
+        last_ip_address VARCHAR(45) COMMENT 'Most recent IP address seen for this session',
+
+        -- Lifecycle
+        last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT 'Last authenticated request on this session',
+        revoked_at TIMESTAMP NULL COMMENT 'When the session was ended',
+        revoked_reason VARCHAR(50) NULL COMMENT 'Why the session was ended (logout, revoked, logout_all, inactive, etc.)',
+        revoked_by INT NULL COMMENT 'User who ended the session',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT 'Login time',
+
+        -- Foreign Keys
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (revoked_by) REFERENCES users(id) ON DELETE SET NULL,
+
+        -- Indexes
+        INDEX idx_user_id (user_id),
+        INDEX idx_last_seen_at (last_seen_at),
+        INDEX idx_revoked_at (revoked_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Active and historical login sessions'
+`;
+
+const sessionIndexes = [
+    `CREATE INDEX IF NOT EXISTS idx_user_sessions_user_active ON user_sessions(user_id, revoked_at, last_seen_at)`
+];
+
+module.exports = {
+    tableName: 'user_sessions',
+    schema: sessionTableSchema,
+    constraints: [],
+    indexes: sessionIndexes,
+    description: 'Login sessions with device metadata and revocation state'
+};
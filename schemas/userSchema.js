@@ -10,10 +10,18 @@ const userTableSchema = `
         email VARCHAR(255) UNIQUE COMMENT 'User email address',
         is_verified BOOLEAN DEFAULT FALSE COMMENT 'Phone/email verification status',
         is_active BOOLEAN DEFAULT TRUE COMMENT 'Account active status',
-        role ENUM('vendor', 'admin') DEFAULT 'vendor' COMMENT 'User role in the system',
+        role VARCHAR(50) NOT NULL DEFAULT 'vendor' COMMENT 'User role in the system (roles.name)',
         last_login TIMESTAMP NULL COMMENT 'Last login timestamp',
         login_attempts INT DEFAULT 0 COMMENT 'Failed login attempts counter',
         locked_until TIMESTAMP NULL COMMENT 'Account lock expiry time',
+        whatsapp_opt_in BOOLEAN DEFAULT FALSE COMMENT 'Consented to WhatsApp notifications',
+        whatsapp_opt_in_at TIMESTAMP NULL COMMENT 'When WhatsApp consent was last given',
+        whatsapp_opt_out_at TIMESTAMP NULL COMMENT 'When WhatsApp consent was last withdrawn',
+        preferred_language VARCHAR(5) NOT NULL DEFAULT 'en' COMMENT 'Locale for SMS, email and in-app messages',
+        invited_by INT NULL COMMENT 'Admin who invited this staff member',
+        invited_at TIMESTAMP NULL COMMENT 'When the invitation was sent',
+        deactivated_by INT NULL COMMENT 'Admin who last deactivated the account',
+        deactivated_at TIMESTAMP NULL COMMENT 'When the account was last deactivated',
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT 'Account creation time',
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP COMMENT 'Last update time',
         
@@ -38,10 +46,25 @@ const userIndexes = [
     `CREATE INDEX IF NOT EXISTS idx_users_role_active ON users(role, is_active)`
 ];
 
+// Bring users tables created before WhatsApp opt-in tracking, language
+// preferences, configurable roles and admin user management up to date
+const userMigrations = [
+    `ALTER TABLE users ADD COLUMN whatsapp_opt_in BOOLEAN DEFAULT FALSE COMMENT 'Consented to WhatsApp notifications' AFTER locked_until`,
+    `ALTER TABLE users ADD COLUMN whatsapp_opt_in_at TIMESTAMP NULL COMMENT 'When WhatsApp consent was last given' AFTER whatsapp_opt_in`,
+    `ALTER TABLE users ADD COLUMN whatsapp_opt_out_at TIMESTAMP NULL COMMENT 'When WhatsApp consent was last withdrawn' AFTER whatsapp_opt_in_at`,
+    `ALTER TABLE users ADD COLUMN preferred_language VARCHAR(5) NOT NULL DEFAULT 'en' COMMENT 'Locale for SMS, email and in-app messages' AFTER whatsapp_opt_out_at`,
+    `ALTER TABLE users MODIFY COLUMN role VARCHAR(50) NOT NULL DEFAULT 'vendor' COMMENT 'User role in the system (roles.name)'`,
+    `ALTER TABLE users ADD COLUMN invited_by INT NULL COMMENT 'Admin who invited this staff member' AFTER preferred_language`,
+    `ALTER TABLE users ADD COLUMN invited_at TIMESTAMP NULL COMMENT 'When the invitation was sent' AFTER invited_by`,
+    `ALTER TABLE users ADD COLUMN deactivated_by INT NULL COMMENT 'Admin who last deactivated the account' AFTER invited_at`,
+    `ALTER TABLE users ADD COLUMN deactivated_at TIMESTAMP NULL COMMENT 'When the account was last deactivated' AFTER deactivated_by`
+];
+
 module.exports = {
     tableName: 'users',
     schema: userTableSchema,
     constraints: userConstraints,
     indexes: userIndexes,
+    migrations: userMigrations,
     description: 'User authentication and basic profile management'
 };
\ No newline at end of file
@@ -22,6 +22,7 @@ const vendorProfileSchema = `
         rejection_reason TEXT COMMENT 'Reason for rejection if applicable',
         approved_by INT COMMENT 'Admin user who approved',
         approved_at TIMESTAMP NULL COMMENT 'Approval timestamp',
+        merged_into_vendor_id INT NULL COMMENT 'Vendor profile this duplicate was merged into',
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT 'Profile creation time',
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP COMMENT 'Last update time',
         
@@ -36,7 +37,9 @@ const vendorProfileSchema = `
         INDEX idx_entity_name (entity_name),
         INDEX idx_contact_number (contact_number),
         INDEX idx_created_at (created_at),
-        INDEX idx_approved_at (approved_at)
+        INDEX idx_approved_at (approved_at),
+        INDEX idx_merged_into_vendor_id (merged_into_vendor_id),
+        FULLTEXT INDEX ft_vendor_search (entity_name, authorized_person_name)
     ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Vendor profile and basic information'
 `;
 
@@ -90,6 +93,12 @@ const vendorOnboardingSchema = `
         tin_no VARCHAR(50) COMMENT 'TIN number',
         import_export_code VARCHAR(50) COMMENT 'Import/Export code',
         
+        -- Identity Documents
+        pan_number VARCHAR(10) COMMENT 'Permanent Account Number',
+        pan_document_id INT NULL COMMENT 'Uploaded PAN card (file_uploads.id)',
+        aadhaar_last4 CHAR(4) COMMENT 'Last 4 digits of the Aadhaar number; the full number is never stored',
+        aadhaar_reference CHAR(64) COMMENT 'Keyed hash of the Aadhaar number, used as its reference token',
+        
         -- Bank Details
         account_no VARCHAR(50) COMMENT 'Bank account number',
         bank_name VARCHAR(255) COMMENT 'Bank name',
@@ -110,22 +119,37 @@ const vendorOnboardingSchema = `
         reviewed_by INT COMMENT 'Admin who reviewed',
         reviewed_at TIMESTAMP NULL COMMENT 'Review timestamp',
         review_notes TEXT COMMENT 'Review notes/feedback',
+
+        -- Review Queue and SLA
+        assigned_to INT NULL COMMENT 'Reviewer who owns the review',
+        assigned_by INT NULL COMMENT 'Admin who assigned it (NULL for round-robin)',
+        assigned_at TIMESTAMP NULL COMMENT 'When the reviewer was assigned',
+        review_due_at TIMESTAMP NULL COMMENT 'SLA deadline to start the review, from submitted_at',
+        decision_due_at TIMESTAMP NULL COMMENT 'SLA deadline for a decision, from submitted_at',
+        escalation_level TINYINT NOT NULL DEFAULT 0 COMMENT '0 none, 1 review overdue, 2 decision overdue',
+        escalated_at TIMESTAMP NULL COMMENT 'When the last SLA escalation was raised',
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT 'Record creation time',
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP COMMENT 'Last update time',
         
         -- Foreign Keys
         FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
         FOREIGN KEY (reviewed_by) REFERENCES users(id) ON DELETE SET NULL,
+        FOREIGN KEY (assigned_to) REFERENCES users(id) ON DELETE SET NULL,
         
         -- Indexes
         INDEX idx_user_id (user_id),
+        INDEX idx_assigned_to_status (assigned_to, status),
+        INDEX idx_decision_due_at (decision_due_at),
         INDEX idx_status (status),
         INDEX idx_gstin_number (gstin_number),
+        INDEX idx_pan_number (pan_number),
+        INDEX idx_aadhaar_reference (aadhaar_reference),
         INDEX idx_mobile_no (mobile_no),
         INDEX idx_email_id (email_id),
         INDEX idx_submitted_at (submitted_at),
         INDEX idx_reviewed_at (reviewed_at),
-        INDEX idx_completion_percentage (completion_percentage)
+        INDEX idx_completion_percentage (completion_percentage),
+        FULLTEXT INDEX ft_onboarding_search (name_of_entity, name_of_establishment, name_of_authorized_person)
     ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Detailed vendor onboarding information'
 `;
 
@@ -133,9 +157,13 @@ const vendorProductsSchema = `
     CREATE TABLE IF NOT EXISTS vendor_products (
         id INT AUTO_INCREMENT PRIMARY KEY,
         vendor_onboarding_id INT NOT NULL COMMENT 'Reference to vendor onboarding',
+        sku VARCHAR(64) NULL COMMENT 'Vendor\'s own stock keeping unit, unique per vendor',
         product_category VARCHAR(100) NOT NULL COMMENT 'Main product category',
         sub_category VARCHAR(100) COMMENT 'Product sub-category',
         micro_category VARCHAR(100) COMMENT 'Micro category/specific type',
+        category_id INT NULL COMMENT 'Taxonomy node of product_category',
+        sub_category_id INT NULL COMMENT 'Taxonomy node of sub_category',
+        micro_category_id INT NULL COMMENT 'Taxonomy node of micro_category',
         brand VARCHAR(100) COMMENT 'Product brand',
         product_name VARCHAR(255) NOT NULL COMMENT 'Product name/description',
         quantity INT DEFAULT 0 COMMENT 'Available quantity',
@@ -145,23 +173,168 @@ const vendorProductsSchema = `
         product_description TEXT COMMENT 'Detailed product description',
         product_specifications JSON COMMENT 'Product specifications in JSON format',
         is_active BOOLEAN DEFAULT TRUE COMMENT 'Product active status',
+        source VARCHAR(20) NOT NULL DEFAULT 'onboarding' COMMENT 'Where the product was added (onboarding, api, import)',
+        approval_status ENUM('approved', 'pending', 'rejected') NOT NULL DEFAULT 'approved' COMMENT 'Products added or changed after vendor approval wait for re-approval',
+        pending_changes JSON NULL COMMENT 'Changes to an approved product awaiting re-approval, by column',
+        reviewed_by INT NULL COMMENT 'Staff member who last approved or rejected a product change',
+        reviewed_at TIMESTAMP NULL COMMENT 'When the last product change was decided',
+        review_notes TEXT NULL COMMENT 'Why the last product change was approved or rejected',
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT 'Product addition time',
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP COMMENT 'Last update time',
         
         -- Foreign Keys
         FOREIGN KEY (vendor_onboarding_id) REFERENCES vendor_onboarding(id) ON DELETE CASCADE,
+        FOREIGN KEY (reviewed_by) REFERENCES users(id) ON DELETE SET NULL,
+        CONSTRAINT fk_vendor_products_category FOREIGN KEY (category_id) REFERENCES product_categories(id),
+        CONSTRAINT fk_vendor_products_sub_category FOREIGN KEY (sub_category_id) REFERENCES product_categories(id),
+        CONSTRAINT fk_vendor_products_micro_category FOREIGN KEY (micro_category_id) REFERENCES product_categories(id),
         
         -- Indexes
+        UNIQUE KEY uk_onboarding_sku (vendor_onboarding_id, sku),
         INDEX idx_vendor_onboarding (vendor_onboarding_id),
+        INDEX idx_approval_status (approval_status),
         INDEX idx_product_category (product_category),
         INDEX idx_sub_category (sub_category),
         INDEX idx_brand (brand),
         INDEX idx_product_name (product_name),
         INDEX idx_is_active (is_active),
-        INDEX idx_category_subcategory (product_category, sub_category)
+        INDEX idx_category_subcategory (product_category, sub_category),
+        FULLTEXT INDEX ft_product_search (product_name, brand, product_category, sub_category, micro_category)
     ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Vendor product catalog'
 `;
 
+const vendorStatusHistorySchema = `
+    CREATE TABLE IF NOT EXISTS vendor_status_history (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL COMMENT 'Vendor user whose status changed',
+        vendor_profile_id INT NULL COMMENT 'Reference to vendor_profiles (NULL before registration)',
+        vendor_onboarding_id INT NULL COMMENT 'Reference to vendor_onboarding',
+        action VARCHAR(50) NOT NULL COMMENT 'Lifecycle action (submit, approve, suspend, ...)',
+        from_status VARCHAR(30) NOT NULL COMMENT 'Lifecycle status before the change',
+        to_status VARCHAR(30) NOT NULL COMMENT 'Lifecycle status after the change',
+        profile_status VARCHAR(30) NULL COMMENT 'vendor_profiles.status after the change',
+        onboarding_status VARCHAR(30) NULL COMMENT 'vendor_onboarding.status after the change',
+        reason TEXT NULL COMMENT 'Why the change was made',
+        changed_by INT NULL COMMENT 'User who made the change',
+        ip_address VARCHAR(45) NULL COMMENT 'IP address of the request',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT 'When the change was made',
+
+        -- Foreign Keys
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (vendor_profile_id) REFERENCES vendor_profiles(id) ON DELETE CASCADE,
+        FOREIGN KEY (vendor_onboarding_id) REFERENCES vendor_onboarding(id) ON DELETE SET NULL,
+        FOREIGN KEY (changed_by) REFERENCES users(id) ON DELETE SET NULL,
+
+        -- Indexes
+        INDEX idx_user_id (user_id),
+        INDEX idx_vendor_profile_id (vendor_profile_id),
+        INDEX idx_to_status (to_status),
+        INDEX idx_created_at (created_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Vendor lifecycle status changes'
+`;
+
+const onboardingReviewCommentsSchema = `
+    CREATE TABLE IF NOT EXISTS onboarding_review_comments (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        vendor_onboarding_id INT NOT NULL COMMENT 'Reference to vendor onboarding',
+        field_path VARCHAR(100) NOT NULL COMMENT 'Onboarding field the comment is about (ifsc_code, products[2].brand)',
+        comment TEXT NOT NULL COMMENT 'What the vendor needs to change',
+        status ENUM('open', 'resolved') DEFAULT 'open' COMMENT 'Resolved when the vendor resubmits the form',
+        created_by INT NULL COMMENT 'Reviewer who added the comment',
+        resolved_at TIMESTAMP NULL COMMENT 'When the vendor resubmitted the form',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT 'Comment creation time',
+
+        -- Foreign Keys
+        FOREIGN KEY (vendor_onboarding_id) REFERENCES vendor_onboarding(id) ON DELETE CASCADE,
+        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+
+        -- Indexes
+        INDEX idx_onboarding_status (vendor_onboarding_id, status),
+        INDEX idx_created_at (created_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Reviewer comments on onboarding form fields'
+`;
+
+const onboardingVersionsSchema = `
+    CREATE TABLE IF NOT EXISTS vendor_onboarding_versions (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        vendor_onboarding_id INT NOT NULL COMMENT 'Reference to vendor onboarding',
+        user_id INT NOT NULL COMMENT 'Vendor user who submitted the form',
+        version_number INT NOT NULL COMMENT 'Submission number for this form, starting at 1',
+        form_data JSON NOT NULL COMMENT 'vendor_onboarding field values as submitted',
+        products JSON NOT NULL COMMENT 'Products as submitted, in form order',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT 'Submission time',
+
+        -- Foreign Keys
+        FOREIGN KEY (vendor_onboarding_id) REFERENCES vendor_onboarding(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+
+        -- Indexes
+        UNIQUE KEY uk_onboarding_version (vendor_onboarding_id, version_number),
+        INDEX idx_created_at (created_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Immutable snapshot of each onboarding form submission'
+`;
+
+const vendorDuplicateFlagsSchema = `
+    CREATE TABLE IF NOT EXISTS vendor_duplicate_flags (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        vendor_profile_id INT NOT NULL COMMENT 'Lower vendor_profiles id of the pair',
+        matched_vendor_profile_id INT NOT NULL COMMENT 'Higher vendor_profiles id of the pair',
+        matches JSON NOT NULL COMMENT 'What the two vendors share: [{ type, value, score }]',
+        score DECIMAL(3,2) NOT NULL COMMENT 'Strongest match, 1 for an exact GSTIN, bank account or PAN match',
+        status ENUM('open', 'linked', 'merged', 'dismissed') DEFAULT 'open' COMMENT 'Open until a reviewer links, merges or dismisses the pair',
+        detected_on ENUM('registration', 'onboarding') NOT NULL COMMENT 'Which submission raised the flag',
+        detected_for_vendor_id INT NOT NULL COMMENT 'Vendor whose registration or submission raised the flag',
+        kept_vendor_profile_id INT NULL COMMENT 'Vendor kept when the pair was merged',
+        resolved_by INT NULL COMMENT 'Staff member who resolved the flag',
+        resolved_at TIMESTAMP NULL COMMENT 'When the flag was resolved',
+        resolution_notes TEXT NULL COMMENT 'Why the pair was linked, merged or dismissed',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT 'When the pair was first flagged',
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP COMMENT 'Last update time',
+
+        -- Foreign Keys
+        FOREIGN KEY (vendor_profile_id) REFERENCES vendor_profiles(id) ON DELETE CASCADE,
+        FOREIGN KEY (matched_vendor_profile_id) REFERENCES vendor_profiles(id) ON DELETE CASCADE,
+        FOREIGN KEY (resolved_by) REFERENCES users(id) ON DELETE SET NULL,
+
+        -- Indexes
+        UNIQUE KEY uk_vendor_pair (vendor_profile_id, matched_vendor_profile_id),
+        INDEX idx_matched_vendor_profile_id (matched_vendor_profile_id),
+        INDEX idx_status (status)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Vendor pairs that look like the same business registered twice'
+`;
+
+const productImportJobsSchema = `
+    CREATE TABLE IF NOT EXISTS product_import_jobs (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        vendor_onboarding_id INT NOT NULL COMMENT 'Catalog the sheet is imported into',
+        user_id INT NOT NULL COMMENT 'User who uploaded the sheet',
+        file_name VARCHAR(255) NOT NULL COMMENT 'Original name of the uploaded sheet',
+        file_format ENUM('csv', 'xlsx') NOT NULL COMMENT 'Sheet format',
+        dry_run BOOLEAN NOT NULL DEFAULT FALSE COMMENT 'Preview only; no products are changed',
+        status ENUM('queued', 'processing', 'completed', 'failed') DEFAULT 'queued' COMMENT 'Import progress',
+        total_rows INT NOT NULL DEFAULT 0 COMMENT 'Product rows in the sheet',
+        processed_rows INT NOT NULL DEFAULT 0 COMMENT 'Rows checked or imported so far',
+        created_count INT NOT NULL DEFAULT 0 COMMENT 'Rows that add a product',
+        updated_count INT NOT NULL DEFAULT 0 COMMENT 'Rows that change a product with the same SKU',
+        unchanged_count INT NOT NULL DEFAULT 0 COMMENT 'Rows matching a product as it is',
+        error_count INT NOT NULL DEFAULT 0 COMMENT 'Rows skipped because they are invalid',
+        results JSON NULL COMMENT 'Outcome of each row: [{ row, sku, action, productId, error }]',
+        failure_reason TEXT NULL COMMENT 'Why the whole import failed',
+        started_at TIMESTAMP NULL COMMENT 'When processing started',
+        completed_at TIMESTAMP NULL COMMENT 'When processing finished or failed',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT 'Upload time',
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP COMMENT 'Last update time',
+
+        -- Foreign Keys
+        FOREIGN KEY (vendor_onboarding_id) REFERENCES vendor_onboarding(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+
+        -- Indexes
+        INDEX idx_vendor_onboarding_created (vendor_onboarding_id, created_at),
+        INDEX idx_status (status)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Bulk product imports from CSV and XLSX sheets'
+`;
+
 const vendorConstraints = [
     `ALTER TABLE vendor_profiles ADD CONSTRAINT chk_pincode_format CHECK (pincode REGEXP '^[0-9]{6}$')`,
     `ALTER TABLE vendor_profiles ADD CONSTRAINT chk_contact_number_format CHECK (contact_number REGEXP '^[0-9]{10}$')`,
@@ -180,6 +353,45 @@ const vendorIndexes = [
     `CREATE INDEX IF NOT EXISTS idx_vendor_products_category_active ON vendor_products(product_category, is_active)`
 ];
 
+// Bring vendor tables created before the review queue, identity fields, duplicate merging, the product API, the category taxonomy and vendor search up to date
+const vendorMigrations = [
+    `ALTER TABLE vendor_onboarding ADD COLUMN assigned_to INT NULL COMMENT 'Reviewer who owns the review' AFTER review_notes`,
+    `ALTER TABLE vendor_onboarding ADD COLUMN assigned_by INT NULL COMMENT 'Admin who assigned it (NULL for round-robin)' AFTER assigned_to`,
+    `ALTER TABLE vendor_onboarding ADD COLUMN assigned_at TIMESTAMP NULL COMMENT 'When the reviewer was assigned' AFTER assigned_by`,
+    `ALTER TABLE vendor_onboarding ADD COLUMN review_due_at TIMESTAMP NULL COMMENT 'SLA deadline to start the review, from submitted_at' AFTER assigned_at`,
+    `ALTER TABLE vendor_onboarding ADD COLUMN decision_due_at TIMESTAMP NULL COMMENT 'SLA deadline for a decision, from submitted_at' AFTER review_due_at`,
+    `ALTER TABLE vendor_onboarding ADD COLUMN escalation_level TINYINT NOT NULL DEFAULT 0 COMMENT '0 none, 1 review overdue, 2 decision overdue' AFTER decision_due_at`,
+    `ALTER TABLE vendor_onboarding ADD COLUMN escalated_at TIMESTAMP NULL COMMENT 'When the last SLA escalation was raised' AFTER escalation_level`,
+    `ALTER TABLE vendor_onboarding ADD INDEX idx_assigned_to_status (assigned_to, status)`,
+    `ALTER TABLE vendor_onboarding ADD INDEX idx_decision_due_at (decision_due_at)`,
+    `ALTER TABLE vendor_onboarding ADD COLUMN pan_number VARCHAR(10) COMMENT 'Permanent Account Number' AFTER import_export_code`,
+    `ALTER TABLE vendor_onboarding ADD COLUMN pan_document_id INT NULL COMMENT 'Uploaded PAN card (file_uploads.id)' AFTER pan_number`,
+    `ALTER TABLE vendor_onboarding ADD COLUMN aadhaar_last4 CHAR(4) COMMENT 'Last 4 digits of the Aadhaar number; the full number is never stored' AFTER pan_document_id`,
+    `ALTER TABLE vendor_onboarding ADD COLUMN aadhaar_reference CHAR(64) COMMENT 'Keyed hash of the Aadhaar number, used as its reference token' AFTER aadhaar_last4`,
+    `ALTER TABLE vendor_onboarding ADD INDEX idx_pan_number (pan_number)`,
+    `ALTER TABLE vendor_onboarding ADD INDEX idx_aadhaar_reference (aadhaar_reference)`,
+    `ALTER TABLE vendor_profiles ADD COLUMN merged_into_vendor_id INT NULL COMMENT 'Vendor profile this duplicate was merged into' AFTER approved_at`,
+    `ALTER TABLE vendor_profiles ADD INDEX idx_merged_into_vendor_id (merged_into_vendor_id)`,
+    `ALTER TABLE vendor_products ADD COLUMN sku VARCHAR(64) NULL COMMENT 'Vendor\'s own stock keeping unit, unique per vendor' AFTER vendor_onboarding_id`,
+    `ALTER TABLE vendor_products ADD COLUMN source VARCHAR(20) NOT NULL DEFAULT 'onboarding' COMMENT 'Where the product was added (onboarding, api, import)' AFTER is_active`,
+    `ALTER TABLE vendor_products ADD COLUMN approval_status ENUM('approved', 'pending', 'rejected') NOT NULL DEFAULT 'approved' COMMENT 'Products added or changed after vendor approval wait for re-approval' AFTER source`,
+    `ALTER TABLE vendor_products ADD COLUMN pending_changes JSON NULL COMMENT 'Changes to an approved product awaiting re-approval, by column' AFTER approval_status`,
+    `ALTER TABLE vendor_products ADD COLUMN reviewed_by INT NULL COMMENT 'Staff member who last approved or rejected a product change' AFTER pending_changes`,
+    `ALTER TABLE vendor_products ADD COLUMN reviewed_at TIMESTAMP NULL COMMENT 'When the last product change was decided' AFTER reviewed_by`,
+    `ALTER TABLE vendor_products ADD COLUMN review_notes TEXT NULL COMMENT 'Why the last product change was approved or rejected' AFTER reviewed_at`,
+    `ALTER TABLE vendor_products ADD UNIQUE KEY uk_onboarding_sku (vendor_onboarding_id, sku)`,
+    `ALTER TABLE vendor_products ADD INDEX idx_approval_status (approval_status)`,
+    `ALTER TABLE vendor_products ADD COLUMN category_id INT NULL COMMENT 'Taxonomy node of product_category' AFTER micro_category`,
+    `ALTER TABLE vendor_products ADD COLUMN sub_category_id INT NULL COMMENT 'Taxonomy node of sub_category' AFTER category_id`,
+    `ALTER TABLE vendor_products ADD COLUMN micro_category_id INT NULL COMMENT 'Taxonomy node of micro_category' AFTER sub_category_id`,
+    `ALTER TABLE vendor_products ADD CONSTRAINT fk_vendor_products_category FOREIGN KEY (category_id) REFERENCES product_categories(id)`,
+    `ALTER TABLE vendor_products ADD CONSTRAINT fk_vendor_products_sub_category FOREIGN KEY (sub_category_id) REFERENCES product_categories(id)`,
+    `ALTER TABLE vendor_products ADD CONSTRAINT fk_vendor_products_micro_category FOREIGN KEY (micro_category_id) REFERENCES product_categories(id)`,
+    `ALTER TABLE vendor_profiles ADD FULLTEXT INDEX ft_vendor_search (entity_name, authorized_person_name)`,
+    `ALTER TABLE vendor_onboarding ADD FULLTEXT INDEX ft_onboarding_search (name_of_entity, name_of_establishment, name_of_authorized_person)`,
+    `ALTER TABLE vendor_products ADD FULLTEXT INDEX ft_product_search (product_name, brand, product_category, sub_category, micro_category)`
+];
+
 module.exports = {
     vendorProfile: {
         tableName: 'vendor_profiles',
@@ -196,6 +408,42 @@ module.exports = {
         schema: vendorProductsSchema,
         description: 'Vendor product catalog and inventory'
     },
+    vendorStatusHistory: {
+        tableName: 'vendor_status_history',
+        schema: vendorStatusHistorySchema,
+        description: 'Who changed each vendor\'s lifecycle status, when and why'
+    },
+    onboardingReviewComments: {
+        tableName: 'onboarding_review_comments',
+        schema: onboardingReviewCommentsSchema,
+        description: 'Reviewer comments on onboarding form fields'
+    },
+    onboardingVersions: {
+        tableName: 'vendor_onboarding_versions',
+        schema: onboardingVersionsSchema,
+        description: 'Immutable snapshot of each onboarding form submission'
+    },
+    vendorDuplicateFlags: {
+        tableName: 'vendor_duplicate_flags',
+        schema: vendorDuplicateFlagsSchema,
+        description: 'Vendor pairs that look like the same business registered twice'
+    },
+    productImportJobs: {
+        tableName: 'product_import_jobs',
+        schema: productImportJobsSchema,
+        description: 'Bulk product imports from CSV and XLSX sheets'
+    },
     constraints: vendorConstraints,
-    indexes: vendorIndexes
+    indexes: vendorIndexes,
+    migrations: vendorMigrations,
+    triggers: [
+        `
+        CREATE TRIGGER IF NOT EXISTS trg_onboarding_versions_immutable
+        BEFORE UPDATE ON vendor_onboarding_versions
+        FOR EACH ROW
+        BEGIN
+            SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Onboarding versions cannot be modified';
+        END
+        `
+    ]
 };
\ No newline at end of file
@@ -0,0 +1,81 @@
+/**
+ * Verification Schema Definitions
+ * Results of checking onboarding details against external registers and banks
+ */
+
+const gstVerificationsSchema = `
+    CREATE TABLE IF NOT EXISTS gst_verifications (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        vendor_onboarding_id INT NOT NULL COMMENT 'Reference to vendor_onboarding',
+        gstin VARCHAR(20) NOT NULL COMMENT 'GSTIN as entered on the form',
+        provider VARCHAR(30) NOT NULL COMMENT 'Lookup provider used (gsp, stub, ...)',
+        status ENUM('verified', 'mismatch', 'invalid', 'not_found', 'failed') NOT NULL COMMENT 'Outcome of the check',
+        legal_name VARCHAR(255) NULL COMMENT 'Legal name in the GST register',
+        trade_name VARCHAR(255) NULL COMMENT 'Trade name in the GST register',
+        gst_status VARCHAR(30) NULL COMMENT 'Registration status in the register (active, cancelled, ...)',
+        state_code CHAR(2) NULL COMMENT 'GST state code of the registration',
+        registration_date DATE NULL COMMENT 'Date of GST registration',
+        name_match_score DECIMAL(3,2) NULL COMMENT 'Best match of name_of_entity against the legal or trade name, 0 to 1',
+        mismatches JSON NULL COMMENT 'Form values that differ from the register: [{ field, formValue, registeredValue }]',
+        error_message VARCHAR(500) NULL COMMENT 'Why the lookup failed',
+        requested_by INT NULL COMMENT 'Staff member who re-ran the check (NULL when run on submission)',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+        -- Foreign Keys
+        FOREIGN KEY (vendor_onboarding_id) REFERENCES vendor_onboarding(id) ON DELETE CASCADE,
+        FOREIGN KEY (requested_by) REFERENCES users(id) ON DELETE SET NULL,
+
+        -- Indexes
+        INDEX idx_onboarding_created (vendor_onboarding_id, created_at),
+        INDEX idx_gstin (gstin),
+        INDEX idx_status (status)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='GSTIN lookups and how they compare with the onboarding form'
+`;
+
+const bankVerificationsSchema = `
+    CREATE TABLE IF NOT EXISTS bank_verifications (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        vendor_onboarding_id INT NOT NULL COMMENT 'Reference to vendor_onboarding',
+        account_number_masked VARCHAR(20) NOT NULL COMMENT 'Account number with all but the last 4 digits hidden',
+        account_number_hash CHAR(64) NOT NULL COMMENT 'HMAC-SHA256 of the account number, to tell whether it has changed',
+        ifsc_code VARCHAR(15) NOT NULL COMMENT 'IFSC as entered on the form',
+        ifsc_bank VARCHAR(255) NULL COMMENT 'Bank the IFSC belongs to',
+        ifsc_branch VARCHAR(255) NULL COMMENT 'Branch from the IFSC dataset',
+        form_bank_matches BOOLEAN NULL COMMENT 'Whether bank_name on the form matches the IFSC bank',
+        provider VARCHAR(30) NOT NULL COMMENT 'Verification provider used (cashfree, mock, ...)',
+        status ENUM('verified', 'name_mismatch', 'invalid_account', 'invalid_ifsc', 'failed', 'rejected') NOT NULL COMMENT 'Outcome of the check or the manual decision',
+        name_at_bank VARCHAR(255) NULL COMMENT 'Account holder name returned by the bank',
+        name_match_score DECIMAL(3,2) NULL COMMENT 'Match of name_of_entity against the account holder name, 0 to 1',
+        reference_id VARCHAR(100) NULL COMMENT 'Provider reference for the penny-drop',
+        error_message VARCHAR(500) NULL COMMENT 'Why the account could not be verified',
+        requested_by INT NULL COMMENT 'Staff member who ran the check (NULL when run on submission)',
+        reviewed_by INT NULL COMMENT 'Staff member who verified or rejected the account manually',
+        reviewed_at TIMESTAMP NULL COMMENT 'Manual decision time',
+        review_notes TEXT NULL COMMENT 'Why the account was verified or rejected manually',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+        -- Foreign Keys
+        FOREIGN KEY (vendor_onboarding_id) REFERENCES vendor_onboarding(id) ON DELETE CASCADE,
+        FOREIGN KEY (requested_by) REFERENCES users(id) ON DELETE SET NULL,
+        FOREIGN KEY (reviewed_by) REFERENCES users(id) ON DELETE SET NULL,
+
+        -- Indexes
+        INDEX idx_onboarding_created (vendor_onboarding_id, created_at),
+        INDEX idx_status (status)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Bank account penny-drop checks and manual decisions'
+`;
+
+module.exports = {
+    gstVerifications: {
+        tableName: 'gst_verifications',
+        schema: gstVerificationsSchema,
+        description: 'GSTIN lookups and how they compare with the onboarding form'
+    },
+    bankVerifications: {
+        tableName: 'bank_verifications',
+        schema: bankVerificationsSchema,
+        description: 'Bank account penny-drop checks and manual decisions'
+    },
+    constraints: [],
+    indexes: []
+};
@@ -0,0 +1,23 @@
+const { connectDB } = require('../config/database');
+const PincodeService = require('../services/pincodeService');
+const Logger = require('../utils/logger');
+require('dotenv').config();
+
+// Load a PIN code CSV (default: PINCODE_DATA_FILE or the bundled sample)
+// into the pincodes table. Usage: npm run import-pincodes -- [file.csv]
+async function importPincodes(filePath) {
+    try {
+        await connectDB();
+        const result = await PincodeService.importFile(filePath);
+        Logger.success(`PIN code import finished: ${result.inserted} new of ${result.pincodes} PIN code districts`);
+    } catch (error) {
+        Logger.error('PIN code import failed', error);
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    importPincodes(process.argv[2]).then(() => process.exit());
+}
+
+module.exports = importPincodes;
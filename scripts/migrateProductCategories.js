@@ -0,0 +1,52 @@
+const { connectDB } = require('../config/database');
+const ProductCategoryService = require('../services/productCategoryService');
+const Logger = require('../utils/logger');
+require('dotenv').config();
+
+// Map the free-text categories of existing products to the category
+// taxonomy, loading the starter taxonomy (CATEGORY_DATA_FILE or the bundled
+// data/product-categories.json) first if the table is empty.
+// Usage: npm run migrate-categories -- [--apply] [--create-missing] [--threshold=0.8]
+// Without --apply it only reports what it would do.
+async function migrateProductCategories(args = []) {
+    const apply = args.includes('--apply');
+    const createMissing = args.includes('--create-missing');
+    const threshold = parseFloat(args.find(arg => arg.startsWith('--threshold='))?.split('=')[1]) || 0.8;
+
+    try {
+        await connectDB();
+
+        const seeded = await ProductCategoryService.seedFile();
+        if (seeded > 0) {
+            Logger.info(`Loaded ${seeded} categories into the empty taxonomy`);
+        }
+
+        const report = await ProductCategoryService.mapExistingProducts({ apply, createMissing, threshold });
+
+        report.mapped.forEach(entry => {
+            const how = entry.methods.includes('created') ? ' (new)' : (entry.methods.includes('spelling') ? ' (by spelling)' : '');
+            Logger.info(`${entry.values.join(' > ')} -> ${entry.nodes.join(' > ')}${how}: ${entry.products} products`);
+        });
+        report.unmatched.forEach(entry => {
+            Logger.warning(`${entry.values.join(' > ')}: ${entry.reason}, ${entry.products} products left as they are`);
+        });
+
+        const mappedProducts = report.mapped.reduce((total, entry) => total + entry.products, 0);
+        const unmatchedProducts = report.unmatched.reduce((total, entry) => total + entry.products, 0);
+
+        if (apply) {
+            Logger.success(`Mapped ${report.productsUpdated} products; added ${report.nodesCreated} categories and ${report.aliasesAdded} aliases. ${unmatchedProducts} products still need a category`);
+        } else {
+            Logger.info(`Would map ${mappedProducts} products, adding ${report.nodesCreated} categories and ${report.aliasesAdded} aliases. ${unmatchedProducts} products have no match. Run with --apply to save`);
+        }
+    } catch (error) {
+        Logger.error('Category migration failed', error);
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    migrateProductCategories(process.argv.slice(2)).then(() => process.exit());
+}
+
+module.exports = migrateProductCategories;
@@ -35,7 +35,7 @@ const setupDatabase = async () => {
                 email VARCHAR(255) UNIQUE,
                 is_verified BOOLEAN DEFAULT FALSE,
                 is_active BOOLEAN DEFAULT TRUE,
-                role ENUM('vendor', 'admin') DEFAULT 'vendor',
+                role VARCHAR(50) NOT NULL DEFAULT 'vendor',
                 created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
                 updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
                 INDEX idx_phone (phone),
@@ -48,14 +48,24 @@ const setupDatabase = async () => {
             CREATE TABLE IF NOT EXISTS otps (
                 id INT AUTO_INCREMENT PRIMARY KEY,
                 phone VARCHAR(15) NOT NULL,
-                otp_code VARCHAR(6) NOT NULL,
+                otp_code CHAR(64) NOT NULL,
+                otp_salt CHAR(32) NOT NULL,
                 purpose ENUM('registration', 'login', 'verification') DEFAULT 'registration',
+                channel ENUM('sms', 'email', 'whatsapp') DEFAULT 'sms',
                 expires_at TIMESTAMP NOT NULL,
                 is_used BOOLEAN DEFAULT FALSE,
                 attempts INT DEFAULT 0,
                 created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                INDEX idx_phone_otp (phone, otp_code),
-                INDEX idx_expires (expires_at)
+                provider VARCHAR(20) NULL,
+                provider_message_id VARCHAR(100) NULL,
+                failover_from VARCHAR(20) NULL,
+                delivery_status ENUM('pending', 'queued', 'sent', 'delivered', 'undelivered', 'failed') DEFAULT 'pending',
+                delivery_error VARCHAR(255) NULL,
+                delivery_updated_at TIMESTAMP NULL,
+                INDEX idx_phone_purpose_active (phone, purpose, is_used, created_at),
+                INDEX idx_expires (expires_at),
+                INDEX idx_provider_message (provider, provider_message_id),
+                INDEX idx_provider_created (provider, created_at)
             )
         `);
 
@@ -15,6 +15,9 @@ const authRoutes = require('./routes/authRoutes');
 const vendorRoutes = require('./routes/vendorRoutes');
 const uploadRoutes = require('./routes/uploadRoutes');
 const adminRoutes = require('./routes/adminRoutes');
+const metaRoutes = require('./routes/metaRoutes');
+const devRoutes = require('./routes/devRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
 
 // Import middleware
 const { errorHandler, notFound } = require('./middleware/errorMiddleware');
@@ -26,8 +29,9 @@ const { connectDB } = require('./config/database');
 // Import socket handlers
 const socketHandler = require('./socket/socketHandler');
 
-// Import cleanup service
+// Import scheduled services
 const CleanupService = require('./services/cleanupService');
+const ReviewQueueService = require('./services/reviewQueueService');
 
 // Import logger
 const Logger = require('./utils/logger');
@@ -72,6 +76,10 @@ if (process.env.NODE_ENV === 'production') {
     app.use(morgan('dev'));
 }
 
+// Provider webhooks arrive in bursts from a few gateway IPs, so they are
+// mounted ahead of the rate limiter and authenticated per provider instead
+app.use('/api/webhooks', webhookRoutes);
+
 // Rate limiting
 app.use('/api/', rateLimiter);
 
@@ -86,6 +94,13 @@ app.use('/api/auth', authRoutes);
 app.use('/api/vendor', vendorRoutes);
 app.use('/api/upload', uploadRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/meta', metaRoutes);
+
+// Development helpers (SMS outbox) are unauthenticated, so they are opt-in
+// and never exposed in production
+if (process.env.ENABLE_DEV_OUTBOX === 'true' && process.env.NODE_ENV !== 'production') {
+    app.use('/api/dev', devRoutes);
+}
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -98,7 +113,8 @@ app.get('/', (req, res) => {
             auth: '/api/auth',
             vendor: '/api/vendor',
             upload: '/api/upload',
-            admin: '/api/admin'
+            admin: '/api/admin',
+            meta: '/api/meta'
         },
         timestamp: new Date().toISOString()
     });
@@ -138,6 +154,7 @@ server.listen(PORT, () => {
         timestamp: new Date().toISOString()
     });
     CleanupService.startPeriodicCleanup();
+    ReviewQueueService.startSlaMonitor(io);
 });
 
 // Graceful shutdown
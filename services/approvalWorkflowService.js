@@ -0,0 +1,367 @@
+const { getConnection } = require('../config/database');
+const VendorLifecycleService = require('./vendorLifecycleService');
+const Logger = require('../utils/logger');
+
+// Shape an approval_stages row for API responses
+const formatWorkflowStage = (row) => ({
+    id: row.id,
+    order: row.stage_order,
+    name: row.name,
+    role: row.role
+});
+
+// Shape an approval_workflows row for API responses
+const formatWorkflow = (row, stages = []) => ({
+    id: row.id,
+    name: row.name,
+    description: row.description,
+    supplierType: row.supplier_type,
+    category: row.category,
+    isActive: !!row.is_active,
+    stages: stages.map(formatWorkflowStage),
+    createdBy: row.created_by,
+    updatedBy: row.updated_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+});
+
+// Shape a vendor_approval_stages row for API responses
+const formatVendorStage = (row) => ({
+    id: row.id,
+    workflowId: row.workflow_id,
+    round: row.round,
+    order: row.stage_order,
+    name: row.stage_name,
+    role: row.role,
+    status: row.status,
+    decidedBy: row.decided_by,
+    decidedAt: row.decided_at,
+    notes: row.notes,
+    activatedAt: row.activated_at
+});
+
+const sameText = (a, b) => String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+
+class ApprovalWorkflowService {
+    // Workflows with their stages in order
+    static async listWorkflows({ activeOnly = false } = {}) {
+        const connection = getConnection();
+        const [workflows] = await connection.execute(
+            `SELECT * FROM approval_workflows ${activeOnly ? 'WHERE is_active = TRUE' : ''} ORDER BY id`
+        );
+        const [stages] = await connection.execute('SELECT * FROM approval_stages ORDER BY workflow_id, stage_order');
+
+        return workflows.map(workflow => formatWorkflow(workflow, stages.filter(stage => stage.workflow_id === workflow.id)));
+    }
+
+    static async getWorkflow(workflowId) {
+        const connection = getConnection();
+        const [workflows] = await connection.execute('SELECT * FROM approval_workflows WHERE id = ?', [workflowId]);
+
+        if (workflows.length === 0) {
+            return null;
+        }
+
+        const [stages] = await connection.execute(
+            'SELECT * FROM approval_stages WHERE workflow_id = ? ORDER BY stage_order',
+            [workflowId]
+        );
+        return formatWorkflow(workflows[0], stages);
+    }
+
+    static async replaceStages(workflowId, stages) {
+        const connection = getConnection();
+        await connection.execute('DELETE FROM approval_stages WHERE workflow_id = ?', [workflowId]);
+
+        for (const [index, stage] of stages.entries()) {
+            await connection.execute(
+                'INSERT INTO approval_stages (workflow_id, stage_order, name, role) VALUES (?, ?, ?, ?)',
+                [workflowId, index + 1, stage.name, stage.role]
+            );
+        }
+    }
+
+    static async createWorkflow({ name, description = null, supplierType = null, category = null, isActive = true, stages }, adminId) {
+        const connection = getConnection();
+        const [result] = await connection.execute(`
+            INSERT INTO approval_workflows (name, description, supplier_type, category, is_active, created_by, updated_by)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [name, description, supplierType, category, isActive, adminId, adminId]);
+
+        await this.replaceStages(result.insertId, stages);
+        return await this.getWorkflow(result.insertId);
+    }
+
+    // Changes apply to review rounds started afterwards; rounds in progress
+    // keep the stages they started with
+    static async updateWorkflow(workflowId, { name, description = null, supplierType = null, category = null, isActive = true, stages }, adminId) {
+        const connection = getConnection();
+        await connection.execute(`
+            UPDATE approval_workflows
+            SET name = ?, description = ?, supplier_type = ?, category = ?, is_active = ?, updated_by = ?
+            WHERE id = ?
+        `, [name, description, supplierType, category, isActive, adminId, workflowId]);
+
+        await this.replaceStages(workflowId, stages);
+        return await this.getWorkflow(workflowId);
+    }
+
+    static async deleteWorkflow(workflowId) {
+        const connection = getConnection();
+        const [result] = await connection.execute('DELETE FROM approval_workflows WHERE id = ?', [workflowId]);
+        return result.affectedRows > 0;
+    }
+
+    // The active workflow for a vendor: one matching both supplier type and
+    // category wins over one matching either, which wins over a catch-all
+    static async findWorkflowFor(vendor) {
+        const workflows = (await this.listWorkflows({ activeOnly: true })).filter(workflow => workflow.stages.length > 0);
+
+        const scored = workflows
+            .map(workflow => {
+                const typeMatches = workflow.supplierType === null || (vendor.supplierType && sameText(workflow.supplierType, vendor.supplierType));
+                const categoryMatches = workflow.category === null || (vendor.category && sameText(workflow.category, vendor.category));
+                const score = (workflow.supplierType !== null ? 2 : 0) + (workflow.category !== null ? 1 : 0);
+                return typeMatches && categoryMatches ? { workflow, score } : null;
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.score - a.score || a.workflow.id - b.workflow.id);
+
+        return scored[0]?.workflow || null;
+    }
+
+    // Stages of a vendor's latest review round
+    static async getLatestRound(vendorId) {
+        const connection = getConnection();
+        const [rows] = await connection.execute(`
+            SELECT * FROM vendor_approval_stages
+            WHERE vendor_profile_id = ?
+              AND round = (SELECT MAX(round) FROM vendor_approval_stages WHERE vendor_profile_id = ?)
+            ORDER BY stage_order
+        `, [vendorId, vendorId]);
+
+        return rows.map(formatVendorStage);
+    }
+
+    // Every stage decision for a vendor, grouped by round, newest round first
+    static async getRounds(vendorId) {
+        const connection = getConnection();
+        const [rows] = await connection.execute(`
+            SELECT s.*, u.phone as decided_by_phone
+            FROM vendor_approval_stages s
+            LEFT JOIN users u ON u.id = s.decided_by
+            WHERE s.vendor_profile_id = ?
+            ORDER BY s.round DESC, s.stage_order
+        `, [vendorId]);
+
+        const rounds = new Map();
+        for (const row of rows) {
+            if (!rounds.has(row.round)) {
+                rounds.set(row.round, { round: row.round, workflowId: row.workflow_id, stages: [] });
+            }
+            rounds.get(row.round).stages.push({ ...formatVendorStage(row), decidedByPhone: row.decided_by_phone || null });
+        }
+        return [...rounds.values()];
+    }
+
+    // Start a new review round from the vendor's workflow. Returns the stages,
+    // or null when no workflow applies (single-step approval).
+    static async startRound(vendor, { io = null } = {}) {
+        if (!vendor.vendorId) {
+            return null;
+        }
+
+        const workflow = await this.findWorkflowFor(vendor);
+        if (!workflow) {
+            return null;
+        }
+
+        const connection = getConnection();
+
+        // Close anything left open from an earlier round
+        await connection.execute(
+            "UPDATE vendor_approval_stages SET status = 'cancelled' WHERE vendor_profile_id = ? AND status IN ('waiting', 'pending')",
+            [vendor.vendorId]
+        );
+
+        const [latest] = await connection.execute(
+            'SELECT COALESCE(MAX(round), 0) as round FROM vendor_approval_stages WHERE vendor_profile_id = ?',
+            [vendor.vendorId]
+        );
+        const round = latest[0].round + 1;
+
+        for (const stage of workflow.stages) {
+            const isFirst = stage.order === workflow.stages[0].order;
+            await connection.execute(`
+                INSERT INTO vendor_approval_stages
+                (vendor_profile_id, workflow_id, round, stage_order, stage_name, role, status, activated_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ${isFirst ? 'CURRENT_TIMESTAMP' : 'NULL'})
+            `, [vendor.vendorId, workflow.id, round, stage.order, stage.name, stage.role, isFirst ? 'pending' : 'waiting']);
+        }
+
+        const stages = await this.getLatestRound(vendor.vendorId);
+        this.announcePending(io, vendor, stages[0], null);
+        return stages;
+    }
+
+    // The stage awaiting a decision, starting a round if none is in progress.
+    // Returns null when no workflow applies.
+    static async getCurrentStage(vendor, { io = null } = {}) {
+        let stages = await this.getLatestRound(vendor.vendorId);
+
+        if (!stages.some(stage => stage.status === 'pending')) {
+            stages = await this.startRound(vendor, { io });
+        }
+
+        return stages?.find(stage => stage.status === 'pending') || null;
+    }
+
+    // Tell the next stage's reviewers they have a vendor to decide on
+    static announcePending(io, vendor, stage, previousStage) {
+        io?.to(`role_${stage.role}`).emit('approval_stage_pending', {
+            vendorId: vendor.vendorId,
+            entityName: vendor.entityName,
+            supplierType: vendor.supplierType,
+            stage: { id: stage.id, order: stage.order, name: stage.name, role: stage.role },
+            previousStage: previousStage
+                ? { name: previousStage.name, decision: previousStage.status, decidedBy: previousStage.decidedBy, notes: previousStage.notes }
+                : null,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    // Whether approving this stage would approve the vendor
+    static async isFinalStage(vendor, stage) {
+        const stages = await this.getLatestRound(vendor.vendorId);
+        return !stages.some(candidate => candidate.round === stage.round && candidate.status === 'waiting');
+    }
+
+    // Record a reviewer's decision on the pending stage. Approving the last
+    // stage approves the vendor; rejecting any stage rejects the vendor.
+    // Callers check that the reviewer may decide this stage.
+    static async recordDecision(vendor, stage, decision, { actorId, notes = null, ipAddress = null, sessionId = null, io = null }) {
+        const connection = getConnection();
+        const decided = { ...stage, status: decision, decidedBy: actorId, notes };
+
+        let nextStage = null;
+        let transition = null;
+        let transitionReason = null;
+
+        // The decision and the vendor move it causes commit together: if the
+        // move fails (say the vendor was changed by someone else) the stage
+        // stays pending instead of looking decided for a vendor that never moved
+        const db = await connection.getConnection();
+
+        try {
+            await db.beginTransaction();
+
+            const [result] = await db.execute(`
+                UPDATE vendor_approval_stages
+                SET status = ?, decided_by = ?, decided_at = CURRENT_TIMESTAMP, notes = ?
+                WHERE id = ? AND status = 'pending'
+            `, [decision, actorId, notes, stage.id]);
+
+            if (result.affectedRows === 0) {
+                throw new Error(`Stage '${stage.name}' has already been decided`);
+            }
+
+            await db.execute(`
+                INSERT INTO activity_logs
+                (user_id, session_id, action, action_category, action_type, target_type, target_id, target_identifier,
+                 description, new_values, ip_address)
+                VALUES (?, ?, ?, 'vendor', 'update', 'vendor', ?, ?, ?, ?, ?)
+            `, [
+                actorId,
+                sessionId,
+                decision === 'approved' ? 'APPROVAL_STAGE_APPROVED' : 'APPROVAL_STAGE_REJECTED',
+                vendor.vendorId,
+                vendor.entityName,
+                `${decision === 'approved' ? 'Approved' : 'Rejected'} stage ${stage.order} (${stage.name}) for vendor ${vendor.entityName || vendor.vendorId}`,
+                JSON.stringify({ round: stage.round, stage: stage.order, role: stage.role, decision, notes }),
+                ipAddress
+            ]);
+
+            const transitionOptions = { actorId, ipAddress, sessionId, db };
+
+            if (decision === 'rejected') {
+                transitionReason = notes;
+                transition = await VendorLifecycleService.transition(vendor, 'rejected', {
+                    ...transitionOptions,
+                    reason: transitionReason
+                });
+            } else {
+                const stages = await this.getLatestRound(vendor.vendorId);
+                nextStage = stages.find(candidate => candidate.round === stage.round && candidate.status === 'waiting') || null;
+
+                if (nextStage) {
+                    await db.execute(
+                        "UPDATE vendor_approval_stages SET status = 'pending', activated_at = CURRENT_TIMESTAMP WHERE id = ?",
+                        [nextStage.id]
+                    );
+                    nextStage = { ...nextStage, status: 'pending' };
+
+                    // The first decision also marks the vendor as under review
+                    if (vendor.state === 'submitted') {
+                        transitionReason = `${stage.name} approved`;
+                        transition = await VendorLifecycleService.transition(vendor, 'under_review', {
+                            ...transitionOptions,
+                            reason: transitionReason
+                        });
+                    }
+                } else {
+                    transitionReason = notes;
+                    transition = await VendorLifecycleService.transition(vendor, 'approved', {
+                        ...transitionOptions,
+                        reason: transitionReason
+                    });
+                }
+            }
+
+            await db.commit();
+        } catch (error) {
+            await db.rollback();
+            throw error;
+        } finally {
+            db.release();
+        }
+
+        if (transition) {
+            await VendorLifecycleService.announce(transition.vendor, {
+                from: transition.from,
+                to: transition.to,
+                action: transition.action,
+                actorId,
+                reason: transitionReason,
+                io
+            });
+        }
+
+        if (nextStage) {
+            this.announcePending(io, vendor, nextStage, decided);
+        }
+
+        io?.to('admin_room').emit('approval_stage_updated', {
+            vendorId: vendor.vendorId,
+            entityName: vendor.entityName,
+            stage: { id: stage.id, order: stage.order, name: stage.name, role: stage.role },
+            decision,
+            notes,
+            decidedBy: actorId,
+            nextStage: nextStage ? { id: nextStage.id, order: nextStage.order, name: nextStage.name, role: nextStage.role } : null,
+            timestamp: new Date().toISOString()
+        });
+
+        Logger.info(`Vendor ${vendor.vendorId} stage ${stage.order} (${stage.name}) ${decision} by user ${actorId}`);
+
+        return {
+            vendor: transition ? transition.vendor : vendor,
+            action: decision === 'rejected' ? 'reject' : (nextStage ? 'approve_stage' : 'approve'),
+            from: vendor.state,
+            to: transition ? transition.to : vendor.state,
+            stage: decided,
+            nextStage
+        };
+    }
+}
+
+module.exports = ApprovalWorkflowService;
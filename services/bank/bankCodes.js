@@ -0,0 +1,52 @@
+// Bank names by IFSC bank code (the first four characters of an IFSC). Used
+// to name the bank when the branch is not in the IFSC dataset.
+const IFSC_BANK_CODES = {
+    ABHY: 'Abhyudaya Co-operative Bank',
+    AIRP: 'Airtel Payments Bank',
+    AUBL: 'AU Small Finance Bank',
+    BARB: 'Bank of Baroda',
+    BDBL: 'Bandhan Bank',
+    BKID: 'Bank of India',
+    CBIN: 'Central Bank of India',
+    CITI: 'Citibank',
+    CIUB: 'City Union Bank',
+    CNRB: 'Canara Bank',
+    COSB: 'Cosmos Co-operative Bank',
+    CSBK: 'CSB Bank',
+    DBSS: 'DBS Bank India',
+    DEUT: 'Deutsche Bank',
+    DLXB: 'Dhanlaxmi Bank',
+    ESFB: 'Equitas Small Finance Bank',
+    FDRL: 'Federal Bank',
+    HDFC: 'HDFC Bank',
+    HSBC: 'HSBC',
+    ICIC: 'ICICI Bank',
+    IDFB: 'IDFC First Bank',
+    IDIB: 'Indian Bank',
+    INDB: 'IndusInd Bank',
+    IOBA: 'Indian Overseas Bank',
+    IPOS: 'India Post Payments Bank',
+    JAKA: 'Jammu and Kashmir Bank',
+    KARB: 'Karnataka Bank',
+    KKBK: 'Kotak Mahindra Bank',
+    KVBL: 'Karur Vysya Bank',
+    MAHB: 'Bank of Maharashtra',
+    PSIB: 'Punjab and Sind Bank',
+    PUNB: 'Punjab National Bank',
+    PYTM: 'Paytm Payments Bank',
+    RATN: 'RBL Bank',
+    SBIN: 'State Bank of India',
+    SCBL: 'Standard Chartered Bank',
+    SIBL: 'South Indian Bank',
+    SRCB: 'Saraswat Co-operative Bank',
+    SVCB: 'SVC Co-operative Bank',
+    TJSB: 'TJSB Sahakari Bank',
+    TMBL: 'Tamilnad Mercantile Bank',
+    UBIN: 'Union Bank of India',
+    UCBA: 'UCO Bank',
+    UJVN: 'Ujjivan Small Finance Bank',
+    UTIB: 'Axis Bank',
+    YESB: 'Yes Bank'
+};
+
+module.exports = { IFSC_BANK_CODES };
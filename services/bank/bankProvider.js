@@ -0,0 +1,32 @@
+/**
+ * Base bank account verification provider
+ * Every provider implements verifyAccount() - a penny-drop or equivalent
+ * account lookup - and returns { accountExists, nameAtBank, referenceId, message }.
+ */
+class BankProvider {
+    constructor(name) {
+        this.name = name;
+    }
+
+    // Whether the credentials this provider needs are present
+    isConfigured() {
+        return true;
+    }
+
+    // Check that the account exists at the IFSC and get the holder's name
+    async verifyAccount({ accountNumber, ifsc, name }) {
+        throw new Error(`Bank verification provider '${this.name}' does not implement verifyAccount()`);
+    }
+
+    // Build a verification error. Retryable errors are problems on the
+    // provider's side (outage, throttling, credentials).
+    createError(message, { code = null, retryable = false } = {}) {
+        const error = new Error(message);
+        error.provider = this.name;
+        error.providerCode = code;
+        error.retryable = retryable;
+        return error;
+    }
+}
+
+module.exports = BankProvider;
@@ -0,0 +1,62 @@
+const BankProvider = require('./bankProvider');
+
+const REQUEST_TIMEOUT_MS = 15000;
+
+// Cashfree Verification Suite - synchronous bank account verification
+// (penny-drop). account_status is VALID or INVALID with a reason code.
+class CashfreeProvider extends BankProvider {
+    constructor() {
+        super('cashfree');
+    }
+
+    isConfigured() {
+        return !!(process.env.CASHFREE_CLIENT_ID && process.env.CASHFREE_CLIENT_SECRET);
+    }
+
+    async verifyAccount({ accountNumber, ifsc, name }) {
+        if (!this.isConfigured()) {
+            throw this.createError(`Bank verification provider '${this.name}' is not configured`, { retryable: true });
+        }
+
+        const baseUrl = (process.env.CASHFREE_VERIFICATION_URL || 'https://api.cashfree.com/verification').replace(/\/$/, '');
+
+        let response;
+        try {
+            response = await fetch(`${baseUrl}/bank-account/sync`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'x-client-id': process.env.CASHFREE_CLIENT_ID,
+                    'x-client-secret': process.env.CASHFREE_CLIENT_SECRET
+                },
+                body: JSON.stringify({ bank_account: accountNumber, ifsc, name }),
+                signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+            });
+        } catch (error) {
+            throw this.createError(`Bank verification failed: ${this.name} unreachable (${error.message})`, { retryable: true });
+        }
+
+        let payload = null;
+        try {
+            payload = await response.json();
+        } catch (error) {
+            payload = null;
+        }
+
+        if (response.status >= 400 || !payload) {
+            throw this.createError(`Bank verification failed: ${payload?.message || `HTTP ${response.status}`} (Code: cashfree-${response.status})`, {
+                code: payload?.code || `cashfree-${response.status}`,
+                retryable: response.status >= 500 || [401, 403, 429].includes(response.status)
+            });
+        }
+
+        return {
+            accountExists: payload.account_status === 'VALID',
+            nameAtBank: payload.name_at_bank || null,
+            referenceId: payload.reference_id ? String(payload.reference_id) : null,
+            message: payload.account_status === 'VALID' ? null : (payload.account_status_code || 'Account is not valid')
+        };
+    }
+}
+
+module.exports = CashfreeProvider;
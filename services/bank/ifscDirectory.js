@@ -0,0 +1,86 @@
+const fs = require('fs');
+const path = require('path');
+const { IFSC_BANK_CODES } = require('./bankCodes');
+const Helpers = require('../../utils/helpers');
+const Logger = require('../../utils/logger');
+
+// Branch-level IFSC dataset. The bundled file is a small sample; point
+// IFSC_DATA_FILE at the full RBI list (for example the IFSC.csv release from
+// github.com/razorpay/ifsc) in production. Columns are found by header name.
+const BUNDLED_DATA_FILE = path.join(__dirname, '../../data/ifsc.csv');
+
+let branchesPromise = null;
+
+const loadBranches = async () => {
+    const filePath = process.env.IFSC_DATA_FILE || BUNDLED_DATA_FILE;
+    const branches = new Map();
+
+    try {
+        const lines = (await fs.promises.readFile(filePath, 'utf8')).split(/\r?\n/).filter(Boolean);
+        const header = Helpers.parseCsvLine(lines.shift()).map(column => column.toUpperCase());
+        const column = (name) => header.indexOf(name);
+
+        for (const line of lines) {
+            const values = Helpers.parseCsvLine(line);
+            const ifsc = values[column('IFSC')]?.toUpperCase();
+
+            if (ifsc) {
+                branches.set(ifsc, {
+                    bank: values[column('BANK')] || null,
+                    branch: values[column('BRANCH')] || null,
+                    city: values[column('CITY')] || null,
+                    district: values[column('DISTRICT')] || null,
+                    state: values[column('STATE')] || null,
+                    address: values[column('ADDRESS')] || null
+                });
+            }
+        }
+
+        Logger.info(`Loaded ${branches.size} IFSC branches from ${filePath}`);
+    } catch (error) {
+        Logger.error(`Could not load IFSC dataset from ${filePath}:`, error.message);
+    }
+
+    return branches;
+};
+
+class IfscDirectory {
+    // Bank and branch for an IFSC. Returns null for an unknown bank code;
+    // branch details are null when the branch is not in the dataset.
+    static async lookup(ifsc) {
+        const code = String(ifsc || '').trim().toUpperCase();
+
+        if (!/^[A-Z]{4}0[A-Z0-9]{6}$/.test(code)) {
+            return null;
+        }
+
+        if (!branchesPromise) {
+            branchesPromise = loadBranches();
+        }
+
+        const branch = (await branchesPromise).get(code);
+        const bank = branch?.bank || IFSC_BANK_CODES[code.substring(0, 4)];
+
+        if (!bank) {
+            return null;
+        }
+
+        return {
+            ifsc: code,
+            bank,
+            branch: branch?.branch || null,
+            city: branch?.city || null,
+            district: branch?.district || null,
+            state: branch?.state || null,
+            address: branch?.address || null,
+            branchFound: !!branch
+        };
+    }
+
+    // Forget the loaded dataset so the next lookup reads the file again
+    static reload() {
+        branchesPromise = null;
+    }
+}
+
+module.exports = IfscDirectory;
@@ -0,0 +1,48 @@
+const crypto = require('crypto');
+const BankProvider = require('./bankProvider');
+const Logger = require('../../utils/logger');
+
+/**
+ * Local mock - no money moves. Accounts added with setAccount() answer with
+ * their stored holder name. Any other account of 9 to 18 digits exists and is
+ * held by the name being checked, except numbers ending in 0000, which do not
+ * exist.
+ */
+class MockProvider extends BankProvider {
+    constructor() {
+        super('mock');
+        this.accounts = new Map();
+    }
+
+    setAccount(accountNumber, ifsc, { nameAtBank = null, exists = true } = {}) {
+        this.accounts.set(`${accountNumber}:${String(ifsc).toUpperCase()}`, { nameAtBank, exists });
+    }
+
+    clear() {
+        this.accounts.clear();
+    }
+
+    async verifyAccount({ accountNumber, ifsc, name }) {
+        const referenceId = `mock-${crypto.randomUUID()}`;
+        const account = this.accounts.get(`${accountNumber}:${String(ifsc).toUpperCase()}`);
+
+        Logger.debug(`MOCK - Penny-drop to account ending ${String(accountNumber).slice(-4)} at ${ifsc}`);
+
+        if (account) {
+            return {
+                accountExists: account.exists,
+                nameAtBank: account.exists ? account.nameAtBank : null,
+                referenceId,
+                message: account.exists ? null : 'Account does not exist'
+            };
+        }
+
+        if (!/^\d{9,18}$/.test(accountNumber) || accountNumber.endsWith('0000')) {
+            return { accountExists: false, nameAtBank: null, referenceId, message: 'Account does not exist' };
+        }
+
+        return { accountExists: true, nameAtBank: name, referenceId, message: null };
+    }
+}
+
+module.exports = MockProvider;
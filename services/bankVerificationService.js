@@ -0,0 +1,354 @@
+const crypto = require('crypto');
+const { getConnection } = require('../config/database');
+const CashfreeProvider = require('./bank/cashfreeProvider');
+const MockProvider = require('./bank/mockProvider');
+const IfscDirectory = require('./bank/ifscDirectory');
+const Helpers = require('../utils/helpers');
+const Logger = require('../utils/logger');
+
+// Stored account hashes depend on this key, so production must set it
+// explicitly instead of failing on the first verification
+if (process.env.NODE_ENV === 'production' && !process.env.BANK_ACCOUNT_HASH_SECRET) {
+    throw new Error('Missing BANK_ACCOUNT_HASH_SECRET in environment variables');
+}
+
+const providerClasses = {
+    cashfree: CashfreeProvider,
+    mock: MockProvider
+};
+
+// One instance per provider so the mock keeps its accounts
+const instances = {};
+
+// name_of_entity must match the account holder name at least this well
+const NAME_MATCH_THRESHOLD = parseFloat(process.env.BANK_NAME_MATCH_THRESHOLD) || 0.8;
+
+// Final approval waits for a verified account unless this is turned off
+const VERIFICATION_REQUIRED = process.env.BANK_VERIFICATION_REQUIRED !== 'false';
+
+// Outcomes a reviewer may overrule: the account exists but the name differs,
+// or the provider could not be reached
+const REVIEWABLE_STATUSES = ['name_mismatch', 'failed'];
+
+const maskAccount = (accountNumber) => {
+    const value = String(accountNumber);
+    return value.length <= 4 ? value : `${'X'.repeat(Math.min(value.length - 4, 14))}${value.slice(-4)}`;
+};
+
+const normalizeAccount = (accountNumber) => String(accountNumber || '').replace(/\s/g, '');
+
+// Vendors often shorten the bank's name ("HDFC" for "HDFC Bank"), so a form
+// name contained in the directory name also counts as a match
+const bankNameMatches = (formName, directoryName) => {
+    const strip = (name) => Helpers.normalizeBusinessName(name).replace(/\b(bank|ltd)\b/g, '').replace(/\s+/g, ' ').trim();
+    const left = strip(formName);
+    const right = strip(directoryName);
+
+    return (!!left && !!right && (left.includes(right) || right.includes(left))) ||
+        Helpers.nameMatchScore(formName, directoryName) >= NAME_MATCH_THRESHOLD;
+};
+
+// Shape a bank_verifications row for API responses
+const formatVerification = (row) => ({
+    id: row.id,
+    onboardingId: row.vendor_onboarding_id,
+    accountNumber: row.account_number_masked,
+    ifsc: row.ifsc_code,
+    bank: row.ifsc_bank,
+    branch: row.ifsc_branch,
+    formBankMatches: row.form_bank_matches === null ? null : !!row.form_bank_matches,
+    provider: row.provider,
+    status: row.status,
+    nameAtBank: row.name_at_bank,
+    nameMatchScore: row.name_match_score === null ? null : Number(row.name_match_score),
+    referenceId: row.reference_id,
+    error: row.error_message,
+    requestedBy: row.requested_by,
+    reviewedBy: row.reviewed_by,
+    reviewedAt: row.reviewed_at,
+    reviewNotes: row.review_notes,
+    checkedAt: row.created_at
+});
+
+class BankVerificationService {
+    // Names of all supported providers
+    static get availableProviders() {
+        return Object.keys(providerClasses);
+    }
+
+    static getProvider(name) {
+        const ProviderClass = providerClasses[name];
+
+        if (!ProviderClass) {
+            throw new Error(`Unknown bank verification provider '${name}'. Supported: ${this.availableProviders.join(', ')}`);
+        }
+
+        if (!instances[name]) {
+            instances[name] = new ProviderClass();
+        }
+
+        return instances[name];
+    }
+
+    // Provider chosen by BANK_VERIFICATION_PROVIDER. Without it, production
+    // uses Cashfree and everything else the local mock.
+    static getProviderName() {
+        if (process.env.BANK_VERIFICATION_PROVIDER) {
+            return process.env.BANK_VERIFICATION_PROVIDER.toLowerCase();
+        }
+        return process.env.NODE_ENV === 'production' ? 'cashfree' : 'mock';
+    }
+
+    static get isRequired() {
+        return VERIFICATION_REQUIRED;
+    }
+
+    // Account numbers are stored as HMAC(secret, number) so a check can be
+    // matched to the form without keeping another plaintext copy
+    static hashAccount(accountNumber) {
+        const secret = process.env.BANK_ACCOUNT_HASH_SECRET;
+
+        if (!secret) {
+            throw new Error('Bank account hashing secret not configured. Please set BANK_ACCOUNT_HASH_SECRET');
+        }
+
+        return crypto.createHmac('sha256', secret).update(normalizeAccount(accountNumber)).digest('hex');
+    }
+
+    static async getForm(onboardingId) {
+        const connection = getConnection();
+        const [forms] = await connection.execute(
+            'SELECT id, user_id, name_of_entity, account_no, bank_name, branch, ifsc_code FROM vendor_onboarding WHERE id = ?',
+            [onboardingId]
+        );
+        return forms[0] || null;
+    }
+
+    // Whether a check was made against the account and IFSC now on the form
+    static isCurrent(row, form) {
+        return !!form?.account_no &&
+            row.account_number_hash === this.hashAccount(form.account_no) &&
+            row.ifsc_code === String(form.ifsc_code || '').trim().toUpperCase();
+    }
+
+    // Resolve the IFSC, run a penny-drop and score the account holder name
+    // against name_of_entity. With skipIfChecked, nothing is done when the
+    // same account already has a conclusive result.
+    static async verifyOnboarding(onboardingId, { requestedBy = null, io = null, skipIfChecked = false } = {}) {
+        const connection = getConnection();
+        const form = await this.getForm(onboardingId);
+
+        if (!form) {
+            throw new Error('Onboarding form not found');
+        }
+
+        const accountNumber = normalizeAccount(form.account_no);
+        const ifsc = String(form.ifsc_code || '').trim().toUpperCase();
+
+        if (!accountNumber || !ifsc) {
+            throw new Error('The onboarding form has no bank account number or IFSC');
+        }
+
+        if (skipIfChecked) {
+            const latest = await this.getLatestRow(onboardingId);
+            if (latest && latest.status !== 'failed' && this.isCurrent(latest, form)) {
+                return formatVerification(latest);
+            }
+        }
+
+        const providerName = this.getProviderName();
+        const branch = await IfscDirectory.lookup(ifsc);
+        const result = { status: 'verified', nameAtBank: null, nameMatchScore: null, referenceId: null, error: null };
+
+        if (!branch) {
+            result.status = 'invalid_ifsc';
+            result.error = `IFSC ${ifsc} does not belong to a known bank`;
+        } else {
+            try {
+                const check = await this.getProvider(providerName).verifyAccount({
+                    accountNumber,
+                    ifsc,
+                    name: form.name_of_entity || ''
+                });
+
+                result.referenceId = check.referenceId;
+                result.nameAtBank = check.nameAtBank;
+
+                if (!check.accountExists) {
+                    result.status = 'invalid_account';
+                    result.error = check.message;
+                } else {
+                    result.nameMatchScore = Helpers.nameMatchScore(form.name_of_entity, check.nameAtBank);
+                    result.status = result.nameMatchScore >= NAME_MATCH_THRESHOLD ? 'verified' : 'name_mismatch';
+                }
+            } catch (error) {
+                Logger.error(`Bank verification for onboarding ${onboardingId} failed:`, error.message);
+                result.status = 'failed';
+                result.error = error.message.substring(0, 500);
+            }
+        }
+
+        const formBankMatches = branch && form.bank_name ? bankNameMatches(form.bank_name, branch.bank) : null;
+
+        const [insert] = await connection.execute(`
+            INSERT INTO bank_verifications
+            (vendor_onboarding_id, account_number_masked, account_number_hash, ifsc_code, ifsc_bank, ifsc_branch,
+             form_bank_matches, provider, status, name_at_bank, name_match_score, reference_id, error_message, requested_by)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            onboardingId,
+            maskAccount(accountNumber),
+            this.hashAccount(accountNumber),
+            ifsc,
+            branch?.bank || null,
+            branch?.branch || null,
+            formBankMatches,
+            providerName,
+            result.status,
+            result.nameAtBank,
+            result.nameMatchScore,
+            result.referenceId,
+            result.error,
+            requestedBy
+        ]);
+
+        await connection.execute(`
+            INSERT INTO activity_logs
+            (user_id, action, action_category, action_type, target_type, target_id, target_identifier,
+             description, new_values, severity)
+            VALUES (?, 'BANK_VERIFIED', 'vendor', 'other', 'vendor_onboarding', ?, ?, ?, ?, ?)
+        `, [
+            requestedBy,
+            onboardingId,
+            maskAccount(accountNumber),
+            `Bank account ${maskAccount(accountNumber)} (${ifsc}) check: ${result.status.replace('_', ' ')}`,
+            JSON.stringify({ status: result.status, nameMatchScore: result.nameMatchScore, provider: providerName }),
+            result.status === 'verified' ? 'low' : 'medium'
+        ]);
+
+        const verification = await this.getVerification(insert.insertId);
+        this.announce(io, form, verification);
+        return verification;
+    }
+
+    // Verify or reject the latest check by hand, e.g. after seeing a
+    // cancelled cheque for a proprietor whose own name is on the account
+    static async recordDecision(onboardingId, decision, { actorId, notes, ipAddress = null, sessionId = null, io = null }) {
+        const connection = getConnection();
+        const form = await this.getForm(onboardingId);
+        const latest = await this.getLatestRow(onboardingId);
+
+        if (!latest || !this.isCurrent(latest, form)) {
+            throw new Error('The current bank details have not been checked yet');
+        }
+
+        if (!REVIEWABLE_STATUSES.includes(latest.status)) {
+            throw new Error(`A ${latest.status.replace('_', ' ')} result cannot be changed by hand`);
+        }
+
+        const status = decision === 'verified' ? 'verified' : 'rejected';
+
+        await connection.execute(`
+            UPDATE bank_verifications
+            SET status = ?, reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP, review_notes = ?
+            WHERE id = ?
+        `, [status, actorId, notes, latest.id]);
+
+        await connection.execute(`
+            INSERT INTO activity_logs
+            (user_id, session_id, action, action_category, action_type, target_type, target_id, target_identifier,
+             description, old_values, new_values, ip_address, severity)
+            VALUES (?, ?, 'BANK_VERIFICATION_REVIEWED', 'vendor', 'update', 'vendor_onboarding', ?, ?, ?, ?, ?, ?, 'medium')
+        `, [
+            actorId,
+            sessionId,
+            onboardingId,
+            latest.account_number_masked,
+            `Bank account ${latest.account_number_masked} marked ${status} by hand`,
+            JSON.stringify({ status: latest.status }),
+            JSON.stringify({ status, notes }),
+            ipAddress
+        ]);
+
+        const verification = await this.getVerification(latest.id);
+        this.announce(io, form, verification);
+        return verification;
+    }
+
+    static announce(io, form, verification) {
+        io?.to('admin_room').emit('bank_verification_completed', {
+            userId: form.user_id,
+            onboardingId: verification.onboardingId,
+            accountNumber: verification.accountNumber,
+            ifsc: verification.ifsc,
+            status: verification.status,
+            nameMatchScore: verification.nameMatchScore,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    static async getVerification(verificationId) {
+        const connection = getConnection();
+        const [rows] = await connection.execute('SELECT * FROM bank_verifications WHERE id = ?', [verificationId]);
+        return rows.length > 0 ? formatVerification(rows[0]) : null;
+    }
+
+    static async getLatestRow(onboardingId) {
+        const connection = getConnection();
+        const [rows] = await connection.execute(
+            'SELECT * FROM bank_verifications WHERE vendor_onboarding_id = ? ORDER BY created_at DESC, id DESC LIMIT 1',
+            [onboardingId]
+        );
+        return rows[0] || null;
+    }
+
+    // Most recent check, flagged current when it was made against the bank
+    // details now on the form
+    static async getLatest(onboardingId) {
+        const latest = await this.getLatestRow(onboardingId);
+
+        if (!latest) {
+            return null;
+        }
+
+        return { ...formatVerification(latest), current: this.isCurrent(latest, await this.getForm(onboardingId)) };
+    }
+
+    // Every check for a form, newest first
+    static async listVerifications(onboardingId) {
+        const connection = getConnection();
+        const [rows] = await connection.execute(
+            'SELECT * FROM bank_verifications WHERE vendor_onboarding_id = ? ORDER BY created_at DESC, id DESC',
+            [onboardingId]
+        );
+        return rows.map(formatVerification);
+    }
+
+    // Why the vendor cannot be given final approval yet, or null if the bank
+    // account on the form is verified
+    static async getApprovalBlocker(onboardingId) {
+        if (!VERIFICATION_REQUIRED) {
+            return null;
+        }
+
+        const form = onboardingId ? await this.getForm(onboardingId) : null;
+
+        if (!form?.account_no || !form?.ifsc_code) {
+            return 'Bank details must be provided and verified before final approval';
+        }
+
+        const latest = await this.getLatestRow(onboardingId);
+
+        if (!latest || !this.isCurrent(latest, form)) {
+            return 'The bank account must be verified before final approval';
+        }
+
+        if (latest.status !== 'verified') {
+            return `The bank account must be verified before final approval (last check: ${latest.status.replace('_', ' ')})`;
+        }
+
+        return null;
+    }
+}
+
+module.exports = BankVerificationService;
@@ -1,5 +1,8 @@
 const { getConnection } = require('../config/database');
 const OTPService = require('./otpService');
+const TokenService = require('./tokenService');
+const SessionService = require('./sessionService');
+const ProductImportService = require('./productImportService');
 const Logger = require('../utils/logger');
 
 class CleanupService {
@@ -17,6 +20,16 @@ class CleanupService {
         }
     }
 
+    // Clean expired refresh tokens
+    static async cleanExpiredRefreshTokens() {
+        try {
+            return await TokenService.cleanExpiredTokens();
+        } catch (error) {
+            Logger.error('Error cleaning expired refresh tokens:', error);
+            throw error;
+        }
+    }
+
     // Clean old activity logs (older than 90 days)
     static async cleanOldActivityLogs() {
         try {
@@ -39,6 +52,28 @@ class CleanupService {
         }
     }
 
+    // Clean old notification delivery records (older than 90 days)
+    static async cleanOldNotificationDeliveries() {
+        try {
+            const connection = getConnection();
+            const ninetyDaysAgo = new Date(Date.now() - 90 * 24 * 60 * 60 * 1000);
+
+            const [result] = await connection.execute(
+                'DELETE FROM notification_deliveries WHERE created_at < ?',
+                [ninetyDaysAgo]
+            );
+
+            if (result.affectedRows > 0) {
+                Logger.info(`Cleaned ${result.affectedRows} old notification deliveries`);
+            }
+
+            return result.affectedRows;
+        } catch (error) {
+            Logger.error('Error cleaning old notification deliveries:', error);
+            throw error;
+        }
+    }
+
     // Clean orphaned file records (files without corresponding S3 objects)
     static async cleanOrphanedFileRecords() {
         try {
@@ -66,26 +101,33 @@ class CleanupService {
         }
     }
 
-    // Clean inactive user sessions (this would be more relevant if you store sessions in DB)
+    // End idle user sessions and purge old ended ones
     static async cleanInactiveSessions() {
         try {
-            // Placeholder for session cleanup
-            // In a real implementation, you might have a sessions table to clean
-            Logger.debug('Session cleanup completed (placeholder)');
-            return 0;
+            return await SessionService.cleanInactiveSessions();
         } catch (error) {
             Logger.error('Error cleaning inactive sessions:', error);
             throw error;
         }
     }
 
+    // Fail product imports cut off by a server restart
+    static async cleanInterruptedImports() {
+        try {
+            return await ProductImportService.failInterruptedJobs();
+        } catch (error) {
+            Logger.error('Error failing interrupted product imports:', error);
+            throw error;
+        }
+    }
+
     // Optimize database tables
     static async optimizeTables() {
         try {
             const connection = getConnection();
             const tables = [
-                'users', 'otps', 'vendor_profiles', 'vendor_onboarding',
-                'vendor_products', 'file_uploads', 'activity_logs'
+                'users', 'otps', 'refresh_tokens', 'user_sessions', 'vendor_profiles', 'vendor_onboarding',
+                'vendor_products', 'file_uploads', 'activity_logs', 'notification_deliveries'
             ];
 
             for (const table of tables) {
@@ -106,9 +148,12 @@ class CleanupService {
 
         const results = {
             expiredOTPs: 0,
+            expiredRefreshTokens: 0,
             oldActivityLogs: 0,
+            oldNotificationDeliveries: 0,
             orphanedFiles: 0,
             inactiveSessions: 0,
+            interruptedImports: 0,
             optimizedTables: 0,
             errors: []
         };
@@ -119,12 +164,24 @@ class CleanupService {
             results.errors.push('cleanExpiredOTPs: ' + error.message);
         }
 
+        try {
+            results.expiredRefreshTokens = await this.cleanExpiredRefreshTokens();
+        } catch (error) {
+            results.errors.push('cleanExpiredRefreshTokens: ' + error.message);
+        }
+
         try {
             results.oldActivityLogs = await this.cleanOldActivityLogs();
         } catch (error) {
             results.errors.push('cleanOldActivityLogs: ' + error.message);
         }
 
+        try {
+            results.oldNotificationDeliveries = await this.cleanOldNotificationDeliveries();
+        } catch (error) {
+            results.errors.push('cleanOldNotificationDeliveries: ' + error.message);
+        }
+
         try {
             results.orphanedFiles = await this.cleanOrphanedFileRecords();
         } catch (error) {
@@ -137,13 +194,19 @@ class CleanupService {
             results.errors.push('cleanInactiveSessions: ' + error.message);
         }
 
+        try {
+            results.interruptedImports = await this.cleanInterruptedImports();
+        } catch (error) {
+            results.errors.push('cleanInterruptedImports: ' + error.message);
+        }
+
         try {
             results.optimizedTables = await this.optimizeTables();
         } catch (error) {
             results.errors.push('optimizeTables: ' + error.message);
         }
 
-        const totalCleaned = results.expiredOTPs + results.oldActivityLogs + results.orphanedFiles;
+        const totalCleaned = results.expiredOTPs + results.expiredRefreshTokens + results.oldActivityLogs + results.oldNotificationDeliveries + results.orphanedFiles + results.inactiveSessions + results.interruptedImports;
 
         if (results.errors.length === 0) {
             Logger.success(`Cleanup completed successfully. Total items cleaned: ${totalCleaned}`);
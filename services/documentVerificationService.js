@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+const { getConnection } = require('../config/database');
+const Helpers = require('../utils/helpers');
+
+// Duplicate matching compares stored Aadhaar tokens, so production needs a
+// key of its own that is never rotated with anything else
+if (process.env.NODE_ENV === 'production' && !process.env.AADHAAR_TOKEN_SECRET) {
+    throw new Error('Missing AADHAAR_TOKEN_SECRET in environment variables');
+}
+
+// file_uploads.document_type values
+const DOCUMENT_TYPES = ['gstin', 'pan', 'aadhar', 'bank_statement', 'license', 'certificate', 'other'];
+
+// Reviewer decisions on an uploaded document
+const DOCUMENT_STATUSES = ['pending', 'verified', 'rejected'];
+
+// Shape a file_uploads row for the reviewer's document list
+const formatDocument = (row) => ({
+    id: row.id,
+    onboardingId: row.vendor_onboarding_id,
+    documentType: row.document_type,
+    category: row.category,
+    originalName: row.original_name,
+    mimeType: row.mime_type,
+    fileSize: row.file_size,
+    status: row.verification_status,
+    notes: row.verification_notes,
+    verifiedBy: row.verified_by,
+    verifiedAt: row.verified_at,
+    uploadedAt: row.created_at
+});
+
+class DocumentVerificationService {
+    static get documentTypes() {
+        return DOCUMENT_TYPES;
+    }
+
+    static get statuses() {
+        return DOCUMENT_STATUSES;
+    }
+
+    // The reference token lets two forms with the same Aadhaar number be
+    // matched without storing it. Changing the secret changes every token.
+    static aadhaarReference(aadhaarNumber) {
+        const secret = process.env.AADHAAR_TOKEN_SECRET;
+
+        if (!secret) {
+            throw new Error('Aadhaar token secret not configured. Please set AADHAAR_TOKEN_SECRET');
+        }
+
+        const digits = String(aadhaarNumber).replace(/\D/g, '');
+        return crypto.createHmac('sha256', secret).update(`aadhaar:${digits}`).digest('hex');
+    }
+
+    // What vendor_onboarding stores for an Aadhaar number: the last 4 digits
+    // and the reference token
+    static protectAadhaar(aadhaarNumber) {
+        const digits = String(aadhaarNumber).replace(/\D/g, '');
+        return {
+            last4: digits.slice(-4),
+            reference: this.aadhaarReference(digits),
+            masked: Helpers.maskAadhaar(digits)
+        };
+    }
+
+    // The user's PAN card upload: the given file, or their latest upload with
+    // document type pan. Returns null if there is none.
+    static async findPanDocument(userId, documentId = null) {
+        const connection = getConnection();
+
+        if (documentId) {
+            const [files] = await connection.execute(
+                "SELECT id, vendor_onboarding_id FROM file_uploads WHERE id = ? AND user_id = ? AND document_type = 'pan'",
+                [documentId, userId]
+            );
+            return files[0] || null;
+        }
+
+        const [files] = await connection.execute(`
+            SELECT id, vendor_onboarding_id FROM file_uploads
+            WHERE user_id = ? AND document_type = 'pan' AND upload_status = 'completed'
+            ORDER BY created_at DESC, id DESC LIMIT 1
+        `, [userId]);
+        return files[0] || null;
+    }
+
+    static async getDocument(fileId) {
+        const connection = getConnection();
+        const [files] = await connection.execute('SELECT * FROM file_uploads WHERE id = ?', [fileId]);
+        return files.length > 0 ? formatDocument(files[0]) : null;
+    }
+
+    // Documents uploaded for an onboarding form, with the identity fields
+    // they back up
+    static async listDocuments(onboardingId) {
+        const connection = getConnection();
+        const [forms] = await connection.execute(
+            'SELECT user_id, pan_number, pan_document_id, aadhaar_last4, aadhaar_reference FROM vendor_onboarding WHERE id = ?',
+            [onboardingId]
+        );
+
+        if (forms.length === 0) {
+            return null;
+        }
+
+        const [files] = await connection.execute(`
+            SELECT * FROM file_uploads
+            WHERE vendor_onboarding_id = ? OR (user_id = ? AND vendor_onboarding_id IS NULL)
+            ORDER BY created_at DESC, id DESC
+        `, [onboardingId, forms[0].user_id]);
+
+        const form = forms[0];
+        const documents = files.map(formatDocument);
+        const summary = Object.fromEntries(DOCUMENT_STATUSES.map(status => [status, 0]));
+        documents.forEach(document => { summary[document.status] = (summary[document.status] || 0) + 1; });
+
+        return {
+            pan: {
+                number: form.pan_number,
+                documentId: form.pan_document_id,
+                documentStatus: documents.find(document => document.id === form.pan_document_id)?.status || null
+            },
+            aadhaar: form.aadhaar_last4
+                ? { masked: `XXXX XXXX ${form.aadhaar_last4}`, reference: form.aadhaar_reference }
+                : null,
+            documents,
+            summary
+        };
+    }
+
+    // Record a reviewer's decision on one document. Setting it back to
+    // pending clears the previous decision.
+    static async setStatus(fileId, status, { actorId, notes = null, ipAddress = null, sessionId = null, io = null }) {
+        const connection = getConnection();
+        const [files] = await connection.execute('SELECT * FROM file_uploads WHERE id = ?', [fileId]);
+
+        if (files.length === 0) {
+            throw new Error('Document not found');
+        }
+
+        const file = files[0];
+        const decided = status !== 'pending';
+
+        await connection.execute(`
+            UPDATE file_uploads
+            SET verification_status = ?, verification_notes = ?, is_verified = ?, verified_by = ?, verified_at = ${decided ? 'CURRENT_TIMESTAMP' : 'NULL'}
+            WHERE id = ?
+        `, [status, notes, status === 'verified', decided ? actorId : null, fileId]);
+
+        await connection.execute(`
+            INSERT INTO activity_logs
+            (user_id, session_id, action, action_category, action_type, target_type, target_id, target_identifier,
+             description, old_values, new_values, ip_address, severity)
+            VALUES (?, ?, 'DOCUMENT_VERIFICATION_UPDATED', 'file', 'update', 'file_upload', ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            actorId,
+            sessionId,
+            fileId,
+            file.document_type || file.original_name,
+            `Marked ${file.document_type || 'document'} ${file.original_name} ${status}`,
+            JSON.stringify({ status: file.verification_status, notes: file.verification_notes }),
+            JSON.stringify({ status, notes }),
+            ipAddress,
+            status === 'rejected' ? 'medium' : 'low'
+        ]);
+
+        const document = await this.getDocument(fileId);
+        const event = {
+            fileId: document.id,
+            onboardingId: document.onboardingId,
+            documentType: document.documentType,
+            status: document.status,
+            notes: document.notes,
+            timestamp: new Date().toISOString()
+        };
+
+        io?.to(`user_${file.user_id}`).emit('document_verification_updated', event);
+        io?.to('admin_room').emit('document_verification_updated', { ...event, userId: file.user_id });
+
+        return document;
+    }
+}
+
+module.exports = DocumentVerificationService;
@@ -0,0 +1,426 @@
+const { getConnection } = require('../config/database');
+const VendorLifecycleService = require('./vendorLifecycleService');
+const UserManagementService = require('./userManagementService');
+const SessionService = require('./sessionService');
+const Helpers = require('../utils/helpers');
+
+// vendor_duplicate_flags.status values
+const FLAG_STATUSES = ['open', 'linked', 'merged', 'dismissed'];
+
+// Ways two vendors can look like the same business. The first three are
+// exact; name_pincode compares entity names registered at the same PIN code.
+const MATCH_TYPES = ['gstin', 'bank_account', 'pan', 'name_pincode'];
+
+// Entity names at the same PIN code must match at least this well
+const NAME_MATCH_THRESHOLD = parseFloat(process.env.DUPLICATE_NAME_MATCH_THRESHOLD) || 0.85;
+
+const normalizeAccount = (accountNumber) => String(accountNumber || '').replace(/\s/g, '');
+
+const maskAccount = (accountNumber) => (accountNumber.length <= 4 ? accountNumber : `XXXX${accountNumber.slice(-4)}`);
+
+// A business registering again often drops or adds its legal form
+// ("Acme Traders" for "Acme Traders Pvt Ltd"), so names are compared without it
+const withoutLegalForm = (name) => Helpers.normalizeBusinessName(name).replace(/\b(pvt|ltd|llp|opc|inc|co)\b/g, ' ').trim();
+
+// What a vendor is compared on: identifiers from the onboarding form and the
+// names and PIN codes from both the registration and the form
+const VENDOR_SELECT = `
+    SELECT vp.id as vendor_id, vp.user_id, vp.entity_name, vp.pincode, vp.status, vp.merged_into_vendor_id,
+           vo.name_of_entity, vo.reg_pincode, vo.gstin_number, vo.account_no, vo.ifsc_code, vo.pan_number
+    FROM vendor_profiles vp
+    LEFT JOIN vendor_onboarding vo ON vo.user_id = vp.user_id
+`;
+
+const identifiersOf = (row) => {
+    const accountNumber = normalizeAccount(row.account_no);
+    const ifsc = String(row.ifsc_code || '').trim().toUpperCase();
+
+    return {
+        gstin: String(row.gstin_number || '').trim().toUpperCase() || null,
+        bankAccount: accountNumber && ifsc ? { accountNumber, ifsc } : null,
+        pan: String(row.pan_number || '').trim().toUpperCase() || null,
+        names: [...new Set([row.entity_name, row.name_of_entity].filter(Boolean))],
+        pincodes: [...new Set([row.pincode, row.reg_pincode].filter(Boolean).map(String))]
+    };
+};
+
+// Everything two vendors share, as [{ type, value, score }]
+const findMatches = (vendor, candidate) => {
+    const matches = [];
+
+    if (vendor.gstin && vendor.gstin === candidate.gstin) {
+        matches.push({ type: 'gstin', value: vendor.gstin, score: 1 });
+    }
+
+    if (vendor.bankAccount && candidate.bankAccount &&
+        vendor.bankAccount.accountNumber === candidate.bankAccount.accountNumber &&
+        vendor.bankAccount.ifsc === candidate.bankAccount.ifsc) {
+        matches.push({
+            type: 'bank_account',
+            value: `${maskAccount(vendor.bankAccount.accountNumber)} / ${vendor.bankAccount.ifsc}`,
+            score: 1
+        });
+    }
+
+    if (vendor.pan && vendor.pan === candidate.pan) {
+        matches.push({ type: 'pan', value: vendor.pan, score: 1 });
+    }
+
+    const pincode = vendor.pincodes.find(value => candidate.pincodes.includes(value));
+
+    if (pincode) {
+        let best = { score: 0 };
+
+        for (const name of vendor.names) {
+            for (const other of candidate.names) {
+                const score = Helpers.nameMatchScore(withoutLegalForm(name), withoutLegalForm(other));
+                if (score > best.score) {
+                    best = { score, name: other };
+                }
+            }
+        }
+
+        if (best.score >= NAME_MATCH_THRESHOLD) {
+            matches.push({ type: 'name_pincode', value: `${best.name} / ${pincode}`, score: Math.round(best.score * 100) / 100 });
+        }
+    }
+
+    return matches;
+};
+
+// Shape a flag row, joined with both vendors, for API responses
+const formatFlag = (row) => ({
+    id: row.id,
+    status: row.status,
+    score: Number(row.score),
+    matches: Helpers.parseJson(row.matches) || [],
+    detectedOn: row.detected_on,
+    detectedForVendorId: row.detected_for_vendor_id,
+    vendors: [
+        { vendorId: row.vendor_profile_id, entityName: row.vendor_entity_name, phone: row.vendor_phone, status: row.vendor_status },
+        { vendorId: row.matched_vendor_profile_id, entityName: row.matched_entity_name, phone: row.matched_phone, status: row.matched_status }
+    ],
+    keptVendorId: row.kept_vendor_profile_id,
+    resolvedBy: row.resolved_by,
+    resolvedAt: row.resolved_at,
+    notes: row.resolution_notes,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+});
+
+const FLAG_SELECT = `
+    SELECT f.*,
+           a.entity_name as vendor_entity_name, a.status as vendor_status, ua.phone as vendor_phone,
+           b.entity_name as matched_entity_name, b.status as matched_status, ub.phone as matched_phone
+    FROM vendor_duplicate_flags f
+    JOIN vendor_profiles a ON a.id = f.vendor_profile_id
+    JOIN users ua ON ua.id = a.user_id
+    JOIN vendor_profiles b ON b.id = f.matched_vendor_profile_id
+    JOIN users ub ON ub.id = b.user_id
+`;
+
+class DuplicateDetectionService {
+    static get statuses() {
+        return FLAG_STATUSES;
+    }
+
+    static get matchTypes() {
+        return MATCH_TYPES;
+    }
+
+    // Compare a vendor with every other vendor that has not been merged away
+    // and flag the pairs that look like the same business. A pair is flagged
+    // once; new matches are added to its flag, and a dismissed pair is only
+    // reopened when a new kind of match turns up. Returns the new or reopened
+    // flags.
+    static async checkVendor(vendorId, { detectedOn, io = null }) {
+        const connection = getConnection();
+        const [rows] = await connection.execute(`${VENDOR_SELECT} WHERE vp.id = ?`, [vendorId]);
+
+        if (rows.length === 0 || rows[0].merged_into_vendor_id) {
+            return [];
+        }
+
+        const vendor = identifiersOf(rows[0]);
+        const conditions = [];
+        const params = [];
+
+        if (vendor.gstin) {
+            conditions.push('UPPER(TRIM(vo.gstin_number)) = ?');
+            params.push(vendor.gstin);
+        }
+        if (vendor.bankAccount) {
+            conditions.push("(REPLACE(vo.account_no, ' ', '') = ? AND UPPER(TRIM(vo.ifsc_code)) = ?)");
+            params.push(vendor.bankAccount.accountNumber, vendor.bankAccount.ifsc);
+        }
+        if (vendor.pan) {
+            conditions.push('UPPER(TRIM(vo.pan_number)) = ?');
+            params.push(vendor.pan);
+        }
+        if (vendor.pincodes.length > 0) {
+            const placeholders = vendor.pincodes.map(() => '?').join(', ');
+            conditions.push(`(vp.pincode IN (${placeholders}) OR vo.reg_pincode IN (${placeholders}))`);
+            params.push(...vendor.pincodes, ...vendor.pincodes);
+        }
+
+        if (conditions.length === 0) {
+            return [];
+        }
+
+        const [candidates] = await connection.execute(`
+            ${VENDOR_SELECT}
+            WHERE vp.id <> ? AND vp.merged_into_vendor_id IS NULL AND (${conditions.join(' OR ')})
+        `, [vendorId, ...params]);
+
+        const flagged = [];
+
+        for (const candidate of candidates) {
+            const matches = findMatches(vendor, identifiersOf(candidate));
+
+            if (matches.length > 0) {
+                const flag = await this.recordMatches(vendorId, candidate.vendor_id, matches, detectedOn);
+                if (flag) {
+                    flagged.push(flag);
+                }
+            }
+        }
+
+        if (flagged.length > 0) {
+            await connection.execute(`
+                INSERT INTO activity_logs
+                (user_id, action, action_category, action_type, target_type, target_id, target_identifier,
+                 description, new_values, severity)
+                VALUES (?, 'DUPLICATE_VENDOR_FLAGGED', 'vendor', 'create', 'vendor', ?, ?, ?, ?, 'medium')
+            `, [
+                rows[0].user_id,
+                vendorId,
+                rows[0].entity_name,
+                `Vendor ${rows[0].entity_name || vendorId} looks like ${flagged.length} existing vendor(s)`,
+                JSON.stringify(flagged.map(flag => ({ flagId: flag.flagId, matchedVendorId: flag.matchedVendorId, matchTypes: flag.matchTypes })))
+            ]);
+
+            io?.to('admin_room').emit('duplicate_vendor_flagged', {
+                vendorId,
+                entityName: rows[0].entity_name,
+                detectedOn,
+                flags: flagged,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        return flagged;
+    }
+
+    // Create or update the flag for a pair. Returns a summary when the flag
+    // is new or reopened, otherwise null.
+    static async recordMatches(vendorId, otherVendorId, matches, detectedOn) {
+        const connection = getConnection();
+        const [low, high] = vendorId < otherVendorId ? [vendorId, otherVendorId] : [otherVendorId, vendorId];
+        const [existing] = await connection.execute(
+            'SELECT id, status, matches FROM vendor_duplicate_flags WHERE vendor_profile_id = ? AND matched_vendor_profile_id = ?',
+            [low, high]
+        );
+        const score = Math.max(...matches.map(match => match.score));
+        const summary = (flagId) => ({ flagId, matchedVendorId: otherVendorId, matchTypes: matches.map(match => match.type), score });
+
+        if (existing.length === 0) {
+            const [insert] = await connection.execute(`
+                INSERT INTO vendor_duplicate_flags
+                (vendor_profile_id, matched_vendor_profile_id, matches, score, detected_on, detected_for_vendor_id)
+                VALUES (?, ?, ?, ?, ?, ?)
+            `, [low, high, JSON.stringify(matches), score, detectedOn, vendorId]);
+            return summary(insert.insertId);
+        }
+
+        const flag = existing[0];
+        const previous = Helpers.parseJson(flag.matches) || [];
+        const merged = [...previous.filter(match => !matches.some(next => next.type === match.type)), ...matches];
+        const newType = matches.some(match => !previous.some(old => old.type === match.type));
+        const reopen = flag.status === 'dismissed' && newType;
+
+        if (flag.status !== 'open' && !reopen) {
+            return null;
+        }
+
+        await connection.execute(`
+            UPDATE vendor_duplicate_flags
+            SET matches = ?, score = ?, detected_on = ?, detected_for_vendor_id = ?
+                ${reopen ? ", status = 'open', resolved_by = NULL, resolved_at = NULL, resolution_notes = NULL" : ''}
+            WHERE id = ?
+        `, [JSON.stringify(merged), Math.max(...merged.map(match => match.score)), detectedOn, vendorId, flag.id]);
+
+        return reopen || newType ? summary(flag.id) : null;
+    }
+
+    static async getFlag(flagId) {
+        const connection = getConnection();
+        const [rows] = await connection.execute(`${FLAG_SELECT} WHERE f.id = ?`, [flagId]);
+        return rows.length > 0 ? formatFlag(rows[0]) : null;
+    }
+
+    // Every flag involving a vendor, open ones first
+    static async listForVendor(vendorId) {
+        const connection = getConnection();
+        const [rows] = await connection.execute(`
+            ${FLAG_SELECT}
+            WHERE f.vendor_profile_id = ? OR f.matched_vendor_profile_id = ?
+            ORDER BY f.status = 'open' DESC, f.score DESC, f.created_at DESC
+        `, [vendorId, vendorId]);
+        return rows.map(formatFlag);
+    }
+
+    // Flags with a status, strongest matches first
+    static async listFlags({ status = 'open', page = 1, limit = 20 } = {}) {
+        const connection = getConnection();
+        const offset = (page - 1) * limit;
+        const [rows] = await connection.execute(`
+            ${FLAG_SELECT}
+            WHERE f.status = ?
+            ORDER BY f.score DESC, f.created_at DESC
+            LIMIT ? OFFSET ?
+        `, [status, limit, offset]);
+        const [count] = await connection.execute(
+            'SELECT COUNT(*) as total FROM vendor_duplicate_flags WHERE status = ?',
+            [status]
+        );
+
+        return {
+            flags: rows.map(formatFlag),
+            pagination: {
+                page,
+                limit,
+                total: count[0].total,
+                pages: Math.ceil(count[0].total / limit)
+            }
+        };
+    }
+
+    // Close an open flag. link records the vendors as related businesses that
+    // both stay active; dismiss records that they are not the same business;
+    // merge keeps one vendor and retires the other: it is rejected if its
+    // review is still open, marked merged into the kept vendor and its account
+    // is deactivated. Returns the flag and, for a merge, the retired vendor.
+    static async resolve(flagId, action, { keepVendorId = null, actorId, notes = null, ipAddress = null, sessionId = null, io = null }) {
+        const connection = getConnection();
+        const flag = await this.getFlag(flagId);
+
+        if (!flag) {
+            throw new Error('Duplicate flag not found');
+        }
+
+        if (flag.status !== 'open') {
+            throw new Error(`This flag has already been ${flag.status}`);
+        }
+
+        let duplicate = null;
+        let reason = null;
+
+        if (action === 'merge') {
+            const ids = flag.vendors.map(vendor => vendor.vendorId);
+
+            if (!ids.includes(keepVendorId)) {
+                throw new Error(`The vendor to keep must be one of ${ids.join(' or ')}`);
+            }
+
+            duplicate = await VendorLifecycleService.getVendor(ids.find(id => id !== keepVendorId));
+
+            if (duplicate.state === 'approved') {
+                throw new Error('An approved vendor cannot be merged away. Suspend it first or keep it instead');
+            }
+
+            reason = `Duplicate of vendor #${keepVendorId}${notes ? `. ${notes}` : ''}`;
+        }
+
+        const status = { link: 'linked', merge: 'merged', dismiss: 'dismissed' }[action];
+        let retired = null;
+        let transition = null;
+
+        // A merge rejects, marks and deactivates the duplicate and closes the
+        // flag; all of it is saved or none of it is
+        const db = await connection.getConnection();
+
+        try {
+            await db.beginTransaction();
+
+            if (duplicate) {
+                if (VendorLifecycleService.getTransition(duplicate.state, 'rejected')) {
+                    transition = await VendorLifecycleService.transition(duplicate, 'rejected', { actorId, reason, ipAddress, sessionId, db });
+                }
+
+                await db.execute(
+                    'UPDATE vendor_profiles SET merged_into_vendor_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                    [keepVendorId, duplicate.vendorId]
+                );
+                await UserManagementService.deactivateUser(duplicate.userId, actorId, db);
+                const revokedSessionIds = await SessionService.revokeAllSessions(duplicate.userId, {
+                    reason: 'deactivated',
+                    revokedBy: actorId,
+                    db
+                });
+
+                retired = { vendorId: duplicate.vendorId, userId: duplicate.userId, revokedSessions: revokedSessionIds.length };
+            }
+
+            const [result] = await db.execute(`
+                UPDATE vendor_duplicate_flags
+                SET status = ?, kept_vendor_profile_id = ?, resolved_by = ?, resolved_at = CURRENT_TIMESTAMP, resolution_notes = ?
+                WHERE id = ? AND status = 'open'
+            `, [status, action === 'merge' ? keepVendorId : null, actorId, notes, flagId]);
+
+            if (result.affectedRows === 0) {
+                throw new Error('This flag has already been resolved');
+            }
+
+            await db.execute(`
+                INSERT INTO activity_logs
+                (user_id, session_id, action, action_category, action_type, target_type, target_id, target_identifier,
+                 description, old_values, new_values, ip_address, severity)
+                VALUES (?, ?, 'DUPLICATE_VENDOR_RESOLVED', 'vendor', 'update', 'vendor_duplicate_flag', ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                actorId,
+                sessionId,
+                flagId,
+                flag.vendors.map(vendor => vendor.vendorId).join(','),
+                `Marked vendors ${flag.vendors.map(vendor => vendor.entityName || vendor.vendorId).join(' and ')} ${status}` +
+                    (retired ? `, keeping vendor #${keepVendorId}` : ''),
+                JSON.stringify({ status: flag.status }),
+                JSON.stringify({ status, keptVendorId: action === 'merge' ? keepVendorId : null, notes }),
+                ipAddress,
+                action === 'merge' ? 'high' : 'low'
+            ]);
+
+            await db.commit();
+        } catch (error) {
+            await db.rollback();
+            throw error;
+        } finally {
+            db.release();
+        }
+
+        if (transition) {
+            await VendorLifecycleService.announce(transition.vendor, {
+                from: transition.from,
+                to: transition.to,
+                action: transition.action,
+                actorId,
+                reason,
+                io
+            });
+        }
+
+        const resolved = await this.getFlag(flagId);
+
+        io?.to('admin_room').emit('duplicate_vendor_resolved', {
+            flagId,
+            status,
+            vendorIds: resolved.vendors.map(vendor => vendor.vendorId),
+            keptVendorId: resolved.keptVendorId,
+            resolvedBy: actorId,
+            timestamp: new Date().toISOString()
+        });
+
+        return { flag: resolved, retired };
+    }
+}
+
+module.exports = DuplicateDetectionService;
@@ -0,0 +1,32 @@
+/**
+ * Email layout
+ * Message text comes from the localized template registry (services/templates);
+ * this wraps the rendered, HTML-escaped body in the branded email frame.
+ */
+
+const layout = (content) => `
+<!DOCTYPE html>
+<html>
+<body style="margin:0;padding:24px;background:#f4f6f8;font-family:Arial,Helvetica,sans-serif;color:#1f2933;">
+    <table role="presentation" width="100%" cellspacing="0" cellpadding="0" style="max-width:520px;margin:0 auto;background:#ffffff;border-radius:8px;">
+        <tr>
+            <td style="padding:24px 32px;border-bottom:1px solid #e4e7eb;font-size:18px;font-weight:bold;color:#2f855a;">
+                Milkano Agro India
+            </td>
+        </tr>
+        <tr>
+            <td style="padding:24px 32px;font-size:15px;line-height:1.6;">
+                ${content}
+            </td>
+        </tr>
+        <tr>
+            <td style="padding:16px 32px;border-top:1px solid #e4e7eb;font-size:12px;color:#7b8794;">
+                This is an automated message. Please do not reply.
+            </td>
+        </tr>
+    </table>
+</body>
+</html>
+`;
+
+module.exports = { layout };
@@ -0,0 +1,109 @@
+const nodemailer = require('nodemailer');
+const { layout } = require('./email/templates');
+const MessageTemplateService = require('./messageTemplateService');
+const Logger = require('../utils/logger');
+
+let transporter = null;
+
+// SMTP transport. Outside production it defaults to a local SMTP sink
+// (MailHog, smtp4dev, ...) on localhost:1025 when SMTP_HOST is not set.
+function initializeTransporter() {
+    if (!transporter) {
+        const isProduction = process.env.NODE_ENV === 'production';
+        const host = process.env.SMTP_HOST || (isProduction ? null : 'localhost');
+
+        if (!host) {
+            throw new Error('SMTP not configured. Please set SMTP_HOST, SMTP_PORT, SMTP_USER and SMTP_PASS');
+        }
+
+        const options = {
+            host,
+            port: parseInt(process.env.SMTP_PORT) || (process.env.SMTP_HOST ? 587 : 1025),
+            secure: process.env.SMTP_SECURE === 'true'
+        };
+
+        if (process.env.SMTP_USER) {
+            options.auth = {
+                user: process.env.SMTP_USER,
+                pass: process.env.SMTP_PASS
+            };
+        }
+
+        transporter = nodemailer.createTransport(options);
+    }
+
+    return transporter;
+}
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// Paragraphs of plain text as HTML
+const textToHtml = (text) => text
+    .split(/\n{2,}/)
+    .map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`)
+    .join('\n');
+
+class EmailService {
+    // Render a message template into { subject, text, html } in the given locale
+    static async renderTemplate(name, variables = {}, locale = null) {
+        const { subject, body } = await MessageTemplateService.render(name, locale, variables);
+
+        return {
+            subject: subject || 'Milkano Agro India',
+            text: body,
+            html: layout(textToHtml(body))
+        };
+    }
+
+    // Send a rendered template to one recipient
+    static async sendTemplate(name, to, variables = {}, locale = null) {
+        const { subject, text, html } = await this.renderTemplate(name, variables, locale);
+        return await this.send({ to, subject, text, html });
+    }
+
+    // Send an email; returns { provider, messageId, status } like the SMS providers
+    static async send({ to, subject, text, html }) {
+        const transport = initializeTransporter();
+
+        try {
+            const info = await transport.sendMail({
+                from: process.env.EMAIL_FROM || 'Milkano Agro India <no-reply@milkanoagro.com>',
+                to,
+                subject,
+                text,
+                html
+            });
+
+            return { provider: 'smtp', messageId: info.messageId, status: 'sent' };
+
+        } catch (error) {
+            Logger.error(`Email to ${to} failed`, error);
+            const sendError = new Error(`Email delivery failed: ${error.message}`);
+            sendError.provider = 'smtp';
+            throw sendError;
+        }
+    }
+
+    // Check the SMTP connection and credentials
+    static async verifyConfig() {
+        const transport = initializeTransporter();
+        await transport.verify();
+        return true;
+    }
+
+    // Mask an address for responses, e.g. r***a@example.com
+    static maskEmail(email) {
+        const [local, domain] = email.split('@');
+        if (!domain) return email;
+
+        const visible = local.length <= 2 ? local[0] : `${local[0]}***${local[local.length - 1]}`;
+        return `${visible}@${domain}`;
+    }
+}
+
+module.exports = EmailService;
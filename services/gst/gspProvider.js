@@ -0,0 +1,69 @@
+const GstProvider = require('./gstProvider');
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+// Taxpayer search through a GST Suvidha Provider (GSP) API. The response
+// carries the GST portal's fields: lgnm, tradeNam, sts, rgdt and gstin.
+class GspProvider extends GstProvider {
+    constructor() {
+        super('gsp');
+    }
+
+    isConfigured() {
+        return !!(process.env.GST_API_URL && process.env.GST_API_KEY);
+    }
+
+    async lookup(gstin) {
+        if (!this.isConfigured()) {
+            throw this.createError(`GST provider '${this.name}' is not configured`, { retryable: true });
+        }
+
+        let response;
+        try {
+            response = await fetch(`${process.env.GST_API_URL.replace(/\/$/, '')}/taxpayers/${encodeURIComponent(gstin)}`, {
+                headers: {
+                    Accept: 'application/json',
+                    'x-api-key': process.env.GST_API_KEY
+                },
+                signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+            });
+        } catch (error) {
+            throw this.createError(`GST lookup failed: ${this.name} unreachable (${error.message})`, { retryable: true });
+        }
+
+        if (response.status === 404) {
+            return null;
+        }
+
+        let payload = null;
+        try {
+            payload = await response.json();
+        } catch (error) {
+            payload = null;
+        }
+
+        if (response.status >= 400 || !payload) {
+            throw this.createError(`GST lookup failed: ${payload?.message || `HTTP ${response.status}`} (Code: gsp-${response.status})`, {
+                code: `gsp-${response.status}`,
+                retryable: response.status >= 500 || [401, 403, 429].includes(response.status)
+            });
+        }
+
+        const record = payload.data || payload;
+
+        if (!record.gstin && !record.lgnm) {
+            return null;
+        }
+
+        return {
+            gstin: String(record.gstin || gstin).toUpperCase(),
+            legalName: record.lgnm || null,
+            tradeName: record.tradeNam || null,
+            status: GstProvider.normalizeStatus(record.sts),
+            stateCode: String(record.gstin || gstin).substring(0, 2),
+            registrationDate: GstProvider.parseDate(record.rgdt)
+        };
+    }
+}
+
+module.exports = GspProvider;
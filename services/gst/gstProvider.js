@@ -0,0 +1,52 @@
+/**
+ * Base GST lookup provider
+ * Every provider implements lookup(gstin) and returns
+ * { gstin, legalName, tradeName, status, stateCode, registrationDate },
+ * or null when the GSTIN is not registered.
+ */
+class GstProvider {
+    constructor(name) {
+        this.name = name;
+    }
+
+    // Whether the credentials this provider needs are present
+    isConfigured() {
+        return true;
+    }
+
+    // Look up a GSTIN in the taxpayer register
+    async lookup(gstin) {
+        throw new Error(`GST provider '${this.name}' does not implement lookup()`);
+    }
+
+    // Build a lookup error. Retryable errors are problems on the provider's
+    // side (outage, throttling, credentials) where a later attempt may succeed.
+    createError(message, { code = null, retryable = false } = {}) {
+        const error = new Error(message);
+        error.provider = this.name;
+        error.providerCode = code;
+        error.retryable = retryable;
+        return error;
+    }
+
+    // Registers report "Active", "Cancelled", "Suspended", ...
+    static normalizeStatus(status) {
+        return String(status || 'unknown').trim().toLowerCase().replace(/\s+/g, '_');
+    }
+
+    // Registration dates come as dd/mm/yyyy; returns yyyy-mm-dd or null
+    static parseDate(value) {
+        if (!value) {
+            return null;
+        }
+
+        const match = String(value).match(/^(\d{2})[/-](\d{2})[/-](\d{4})$/);
+        if (match) {
+            return `${match[3]}-${match[2]}-${match[1]}`;
+        }
+
+        return /^\d{4}-\d{2}-\d{2}/.test(value) ? String(value).substring(0, 10) : null;
+    }
+}
+
+module.exports = GstProvider;
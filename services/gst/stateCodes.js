@@ -0,0 +1,63 @@
+// GST state codes (the first two digits of a GSTIN) with the names and older
+// spellings a form may use for each state
+const GST_STATE_CODES = {
+    '01': ['Jammu and Kashmir'],
+    '02': ['Himachal Pradesh'],
+    '03': ['Punjab'],
+    '04': ['Chandigarh'],
+    '05': ['Uttarakhand', 'Uttaranchal'],
+    '06': ['Haryana'],
+    '07': ['Delhi', 'New Delhi', 'NCT of Delhi'],
+    '08': ['Rajasthan'],
+    '09': ['Uttar Pradesh'],
+    '10': ['Bihar'],
+    '11': ['Sikkim'],
+    '12': ['Arunachal Pradesh'],
+    '13': ['Nagaland'],
+    '14': ['Manipur'],
+    '15': ['Mizoram'],
+    '16': ['Tripura'],
+    '17': ['Meghalaya'],
+    '18': ['Assam'],
+    '19': ['West Bengal'],
+    '20': ['Jharkhand'],
+    '21': ['Odisha', 'Orissa'],
+    '22': ['Chhattisgarh', 'Chattisgarh'],
+    '23': ['Madhya Pradesh'],
+    '24': ['Gujarat'],
+    '25': ['Daman and Diu'],
+    '26': ['Dadra and Nagar Haveli and Daman and Diu', 'Dadra and Nagar Haveli'],
+    '27': ['Maharashtra'],
+    '29': ['Karnataka'],
+    '30': ['Goa'],
+    '31': ['Lakshadweep'],
+    '32': ['Kerala'],
+    '33': ['Tamil Nadu'],
+    '34': ['Puducherry', 'Pondicherry'],
+    '35': ['Andaman and Nicobar Islands'],
+    '36': ['Telangana'],
+    '37': ['Andhra Pradesh'],
+    '38': ['Ladakh'],
+    '97': ['Other Territory']
+};
+
+// India Post writes some union territories with a leading "The"
+const normalizeState = (name) => String(name || '').toLowerCase().replace(/^\s*the\s+/, '').replace(/&/g, ' and ').replace(/[^a-z]/g, '');
+
+// State code for a state name or code as entered on a form, or null
+const getStateCode = (state) => {
+    const value = String(state || '').trim();
+
+    if (/^\d{1,2}$/.test(value)) {
+        const code = value.padStart(2, '0');
+        return GST_STATE_CODES[code] ? code : null;
+    }
+
+    const normalized = normalizeState(value);
+    return Object.keys(GST_STATE_CODES).find(code =>
+        GST_STATE_CODES[code].some(name => normalizeState(name) === normalized)) || null;
+};
+
+const getStateName = (code) => GST_STATE_CODES[code]?.[0] || null;
+
+module.exports = { GST_STATE_CODES, getStateCode, getStateName };
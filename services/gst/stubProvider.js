@@ -0,0 +1,53 @@
+const fs = require('fs');
+const GstProvider = require('./gstProvider');
+const Logger = require('../../utils/logger');
+
+/**
+ * Local stub - answers lookups from records held in memory instead of the
+ * GST register. Records can be loaded from GST_STUB_FILE (a JSON array of
+ * lookup results) or added with setRecord(); unknown GSTINs are not found.
+ */
+class StubProvider extends GstProvider {
+    constructor() {
+        super('stub');
+        this.records = new Map();
+        this.loadFile(process.env.GST_STUB_FILE);
+    }
+
+    loadFile(filePath) {
+        if (!filePath) {
+            return;
+        }
+
+        try {
+            const records = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            records.forEach(record => this.setRecord(record.gstin, record));
+        } catch (error) {
+            Logger.warning(`Could not load GST stub records from ${filePath}: ${error.message}`);
+        }
+    }
+
+    setRecord(gstin, record) {
+        const key = String(gstin).toUpperCase();
+        this.records.set(key, {
+            gstin: key,
+            legalName: record.legalName || null,
+            tradeName: record.tradeName || null,
+            status: GstProvider.normalizeStatus(record.status || 'active'),
+            stateCode: record.stateCode || key.substring(0, 2),
+            registrationDate: GstProvider.parseDate(record.registrationDate)
+        });
+    }
+
+    clear() {
+        this.records.clear();
+    }
+
+    async lookup(gstin) {
+        const record = this.records.get(String(gstin).toUpperCase());
+        Logger.debug(`STUB - GST lookup for ${gstin}: ${record ? record.status : 'not found'}`);
+        return record ? { ...record } : null;
+    }
+}
+
+module.exports = StubProvider;
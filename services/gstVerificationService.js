@@ -0,0 +1,221 @@
+const { getConnection } = require('../config/database');
+const GspProvider = require('./gst/gspProvider');
+const StubProvider = require('./gst/stubProvider');
+const { getStateCode, getStateName } = require('./gst/stateCodes');
+const Helpers = require('../utils/helpers');
+const Logger = require('../utils/logger');
+
+const providerClasses = {
+    gsp: GspProvider,
+    stub: StubProvider
+};
+
+// One instance per provider so the stub keeps its records
+const instances = {};
+
+// name_of_entity must match the registered legal or trade name at least this well
+const NAME_MATCH_THRESHOLD = parseFloat(process.env.GST_NAME_MATCH_THRESHOLD) || 0.8;
+
+// Shape a gst_verifications row for API responses
+const formatVerification = (row) => ({
+    id: row.id,
+    onboardingId: row.vendor_onboarding_id,
+    gstin: row.gstin,
+    provider: row.provider,
+    status: row.status,
+    legalName: row.legal_name,
+    tradeName: row.trade_name,
+    gstStatus: row.gst_status,
+    stateCode: row.state_code,
+    stateName: getStateName(row.state_code),
+    registrationDate: row.registration_date,
+    nameMatchScore: row.name_match_score === null ? null : Number(row.name_match_score),
+    mismatches: Helpers.parseJson(row.mismatches) || [],
+    error: row.error_message,
+    requestedBy: row.requested_by,
+    checkedAt: row.created_at
+});
+
+class GstVerificationService {
+    // Names of all supported providers
+    static get availableProviders() {
+        return Object.keys(providerClasses);
+    }
+
+    static getProvider(name) {
+        const ProviderClass = providerClasses[name];
+
+        if (!ProviderClass) {
+            throw new Error(`Unknown GST provider '${name}'. Supported: ${this.availableProviders.join(', ')}`);
+        }
+
+        if (!instances[name]) {
+            instances[name] = new ProviderClass();
+        }
+
+        return instances[name];
+    }
+
+    // Provider chosen by GST_PROVIDER. Without it, production uses the GSP API
+    // and everything else the local stub.
+    static getProviderName() {
+        if (process.env.GST_PROVIDER) {
+            return process.env.GST_PROVIDER.toLowerCase();
+        }
+        return process.env.NODE_ENV === 'production' ? 'gsp' : 'stub';
+    }
+
+    // Compare the form with the register entry. Returns the best name match
+    // and the fields that differ.
+    static compare(form, record) {
+        const mismatches = [];
+        const gstin = String(form.gstin_number || '').trim().toUpperCase();
+
+        if (record.gstin !== gstin) {
+            mismatches.push({ field: 'gstin_number', formValue: form.gstin_number, registeredValue: record.gstin });
+        }
+
+        if (form.gstin_reg_no && String(form.gstin_reg_no).trim().toUpperCase() !== record.gstin) {
+            mismatches.push({ field: 'gstin_reg_no', formValue: form.gstin_reg_no, registeredValue: record.gstin });
+        }
+
+        if (record.status !== 'active') {
+            mismatches.push({ field: 'gst_status', formValue: null, registeredValue: record.status });
+        }
+
+        const nameMatchScore = Math.max(
+            Helpers.nameMatchScore(form.name_of_entity, record.legalName),
+            Helpers.nameMatchScore(form.name_of_entity, record.tradeName)
+        );
+
+        if (nameMatchScore < NAME_MATCH_THRESHOLD) {
+            mismatches.push({
+                field: 'name_of_entity',
+                formValue: form.name_of_entity || null,
+                registeredValue: record.legalName,
+                score: nameMatchScore
+            });
+        }
+
+        if (getStateCode(form.reg_state) !== record.stateCode) {
+            mismatches.push({
+                field: 'reg_state',
+                formValue: form.reg_state || null,
+                registeredValue: getStateName(record.stateCode) || record.stateCode
+            });
+        }
+
+        return { nameMatchScore, mismatches };
+    }
+
+    // Look up the form's GSTIN and store how it compares. Lookup failures are
+    // stored as a failed check rather than thrown.
+    static async verifyOnboarding(onboardingId, { requestedBy = null, io = null } = {}) {
+        const connection = getConnection();
+        const [forms] = await connection.execute(
+            'SELECT id, user_id, gstin_number, gstin_reg_no, name_of_entity, reg_state FROM vendor_onboarding WHERE id = ?',
+            [onboardingId]
+        );
+
+        if (forms.length === 0) {
+            throw new Error('Onboarding form not found');
+        }
+
+        const form = forms[0];
+        const gstin = String(form.gstin_number || '').trim().toUpperCase();
+
+        if (!gstin) {
+            throw new Error('The onboarding form has no GSTIN');
+        }
+
+        const providerName = this.getProviderName();
+        const result = { status: 'verified', record: null, nameMatchScore: null, mismatches: [], error: null };
+
+        if (!Helpers.validateGSTIN(gstin)) {
+            result.status = 'invalid';
+            result.error = 'GSTIN is not in the 15 character GST format';
+        } else {
+            try {
+                result.record = await this.getProvider(providerName).lookup(gstin);
+
+                if (!result.record) {
+                    result.status = 'not_found';
+                } else {
+                    Object.assign(result, this.compare(form, result.record));
+                    result.status = result.mismatches.length > 0 ? 'mismatch' : 'verified';
+                }
+            } catch (error) {
+                Logger.error(`GST lookup for onboarding ${onboardingId} failed:`, error.message);
+                result.status = 'failed';
+                result.error = error.message.substring(0, 500);
+            }
+        }
+
+        const { record } = result;
+        const [insert] = await connection.execute(`
+            INSERT INTO gst_verifications
+            (vendor_onboarding_id, gstin, provider, status, legal_name, trade_name, gst_status, state_code,
+             registration_date, name_match_score, mismatches, error_message, requested_by)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            onboardingId,
+            gstin,
+            providerName,
+            result.status,
+            record?.legalName || null,
+            record?.tradeName || null,
+            record?.status || null,
+            record?.stateCode || null,
+            record?.registrationDate || null,
+            result.nameMatchScore,
+            JSON.stringify(result.mismatches),
+            result.error,
+            requestedBy
+        ]);
+
+        await connection.execute(`
+            INSERT INTO activity_logs
+            (user_id, action, action_category, action_type, target_type, target_id, target_identifier,
+             description, new_values, severity)
+            VALUES (?, 'GST_VERIFIED', 'vendor', 'other', 'vendor_onboarding', ?, ?, ?, ?, ?)
+        `, [
+            requestedBy,
+            onboardingId,
+            gstin,
+            `GSTIN ${gstin} check: ${result.status.replace('_', ' ')}`,
+            JSON.stringify({ status: result.status, mismatches: result.mismatches.map(mismatch => mismatch.field) }),
+            result.status === 'verified' ? 'low' : 'medium'
+        ]);
+
+        const verification = await this.getVerification(insert.insertId);
+
+        io?.to('admin_room').emit('gst_verification_completed', {
+            userId: form.user_id,
+            onboardingId,
+            gstin,
+            status: verification.status,
+            mismatches: verification.mismatches.map(mismatch => mismatch.field),
+            timestamp: new Date().toISOString()
+        });
+
+        return verification;
+    }
+
+    static async getVerification(verificationId) {
+        const connection = getConnection();
+        const [rows] = await connection.execute('SELECT * FROM gst_verifications WHERE id = ?', [verificationId]);
+        return rows.length > 0 ? formatVerification(rows[0]) : null;
+    }
+
+    // Most recent check for a form, or null if it has never been checked
+    static async getLatest(onboardingId) {
+        const connection = getConnection();
+        const [rows] = await connection.execute(
+            'SELECT * FROM gst_verifications WHERE vendor_onboarding_id = ? ORDER BY created_at DESC, id DESC LIMIT 1',
+            [onboardingId]
+        );
+        return rows.length > 0 ? formatVerification(rows[0]) : null;
+    }
+}
+
+module.exports = GstVerificationService;
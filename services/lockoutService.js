@@ -0,0 +1,136 @@
+const { getConnection } = require('../config/database');
+const Logger = require('../utils/logger');
+
+// Failed OTP verifications allowed before the account is locked
+const MAX_FAILED_ATTEMPTS = parseInt(process.env.LOCKOUT_MAX_ATTEMPTS) || 5;
+// First lock lasts this long; every further failure doubles it
+const BASE_LOCK_MINUTES = parseInt(process.env.LOCKOUT_BASE_MINUTES) || 15;
+const MAX_LOCK_MINUTES = 24 * 60;
+
+class LockoutService {
+    // Lock duration for the given failure count (exponential backoff, capped)
+    static getLockMinutes(failedAttempts) {
+        const exponent = Math.max(0, failedAttempts - MAX_FAILED_ATTEMPTS);
+        return Math.min(BASE_LOCK_MINUTES * Math.pow(2, exponent), MAX_LOCK_MINUTES);
+    }
+
+    // Get lock state for a phone number
+    static async getLockStatus(phone) {
+        const connection = getConnection();
+        const [rows] = await connection.execute(
+            'SELECT id, login_attempts, locked_until FROM users WHERE phone = ?',
+            [phone]
+        );
+
+        if (rows.length === 0) {
+            return { isLocked: false, userId: null, failedAttempts: 0, lockedUntil: null };
+        }
+
+        const user = rows[0];
+        const lockedUntil = user.locked_until ? new Date(user.locked_until) : null;
+        const isLocked = !!lockedUntil && lockedUntil > new Date();
+
+        return {
+            isLocked,
+            userId: user.id,
+            failedAttempts: user.login_attempts || 0,
+            lockedUntil: isLocked ? lockedUntil : null,
+            retryAfterSeconds: isLocked ? Math.ceil((lockedUntil - Date.now()) / 1000) : 0
+        };
+    }
+
+    // Throw if the account is locked
+    static async assertNotLocked(phone) {
+        const status = await this.getLockStatus(phone);
+
+        if (status.isLocked) {
+            const minutes = Math.ceil(status.retryAfterSeconds / 60);
+            const error = new Error(`Account temporarily locked due to repeated failed verifications. Try again in ${minutes} minute(s).`);
+            error.lockedUntil = status.lockedUntil;
+            throw error;
+        }
+
+        return status;
+    }
+
+    // Count a failed verification across all OTP rows, locking once over the limit
+    static async recordFailedAttempt(phone, ipAddress = null) {
+        const connection = getConnection();
+
+        const [result] = await connection.execute(
+            'UPDATE users SET login_attempts = login_attempts + 1 WHERE phone = ?',
+            [phone]
+        );
+
+        // Unregistered numbers have no account to lock
+        if (result.affectedRows === 0) {
+            return { isLocked: false };
+        }
+
+        const [rows] = await connection.execute(
+            'SELECT id, login_attempts FROM users WHERE phone = ?',
+            [phone]
+        );
+        const user = rows[0];
+
+        if (user.login_attempts < MAX_FAILED_ATTEMPTS) {
+            return { isLocked: false, failedAttempts: user.login_attempts };
+        }
+
+        const lockMinutes = this.getLockMinutes(user.login_attempts);
+        const lockedUntil = new Date(Date.now() + lockMinutes * 60 * 1000);
+
+        await connection.execute(
+            'UPDATE users SET locked_until = FROM_UNIXTIME(?) WHERE id = ?',
+            [Math.floor(lockedUntil.getTime() / 1000), user.id]
+        );
+
+        // Invalidate any outstanding OTPs so the lock cannot be bypassed
+        await connection.execute(
+            'UPDATE otps SET is_used = TRUE WHERE phone = ? AND is_used = FALSE',
+            [phone]
+        );
+
+        await connection.execute(`
+            INSERT INTO activity_logs
+            (user_id, action, action_category, action_type, target_type, target_id, target_identifier,
+             description, metadata, ip_address, severity, status, is_suspicious, requires_attention)
+            VALUES (?, ?, 'security', 'login', 'user', ?, ?, ?, ?, ?, ?, 'failure', TRUE, ?)
+        `, [
+            user.id,
+            'ACCOUNT_LOCKED',
+            user.id,
+            phone,
+            `Account locked for ${lockMinutes} minutes after ${user.login_attempts} failed OTP verifications`,
+            JSON.stringify({ failedAttempts: user.login_attempts, lockMinutes, lockedUntil: lockedUntil.toISOString() }),
+            ipAddress,
+            lockMinutes >= MAX_LOCK_MINUTES ? 'critical' : 'high',
+            lockMinutes >= MAX_LOCK_MINUTES
+        ]);
+
+        Logger.warning(`Account ${user.id} locked for ${lockMinutes} minutes after ${user.login_attempts} failed OTP attempts`);
+
+        return { isLocked: true, failedAttempts: user.login_attempts, lockedUntil, lockMinutes };
+    }
+
+    // Reset the counter after a successful verification
+    static async resetFailedAttempts(phone) {
+        const connection = getConnection();
+        await connection.execute(
+            'UPDATE users SET login_attempts = 0, locked_until = NULL WHERE phone = ? AND (login_attempts > 0 OR locked_until IS NOT NULL)',
+            [phone]
+        );
+    }
+
+    // Clear a lock on behalf of an admin
+    static async unlockUser(userId) {
+        const connection = getConnection();
+        const [result] = await connection.execute(
+            'UPDATE users SET login_attempts = 0, locked_until = NULL WHERE id = ?',
+            [userId]
+        );
+        return result.affectedRows > 0;
+    }
+}
+
+module.exports = LockoutService;
@@ -0,0 +1,218 @@
+const { getConnection } = require('../config/database');
+const { LOCALES, DEFAULT_LOCALE, MESSAGE_TYPES, defaults } = require('./templates');
+
+// Admin overrides are cached briefly so every message does not hit the database
+const OVERRIDE_CACHE_TTL_MS = 60 * 1000;
+
+let overrideCache = null;
+let overrideCacheLoadedAt = 0;
+
+const PLACEHOLDER_PATTERN = /\{\{(\w+)\}\}/g;
+
+const fillPlaceholders = (text, variables) => text.replace(PLACEHOLDER_PATTERN, (match, key) =>
+    variables[key] === undefined || variables[key] === null ? '' : String(variables[key])
+);
+
+const overrideKey = (templateKey, locale) => `${templateKey}:${locale}`;
+
+// Shape a message_templates row for API responses
+const formatOverride = (row) => ({
+    id: row.id,
+    subject: row.subject,
+    body: row.body,
+    updatedBy: row.updated_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+});
+
+class MessageTemplateService {
+    static get locales() {
+        return LOCALES;
+    }
+
+    static get defaultLocale() {
+        return DEFAULT_LOCALE;
+    }
+
+    static get messageTypes() {
+        return MESSAGE_TYPES;
+    }
+
+    // Map a language code (en, hi-IN, TA, ...) to a supported locale
+    static normalizeLocale(locale) {
+        if (!locale || typeof locale !== 'string') {
+            return DEFAULT_LOCALE;
+        }
+
+        const language = locale.trim().toLowerCase().split(/[-_]/)[0];
+        return LOCALES.includes(language) ? language : DEFAULT_LOCALE;
+    }
+
+    static isSupportedLocale(locale) {
+        return LOCALES.includes(locale);
+    }
+
+    // Preferred language of a user, or the default locale
+    static async getUserLocale(userId) {
+        if (!userId) {
+            return DEFAULT_LOCALE;
+        }
+
+        const connection = getConnection();
+        const [rows] = await connection.execute(
+            'SELECT preferred_language FROM users WHERE id = ?',
+            [userId]
+        );
+        return this.normalizeLocale(rows[0]?.preferred_language);
+    }
+
+    // Preferred language of the account registered to a phone number
+    static async getLocaleByPhone(cleanPhone) {
+        const connection = getConnection();
+        const [rows] = await connection.execute(
+            'SELECT preferred_language FROM users WHERE phone = ?',
+            [cleanPhone]
+        );
+        return rows.length > 0 ? this.normalizeLocale(rows[0].preferred_language) : null;
+    }
+
+    static async getOverrides() {
+        if (overrideCache && Date.now() - overrideCacheLoadedAt < OVERRIDE_CACHE_TTL_MS) {
+            return overrideCache;
+        }
+
+        const connection = getConnection();
+        const [rows] = await connection.execute('SELECT * FROM message_templates');
+
+        overrideCache = new Map(rows.map(row => [overrideKey(row.template_key, row.locale), row]));
+        overrideCacheLoadedAt = Date.now();
+        return overrideCache;
+    }
+
+    static clearCache() {
+        overrideCache = null;
+        overrideCacheLoadedAt = 0;
+    }
+
+    // Unrendered template for a locale: admin override, then the built-in
+    // translation, then English
+    static async resolve(templateKey, locale) {
+        if (!MESSAGE_TYPES[templateKey]) {
+            throw new Error(`Unknown message template '${templateKey}'`);
+        }
+
+        const normalized = this.normalizeLocale(locale);
+        const overrides = await this.getOverrides();
+        const builtIn = defaults[normalized][templateKey] || defaults[DEFAULT_LOCALE][templateKey];
+        const override = overrides.get(overrideKey(templateKey, normalized));
+
+        return {
+            key: templateKey,
+            locale: normalized,
+            subject: override?.subject || builtIn.subject,
+            body: override?.body || builtIn.body,
+            isOverridden: !!override
+        };
+    }
+
+    // Render a template into { subject, body } in the given locale
+    static async render(templateKey, locale, variables = {}) {
+        const template = await this.resolve(templateKey, locale);
+
+        return {
+            locale: template.locale,
+            subject: template.subject ? fillPlaceholders(template.subject, variables) : null,
+            body: fillPlaceholders(template.body, variables)
+        };
+    }
+
+    // Render a template in a user's preferred language
+    static async renderForUser(userId, templateKey, variables = {}) {
+        return await this.render(templateKey, await this.getUserLocale(userId), variables);
+    }
+
+    // Every message type with its built-in text and any override, per locale
+    static async listTemplates() {
+        const overrides = await this.getOverrides();
+
+        return Object.entries(MESSAGE_TYPES).map(([key, type]) => ({
+            key,
+            description: type.description,
+            variables: type.variables,
+            locales: LOCALES.map(locale => {
+                const override = overrides.get(overrideKey(key, locale));
+                return {
+                    locale,
+                    default: defaults[locale][key] || defaults[DEFAULT_LOCALE][key],
+                    override: override ? formatOverride(override) : null
+                };
+            })
+        }));
+    }
+
+    static async getTemplate(templateKey, locale) {
+        const type = MESSAGE_TYPES[templateKey];
+        if (!type || !LOCALES.includes(locale)) {
+            return null;
+        }
+
+        const overrides = await this.getOverrides();
+        const override = overrides.get(overrideKey(templateKey, locale));
+
+        return {
+            key: templateKey,
+            locale,
+            description: type.description,
+            variables: type.variables,
+            default: defaults[locale][templateKey] || defaults[DEFAULT_LOCALE][templateKey],
+            override: override ? formatOverride(override) : null
+        };
+    }
+
+    // Placeholders in the text that the message type does not supply
+    static findUnknownPlaceholders(templateKey, text) {
+        const allowed = MESSAGE_TYPES[templateKey]?.variables || [];
+        const used = [...(text || '').matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]);
+        return [...new Set(used.filter(name => !allowed.includes(name)))];
+    }
+
+    // Create or replace the override for a template and locale
+    static async saveOverride(templateKey, locale, { subject = null, body }, adminId) {
+        if (!MESSAGE_TYPES[templateKey]) {
+            throw new Error(`Unknown message template '${templateKey}'`);
+        }
+
+        if (!LOCALES.includes(locale)) {
+            throw new Error(`Unsupported locale '${locale}'. Use one of: ${LOCALES.join(', ')}`);
+        }
+
+        const unknown = this.findUnknownPlaceholders(templateKey, `${subject || ''} ${body}`);
+        if (unknown.length > 0) {
+            throw new Error(`Unknown placeholder(s) ${unknown.map(name => `{{${name}}}`).join(', ')}. Allowed: ${MESSAGE_TYPES[templateKey].variables.join(', ') || 'none'}`);
+        }
+
+        const connection = getConnection();
+        await connection.execute(`
+            INSERT INTO message_templates (template_key, locale, subject, body, updated_by)
+            VALUES (?, ?, ?, ?, ?)
+            ON DUPLICATE KEY UPDATE subject = VALUES(subject), body = VALUES(body), updated_by = VALUES(updated_by)
+        `, [templateKey, locale, subject, body, adminId]);
+
+        this.clearCache();
+        return await this.getTemplate(templateKey, locale);
+    }
+
+    // Remove an override so the built-in text is used again
+    static async deleteOverride(templateKey, locale) {
+        const connection = getConnection();
+        const [result] = await connection.execute(
+            'DELETE FROM message_templates WHERE template_key = ? AND locale = ?',
+            [templateKey, locale]
+        );
+
+        this.clearCache();
+        return result.affectedRows > 0;
+    }
+}
+
+module.exports = MessageTemplateService;
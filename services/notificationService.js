@@ -0,0 +1,261 @@
+const { getConnection } = require('../config/database');
+const WhatsAppService = require('./whatsappService');
+const SmsService = require('./smsService');
+const OTPService = require('./otpService');
+const MessageTemplateService = require('./messageTemplateService');
+const Helpers = require('../utils/helpers');
+const Logger = require('../utils/logger');
+const { DELIVERY_STATUSES, FINAL_DELIVERY_STATUSES } = require('./sms/smsProvider');
+
+class NotificationService {
+    // Record a delivery attempt and return its ID
+    static async logDelivery({ userId, templateName, channel, recipient, variables = null, status = 'pending', error = null, fallbackForId = null }) {
+        const connection = getConnection();
+        const [result] = await connection.execute(`
+            INSERT INTO notification_deliveries
+            (user_id, template_name, channel, recipient, variables, status, error, fallback_for_id)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            userId,
+            templateName,
+            channel,
+            recipient,
+            variables ? JSON.stringify(variables) : null,
+            status,
+            error ? String(error).substring(0, 255) : null,
+            fallbackForId
+        ]);
+        return result.insertId;
+    }
+
+    static async updateDelivery(id, { provider = null, messageId = null, status, error = null }) {
+        const connection = getConnection();
+        await connection.execute(`
+            UPDATE notification_deliveries
+            SET provider = COALESCE(?, provider), provider_message_id = COALESCE(?, provider_message_id), status = ?, error = ?
+            WHERE id = ?
+        `, [provider, messageId, status, error ? String(error).substring(0, 255) : null, id]);
+    }
+
+    // Send a template by SMS, logging it as the fallback for a WhatsApp attempt
+    static async sendSmsFallback({ userId, templateName, recipient, variables, template, locale, fallbackForId = null }) {
+        const body = await WhatsAppService.renderFallback(template, variables, locale);
+
+        const deliveryId = await this.logDelivery({
+            userId,
+            templateName,
+            channel: 'sms',
+            recipient,
+            variables,
+            fallbackForId
+        });
+
+        if (!body) {
+            await this.updateDelivery(deliveryId, { status: 'skipped', error: 'Template has no SMS fallback text' });
+            return { channel: 'sms', status: 'skipped' };
+        }
+
+        try {
+            const result = await SmsService.send(recipient, body);
+            await this.updateDelivery(deliveryId, { provider: result.provider, messageId: result.messageId, status: result.status || 'sent' });
+            return { channel: 'sms', status: result.status || 'sent', provider: result.provider };
+        } catch (error) {
+            await this.updateDelivery(deliveryId, { provider: error.provider || null, status: 'failed', error: error.message });
+            throw error;
+        }
+    }
+
+    // Notify a user in their preferred language: an in-app socket message when
+    // io is given, and WhatsApp if they opted in, falling back to SMS when the
+    // WhatsApp send fails. Users who have not opted in get the SMS directly. Never throws - notification
+    // problems must not fail the request that triggered them.
+    static async notifyUser(userId, templateName, variables = {}, io = null) {
+        try {
+            const connection = getConnection();
+            const [users] = await connection.execute(
+                'SELECT id, phone, whatsapp_opt_in, preferred_language FROM users WHERE id = ?',
+                [userId]
+            );
+
+            if (users.length === 0) {
+                return { status: 'skipped', reason: 'User not found' };
+            }
+
+            const user = users[0];
+            const recipient = OTPService.formatPhoneNumber(user.phone);
+            const locale = MessageTemplateService.normalizeLocale(user.preferred_language);
+
+            if (io && MessageTemplateService.messageTypes[templateName]) {
+                const { subject, body } = await MessageTemplateService.render(templateName, locale, variables);
+                io.to(`user_${userId}`).emit('notification', {
+                    type: templateName,
+                    title: subject,
+                    message: body,
+                    locale,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            const template = await WhatsAppService.getTemplate(templateName, locale);
+
+            // Users who have not opted in to WhatsApp still get the message by SMS
+            if (!user.whatsapp_opt_in) {
+                const skippedId = await this.logDelivery({
+                    userId, templateName, channel: 'whatsapp', recipient, variables,
+                    status: 'skipped', error: 'User has not opted in to WhatsApp'
+                });
+
+                return await this.sendSmsFallback({
+                    userId, templateName, recipient, variables, template, locale, fallbackForId: skippedId
+                });
+            }
+
+            const deliveryId = await this.logDelivery({ userId, templateName, channel: 'whatsapp', recipient, variables });
+
+            try {
+                const result = await WhatsAppService.sendTemplate(recipient, templateName, variables, { language: locale });
+                await this.updateDelivery(deliveryId, { provider: result.provider, messageId: result.messageId, status: result.status });
+                return { channel: 'whatsapp', status: result.status };
+
+            } catch (error) {
+                Logger.warning(`WhatsApp ${templateName} to user ${userId} failed (${error.message}), falling back to SMS`);
+                await this.updateDelivery(deliveryId, { provider: error.provider || null, status: 'failed', error: error.message });
+
+                return await this.sendSmsFallback({
+                    userId, templateName, recipient, variables, template, locale, fallbackForId: deliveryId
+                });
+            }
+
+        } catch (error) {
+            Logger.error(`Notification ${templateName} to user ${userId} failed`, error);
+            return { status: 'failed', reason: error.message };
+        }
+    }
+
+    // Send a message by SMS only, in the user's language. For messages that do
+    // not depend on WhatsApp consent, like staff invitations. Never throws.
+    static async notifyBySms(userId, templateName, variables = {}) {
+        try {
+            const connection = getConnection();
+            const [users] = await connection.execute(
+                'SELECT id, phone, preferred_language FROM users WHERE id = ?',
+                [userId]
+            );
+
+            if (users.length === 0) {
+                return { status: 'skipped', reason: 'User not found' };
+            }
+
+            const recipient = OTPService.formatPhoneNumber(users[0].phone);
+            const { body } = await MessageTemplateService.render(templateName, users[0].preferred_language, variables);
+            const deliveryId = await this.logDelivery({ userId, templateName, channel: 'sms', recipient, variables });
+
+            try {
+                const result = await SmsService.send(recipient, body);
+                await this.updateDelivery(deliveryId, { provider: result.provider, messageId: result.messageId, status: result.status || 'sent' });
+                return { channel: 'sms', status: result.status || 'sent', provider: result.provider };
+            } catch (error) {
+                await this.updateDelivery(deliveryId, { provider: error.provider || null, status: 'failed', error: error.message });
+                return { channel: 'sms', status: 'failed', reason: error.message };
+            }
+
+        } catch (error) {
+            Logger.error(`SMS ${templateName} to user ${userId} failed`, error);
+            return { status: 'failed', reason: error.message };
+        }
+    }
+
+    // Apply a delivery receipt to notification deliveries. A WhatsApp message that
+    // is reported undelivered is re-sent by SMS once.
+    static async handleDeliveryReceipt(provider, messageId, status, deliveryError = null) {
+        if (!DELIVERY_STATUSES.includes(status)) {
+            return 0;
+        }
+
+        const connection = getConnection();
+        const [rows] = await connection.execute(
+            'SELECT * FROM notification_deliveries WHERE provider = ? AND provider_message_id = ?',
+            [provider, messageId]
+        );
+
+        let updated = 0;
+        for (const row of rows) {
+            const current = row.status;
+
+            // Receipts can arrive out of order - ignore ones older than what we have
+            if (FINAL_DELIVERY_STATUSES.includes(current) || DELIVERY_STATUSES.indexOf(status) <= DELIVERY_STATUSES.indexOf(current)) {
+                continue;
+            }
+
+            await this.updateDelivery(row.id, { status, error: deliveryError });
+            updated++;
+
+            if (row.channel === 'whatsapp' && (status === 'undelivered' || status === 'failed')) {
+                const [fallbacks] = await connection.execute(
+                    'SELECT id FROM notification_deliveries WHERE fallback_for_id = ?',
+                    [row.id]
+                );
+
+                if (fallbacks.length === 0) {
+                    const variables = Helpers.parseJson(row.variables) || {};
+                    const locale = await MessageTemplateService.getUserLocale(row.user_id);
+                    const template = await WhatsAppService.getTemplate(row.template_name, locale);
+
+                    await this.sendSmsFallback({
+                        userId: row.user_id,
+                        templateName: row.template_name,
+                        recipient: row.recipient,
+                        variables,
+                        template,
+                        locale,
+                        fallbackForId: row.id
+                    }).catch(error => Logger.error(`SMS fallback for notification ${row.id} failed`, error));
+                }
+            }
+        }
+
+        return updated;
+    }
+
+    // Record WhatsApp consent for a user
+    static async setWhatsAppOptIn(userId, optIn) {
+        const connection = getConnection();
+        const [result] = await connection.execute(
+            optIn
+                ? 'UPDATE users SET whatsapp_opt_in = TRUE, whatsapp_opt_in_at = CURRENT_TIMESTAMP WHERE id = ?'
+                : 'UPDATE users SET whatsapp_opt_in = FALSE, whatsapp_opt_out_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [userId]
+        );
+        return result.affectedRows > 0;
+    }
+
+    // Set the language used for a user's SMS, email and in-app messages
+    static async setPreferredLanguage(userId, locale) {
+        const connection = getConnection();
+        const [result] = await connection.execute(
+            'UPDATE users SET preferred_language = ? WHERE id = ?',
+            [locale, userId]
+        );
+        return result.affectedRows > 0;
+    }
+
+    static async getWhatsAppOptIn(userId) {
+        const connection = getConnection();
+        const [rows] = await connection.execute(
+            'SELECT whatsapp_opt_in, whatsapp_opt_in_at, whatsapp_opt_out_at FROM users WHERE id = ?',
+            [userId]
+        );
+
+        if (rows.length === 0) {
+            return null;
+        }
+
+        return {
+            optIn: !!rows[0].whatsapp_opt_in,
+            optInAt: rows[0].whatsapp_opt_in_at,
+            optOutAt: rows[0].whatsapp_opt_out_at
+        };
+    }
+}
+
+module.exports = NotificationService;
@@ -0,0 +1,133 @@
+const { getConnection } = require('../config/database');
+
+// vendor_onboarding columns grouped by form section
+const ONBOARDING_SECTIONS = {
+    profile: ['company_type', 'supply_to', 'state', 'city', 'multiple_store'],
+    entity: ['name_of_authorized_person', 'name_of_entity', 'name_of_establishment', 'type_of_supplier', 'gstin_number', 'mobile_no', 'email_id'],
+    registered_address: ['building_name', 'flat_no', 'ward_no', 'reg_state', 'reg_dist', 'reg_pincode'],
+    correspondence_address: ['same_as_registered', 'corr_building_name', 'corr_flat_no', 'corr_ward_no', 'corr_state', 'corr_dist', 'corr_pincode'],
+    contact: ['contact_person', 'designation', 'mobile_number', 'email_address'],
+    tax: ['gstin_reg_no', 'vat_cst', 'tin_no', 'import_export_code'],
+    identity: ['pan_number', 'pan_document_id', 'aadhaar_last4'],
+    bank: ['account_no', 'bank_name', 'branch', 'ifsc_code'],
+    terms: ['credit_period', 'electronic_credit', 'lead_time_delivery', 'buying_module', 'margin_percent']
+};
+
+// vendor_onboarding columns a reviewer can comment on
+const ONBOARDING_FIELDS = Object.values(ONBOARDING_SECTIONS).flat();
+
+// vendor_products columns, addressed as products[<index>].<field>
+const PRODUCT_FIELDS = [
+    'sku', 'product_category', 'sub_category', 'micro_category', 'brand', 'product_name', 'quantity',
+    'unit', 'price_per_unit', 'minimum_order_quantity', 'product_description'
+];
+
+const PRODUCT_FIELD_PATTERN = /^products\[(\d+)\]\.([a-z_]+)$/;
+
+// Shape an onboarding_review_comments row for API responses
+const formatComment = (row) => ({
+    id: row.id,
+    field: row.field_path,
+    comment: row.comment,
+    status: row.status,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    resolvedAt: row.resolved_at
+});
+
+class OnboardingReviewService {
+    static get onboardingSections() {
+        return ONBOARDING_SECTIONS;
+    }
+
+    // Form section a field belongs to (products for products[n].field)
+    static getSection(field) {
+        if (PRODUCT_FIELD_PATTERN.test(field)) {
+            return 'products';
+        }
+        return Object.keys(ONBOARDING_SECTIONS).find(section => ONBOARDING_SECTIONS[section].includes(field)) || null;
+    }
+
+    static get onboardingFields() {
+        return ONBOARDING_FIELDS;
+    }
+
+    static get productFields() {
+        return PRODUCT_FIELDS;
+    }
+
+    // Why a field path cannot be commented on, or null if it can.
+    // Product indexes refer to the order of the products in the submitted form.
+    static checkField(field, productsCount) {
+        const productMatch = field.match(PRODUCT_FIELD_PATTERN);
+
+        if (productMatch) {
+            const index = parseInt(productMatch[1]);
+            if (!PRODUCT_FIELDS.includes(productMatch[2])) {
+                return `Unknown product field '${productMatch[2]}'`;
+            }
+            if (index >= productsCount) {
+                return `Product ${index} does not exist (the form has ${productsCount} product${productsCount === 1 ? '' : 's'})`;
+            }
+            return null;
+        }
+
+        return ONBOARDING_FIELDS.includes(field) ? null : `Unknown onboarding field '${field}'`;
+    }
+
+    static async countProducts(onboardingId) {
+        const connection = getConnection();
+        const [rows] = await connection.execute(
+            'SELECT COUNT(*) as count FROM vendor_products WHERE vendor_onboarding_id = ?',
+            [onboardingId]
+        );
+        return rows[0].count;
+    }
+
+    static async addComments(onboardingId, comments, reviewerId) {
+        const connection = getConnection();
+
+        for (const { field, comment } of comments) {
+            await connection.execute(
+                'INSERT INTO onboarding_review_comments (vendor_onboarding_id, field_path, comment, created_by) VALUES (?, ?, ?, ?)',
+                [onboardingId, field, comment, reviewerId]
+            );
+        }
+
+        return await this.listComments(onboardingId, { status: 'open' });
+    }
+
+    // Comments on an onboarding form, oldest first
+    static async listComments(onboardingId, { status = null } = {}) {
+        const connection = getConnection();
+        const params = [onboardingId];
+        let statusClause = '';
+
+        if (status) {
+            statusClause = 'AND status = ?';
+            params.push(status);
+        }
+
+        const [rows] = await connection.execute(`
+            SELECT id, field_path, comment, status, created_by, created_at, resolved_at
+            FROM onboarding_review_comments
+            WHERE vendor_onboarding_id = ? ${statusClause}
+            ORDER BY created_at, id
+        `, params);
+
+        return rows.map(formatComment);
+    }
+
+    // Mark every open comment resolved when the vendor resubmits
+    static async resolveOpenComments(onboardingId) {
+        const connection = getConnection();
+        const [result] = await connection.execute(`
+            UPDATE onboarding_review_comments
+            SET status = 'resolved', resolved_at = CURRENT_TIMESTAMP
+            WHERE vendor_onboarding_id = ? AND status = 'open'
+        `, [onboardingId]);
+        return result.affectedRows;
+    }
+}
+
+module.exports = OnboardingReviewService;
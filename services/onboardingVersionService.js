@@ -0,0 +1,129 @@
+const { getConnection } = require('../config/database');
+const OnboardingReviewService = require('./onboardingReviewService');
+const Helpers = require('../utils/helpers');
+
+// Treat NULL and empty strings alike so saving an untouched optional field is not a change
+const normalize = (value) => (value === null || value === undefined || value === '' ? null : String(value));
+
+// Shape a vendor_onboarding_versions row for API responses
+const formatVersion = (row) => ({
+    version: row.version_number,
+    onboardingId: row.vendor_onboarding_id,
+    submittedBy: row.user_id,
+    submittedAt: row.created_at,
+    formData: Helpers.parseJson(row.form_data),
+    products: Helpers.parseJson(row.products)
+});
+
+class OnboardingVersionService {
+    // Store the form as it stands now as the next version. Called after every
+    // final submission; versions are never updated.
+    static async createSnapshot(onboardingId, userId) {
+        const connection = getConnection();
+        const fields = OnboardingReviewService.onboardingFields;
+        const productFields = OnboardingReviewService.productFields;
+
+        const [formRows] = await connection.execute(
+            `SELECT ${fields.join(', ')} FROM vendor_onboarding WHERE id = ?`,
+            [onboardingId]
+        );
+
+        if (formRows.length === 0) {
+            throw new Error('Onboarding form not found');
+        }
+
+        const [productRows] = await connection.execute(
+            `SELECT ${productFields.join(', ')} FROM vendor_products WHERE vendor_onboarding_id = ? ORDER BY id`,
+            [onboardingId]
+        );
+
+        const [latest] = await connection.execute(
+            'SELECT COALESCE(MAX(version_number), 0) as version FROM vendor_onboarding_versions WHERE vendor_onboarding_id = ?',
+            [onboardingId]
+        );
+        const version = latest[0].version + 1;
+
+        await connection.execute(`
+            INSERT INTO vendor_onboarding_versions (vendor_onboarding_id, user_id, version_number, form_data, products)
+            VALUES (?, ?, ?, ?, ?)
+        `, [onboardingId, userId, version, JSON.stringify(formRows[0]), JSON.stringify(productRows)]);
+
+        return version;
+    }
+
+    // Every version of a form, oldest first
+    static async listVersions(onboardingId) {
+        const connection = getConnection();
+        const [rows] = await connection.execute(`
+            SELECT vendor_onboarding_id, user_id, version_number, form_data, products, created_at
+            FROM vendor_onboarding_versions
+            WHERE vendor_onboarding_id = ?
+            ORDER BY version_number
+        `, [onboardingId]);
+
+        return rows.map(formatVersion);
+    }
+
+    static async getVersion(onboardingId, version) {
+        const connection = getConnection();
+        const [rows] = await connection.execute(`
+            SELECT vendor_onboarding_id, user_id, version_number, form_data, products, created_at
+            FROM vendor_onboarding_versions
+            WHERE vendor_onboarding_id = ? AND version_number = ?
+        `, [onboardingId, version]);
+
+        return rows.length > 0 ? formatVersion(rows[0]) : null;
+    }
+
+    // Field-level changes between two versions. Products are compared by
+    // their position in the form, as that is how reviewers refer to them.
+    static compare(older, newer) {
+        const fields = [];
+
+        for (const field of OnboardingReviewService.onboardingFields) {
+            const from = older.formData[field] ?? null;
+            const to = newer.formData[field] ?? null;
+
+            if (normalize(from) !== normalize(to)) {
+                fields.push({ field, section: OnboardingReviewService.getSection(field), from, to });
+            }
+        }
+
+        const products = { added: [], removed: [], changed: [] };
+        const productCount = Math.max(older.products.length, newer.products.length);
+
+        for (let index = 0; index < productCount; index++) {
+            const before = older.products[index];
+            const after = newer.products[index];
+
+            if (!before) {
+                products.added.push({ index, product: after });
+            } else if (!after) {
+                products.removed.push({ index, product: before });
+            } else {
+                // Versions stored before a product field existed do not have it
+                for (const field of OnboardingReviewService.productFields.filter(name => name in before)) {
+                    if (normalize(before[field]) !== normalize(after[field])) {
+                        products.changed.push({ field: `products[${index}].${field}`, index, from: before[field] ?? null, to: after[field] ?? null });
+                    }
+                }
+            }
+        }
+
+        const sections = [...new Set(fields.map(change => change.section))];
+        if (products.added.length > 0 || products.removed.length > 0 || products.changed.length > 0) {
+            sections.push('products');
+        }
+
+        return {
+            fromVersion: older.version,
+            toVersion: newer.version,
+            changedSections: sections,
+            bankDetailsChanged: sections.includes('bank'),
+            fields,
+            products
+        };
+    }
+}
+
+module.exports = OnboardingVersionService;
@@ -1,29 +1,50 @@
-const twilio = require('twilio');
+const crypto = require('crypto');
 const { getConnection } = require('../config/database');
+const LockoutService = require('./lockoutService');
+const SmsService = require('./smsService');
+const EmailService = require('./emailService');
+const WhatsAppService = require('./whatsappService');
+const MessageTemplateService = require('./messageTemplateService');
 const Logger = require('../utils/logger');
+const { DELIVERY_STATUSES, FINAL_DELIVERY_STATUSES } = require('./sms/smsProvider');
 
-// Initialize Twilio client with better error handling
-let twilioClient = null;
-
-function initializeTwilioClient() {
-    if (!twilioClient) {
-        const accountSid = process.env.TWILIO_ACCOUNT_SID;
-        const authToken = process.env.TWILIO_AUTH_TOKEN;
+// Production must not start without its own OTP hashing key
+if (process.env.NODE_ENV === 'production' && !process.env.OTP_HMAC_SECRET) {
+    throw new Error('Missing OTP_HMAC_SECRET in environment variables');
+}
 
-        if (!accountSid || !authToken) {
-            throw new Error('Twilio credentials not configured. Please set TWILIO_ACCOUNT_SID and TWILIO_AUTH_TOKEN');
-        }
+// Channels an OTP can be delivered through
+const OTP_CHANNELS = ['sms', 'email', 'whatsapp'];
 
-        twilioClient = twilio(accountSid, authToken);
-    }
+// Email codes are only for accounts that already have an email address
+const NO_EMAIL_ON_FILE = 'No email address on file for this phone number. Email codes are for existing accounts; register with an SMS or WhatsApp code.';
 
-    return twilioClient;
-}
+// OTP rows are kept this long after creation for delivery statistics
+const OTP_RETENTION_DAYS = parseInt(process.env.OTP_RETENTION_DAYS) || 7;
 
 class OTPService {
     // Generate 6-digit OTP
     static generateOTP() {
-        return Math.floor(100000 + Math.random() * 900000).toString();
+        return crypto.randomInt(100000, 1000000).toString();
+    }
+
+    // Codes are stored as HMAC-SHA256(secret, salt:phone:code), never in plaintext
+    static hashOTP(otpCode, salt, phone) {
+        const secret = process.env.OTP_HMAC_SECRET;
+
+        if (!secret) {
+            throw new Error('OTP hashing secret not configured. Please set OTP_HMAC_SECRET');
+        }
+
+        return crypto.createHmac('sha256', secret).update(`${salt}:${phone}:${otpCode}`).digest('hex');
+    }
+
+    // Constant-time check of a submitted code against a stored hash
+    static matchesOTP(otpCode, otpRecord, phone) {
+        const expected = Buffer.from(otpRecord.otp_code, 'hex');
+        const actual = Buffer.from(this.hashOTP(String(otpCode), otpRecord.otp_salt, phone), 'hex');
+
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
     }
 
     // Format phone number to E.164 format
@@ -47,15 +68,83 @@ class OTPService {
         }
     }
 
-    // Send OTP via SMS
-    static async sendOTP(phone, purpose = 'registration') {
+    // Email address on file for a phone number (account email, then vendor profile email)
+    static async getEmailOnFile(cleanPhone) {
+        const connection = getConnection();
+        const [rows] = await connection.execute(`
+            SELECT COALESCE(u.email, vp.email) as email
+            FROM users u
+            LEFT JOIN vendor_profiles vp ON vp.user_id = u.id
+            WHERE u.phone = ?
+            LIMIT 1
+        `, [cleanPhone]);
+
+        return rows[0]?.email || null;
+    }
+
+    // Deliver an OTP code through the chosen channel. Returns the provider
+    // result plus the channel that was actually used.
+    static async deliverOTP(channel, { cleanPhone, formattedPhone, email, otpCode, locale }) {
+        const variables = { otp: otpCode, validMinutes: 10 };
+
+        if (channel === 'email') {
+            const result = await EmailService.sendTemplate('otp', email, variables, locale);
+            return { ...result, channel: 'email' };
+        }
+
+        if (channel === 'whatsapp') {
+            try {
+                const result = await WhatsAppService.sendTemplate(formattedPhone, 'otp', variables, { language: locale });
+                return { ...result, channel: 'whatsapp' };
+            } catch (error) {
+                // Fall back to SMS so the user still gets a code
+                Logger.warning(`WhatsApp OTP to ${formattedPhone} failed (${error.message}), falling back to SMS`);
+                const result = await this.deliverOTP('sms', { cleanPhone, formattedPhone, email, otpCode, locale });
+                return { ...result, failoverFrom: 'whatsapp' };
+            }
+        }
+
+        // Prepare SMS message in the recipient's language
+        const { body: message } = await MessageTemplateService.render('otp', locale, variables);
+
+        // Send through the configured SMS provider (outbox in development),
+        // failing over to the fallback providers on retryable errors
+        const result = await SmsService.send(formattedPhone, message);
+        return { ...result, channel: 'sms' };
+    }
+
+    // Send OTP via SMS, email or WhatsApp. The message uses the requested
+    // language, else the account's preferred language, else English.
+    static async sendOTP(phone, purpose = 'registration', channel = 'sms', language = null) {
         try {
             const connection = getConnection();
 
+            if (!OTP_CHANNELS.includes(channel)) {
+                throw new Error(`Invalid OTP channel. Use one of: ${OTP_CHANNELS.join(', ')}`);
+            }
+
             // Clean and format phone number
             const cleanPhone = phone.replace(/\D/g, '');
             const formattedPhone = this.formatPhoneNumber(phone);
 
+            // Locked accounts cannot request new codes
+            await LockoutService.assertNotLocked(cleanPhone);
+
+            const locale = language
+                ? MessageTemplateService.normalizeLocale(language)
+                : (await MessageTemplateService.getLocaleByPhone(cleanPhone)) || MessageTemplateService.defaultLocale;
+
+            // Email codes only go to an address already on file for the phone,
+            // so the channel cannot be used to verify a number someone does not
+            // own. New vendors therefore register with an SMS or WhatsApp code.
+            let email = null;
+            if (channel === 'email') {
+                email = await this.getEmailOnFile(cleanPhone);
+                if (!email) {
+                    throw new Error(NO_EMAIL_ON_FILE);
+                }
+            }
+
             // Check rate limiting - max 3 OTPs per phone per 5 minutes
             const fiveMinutesAgo = new Date(Date.now() - 5 * 60 * 1000);
             const [recentOtps] = await connection.execute(
@@ -69,64 +158,52 @@ class OTPService {
 
             // Generate OTP
             const otpCode = this.generateOTP();
+            const otpSalt = crypto.randomBytes(16).toString('hex');
             const expiresAt = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes from now
 
-            // Save OTP to database
-            await connection.execute(
-                'INSERT INTO otps (phone, otp_code, purpose, expires_at) VALUES (?, ?, ?, FROM_UNIXTIME(?))',
-                [cleanPhone, otpCode, purpose, Math.floor(expiresAt.getTime() / 1000)]
+            // Save OTP hash to database
+            const [insertResult] = await connection.execute(
+                'INSERT INTO otps (phone, otp_code, otp_salt, purpose, channel, expires_at) VALUES (?, ?, ?, ?, ?, FROM_UNIXTIME(?))',
+                [cleanPhone, this.hashOTP(otpCode, otpSalt, cleanPhone), otpSalt, purpose, channel, Math.floor(expiresAt.getTime() / 1000)]
             );
 
-            // Prepare SMS message
-            const message = `Your Milkano Agro India verification code is: ${otpCode}. Valid for 10 minutes. Do not share this code with anyone.`;
-
-            // Check if we should send real SMS
-            const shouldSendSMS = process.env.NODE_ENV === 'production' || process.env.SEND_SMS_IN_DEV === 'true';
-
-            if (shouldSendSMS) {
-                try {
-                    // Initialize Twilio client
-                    const client = initializeTwilioClient();
-                    const fromNumber = process.env.TWILIO_PHONE_NUMBER;
-
-                    if (!fromNumber) {
-                        throw new Error('Twilio phone number not configured. Please set TWILIO_PHONE_NUMBER');
-                    }
-
-                    // Send SMS via Twilio
-                    const result = await client.messages.create({
-                        body: message,
-                        from: fromNumber,
-                        to: formattedPhone
-                    });
-
-                } catch (twilioError) {
-                    // Handle specific Twilio errors
-                    if (twilioError.code === 21211) {
-                        throw new Error('Invalid phone number format. Please check the phone number.');
-                    } else if (twilioError.code === 21614) {
-                        throw new Error('Phone number is not valid for SMS delivery.');
-                    } else if (twilioError.code === 21408) {
-                        throw new Error('SMS service temporarily unavailable. Please try again later.');
-                    } else if (twilioError.code === 20003) {
-                        throw new Error('Twilio authentication failed. Please check your credentials.');
-                    } else if (twilioError.code === 63038) {
-                        throw new Error('Daily SMS limit exceeded. Please upgrade your Twilio account.');
-                    } else {
-                        // Log the OTP for development purposes as fallback
-                        throw new Error(`SMS delivery failed: ${twilioError.message} (Code: ${twilioError.code || 'Unknown'})`);
-                    }
-                }
-            } else {
-                // Development mode - just log the OTP
-                Logger.debug(`DEV MODE - OTP for ${formattedPhone}: ${otpCode}`);
+            let delivery;
+            try {
+                delivery = await this.deliverOTP(channel, { cleanPhone, formattedPhone, email, otpCode, locale });
+            } catch (sendError) {
+                await connection.execute(`
+                    UPDATE otps
+                    SET provider = ?, delivery_status = 'failed', delivery_error = ?, delivery_updated_at = CURRENT_TIMESTAMP
+                    WHERE id = ?
+                `, [sendError.provider || null, sendError.message.substring(0, 255), insertResult.insertId]);
+                throw sendError;
             }
 
+            await connection.execute(`
+                UPDATE otps
+                SET channel = ?, provider = ?, provider_message_id = ?, failover_from = ?, delivery_status = ?, delivery_updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `, [
+                delivery.channel,
+                delivery.provider,
+                delivery.messageId,
+                delivery.failoverFrom || null,
+                delivery.status || 'sent',
+                insertResult.insertId
+            ]);
+
             return {
                 success: true,
-                message: 'OTP sent successfully',
+                message: delivery.channel === 'email' ? 'OTP sent to your registered email address' : 'OTP sent successfully',
                 phone: cleanPhone,
+                // May differ from the requested channel after a WhatsApp to SMS fallback
+                channel: delivery.channel,
                 expiresAt,
+                provider: delivery.provider,
+                deliveryStatus: delivery.status || 'sent',
+                locale,
+                // Masked address so the user knows which inbox to check
+                email: email ? EmailService.maskEmail(email) : null,
                 // Include formatted phone for debugging
                 formattedPhone: formattedPhone
             };
@@ -137,19 +214,22 @@ class OTPService {
     }
 
     // Verify OTP
-    static async verifyOTP(phone, otpCode, purpose = 'registration') {
+    static async verifyOTP(phone, otpCode, purpose = 'registration', ipAddress = null, channel = null) {
         try {
             const connection = getConnection();
             const cleanPhone = phone.replace(/\D/g, '');
 
-            // Find valid OTP
+            // Failed attempts are counted per phone across OTP rows
+            await LockoutService.assertNotLocked(cleanPhone);
+
+            // Find valid OTP, limited to one channel when given
             const [rows] = await connection.execute(`
-                SELECT id, otp_code, expires_at, attempts, is_used 
+                SELECT id, otp_code, otp_salt, expires_at, attempts, is_used 
                 FROM otps 
-                WHERE phone = ? AND purpose = ? AND is_used = FALSE 
+                WHERE phone = ? AND purpose = ? AND is_used = FALSE ${channel ? 'AND channel = ?' : ''}
                 ORDER BY created_at DESC 
                 LIMIT 1
-            `, [cleanPhone, purpose]);
+            `, channel ? [cleanPhone, purpose, channel] : [cleanPhone, purpose]);
 
             if (rows.length === 0) {
                 throw new Error('No valid OTP found. Please request a new one.');
@@ -176,12 +256,20 @@ class OTPService {
             }
 
             // Verify OTP code
-            if (otpRecord.otp_code !== otpCode) {
+            if (!this.matchesOTP(otpCode, otpRecord, cleanPhone)) {
                 // Increment attempts
                 await connection.execute(
                     'UPDATE otps SET attempts = attempts + 1 WHERE id = ?',
                     [otpRecord.id]
                 );
+
+                const lockout = await LockoutService.recordFailedAttempt(cleanPhone, ipAddress);
+                if (lockout.isLocked) {
+                    const error = new Error(`Too many failed attempts. Account locked for ${lockout.lockMinutes} minute(s).`);
+                    error.lockedUntil = lockout.lockedUntil;
+                    throw error;
+                }
+
                 throw new Error('Invalid OTP code');
             }
 
@@ -191,6 +279,8 @@ class OTPService {
                 [otpRecord.id]
             );
 
+            await LockoutService.resetFailedAttempts(cleanPhone);
+
             return {
                 success: true,
                 message: 'OTP verified successfully',
@@ -205,30 +295,21 @@ class OTPService {
     // Verify Twilio configuration
     static async verifyTwilioConfig() {
         try {
-            const accountSid = process.env.TWILIO_ACCOUNT_SID;
-            const authToken = process.env.TWILIO_AUTH_TOKEN;
-            const phoneNumber = process.env.TWILIO_PHONE_NUMBER;
+            const twilioProvider = SmsService.getProvider('twilio');
 
-            if (!accountSid || !authToken || !phoneNumber) {
+            if (!twilioProvider.isConfigured()) {
                 return {
                     success: false,
                     message: 'Twilio configuration incomplete. Please set TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, and TWILIO_PHONE_NUMBER'
                 };
             }
 
-            const client = initializeTwilioClient();
-
-            // Verify account by fetching account details
-            const account = await client.api.accounts(accountSid).fetch();
+            const account = await twilioProvider.verifyConfig();
 
             return {
                 success: true,
                 message: `Twilio configuration is valid. Account: ${account.friendlyName} (${account.status})`,
-                account: {
-                    friendlyName: account.friendlyName,
-                    status: account.status,
-                    type: account.type
-                }
+                account
             };
 
         } catch (error) {
@@ -243,26 +324,14 @@ class OTPService {
     static async testSMS(phoneNumber) {
         try {
             const testMessage = 'Test message from Milkano Agro India - SMS service is working! 🎉';
-            const cleanPhone = phoneNumber.replace(/\D/g, '');
             const formattedPhone = this.formatPhoneNumber(phoneNumber);
 
-            const client = initializeTwilioClient();
-            const fromNumber = process.env.TWILIO_PHONE_NUMBER;
-
-            if (!fromNumber) {
-                throw new Error('Twilio phone number not configured');
-            }
-
-            const result = await client.messages.create({
-                body: testMessage,
-                from: fromNumber,
-                to: formattedPhone
-            });
+            const result = await SmsService.send(formattedPhone, testMessage);
 
             return {
                 success: true,
-                message: `Test SMS sent successfully to ${formattedPhone}`,
-                messageSid: result.sid
+                message: `Test SMS sent successfully to ${formattedPhone} via ${result.provider}`,
+                messageSid: result.messageId
             };
 
         } catch (error) {
@@ -272,11 +341,85 @@ class OTPService {
             };
         }
     }
+
+    // Apply a delivery receipt from a provider webhook. Returns the number of
+    // OTP rows updated; statuses never move backwards once a final one is set.
+    static async updateDeliveryStatus(provider, messageId, status, deliveryError = null) {
+        if (!DELIVERY_STATUSES.includes(status)) {
+            return 0;
+        }
+
+        const connection = getConnection();
+        const [rows] = await connection.execute(
+            'SELECT id, delivery_status FROM otps WHERE provider = ? AND provider_message_id = ?',
+            [provider, messageId]
+        );
+
+        let updated = 0;
+        for (const row of rows) {
+            const current = row.delivery_status || 'pending';
+            const isFinal = FINAL_DELIVERY_STATUSES.includes(current);
+
+            // Receipts can arrive out of order - ignore ones older than what we have
+            if (isFinal || DELIVERY_STATUSES.indexOf(status) <= DELIVERY_STATUSES.indexOf(current)) {
+                continue;
+            }
+
+            await connection.execute(`
+                UPDATE otps
+                SET delivery_status = ?, delivery_error = ?, delivery_updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `, [status, deliveryError ? String(deliveryError).substring(0, 255) : null, row.id]);
+            updated++;
+        }
+
+        return updated;
+    }
+
+    // Delivery success rates per channel and provider over the last few days
+    static async getDeliveryStats(days = OTP_RETENTION_DAYS) {
+        const connection = getConnection();
+        const [rows] = await connection.execute(`
+            SELECT
+                channel,
+                provider,
+                COUNT(*) as total,
+                SUM(delivery_status = 'delivered') as delivered,
+                SUM(delivery_status IN ('undelivered', 'failed')) as failed,
+                SUM(delivery_status IN ('pending', 'queued', 'sent')) as pending,
+                SUM(failover_from IS NOT NULL) as failovers
+            FROM otps
+            WHERE provider IS NOT NULL AND created_at >= DATE_SUB(NOW(), INTERVAL ${parseInt(days)} DAY)
+            GROUP BY channel, provider
+            ORDER BY total DESC
+        `);
+
+        return rows.map(row => {
+            const delivered = Number(row.delivered) || 0;
+            const failed = Number(row.failed) || 0;
+            const settled = delivered + failed;
+
+            return {
+                channel: row.channel,
+                provider: row.provider,
+                total: row.total,
+                delivered,
+                failed,
+                pending: Number(row.pending) || 0,
+                failovers: Number(row.failovers) || 0,
+                // Only messages with a final status count towards the rate
+                successRate: settled > 0 ? Math.round((delivered / settled) * 10000) / 100 : null
+            };
+        });
+    }
+
+    // Remove old OTPs. Expired and used codes can no longer be verified, but the
+    // rows are kept for OTP_RETENTION_DAYS so delivery statistics stay available.
     static async cleanExpiredOTPs() {
         try {
             const connection = getConnection();
             const [result] = await connection.execute(
-                'DELETE FROM otps WHERE expires_at < NOW() OR is_used = TRUE'
+                `DELETE FROM otps WHERE created_at < DATE_SUB(NOW(), INTERVAL ${OTP_RETENTION_DAYS} DAY)`
             );
 
             if (result.affectedRows > 0) {
@@ -290,7 +433,7 @@ class OTPService {
     }
 
     // Resend OTP (with rate limiting)
-    static async resendOTP(phone, purpose = 'registration') {
+    static async resendOTP(phone, purpose = 'registration', channel = 'sms', language = null) {
         try {
             const connection = getConnection();
             const cleanPhone = phone.replace(/\D/g, '');
@@ -306,6 +449,11 @@ class OTPService {
                 throw new Error('Please wait 1 minute before requesting another OTP');
             }
 
+            // Keep the previous code valid if the email channel cannot be used
+            if (channel === 'email' && !(await this.getEmailOnFile(cleanPhone))) {
+                throw new Error(NO_EMAIL_ON_FILE);
+            }
+
             // Mark previous OTPs as used
             await connection.execute(
                 'UPDATE otps SET is_used = TRUE WHERE phone = ? AND is_used = FALSE',
@@ -313,7 +461,7 @@ class OTPService {
             );
 
             // Send new OTP
-            return await this.sendOTP(phone, purpose);
+            return await this.sendOTP(phone, purpose, channel, language);
 
         } catch (error) {
             throw error;
@@ -321,4 +469,5 @@ class OTPService {
     }
 }
 
-module.exports = OTPService;
\ No newline at end of file
+module.exports = OTPService;
+module.exports.OTP_CHANNELS = OTP_CHANNELS;
\ No newline at end of file
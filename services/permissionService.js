@@ -0,0 +1,149 @@
+const { getConnection } = require('../config/database');
+const { PERMISSIONS } = require('../schemas/roleSchema');
+
+// Role grants are cached briefly so permission checks do not hit the
+// database on every request
+const PERMISSION_CACHE_TTL_MS = 60 * 1000;
+
+let rolePermissionCache = null;
+let rolePermissionCacheLoadedAt = 0;
+
+class PermissionService {
+    // Names of every permission the application checks
+    static get permissionNames() {
+        return Object.keys(PERMISSIONS);
+    }
+
+    // Map of role name -> Set of permission names
+    static async getRolePermissionMap() {
+        if (rolePermissionCache && Date.now() - rolePermissionCacheLoadedAt < PERMISSION_CACHE_TTL_MS) {
+            return rolePermissionCache;
+        }
+
+        const connection = getConnection();
+        const [rows] = await connection.execute(`
+            SELECT r.name as role, p.name as permission
+            FROM roles r
+            LEFT JOIN role_permissions rp ON rp.role_id = r.id
+            LEFT JOIN permissions p ON p.id = rp.permission_id
+        `);
+
+        const map = new Map();
+        for (const row of rows) {
+            if (!map.has(row.role)) {
+                map.set(row.role, new Set());
+            }
+            if (row.permission) {
+                map.get(row.role).add(row.permission);
+            }
+        }
+
+        rolePermissionCache = map;
+        rolePermissionCacheLoadedAt = Date.now();
+        return map;
+    }
+
+    static clearCache() {
+        rolePermissionCache = null;
+        rolePermissionCacheLoadedAt = 0;
+    }
+
+    // Permissions granted to a role (empty for unknown roles)
+    static async getPermissionsForRole(role) {
+        const map = await this.getRolePermissionMap();
+        return [...(map.get(role) || [])].sort();
+    }
+
+    // Whether a role holds every one of the given permissions
+    static async hasPermission(role, ...permissions) {
+        const map = await this.getRolePermissionMap();
+        const granted = map.get(role);
+        return !!granted && permissions.every(permission => granted.has(permission));
+    }
+
+    static async roleExists(role) {
+        const map = await this.getRolePermissionMap();
+        return map.has(role);
+    }
+
+    // Roles with their permissions and how many users hold each
+    static async listRoles() {
+        const connection = getConnection();
+        const [roles] = await connection.execute(`
+            SELECT r.id, r.name, r.display_name, r.description, r.is_system,
+                   (SELECT COUNT(*) FROM users u WHERE u.role = r.name) as user_count
+            FROM roles r
+            ORDER BY r.id
+        `);
+
+        const map = await this.getRolePermissionMap();
+
+        return roles.map(role => ({
+            id: role.id,
+            name: role.name,
+            displayName: role.display_name,
+            description: role.description,
+            isSystem: !!role.is_system,
+            userCount: role.user_count,
+            permissions: [...(map.get(role.name) || [])].sort()
+        }));
+    }
+
+    static async getRole(name) {
+        const roles = await this.listRoles();
+        return roles.find(role => role.name === name) || null;
+    }
+
+    // Every permission with its category and description
+    static async listPermissions() {
+        const connection = getConnection();
+        const [rows] = await connection.execute(
+            'SELECT name, category, description FROM permissions ORDER BY category, name'
+        );
+        return rows;
+    }
+
+    // Replace the permissions a role grants
+    static async setRolePermissions(roleName, permissions, adminId) {
+        const connection = getConnection();
+
+        const unknown = permissions.filter(permission => !PERMISSIONS[permission]);
+        if (unknown.length > 0) {
+            throw new Error(`Unknown permission(s): ${unknown.join(', ')}`);
+        }
+
+        const [roles] = await connection.execute('SELECT id FROM roles WHERE name = ?', [roleName]);
+        if (roles.length === 0) {
+            throw new Error(`Role '${roleName}' not found`);
+        }
+        const roleId = roles[0].id;
+
+        // One transaction, so a failed insert cannot leave the role with no permissions
+        const db = await connection.getConnection();
+
+        try {
+            await db.beginTransaction();
+            await db.execute('DELETE FROM role_permissions WHERE role_id = ?', [roleId]);
+
+            if (permissions.length > 0) {
+                const placeholders = permissions.map(() => '?').join(', ');
+                await db.execute(`
+                    INSERT INTO role_permissions (role_id, permission_id, granted_by)
+                    SELECT ?, id, ? FROM permissions WHERE name IN (${placeholders})
+                `, [roleId, adminId, ...permissions]);
+            }
+
+            await db.commit();
+        } catch (error) {
+            await db.rollback();
+            throw error;
+        } finally {
+            db.release();
+        }
+
+        this.clearCache();
+        return await this.getRole(roleName);
+    }
+}
+
+module.exports = PermissionService;
@@ -0,0 +1,139 @@
+const fs = require('fs');
+const path = require('path');
+const { getConnection } = require('../config/database');
+const { getStateCode, getStateName } = require('./gst/stateCodes');
+const Helpers = require('../utils/helpers');
+const Logger = require('../utils/logger');
+
+// India Post PIN code directory. The bundled file is the All India Pincode
+// Directory from data.gov.in collapsed to one row per PIN code and district;
+// load a newer edition with `npm run import-pincodes -- <file>` or point
+// PINCODE_DATA_FILE at it.
+const BUNDLED_DATA_FILE = path.join(__dirname, '../data/pincodes.csv');
+
+// Earlier releases bundled a sample of a few dozen rows. A table this small
+// is topped up from the directory file.
+const SAMPLE_MAX_ROWS = 100;
+
+// Rows per INSERT when importing
+const IMPORT_BATCH_SIZE = 500;
+
+// Header names used by the data.gov.in directory and simpler exports
+const COLUMN_NAMES = {
+    pincode: ['PINCODE', 'PIN', 'PIN_CODE'],
+    district: ['DISTRICT', 'DISTRICTNAME', 'DISTRICT_NAME'],
+    state: ['STATENAME', 'STATE', 'STATE_NAME']
+};
+
+let loadPromise = null;
+
+class PincodeService {
+    // Canonical name and GST state code for a state as written on a form or
+    // in the directory, or null if it is not a known state
+    static normalizeState(state) {
+        const code = getStateCode(state);
+        return code ? { code, name: getStateName(code) } : null;
+    }
+
+    // Load a PIN code CSV into the pincodes table. Columns are found by header
+    // name; rows already in the table are skipped.
+    static async importFile(filePath = process.env.PINCODE_DATA_FILE || BUNDLED_DATA_FILE) {
+        const lines = (await fs.promises.readFile(filePath, 'utf8')).split(/\r?\n/).filter(Boolean);
+        const header = Helpers.parseCsvLine(lines.shift()).map(column => column.toUpperCase());
+        const column = (field) => COLUMN_NAMES[field].map(name => header.indexOf(name)).find(index => index >= 0);
+        const columns = { pincode: column('pincode'), district: column('district'), state: column('state') };
+
+        if (Object.values(columns).some(index => index === undefined)) {
+            throw new Error('PIN code file needs pincode, district and state columns');
+        }
+
+        // The directory lists every post office, so most PIN codes repeat
+        const rows = new Map();
+        let skipped = 0;
+
+        for (const line of lines) {
+            const values = Helpers.parseCsvLine(line);
+            const pincode = values[columns.pincode];
+            const district = values[columns.district];
+            const state = this.normalizeState(values[columns.state]);
+
+            if (!Helpers.validatePincode(pincode) || !district || !state) {
+                skipped++;
+                continue;
+            }
+
+            const key = `${pincode}:${district.toUpperCase()}`;
+            if (!rows.has(key)) {
+                rows.set(key, [pincode, Helpers.toTitleCase(district), state.name, state.code]);
+            }
+        }
+
+        const connection = getConnection();
+        const values = [...rows.values()];
+        let inserted = 0;
+
+        for (let i = 0; i < values.length; i += IMPORT_BATCH_SIZE) {
+            const batch = values.slice(i, i + IMPORT_BATCH_SIZE);
+            const [result] = await connection.query(
+                'INSERT IGNORE INTO pincodes (pincode, district, state, state_code) VALUES ?',
+                [batch]
+            );
+            inserted += result.affectedRows;
+        }
+
+        Logger.info(`Imported ${inserted} PIN code districts from ${filePath} (${skipped} rows skipped)`);
+        return { pincodes: values.length, inserted, skipped };
+    }
+
+    // Fill an empty pincodes table, or one holding only the old sample, from
+    // the bundled (or configured) file the first time a PIN code is looked up
+    static ensureLoaded() {
+        if (!loadPromise) {
+            loadPromise = (async () => {
+                const connection = getConnection();
+                const [count] = await connection.execute('SELECT COUNT(*) as total FROM pincodes');
+
+                if (count[0].total < SAMPLE_MAX_ROWS) {
+                    await this.importFile();
+                }
+            })().catch(error => {
+                loadPromise = null;
+                throw error;
+            });
+        }
+
+        return loadPromise;
+    }
+
+    // State and districts for a PIN code, or null if it is not in the directory
+    static async lookup(pincode) {
+        const value = String(pincode || '').trim();
+
+        if (!Helpers.validatePincode(value)) {
+            return null;
+        }
+
+        await this.ensureLoaded();
+
+        const connection = getConnection();
+        const [rows] = await connection.execute(
+            'SELECT district, state, state_code FROM pincodes WHERE pincode = ? ORDER BY district',
+            [value]
+        );
+
+        if (rows.length === 0) {
+            return null;
+        }
+
+        return {
+            pincode: value,
+            state: rows[0].state,
+            stateCode: rows[0].state_code,
+            districts: rows.map(row => row.district),
+            // PIN codes on a state border can belong to more than one state
+            stateCodes: [...new Set(rows.map(row => row.state_code))]
+        };
+    }
+}
+
+module.exports = PincodeService;
@@ -0,0 +1,380 @@
+const { getConnection } = require('../config/database');
+const Helpers = require('../utils/helpers');
+
+// Product API fields and the vendor_products columns they are stored in. The
+// category ids are set from the category names, never by the vendor.
+const FIELD_COLUMNS = {
+    sku: 'sku',
+    productCategory: 'product_category',
+    subCategory: 'sub_category',
+    microCategory: 'micro_category',
+    categoryId: 'category_id',
+    subCategoryId: 'sub_category_id',
+    microCategoryId: 'micro_category_id',
+    brand: 'brand',
+    productName: 'product_name',
+    quantity: 'quantity',
+    unit: 'unit',
+    pricePerUnit: 'price_per_unit',
+    minimumOrderQuantity: 'minimum_order_quantity',
+    productDescription: 'product_description',
+    productSpecifications: 'product_specifications'
+};
+
+// vendor_products.approval_status values
+const APPROVAL_STATUSES = ['approved', 'pending', 'rejected'];
+
+// Compare a stored column value with a submitted one; DECIMAL columns come
+// back as strings and JSON columns as objects
+const sameValue = (column, stored, value) => {
+    if (column === 'product_specifications') {
+        return JSON.stringify(Helpers.parseJson(stored) ?? null) === JSON.stringify(value ?? null);
+    }
+    if (stored === null || stored === undefined || value === null || value === undefined) {
+        return (stored ?? null) === (value ?? null);
+    }
+    return typeof value === 'number' ? Number(stored) === value : String(stored) === String(value);
+};
+
+// Column values for the fields given, by column name
+const toColumns = (fields) => Object.fromEntries(Object.entries(fields)
+    .filter(([field]) => FIELD_COLUMNS[field])
+    .map(([field, value]) => [FIELD_COLUMNS[field], value ?? null]));
+
+// Values as they are bound in SQL
+const sqlValue = (column, value) => (column === 'product_specifications' && value !== null ? JSON.stringify(value) : value);
+
+// API field names for pending column changes
+const toFields = (columns) => Object.fromEntries(Object.entries(columns || {}).map(([column, value]) => [
+    Object.keys(FIELD_COLUMNS).find(field => FIELD_COLUMNS[field] === column) || column,
+    value
+]));
+
+const PRODUCT_SELECT = `
+    SELECT p.*, vo.user_id, vp.id as vendor_id, vp.entity_name
+    FROM vendor_products p
+    JOIN vendor_onboarding vo ON vo.id = p.vendor_onboarding_id
+    LEFT JOIN vendor_profiles vp ON vp.user_id = vo.user_id
+`;
+
+// Shape a vendor_products row for API responses
+const formatProduct = (row) => ({
+    id: row.id,
+    onboardingId: row.vendor_onboarding_id,
+    vendorId: row.vendor_id,
+    userId: row.user_id,
+    entityName: row.entity_name,
+    sku: row.sku,
+    productCategory: row.product_category,
+    subCategory: row.sub_category,
+    microCategory: row.micro_category,
+    categoryId: row.category_id,
+    subCategoryId: row.sub_category_id,
+    microCategoryId: row.micro_category_id,
+    brand: row.brand,
+    productName: row.product_name,
+    quantity: row.quantity,
+    unit: row.unit,
+    pricePerUnit: row.price_per_unit === null ? null : Number(row.price_per_unit),
+    minimumOrderQuantity: row.minimum_order_quantity,
+    productDescription: row.product_description,
+    productSpecifications: Helpers.parseJson(row.product_specifications),
+    isActive: !!row.is_active,
+    source: row.source,
+    approvalStatus: row.approval_status,
+    pendingChanges: row.pending_changes ? toFields(Helpers.parseJson(row.pending_changes)) : null,
+    reviewedBy: row.reviewed_by,
+    reviewedAt: row.reviewed_at,
+    reviewNotes: row.review_notes,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+});
+
+const logActivity = async (action, product, description, { actorId, sessionId = null, ipAddress = null, oldValues = null, newValues = null, actionType = 'update' }) => {
+    const connection = getConnection();
+    await connection.execute(`
+        INSERT INTO activity_logs
+        (user_id, session_id, action, action_category, action_type, target_type, target_id, target_identifier,
+         description, old_values, new_values, ip_address)
+        VALUES (?, ?, ?, 'vendor', ?, 'vendor_product', ?, ?, ?, ?, ?, ?)
+    `, [
+        actorId,
+        sessionId,
+        action,
+        actionType,
+        product.id,
+        product.sku || product.productName,
+        description,
+        oldValues ? JSON.stringify(oldValues) : null,
+        newValues ? JSON.stringify(newValues) : null,
+        ipAddress
+    ]);
+};
+
+class ProductCatalogService {
+    static get approvalStatuses() {
+        return APPROVAL_STATUSES;
+    }
+
+    static async getProduct(productId) {
+        const connection = getConnection();
+        const [rows] = await connection.execute(`${PRODUCT_SELECT} WHERE p.id = ?`, [productId]);
+        return rows.length > 0 ? formatProduct(rows[0]) : null;
+    }
+
+    // A vendor's products, newest first
+    static async listProducts(onboardingId, { isActive = null, approvalStatus = null } = {}) {
+        const connection = getConnection();
+        const conditions = ['p.vendor_onboarding_id = ?'];
+        const params = [onboardingId];
+
+        if (isActive !== null) {
+            conditions.push('p.is_active = ?');
+            params.push(isActive);
+        }
+        if (approvalStatus) {
+            conditions.push('p.approval_status = ?');
+            params.push(approvalStatus);
+        }
+
+        const [rows] = await connection.execute(
+            `${PRODUCT_SELECT} WHERE ${conditions.join(' AND ')} ORDER BY p.created_at DESC, p.id DESC`,
+            params
+        );
+        return rows.map(formatProduct);
+    }
+
+    // Another product of the vendor with this SKU, live or awaiting approval,
+    // or null if it is free
+    static async findSkuConflict(onboardingId, sku, excludeProductId = null) {
+        const connection = getConnection();
+        const [rows] = await connection.execute(`
+            SELECT id FROM vendor_products
+            WHERE vendor_onboarding_id = ? AND id <> ?
+              AND (sku = ? OR JSON_UNQUOTE(JSON_EXTRACT(pending_changes, '$.sku')) = ?)
+            LIMIT 1
+        `, [onboardingId, excludeProductId || 0, sku, sku]);
+        return rows[0]?.id || null;
+    }
+
+    // Remove the products the onboarding form still owns, before a form save
+    // inserts the form's products again: those added by the form and never
+    // changed or reviewed since. Products from the product API or an import,
+    // and form products managed through them, are kept. Returns the SKUs of the
+    // kept products, live or awaiting approval, in lower case.
+    static async clearFormProducts(onboardingId) {
+        const connection = getConnection();
+
+        await connection.execute(`
+            DELETE FROM vendor_products
+            WHERE vendor_onboarding_id = ? AND source = 'onboarding'
+              AND pending_changes IS NULL AND reviewed_at IS NULL
+        `, [onboardingId]);
+
+        const [rows] = await connection.execute(`
+            SELECT sku, JSON_UNQUOTE(JSON_EXTRACT(pending_changes, '$.sku')) as pending_sku
+            FROM vendor_products WHERE vendor_onboarding_id = ?
+        `, [onboardingId]);
+
+        return new Set(rows.flatMap(row => [row.sku, row.pending_sku]).filter(Boolean).map(sku => sku.toLowerCase()));
+    }
+
+    // Add a product to an approved vendor's catalog. It stays out of the
+    // catalog until a reviewer approves it.
+    static async createProduct(onboardingId, fields, { actorId, source = 'api', ipAddress = null, sessionId = null, io = null }) {
+        const connection = getConnection();
+        const columns = toColumns({ quantity: 0, unit: 'pieces', ...fields });
+        const names = Object.keys(columns);
+
+        const [insert] = await connection.execute(`
+            INSERT INTO vendor_products (vendor_onboarding_id, ${names.join(', ')}, source, approval_status)
+            VALUES (?, ${names.map(() => '?').join(', ')}, ?, 'pending')
+        `, [onboardingId, ...names.map(name => sqlValue(name, columns[name])), source]);
+
+        const product = await this.getProduct(insert.insertId);
+
+        await logActivity('PRODUCT_CREATED', product, `Added product ${product.productName} for approval`, {
+            actorId, sessionId, ipAddress, newValues: fields, actionType: 'create'
+        });
+        this.announceReviewRequest(product, io);
+
+        return product;
+    }
+
+    // Fields that would change the product as last submitted, pending
+    // changes included
+    static changedFields(product, fields) {
+        const current = { ...product, ...(product.pendingChanges || {}) };
+        return Object.keys(fields).filter(field => FIELD_COLUMNS[field] && !sameValue(FIELD_COLUMNS[field], current[field], fields[field] ?? null));
+    }
+
+    // Change a product. A product that has been approved keeps its approved
+    // values until the change is approved; one that never was (or was
+    // rejected) is changed in place and goes back for approval. Fields that
+    // match the current values are ignored.
+    static async updateProduct(product, fields, { actorId, ipAddress = null, sessionId = null, io = null }) {
+        const connection = getConnection();
+        const [rows] = await connection.execute('SELECT * FROM vendor_products WHERE id = ?', [product.id]);
+        const row = rows[0];
+        const live = row.approval_status === 'approved' || row.pending_changes !== null;
+        const current = { ...row, ...(Helpers.parseJson(row.pending_changes) || {}) };
+        const changes = Object.fromEntries(Object.entries(toColumns(fields)).filter(([column, value]) => !sameValue(column, current[column], value)));
+
+        if (live) {
+            const pending = { ...(Helpers.parseJson(row.pending_changes) || {}), ...changes };
+
+            // Changing a field back to its approved value drops it from the request
+            Object.keys(pending).forEach(column => {
+                if (sameValue(column, row[column], pending[column])) delete pending[column];
+            });
+
+            const hasPending = Object.keys(pending).length > 0;
+
+            await connection.execute(
+                'UPDATE vendor_products SET pending_changes = ?, approval_status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [hasPending ? JSON.stringify(pending) : null, hasPending ? 'pending' : 'approved', product.id]
+            );
+        } else if (Object.keys(changes).length > 0 || row.approval_status === 'rejected') {
+            const names = Object.keys(changes);
+            await connection.execute(`
+                UPDATE vendor_products
+                SET ${names.map(name => `${name} = ?, `).join('')}approval_status = 'pending', updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `, [...names.map(name => sqlValue(name, changes[name])), product.id]);
+        }
+
+        const updated = await this.getProduct(product.id);
+
+        if (Object.keys(changes).length > 0) {
+            await logActivity('PRODUCT_UPDATED', updated, `Changed product ${updated.productName}${live ? ' for re-approval' : ''}`, {
+                actorId,
+                sessionId,
+                ipAddress,
+                oldValues: toFields(Object.fromEntries(Object.keys(changes).map(column => [column, row[column]]))),
+                newValues: toFields(changes)
+            });
+
+            if (updated.approvalStatus === 'pending') {
+                this.announceReviewRequest(updated, io);
+            }
+        }
+
+        return updated;
+    }
+
+    // Take a product out of the catalog or put it back. This needs no
+    // approval: the product itself does not change.
+    static async setActive(product, isActive, { actorId, ipAddress = null, sessionId = null }) {
+        const connection = getConnection();
+        await connection.execute(
+            'UPDATE vendor_products SET is_active = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [isActive, product.id]
+        );
+
+        await logActivity(isActive ? 'PRODUCT_ACTIVATED' : 'PRODUCT_DEACTIVATED', product,
+            `${isActive ? 'Reactivated' : 'Deactivated'} product ${product.productName}`, {
+                actorId, sessionId, ipAddress, oldValues: { isActive: product.isActive }, newValues: { isActive }
+            });
+
+        return await this.getProduct(product.id);
+    }
+
+    static async deleteProduct(product, { actorId, ipAddress = null, sessionId = null }) {
+        const connection = getConnection();
+        await connection.execute('DELETE FROM vendor_products WHERE id = ?', [product.id]);
+
+        await logActivity('PRODUCT_DELETED', product, `Deleted product ${product.productName}`, {
+            actorId, sessionId, ipAddress, oldValues: product, actionType: 'delete'
+        });
+    }
+
+    // Products and product changes waiting for a reviewer, oldest first
+    static async listPending({ page = 1, limit = 20 } = {}) {
+        const connection = getConnection();
+        const offset = (page - 1) * limit;
+        const [rows] = await connection.execute(
+            `${PRODUCT_SELECT} WHERE p.approval_status = 'pending' ORDER BY p.updated_at ASC, p.id ASC LIMIT ? OFFSET ?`,
+            [limit, offset]
+        );
+        const [count] = await connection.execute(
+            "SELECT COUNT(*) as total FROM vendor_products WHERE approval_status = 'pending'"
+        );
+
+        return {
+            products: rows.map(formatProduct),
+            pagination: {
+                page,
+                limit,
+                total: count[0].total,
+                pages: Math.ceil(count[0].total / limit)
+            }
+        };
+    }
+
+    // Approve or reject a new product or a change to an approved one.
+    // Approving a change applies it; rejecting it keeps the approved values.
+    static async review(product, decision, { actorId, notes = null, ipAddress = null, sessionId = null, io = null }) {
+        const connection = getConnection();
+
+        if (product.approvalStatus !== 'pending') {
+            throw new Error('Product has no change waiting for approval');
+        }
+
+        const pending = product.pendingChanges ? toColumns(product.pendingChanges) : null;
+        const updates = ['pending_changes = NULL', 'reviewed_by = ?', 'reviewed_at = CURRENT_TIMESTAMP', 'review_notes = ?', 'approval_status = ?'];
+        const values = [actorId, notes];
+
+        if (decision === 'approved') {
+            values.push('approved');
+
+            if (pending) {
+                Object.keys(pending).forEach(column => updates.push(`${column} = ?`));
+                values.push(...Object.keys(pending).map(column => sqlValue(column, pending[column])));
+            }
+        } else {
+            // A rejected change leaves the approved product as it was
+            values.push(pending ? 'approved' : 'rejected');
+        }
+
+        await connection.execute(
+            `UPDATE vendor_products SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+            [...values, product.id]
+        );
+
+        const reviewed = await this.getProduct(product.id);
+
+        await logActivity('PRODUCT_REVIEWED', reviewed,
+            `${decision === 'approved' ? 'Approved' : 'Rejected'} ${pending ? 'changes to ' : ''}product ${reviewed.productName}${notes ? `. Notes: ${notes}` : ''}`, {
+                actorId, sessionId, ipAddress, oldValues: { approvalStatus: 'pending', pendingChanges: product.pendingChanges }, newValues: { decision, notes }
+            });
+
+        const event = {
+            productId: reviewed.id,
+            productName: reviewed.productName,
+            sku: reviewed.sku,
+            decision,
+            change: pending ? 'update' : 'new',
+            notes,
+            timestamp: new Date().toISOString()
+        };
+
+        io?.to(`user_${reviewed.userId}`).emit('product_reviewed', event);
+        io?.to('admin_room').emit('product_reviewed', { ...event, vendorId: reviewed.vendorId, reviewedBy: actorId });
+
+        return reviewed;
+    }
+
+    static announceReviewRequest(product, io) {
+        io?.to('admin_room').emit('product_review_requested', {
+            productId: product.id,
+            vendorId: product.vendorId,
+            entityName: product.entityName,
+            productName: product.productName,
+            sku: product.sku,
+            change: product.pendingChanges ? 'update' : 'new',
+            timestamp: new Date().toISOString()
+        });
+    }
+}
+
+module.exports = ProductCatalogService;
@@ -0,0 +1,479 @@
+const fs = require('fs');
+const path = require('path');
+const { getConnection } = require('../config/database');
+const Helpers = require('../utils/helpers');
+
+// Starter taxonomy loaded into an empty table by `npm run migrate-categories`
+const BUNDLED_DATA_FILE = path.join(__dirname, '../data/product-categories.json');
+
+// product_categories.level values, top down
+const LEVELS = ['category', 'sub_category', 'micro_category'];
+
+// Product fields and vendor_products columns holding each level
+const LEVEL_FIELDS = {
+    category: { field: 'productCategory', idField: 'categoryId', column: 'product_category', idColumn: 'category_id', label: 'Product category' },
+    sub_category: { field: 'subCategory', idField: 'subCategoryId', column: 'sub_category', idColumn: 'sub_category_id', label: 'Sub category' },
+    micro_category: { field: 'microCategory', idField: 'microCategoryId', column: 'micro_category', idColumn: 'micro_category_id', label: 'Micro category' }
+};
+
+// Lowest spelling score at which an unknown name gets a "did you mean"
+const SUGGESTION_THRESHOLD = 0.7;
+
+// Shape a product_categories row for API responses
+const formatCategory = (row) => ({
+    id: row.id,
+    parentId: row.parent_id,
+    level: row.level,
+    name: row.name,
+    slug: row.slug,
+    aliases: Helpers.parseJson(row.aliases) || [],
+    sortOrder: row.sort_order,
+    isActive: !!row.is_active,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+});
+
+// Nodes by id and the children of each node (0 for the top level), in
+// dropdown order
+const buildTree = (rows) => {
+    const nodes = new Map();
+    const children = new Map();
+
+    rows.map(formatCategory).forEach(node => {
+        nodes.set(node.id, node);
+        const key = node.parentId || 0;
+        if (!children.has(key)) children.set(key, []);
+        children.get(key).push(node);
+    });
+
+    return { nodes, children };
+};
+
+// Aliases without repeats or the node's own name
+const cleanAliases = (name, aliases) => {
+    const seen = new Set([Helpers.generateSlug(name)]);
+    return aliases.filter(alias => {
+        const slug = Helpers.generateSlug(alias);
+        if (seen.has(slug)) return false;
+        seen.add(slug);
+        return true;
+    });
+};
+
+const logActivity = async (action, category, description, { actorId, sessionId = null, ipAddress = null, oldValues = null, newValues = null, actionType = 'update' }) => {
+    const connection = getConnection();
+    await connection.execute(`
+        INSERT INTO activity_logs
+        (user_id, session_id, action, action_category, action_type, target_type, target_id, target_identifier,
+         description, old_values, new_values, ip_address)
+        VALUES (?, ?, ?, 'admin', ?, 'product_category', ?, ?, ?, ?, ?, ?)
+    `, [
+        actorId,
+        sessionId,
+        action,
+        actionType,
+        category.id,
+        category.name,
+        description,
+        oldValues ? JSON.stringify(oldValues) : null,
+        newValues ? JSON.stringify(newValues) : null,
+        ipAddress
+    ]);
+};
+
+class ProductCategoryService {
+    static get levels() {
+        return LEVELS;
+    }
+
+    static get levelFields() {
+        return LEVEL_FIELDS;
+    }
+
+    // The whole taxonomy, indexed for lookups. Callers resolving many
+    // products load it once and pass it along.
+    static async loadTree() {
+        const connection = getConnection();
+        const [rows] = await connection.execute('SELECT * FROM product_categories ORDER BY sort_order, name');
+        return buildTree(rows);
+    }
+
+    static async getCategory(categoryId) {
+        const connection = getConnection();
+        const [rows] = await connection.execute('SELECT * FROM product_categories WHERE id = ?', [categoryId]);
+        return rows.length > 0 ? formatCategory(rows[0]) : null;
+    }
+
+    // The child of parentId (null for the top level) named or aliased as
+    // text, ignoring case and punctuation
+    static findNode(tree, parentId, text) {
+        const slug = Helpers.generateSlug(String(text));
+        return (tree.children.get(parentId || 0) || []).find(node =>
+            node.slug === slug || node.aliases.some(alias => Helpers.generateSlug(alias) === slug)
+        ) || null;
+    }
+
+    // The child of parentId spelled most like text, scoring at least
+    // threshold against its name or an alias, or null
+    static closestNode(tree, parentId, text, threshold, { activeOnly = false } = {}) {
+        let best = null;
+        let bestScore = threshold;
+
+        (tree.children.get(parentId || 0) || []).filter(node => !activeOnly || node.isActive).forEach(node => {
+            const score = Math.max(...[node.name, ...node.aliases].map(name => Helpers.spellingMatchScore(text, name)));
+            if (score >= bestScore) {
+                best = node;
+                bestScore = score;
+            }
+        });
+
+        return best;
+    }
+
+    // Name of the active sibling spelled most like text, if any is close
+    static suggest(tree, parentId, text) {
+        return this.closestNode(tree, parentId, text, SUGGESTION_THRESHOLD, { activeOnly: true })?.name || null;
+    }
+
+    // A sibling of the node (existing or new) already using one of these
+    // names as its name or alias, or null
+    static findConflict(tree, parentId, names, excludeId = null) {
+        for (const name of names) {
+            const node = this.findNode(tree, parentId, name);
+            if (node && node.id !== excludeId) return node;
+        }
+        return null;
+    }
+
+    // The taxonomy as nested children for dropdowns. Admins also see
+    // inactive nodes, aliases and how many products use each node.
+    static async getTree({ admin = false } = {}) {
+        const tree = await this.loadTree();
+        let usage = new Map();
+
+        if (admin) {
+            const connection = getConnection();
+            const [rows] = await connection.execute(`
+                SELECT node_id, COUNT(*) as total FROM (
+                    SELECT category_id as node_id FROM vendor_products WHERE category_id IS NOT NULL
+                    UNION ALL SELECT sub_category_id FROM vendor_products WHERE sub_category_id IS NOT NULL
+                    UNION ALL SELECT micro_category_id FROM vendor_products WHERE micro_category_id IS NOT NULL
+                ) used
+                GROUP BY node_id
+            `);
+            usage = new Map(rows.map(row => [row.node_id, row.total]));
+        }
+
+        const nest = (parentId) => (tree.children.get(parentId) || [])
+            .filter(node => admin || node.isActive)
+            .map(node => ({
+                id: node.id,
+                name: node.name,
+                slug: node.slug,
+                level: node.level,
+                ...(admin && {
+                    aliases: node.aliases,
+                    sortOrder: node.sortOrder,
+                    isActive: node.isActive,
+                    productCount: usage.get(node.id) || 0
+                }),
+                children: nest(node.id)
+            }));
+
+        return nest(0);
+    }
+
+    // Products using the node, directly or through a change awaiting approval
+    static async countUsage(category) {
+        const connection = getConnection();
+        const { idColumn } = LEVEL_FIELDS[category.level];
+        const [rows] = await connection.execute(`
+            SELECT COUNT(*) as total FROM vendor_products
+            WHERE ${idColumn} = ? OR JSON_EXTRACT(pending_changes, '$.${idColumn}') = ?
+        `, [category.id, category.id]);
+        return rows[0].total;
+    }
+
+    // Add a node under parent (null for a top-level category)
+    static async createCategory(parent, { name, aliases = [], sortOrder = 0, isActive = true }, { actorId, ipAddress = null, sessionId = null }) {
+        const connection = getConnection();
+        const level = parent ? LEVELS[LEVELS.indexOf(parent.level) + 1] : LEVELS[0];
+
+        if (!level) {
+            throw new Error('Micro categories cannot have children');
+        }
+
+        const [insert] = await connection.execute(`
+            INSERT INTO product_categories (parent_id, level, name, slug, aliases, sort_order, is_active, created_by, updated_by)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [parent?.id || null, level, name, Helpers.generateSlug(name), JSON.stringify(cleanAliases(name, aliases)), sortOrder, isActive, actorId, actorId]);
+
+        const category = await this.getCategory(insert.insertId);
+
+        await logActivity('CATEGORY_CREATED', category, `Added ${level.replace('_', ' ')} ${name}${parent ? ` under ${parent.name}` : ''}`, {
+            actorId, sessionId, ipAddress, newValues: { parentId: category.parentId, name, aliases: category.aliases, sortOrder, isActive }, actionType: 'create'
+        });
+
+        return category;
+    }
+
+    // Rename, re-alias, reorder or (de)activate a node. A rename is applied
+    // to the products using the node, and the old name becomes an alias so
+    // sheets and forms using it still resolve.
+    static async updateCategory(category, changes, { actorId, ipAddress = null, sessionId = null }) {
+        const connection = getConnection();
+        const name = changes.name ?? category.name;
+        const renamed = name !== category.name;
+        let aliases = changes.aliases ?? category.aliases;
+
+        if (renamed) {
+            aliases = [...aliases, category.name];
+        }
+        aliases = cleanAliases(name, aliases);
+
+        const updated = {
+            name,
+            aliases,
+            sortOrder: changes.sortOrder ?? category.sortOrder,
+            isActive: changes.isActive ?? category.isActive
+        };
+
+        await connection.execute(`
+            UPDATE product_categories
+            SET name = ?, slug = ?, aliases = ?, sort_order = ?, is_active = ?, updated_by = ?
+            WHERE id = ?
+        `, [name, Helpers.generateSlug(name), JSON.stringify(aliases), updated.sortOrder, updated.isActive, actorId, category.id]);
+
+        if (renamed) {
+            const { column, idColumn } = LEVEL_FIELDS[category.level];
+            await connection.execute(`UPDATE vendor_products SET ${column} = ? WHERE ${idColumn} = ?`, [name, category.id]);
+            await connection.execute(`
+                UPDATE vendor_products SET pending_changes = JSON_SET(pending_changes, '$.${column}', ?)
+                WHERE JSON_EXTRACT(pending_changes, '$.${idColumn}') = ?
+            `, [name, category.id]);
+        }
+
+        const result = await this.getCategory(category.id);
+
+        await logActivity('CATEGORY_UPDATED', result, renamed ? `Renamed ${category.name} to ${name}` : `Changed ${name}`, {
+            actorId,
+            sessionId,
+            ipAddress,
+            oldValues: { name: category.name, aliases: category.aliases, sortOrder: category.sortOrder, isActive: category.isActive },
+            newValues: updated
+        });
+
+        return result;
+    }
+
+    // Remove a node no product or child node uses
+    static async deleteCategory(category, { actorId, ipAddress = null, sessionId = null }) {
+        const connection = getConnection();
+        await connection.execute('DELETE FROM product_categories WHERE id = ?', [category.id]);
+
+        await logActivity('CATEGORY_DELETED', category, `Deleted ${category.level.replace('_', ' ')} ${category.name}`, {
+            actorId, sessionId, ipAddress, oldValues: category, actionType: 'delete'
+        });
+    }
+
+    static async hasChildren(category) {
+        const connection = getConnection();
+        const [rows] = await connection.execute('SELECT id FROM product_categories WHERE parent_id = ? LIMIT 1', [category.id]);
+        return rows.length > 0;
+    }
+
+    // Load a taxonomy file into an empty product_categories table. The file
+    // is a list of { name, aliases, children } nodes three levels deep.
+    static async seedFile(filePath = process.env.CATEGORY_DATA_FILE || BUNDLED_DATA_FILE) {
+        const connection = getConnection();
+        const [count] = await connection.execute('SELECT COUNT(*) as total FROM product_categories');
+
+        if (count[0].total > 0) {
+            return 0;
+        }
+
+        const nodes = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+        let inserted = 0;
+
+        const insert = async (items, parentId, depth) => {
+            for (const [index, item] of items.entries()) {
+                const [result] = await connection.execute(`
+                    INSERT INTO product_categories (parent_id, level, name, slug, aliases, sort_order)
+                    VALUES (?, ?, ?, ?, ?, ?)
+                `, [parentId, LEVELS[depth], item.name, Helpers.generateSlug(item.name), JSON.stringify(cleanAliases(item.name, item.aliases || [])), index]);
+                inserted++;
+
+                if (item.children && depth + 1 < LEVELS.length) {
+                    await insert(item.children, result.insertId, depth + 1);
+                }
+            }
+        };
+
+        await insert(nodes, null, 0);
+        return inserted;
+    }
+
+    // Map the free-text categories of products saved before the taxonomy to
+    // its nodes: by name or alias, then by spelling (threshold from 0 to 1),
+    // then optionally by adding the missing nodes. Without apply nothing is
+    // written and the report shows what would happen. Applying stores the
+    // canonical names and node ids and keeps misspellings as aliases.
+    static async mapExistingProducts({ apply = false, createMissing = false, threshold = 0.8 } = {}) {
+        const connection = getConnection();
+        const tree = await this.loadTree();
+        const report = { mapped: [], unmatched: [], nodesCreated: 0, aliasesAdded: 0, productsUpdated: 0 };
+        let placeholderId = 0;
+
+        const [groups] = await connection.execute(`
+            SELECT product_category, sub_category, micro_category, COUNT(*) as total
+            FROM vendor_products
+            WHERE category_id IS NULL AND product_category <> ''
+            GROUP BY product_category, sub_category, micro_category
+            ORDER BY total DESC
+        `);
+
+        const addNode = async (parent, level, text) => {
+            const name = Helpers.toTitleCase(text.trim().replace(/\s+/g, ' '));
+            let id = --placeholderId;
+
+            if (apply) {
+                const [result] = await connection.execute(`
+                    INSERT INTO product_categories (parent_id, level, name, slug, aliases)
+                    VALUES (?, ?, ?, ?, '[]')
+                `, [parent?.id || null, level, name, Helpers.generateSlug(name)]);
+                id = result.insertId;
+            }
+
+            const node = { id, parentId: parent?.id || null, level, name, slug: Helpers.generateSlug(name), aliases: [], isActive: true };
+            const key = node.parentId || 0;
+            if (!tree.children.has(key)) tree.children.set(key, []);
+            tree.children.get(key).push(node);
+            tree.nodes.set(id, node);
+            report.nodesCreated++;
+            return node;
+        };
+
+        const addAlias = async (node, text) => {
+            node.aliases.push(text);
+            report.aliasesAdded++;
+
+            if (apply) {
+                await connection.execute('UPDATE product_categories SET aliases = ? WHERE id = ?', [JSON.stringify(node.aliases), node.id]);
+            }
+        };
+
+        for (const group of groups) {
+            const values = LEVELS.map(level => group[LEVEL_FIELDS[level].column]).filter(Boolean);
+            const nodes = [];
+            const methods = [];
+            let unmatched = null;
+
+            for (const [depth, text] of values.entries()) {
+                const level = LEVELS[depth];
+                const parent = nodes[depth - 1] || null;
+                let node = this.findNode(tree, parent?.id, text);
+                let method = 'name';
+
+                if (!node) {
+                    node = this.closestNode(tree, parent?.id, text, threshold);
+                    method = 'spelling';
+                    if (node) await addAlias(node, text.trim());
+                }
+                if (!node && createMissing) {
+                    node = await addNode(parent, level, text);
+                    method = 'created';
+                }
+                if (!node) {
+                    unmatched = `${LEVEL_FIELDS[level].label} "${text}"${parent ? ` under ${parent.name}` : ''} has no match`;
+                    break;
+                }
+
+                nodes.push(node);
+                methods.push(method);
+            }
+
+            if (unmatched) {
+                report.unmatched.push({ values, products: group.total, reason: unmatched });
+                continue;
+            }
+
+            report.mapped.push({ values, nodes: nodes.map(node => node.name), methods, products: group.total });
+
+            if (apply) {
+                const [result] = await connection.execute(`
+                    UPDATE vendor_products
+                    SET product_category = ?, sub_category = ?, micro_category = ?,
+                        category_id = ?, sub_category_id = ?, micro_category_id = ?
+                    WHERE category_id IS NULL AND product_category = ? AND sub_category <=> ? AND micro_category <=> ?
+                `, [
+                    nodes[0].name, nodes[1]?.name ?? group.sub_category, nodes[2]?.name ?? group.micro_category,
+                    nodes[0].id, nodes[1]?.id || null, nodes[2]?.id || null,
+                    group.product_category, group.sub_category, group.micro_category
+                ]);
+                report.productsUpdated += result.affectedRows;
+            }
+        }
+
+        return report;
+    }
+
+    // Check the category, sub category and micro category of product fields
+    // against the taxonomy and return the fields with canonical names and
+    // node ids. Levels left out of an update keep the product's values,
+    // unless a level above them changed. Throws with a message naming the
+    // field if a name is unknown or no longer offered.
+    static async resolveProductFields(fields, { product = null, tree = null } = {}) {
+        if (!LEVELS.some(level => LEVEL_FIELDS[level].field in fields)) {
+            return fields;
+        }
+
+        tree = tree || await this.loadTree();
+
+        const current = product ? { ...product, ...(product.pendingChanges || {}) } : {};
+        const kept = new Set(LEVELS.map(level => current[LEVEL_FIELDS[level].idField]).filter(Boolean));
+        const resolved = {};
+        let parent = null;
+        let changed = !product;
+        let missing = null;
+
+        for (const level of LEVELS) {
+            const { field, idField, label } = LEVEL_FIELDS[level];
+            let text = null;
+
+            if (field in fields) {
+                text = fields[field];
+            } else if (!changed && !missing) {
+                text = current[field];
+            }
+
+            if (!text) {
+                resolved[field] = text ?? null;
+                resolved[idField] = null;
+                missing = missing || label;
+                continue;
+            }
+            if (missing) {
+                throw new Error(`${label} ${text} needs a ${missing.toLowerCase()}`);
+            }
+
+            const node = this.findNode(tree, parent?.id || null, text);
+
+            if (!node) {
+                const suggestion = this.suggest(tree, parent?.id || null, text);
+                throw new Error(`Unknown ${label.toLowerCase()} "${text}"${parent ? ` under ${parent.name}` : ''}${suggestion ? `. Did you mean ${suggestion}?` : ''}`);
+            }
+            if (!node.isActive && !kept.has(node.id)) {
+                throw new Error(`${label} ${node.name} is no longer offered`);
+            }
+
+            resolved[field] = node.name;
+            resolved[idField] = node.id;
+            changed = changed || node.id !== current[idField];
+            parent = node;
+        }
+
+        return { ...fields, ...resolved };
+    }
+}
+
+module.exports = ProductCategoryService;
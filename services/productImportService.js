@@ -0,0 +1,398 @@
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+const { getConnection } = require('../config/database');
+const ValidationService = require('./validationService');
+const ProductCatalogService = require('./productCatalogService');
+const ProductCategoryService = require('./productCategoryService');
+const Helpers = require('../utils/helpers');
+const Logger = require('../utils/logger');
+
+// Columns of the import template, in export order. Headers are matched
+// ignoring case, spaces and punctuation, so "product_name" works too.
+const TEMPLATE_COLUMNS = [
+    { field: 'sku', header: 'SKU', width: 18 },
+    { field: 'productName', header: 'Product Name', width: 32 },
+    { field: 'productCategory', header: 'Product Category', width: 20 },
+    { field: 'subCategory', header: 'Sub Category', width: 20 },
+    { field: 'microCategory', header: 'Micro Category', width: 20 },
+    { field: 'brand', header: 'Brand', width: 16 },
+    { field: 'quantity', header: 'Quantity', width: 10, type: 'number' },
+    { field: 'unit', header: 'Unit', width: 10 },
+    { field: 'pricePerUnit', header: 'Price Per Unit', width: 14, type: 'number' },
+    { field: 'minimumOrderQuantity', header: 'Minimum Order Quantity', width: 22, type: 'number' },
+    { field: 'productDescription', header: 'Product Description', width: 40 },
+    { field: 'productSpecifications', header: 'Product Specifications', width: 40, type: 'json' }
+];
+
+const FILE_FORMATS = ['csv', 'xlsx'];
+
+const CONTENT_TYPES = {
+    csv: 'text/csv',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Largest sheet accepted in one import
+const MAX_ROWS = parseInt(process.env.PRODUCT_IMPORT_MAX_ROWS) || 5000;
+
+// Rows between progress updates on the job
+const PROGRESS_INTERVAL = 50;
+
+// Jobs still running after this long were cut off by a restart
+const STALE_JOB_MINUTES = 60;
+
+const headerKey = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// A cell as the product API expects it. Blank cells are left out, so an
+// update keeps the current value; values that do not convert are passed on
+// for validation to report.
+const cellValue = (column, text) => {
+    const value = text.trim();
+
+    if (value === '') {
+        return undefined;
+    }
+    if (column.type === 'number') {
+        const number = Number(value.replace(/,/g, ''));
+        return Number.isNaN(number) ? value : number;
+    }
+    if (column.type === 'json') {
+        try {
+            return JSON.parse(value);
+        } catch {
+            return value;
+        }
+    }
+    return value;
+};
+
+// Shape a product_import_jobs row for API responses
+const formatJob = (row, { withResults = true } = {}) => ({
+    id: row.id,
+    onboardingId: row.vendor_onboarding_id,
+    userId: row.user_id,
+    fileName: row.file_name,
+    format: row.file_format,
+    dryRun: !!row.dry_run,
+    status: row.status,
+    totalRows: row.total_rows,
+    processedRows: row.processed_rows,
+    summary: {
+        created: row.created_count,
+        updated: row.updated_count,
+        unchanged: row.unchanged_count,
+        errors: row.error_count
+    },
+    ...(withResults && {
+        results: Helpers.parseJson(row.results)
+    }),
+    failureReason: row.failure_reason,
+    startedAt: row.started_at,
+    completedAt: row.completed_at,
+    createdAt: row.created_at
+});
+
+class ProductImportService {
+    static get fileFormats() {
+        return FILE_FORMATS;
+    }
+
+    static contentType(format) {
+        return CONTENT_TYPES[format];
+    }
+
+    // csv or xlsx from an uploaded file's name, or null
+    static fileFormat(fileName) {
+        const format = String(fileName || '').split('.').pop().toLowerCase();
+        return FILE_FORMATS.includes(format) ? format : null;
+    }
+
+    // Product rows of a sheet: [{ row, values }], where row is the sheet row
+    // number and values are product API fields. The first non-empty row is
+    // the header; unknown columns are ignored.
+    static async readSheet(buffer, format) {
+        const workbook = new ExcelJS.Workbook();
+        let worksheet;
+
+        try {
+            if (format === 'csv') {
+                // Keep cells as text so SKUs like 00123 survive
+                worksheet = await workbook.csv.read(Readable.from(buffer), { map: value => value });
+            } else {
+                await workbook.xlsx.load(buffer);
+                worksheet = workbook.worksheets[0];
+            }
+        } catch (error) {
+            Logger.debug(`Unreadable ${format} product sheet: ${error.message}`);
+            throw new Error(`Could not read the file as ${format.toUpperCase()}. Save it from a spreadsheet app and try again`);
+        }
+
+        const rows = [];
+        let columns = null;
+
+        worksheet?.eachRow({ includeEmpty: false }, (sheetRow, rowNumber) => {
+            const cells = [];
+            sheetRow.eachCell({ includeEmpty: true }, (cell, index) => { cells[index] = cell.text || ''; });
+
+            if (!columns) {
+                columns = new Map();
+                cells.forEach((header, index) => {
+                    const column = TEMPLATE_COLUMNS.find(candidate => headerKey(candidate.field) === headerKey(header));
+                    if (column && ![...columns.values()].includes(column)) columns.set(index, column);
+                });
+                return;
+            }
+
+            const values = {};
+            columns.forEach((column, index) => {
+                const value = cellValue(column, cells[index] || '');
+                if (value !== undefined) values[column.field] = value;
+            });
+
+            if (Object.keys(values).length > 0) {
+                rows.push({ row: rowNumber, values });
+            }
+        });
+
+        if (!columns || ![...columns.values()].some(column => column.field === 'sku')) {
+            throw new Error('The sheet needs a header row with an SKU column. Export your catalog for the template');
+        }
+        if (rows.length === 0) {
+            throw new Error('The sheet has no product rows');
+        }
+        if (rows.length > MAX_ROWS) {
+            throw new Error(`The sheet has ${rows.length} product rows; import at most ${MAX_ROWS} at a time`);
+        }
+
+        return rows;
+    }
+
+    // The catalog as a sheet in the import template. Products waiting for
+    // approval are written as submitted, so importing the file back changes
+    // nothing.
+    static async buildSheet(products, format) {
+        const workbook = new ExcelJS.Workbook();
+        const worksheet = workbook.addWorksheet('Products', { views: [{ state: 'frozen', ySplit: 1 }] });
+
+        worksheet.columns = TEMPLATE_COLUMNS.map(column => ({ header: column.header, key: column.field, width: column.width }));
+        worksheet.getRow(1).font = { bold: true };
+
+        products.forEach(product => {
+            const current = { ...product, ...(product.pendingChanges || {}) };
+            worksheet.addRow(Object.fromEntries(TEMPLATE_COLUMNS.map(column => {
+                const value = current[column.field] ?? null;
+                return [column.field, column.type === 'json' && value !== null ? JSON.stringify(value) : value];
+            })));
+        });
+
+        return Buffer.from(format === 'csv' ? await workbook.csv.writeBuffer() : await workbook.xlsx.writeBuffer());
+    }
+
+    static async getJob(jobId) {
+        const connection = getConnection();
+        const [rows] = await connection.execute('SELECT * FROM product_import_jobs WHERE id = ?', [jobId]);
+        return rows.length > 0 ? formatJob(rows[0]) : null;
+    }
+
+    // A vendor's imports, newest first, without the row results
+    static async listJobs(onboardingId, { limit = 20 } = {}) {
+        const connection = getConnection();
+        const [rows] = await connection.execute(
+            'SELECT * FROM product_import_jobs WHERE vendor_onboarding_id = ? ORDER BY created_at DESC, id DESC LIMIT ?',
+            [onboardingId, limit]
+        );
+        return rows.map(row => formatJob(row, { withResults: false }));
+    }
+
+    // The vendor's import still queued or running, or null
+    static async findActiveJob(onboardingId) {
+        const connection = getConnection();
+        const [rows] = await connection.execute(
+            "SELECT id FROM product_import_jobs WHERE vendor_onboarding_id = ? AND status IN ('queued', 'processing') LIMIT 1",
+            [onboardingId]
+        );
+        return rows[0]?.id || null;
+    }
+
+    static async createJob(onboardingId, { userId, fileName, format, dryRun, totalRows }) {
+        const connection = getConnection();
+        const [insert] = await connection.execute(`
+            INSERT INTO product_import_jobs (vendor_onboarding_id, user_id, file_name, file_format, dry_run, total_rows)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `, [onboardingId, userId, fileName, format, dryRun, totalRows]);
+
+        return await this.getJob(insert.insertId);
+    }
+
+    // Check or import each row of a job. Rows are matched to products by
+    // SKU, ignoring case: a known SKU updates the product, a new one adds
+    // it. Invalid rows are skipped and reported; the rest still import.
+    static async runJob(job, rows, { actorId, ipAddress = null, sessionId = null, io = null }) {
+        const connection = getConnection();
+        const context = { actorId, ipAddress, sessionId, io: null };
+        const counts = { create: 0, update: 0, unchanged: 0, error: 0 };
+        const results = [];
+
+        await connection.execute(
+            "UPDATE product_import_jobs SET status = 'processing', started_at = CURRENT_TIMESTAMP WHERE id = ?",
+            [job.id]
+        );
+
+        try {
+            // Renamed products are found by both their approved and their submitted SKU
+            const products = await ProductCatalogService.listProducts(job.onboardingId);
+            const bySku = new Map();
+            products.forEach(product => { if (product.sku) bySku.set(product.sku.toLowerCase(), product); });
+            products.forEach(product => {
+                if (product.pendingChanges?.sku) bySku.set(product.pendingChanges.sku.toLowerCase(), product);
+            });
+
+            const seen = new Map();
+            const tree = await ProductCategoryService.loadTree();
+
+            for (const [index, entry] of rows.entries()) {
+                const result = await this.importRow(job, entry, { bySku, seen, tree, context });
+                counts[result.action]++;
+                results.push(result);
+
+                if ((index + 1) % PROGRESS_INTERVAL === 0) {
+                    await connection.execute('UPDATE product_import_jobs SET processed_rows = ? WHERE id = ?', [index + 1, job.id]);
+                }
+            }
+
+            await connection.execute(`
+                UPDATE product_import_jobs
+                SET status = 'completed', processed_rows = ?, created_count = ?, updated_count = ?, unchanged_count = ?,
+                    error_count = ?, results = ?, completed_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `, [rows.length, counts.create, counts.update, counts.unchanged, counts.error, JSON.stringify(results), job.id]);
+        } catch (error) {
+            Logger.error(`Product import ${job.id} failed:`, error);
+            await connection.execute(`
+                UPDATE product_import_jobs
+                SET status = 'failed', processed_rows = ?, failure_reason = ?, results = ?, completed_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `, [results.length, error.message, JSON.stringify(results), job.id]);
+        }
+
+        const finished = await this.getJob(job.id);
+
+        await connection.execute(`
+            INSERT INTO activity_logs
+            (user_id, session_id, action, action_category, action_type, target_type, target_id, target_identifier,
+             description, new_values, ip_address, severity)
+            VALUES (?, ?, ?, 'vendor', ?, 'product_import_job', ?, ?, ?, ?, ?, ?)
+        `, [
+            actorId,
+            sessionId,
+            finished.dryRun ? 'PRODUCT_IMPORT_PREVIEWED' : 'PRODUCT_IMPORT_COMPLETED',
+            finished.dryRun ? 'read' : 'other',
+            finished.id,
+            finished.fileName,
+            finished.status === 'failed'
+                ? `Product import of ${finished.fileName} failed: ${finished.failureReason}`
+                : `${finished.dryRun ? 'Previewed' : 'Imported'} ${finished.fileName}: ${counts.create} new, ${counts.update} changed, ${counts.unchanged} unchanged, ${counts.error} invalid`,
+            JSON.stringify(finished.summary),
+            ipAddress,
+            finished.status === 'failed' ? 'medium' : 'low'
+        ]);
+
+        const event = {
+            jobId: finished.id,
+            fileName: finished.fileName,
+            dryRun: finished.dryRun,
+            status: finished.status,
+            summary: finished.summary,
+            timestamp: new Date().toISOString()
+        };
+
+        io?.to(`user_${finished.userId}`).emit('product_import_finished', event);
+
+        // One notice for the review queue instead of one per product
+        if (!finished.dryRun && counts.create + counts.update > 0) {
+            io?.to('admin_room').emit('product_import_finished', { ...event, onboardingId: finished.onboardingId });
+        }
+
+        return finished;
+    }
+
+    // Outcome of one row: { row, sku, action, productId, changes, error },
+    // where action is create, update, unchanged or error
+    static async importRow(job, { row, values }, { bySku, seen, tree, context }) {
+        const sku = typeof values.sku === 'string' ? values.sku : (values.sku === undefined ? null : String(values.sku));
+        const fail = (error, productId = null) => ({ row, sku, action: 'error', productId, error });
+
+        if (!sku) {
+            return fail('SKU is required to import a product');
+        }
+
+        const key = sku.toLowerCase();
+        if (seen.has(key)) {
+            return fail(`SKU ${sku} is already on row ${seen.get(key)}`);
+        }
+        seen.set(key, row);
+
+        const existing = bySku.get(key);
+        let fields;
+
+        // A renamed product can be reached by two SKUs; only the first row counts
+        if (existing) {
+            const productKey = `product:${existing.id}`;
+            if (seen.has(productKey)) {
+                return fail(`SKU ${sku} is the same product as row ${seen.get(productKey)}`, existing.id);
+            }
+            seen.set(productKey, row);
+        }
+
+        // SKUs match ignoring case; a different case alone is not a change
+        const currentSku = existing && (existing.pendingChanges?.sku || existing.sku);
+
+        try {
+            fields = ValidationService.validateProduct({
+                ...values,
+                sku: currentSku && currentSku.toLowerCase() === key ? currentSku : sku
+            }, { partial: !!existing });
+            fields = await ProductCategoryService.resolveProductFields(fields, { product: existing || null, tree });
+        } catch (error) {
+            return fail(error.message, existing?.id || null);
+        }
+
+        try {
+            if (existing) {
+                const changes = ProductCatalogService.changedFields(existing, fields);
+
+                if (changes.length === 0) {
+                    return { row, sku, action: 'unchanged', productId: existing.id };
+                }
+                if (!job.dryRun) {
+                    await ProductCatalogService.updateProduct(existing, fields, context);
+                }
+                return { row, sku, action: 'update', productId: existing.id, changes };
+            }
+
+            const product = job.dryRun
+                ? null
+                : await ProductCatalogService.createProduct(job.onboardingId, fields, { ...context, source: 'import' });
+            return { row, sku, action: 'create', productId: product?.id || null };
+        } catch (error) {
+            return fail(error.code === 'ER_DUP_ENTRY' ? `SKU ${sku} is already used by another of your products` : error.message, existing?.id || null);
+        }
+    }
+
+    // Mark imports cut off by a restart as failed so the vendor can upload
+    // the sheet again
+    static async failInterruptedJobs() {
+        const connection = getConnection();
+        const [result] = await connection.execute(`
+            UPDATE product_import_jobs
+            SET status = 'failed', failure_reason = 'The import was interrupted. Upload the sheet again', completed_at = CURRENT_TIMESTAMP
+            WHERE status IN ('queued', 'processing') AND updated_at < DATE_SUB(NOW(), INTERVAL ? MINUTE)
+        `, [STALE_JOB_MINUTES]);
+
+        if (result.affectedRows > 0) {
+            Logger.info(`Marked ${result.affectedRows} interrupted product imports as failed`);
+        }
+        return result.affectedRows;
+    }
+}
+
+module.exports = ProductImportService;
@@ -0,0 +1,383 @@
+const { getConnection } = require('../config/database');
+const PermissionService = require('./permissionService');
+const Logger = require('../utils/logger');
+
+// SLA windows in hours, measured from vendor_onboarding.submitted_at: a
+// reviewer should pick the submission up within the first and decide it
+// within the second
+const REVIEW_SLA_HOURS = parseInt(process.env.REVIEW_SLA_HOURS) || 24;
+const DECISION_SLA_HOURS = parseInt(process.env.DECISION_SLA_HOURS) || 72;
+
+// Items this close to their deadline are reported as due soon
+const SLA_DUE_SOON_HOURS = parseInt(process.env.SLA_DUE_SOON_HOURS) || 6;
+
+const SLA_CHECK_INTERVAL_MINUTES = parseInt(process.env.SLA_CHECK_INTERVAL_MINUTES) || 15;
+
+// Submissions are handed out round-robin unless this is turned off
+const AUTO_ASSIGN = process.env.REVIEW_AUTO_ASSIGN !== 'false';
+
+// Staff whose role holds this permission can be assigned reviews
+const REVIEWER_PERMISSION = 'vendor.status.update';
+
+// escalation_level values, one per missed deadline
+const ESCALATION_LEVELS = { review: 1, decision: 2 };
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Pending submissions with their assignee. Vendors without a stored deadline
+// (submitted before SLAs were tracked) fall back to submitted_at + the window.
+const QUEUE_SELECT = `
+    SELECT vo.id as onboarding_id, vo.user_id, vo.status, vo.name_of_entity, vo.type_of_supplier,
+           vo.submitted_at, vo.assigned_to, vo.assigned_by, vo.assigned_at,
+           COALESCE(vo.review_due_at, DATE_ADD(vo.submitted_at, INTERVAL ${REVIEW_SLA_HOURS} HOUR)) as review_due_at,
+           COALESCE(vo.decision_due_at, DATE_ADD(vo.submitted_at, INTERVAL ${DECISION_SLA_HOURS} HOUR)) as decision_due_at,
+           vo.escalation_level, vo.escalated_at,
+           vp.id as vendor_id, vp.entity_name, vp.category,
+           r.email as reviewer_email, r.phone as reviewer_phone, r.role as reviewer_role
+    FROM vendor_onboarding vo
+    JOIN vendor_profiles vp ON vp.user_id = vo.user_id
+    LEFT JOIN users r ON r.id = vo.assigned_to
+    WHERE vo.status IN ('submitted', 'under_review') AND vp.status = 'pending'
+`;
+
+const hoursBetween = (from, to) => Math.round(((new Date(to) - new Date(from)) / HOUR_MS) * 10) / 10;
+
+// The deadline an item is working towards. A submission nobody has picked up
+// is measured against the review deadline until the decision deadline passes.
+const getSla = (row, now) => {
+    const deadline = row.status === 'submitted' && new Date(row.decision_due_at) > now ? 'review' : 'decision';
+    const dueAt = deadline === 'review' ? row.review_due_at : row.decision_due_at;
+    const hoursRemaining = hoursBetween(now, dueAt);
+
+    let status = 'on_track';
+    if (hoursRemaining <= 0) {
+        status = 'overdue';
+    } else if (hoursRemaining <= SLA_DUE_SOON_HOURS) {
+        status = 'due_soon';
+    }
+
+    return {
+        deadline,
+        dueAt,
+        hoursRemaining,
+        status,
+        reviewDueAt: row.review_due_at,
+        decisionDueAt: row.decision_due_at,
+        escalationLevel: row.escalation_level,
+        escalatedAt: row.escalated_at
+    };
+};
+
+// Shape a queue row for API responses
+const formatQueueItem = (row, now = new Date()) => ({
+    vendorId: row.vendor_id,
+    onboardingId: row.onboarding_id,
+    userId: row.user_id,
+    entityName: row.entity_name || row.name_of_entity,
+    supplierType: row.type_of_supplier,
+    category: row.category,
+    status: row.status,
+    submittedAt: row.submitted_at,
+    ageHours: hoursBetween(row.submitted_at, now),
+    assignedTo: row.assigned_to
+        ? { id: row.assigned_to, email: row.reviewer_email, phone: row.reviewer_phone, role: row.reviewer_role }
+        : null,
+    assignedBy: row.assigned_by,
+    assignedAt: row.assigned_at,
+    sla: getSla(row, now)
+});
+
+// Most urgent first
+const byDueAt = (a, b) => new Date(a.sla.dueAt) - new Date(b.sla.dueAt);
+
+const summarize = (items) => ({
+    total: items.length,
+    overdue: items.filter(item => item.sla.status === 'overdue').length,
+    dueSoon: items.filter(item => item.sla.status === 'due_soon').length,
+    onTrack: items.filter(item => item.sla.status === 'on_track').length
+});
+
+let slaMonitorTimer = null;
+
+class ReviewQueueService {
+    static get slaHours() {
+        return { review: REVIEW_SLA_HOURS, decision: DECISION_SLA_HOURS, dueSoon: SLA_DUE_SOON_HOURS };
+    }
+
+    // Active staff who can be assigned reviews, least recently assigned first
+    static async getEligibleReviewers() {
+        const map = await PermissionService.getRolePermissionMap();
+        const roles = [...map.entries()]
+            .filter(([role, permissions]) => role !== 'vendor' && permissions.has(REVIEWER_PERMISSION))
+            .map(([role]) => role);
+
+        if (roles.length === 0) {
+            return [];
+        }
+
+        const connection = getConnection();
+        const [rows] = await connection.execute(`
+            SELECT u.id, u.email, u.phone, u.role,
+                   (SELECT MAX(vo.assigned_at) FROM vendor_onboarding vo WHERE vo.assigned_to = u.id) as last_assigned_at,
+                   (SELECT COUNT(*) FROM vendor_onboarding vo
+                    WHERE vo.assigned_to = u.id AND vo.status IN ('submitted', 'under_review')) as open_reviews
+            FROM users u
+            WHERE u.role IN (${roles.map(() => '?').join(', ')}) AND u.is_active = TRUE
+            ORDER BY last_assigned_at IS NOT NULL, last_assigned_at, u.id
+        `, roles);
+
+        return rows.map(row => ({
+            id: row.id,
+            email: row.email,
+            phone: row.phone,
+            role: row.role,
+            lastAssignedAt: row.last_assigned_at,
+            openReviews: row.open_reviews
+        }));
+    }
+
+    static async getEligibleReviewer(userId) {
+        const reviewers = await this.getEligibleReviewers();
+        return reviewers.find(reviewer => reviewer.id === parseInt(userId)) || null;
+    }
+
+    // Queue entry for a vendor, or null when it is not waiting on a reviewer
+    static async getItem(vendorId) {
+        const connection = getConnection();
+        const [rows] = await connection.execute(`${QUEUE_SELECT} AND vp.id = ?`, [vendorId]);
+        return rows.length > 0 ? formatQueueItem(rows[0]) : null;
+    }
+
+    // Give a pending submission to a reviewer. assignedBy is NULL for
+    // round-robin assignments.
+    static async assign(vendor, reviewer, { assignedBy = null, ipAddress = null, sessionId = null, io = null } = {}) {
+        const connection = getConnection();
+        const item = await this.getItem(vendor.vendorId);
+
+        if (!item) {
+            throw new Error('Vendor is not waiting for a review');
+        }
+
+        await connection.execute(
+            'UPDATE vendor_onboarding SET assigned_to = ?, assigned_by = ?, assigned_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [reviewer.id, assignedBy, item.onboardingId]
+        );
+
+        const method = assignedBy ? 'manual' : 'round_robin';
+
+        await connection.execute(`
+            INSERT INTO activity_logs
+            (user_id, session_id, action, action_category, action_type, target_type, target_id, target_identifier,
+             description, old_values, new_values, ip_address)
+            VALUES (?, ?, 'REVIEW_ASSIGNED', 'vendor', 'update', 'vendor', ?, ?, ?, ?, ?, ?)
+        `, [
+            assignedBy,
+            sessionId,
+            item.vendorId,
+            item.entityName,
+            `Assigned review of ${item.entityName || `vendor ${item.vendorId}`} to user ${reviewer.id} (${method.replace('_', '-')})`,
+            JSON.stringify({ assignedTo: item.assignedTo?.id || null }),
+            JSON.stringify({ assignedTo: reviewer.id, method }),
+            ipAddress
+        ]);
+
+        const assigned = await this.getItem(vendor.vendorId);
+
+        io?.to(`user_${reviewer.id}`).emit('review_assigned', {
+            vendorId: assigned.vendorId,
+            entityName: assigned.entityName,
+            submittedAt: assigned.submittedAt,
+            sla: assigned.sla,
+            method,
+            timestamp: new Date().toISOString()
+        });
+
+        io?.to('admin_room').emit('review_queue_updated', {
+            vendorId: assigned.vendorId,
+            entityName: assigned.entityName,
+            previousAssignee: item.assignedTo?.id || null,
+            assignedTo: reviewer.id,
+            assignedBy,
+            method,
+            timestamp: new Date().toISOString()
+        });
+
+        Logger.info(`Review of vendor ${assigned.vendorId} assigned to user ${reviewer.id} (${method})`);
+        return assigned;
+    }
+
+    // Assign to the eligible reviewer who has gone longest without a new
+    // review. Returns null when there is nobody to assign to.
+    static async assignRoundRobin(vendor, options = {}) {
+        const [reviewer] = await this.getEligibleReviewers();
+
+        if (!reviewer) {
+            Logger.warning(`No reviewers available to assign vendor ${vendor.vendorId}`);
+            return null;
+        }
+
+        return await this.assign(vendor, reviewer, { ...options, assignedBy: null });
+    }
+
+    // Start the SLA clock for a (re)submitted form and make sure someone owns
+    // it. A resubmission goes back to its previous reviewer while they can
+    // still review.
+    static async queueSubmission(vendor, { io = null } = {}) {
+        const connection = getConnection();
+
+        await connection.execute(`
+            UPDATE vendor_onboarding
+            SET review_due_at = DATE_ADD(submitted_at, INTERVAL ? HOUR),
+                decision_due_at = DATE_ADD(submitted_at, INTERVAL ? HOUR),
+                escalation_level = 0,
+                escalated_at = NULL
+            WHERE id = ?
+        `, [REVIEW_SLA_HOURS, DECISION_SLA_HOURS, vendor.onboardingId]);
+
+        const item = await this.getItem(vendor.vendorId);
+
+        if (!item || !AUTO_ASSIGN) {
+            return item;
+        }
+
+        if (item.assignedTo && await this.getEligibleReviewer(item.assignedTo.id)) {
+            return item;
+        }
+
+        return (await this.assignRoundRobin(vendor, { io })) || item;
+    }
+
+    // Round-robin every pending submission that has no reviewer
+    static async assignUnassigned({ ipAddress = null, sessionId = null, io = null } = {}) {
+        const connection = getConnection();
+        const [rows] = await connection.execute(`${QUEUE_SELECT} AND vo.assigned_to IS NULL ORDER BY vo.submitted_at`);
+        const assigned = [];
+
+        for (const row of rows) {
+            const item = await this.assignRoundRobin(
+                { vendorId: row.vendor_id, onboardingId: row.onboarding_id, entityName: row.entity_name },
+                { ipAddress, sessionId, io }
+            );
+            if (!item) {
+                break;
+            }
+            assigned.push(item);
+        }
+
+        return { assigned, unassigned: rows.length - assigned.length };
+    }
+
+    // Pending submissions, most urgent first. assignedTo is a user id or
+    // 'unassigned'; slaStatus is on_track, due_soon or overdue.
+    static async listQueue({ assignedTo = null, slaStatus = null } = {}) {
+        const connection = getConnection();
+        const params = [];
+        let assigneeClause = '';
+
+        if (assignedTo === 'unassigned') {
+            assigneeClause = 'AND vo.assigned_to IS NULL';
+        } else if (assignedTo) {
+            assigneeClause = 'AND vo.assigned_to = ?';
+            params.push(assignedTo);
+        }
+
+        const [rows] = await connection.execute(`${QUEUE_SELECT} ${assigneeClause}`, params);
+        const now = new Date();
+        const items = rows.map(row => formatQueueItem(row, now)).sort(byDueAt);
+
+        return {
+            items: slaStatus ? items.filter(item => item.sla.status === slaStatus) : items,
+            summary: summarize(items)
+        };
+    }
+
+    // Raise an escalation for every submission that has missed a deadline it
+    // has not been escalated for yet. Returns the escalated items.
+    static async checkOverdue(io = null) {
+        const connection = getConnection();
+        const [rows] = await connection.execute(`
+            ${QUEUE_SELECT}
+            AND ((COALESCE(vo.decision_due_at, DATE_ADD(vo.submitted_at, INTERVAL ${DECISION_SLA_HOURS} HOUR)) <= NOW()
+                  AND vo.escalation_level < ${ESCALATION_LEVELS.decision})
+              OR (vo.status = 'submitted'
+                  AND COALESCE(vo.review_due_at, DATE_ADD(vo.submitted_at, INTERVAL ${REVIEW_SLA_HOURS} HOUR)) <= NOW()
+                  AND vo.escalation_level < ${ESCALATION_LEVELS.review}))
+        `);
+
+        const now = new Date();
+        const escalated = [];
+
+        for (const row of rows) {
+            const item = formatQueueItem(row, now);
+            const deadline = new Date(row.decision_due_at) <= now ? 'decision' : 'review';
+            const level = ESCALATION_LEVELS[deadline];
+
+            // Guarded so two server instances do not escalate the same item twice
+            const [result] = await connection.execute(
+                'UPDATE vendor_onboarding SET escalation_level = ?, escalated_at = CURRENT_TIMESTAMP WHERE id = ? AND escalation_level < ?',
+                [level, item.onboardingId, level]
+            );
+
+            if (result.affectedRows === 0) {
+                continue;
+            }
+
+            const dueAt = deadline === 'decision' ? item.sla.decisionDueAt : item.sla.reviewDueAt;
+            const overdueHours = hoursBetween(dueAt, now);
+
+            await connection.execute(`
+                INSERT INTO activity_logs
+                (user_id, action, action_category, action_type, target_type, target_id, target_identifier,
+                 description, new_values, severity)
+                VALUES (NULL, 'REVIEW_SLA_ESCALATED', 'vendor', 'other', 'vendor', ?, ?, ?, ?, ?)
+            `, [
+                item.vendorId,
+                item.entityName,
+                `${deadline === 'decision' ? 'Decision' : 'Review'} of ${item.entityName || `vendor ${item.vendorId}`} is ${overdueHours}h overdue`,
+                JSON.stringify({ deadline, dueAt, assignedTo: item.assignedTo?.id || null, escalationLevel: level }),
+                deadline === 'decision' ? 'high' : 'medium'
+            ]);
+
+            const event = {
+                vendorId: item.vendorId,
+                entityName: item.entityName,
+                status: item.status,
+                deadline,
+                dueAt,
+                overdueHours,
+                ageHours: item.ageHours,
+                assignedTo: item.assignedTo,
+                timestamp: now.toISOString()
+            };
+
+            io?.to('admin_room').emit('review_sla_escalated', event);
+            if (item.assignedTo) {
+                io?.to(`user_${item.assignedTo.id}`).emit('review_overdue', event);
+            }
+
+            Logger.warning(`Vendor ${item.vendorId} ${deadline} SLA missed by ${overdueHours}h`);
+            escalated.push({ ...item, escalation: { deadline, level, overdueHours } });
+        }
+
+        return escalated;
+    }
+
+    // Check for overdue reviews on an interval
+    static startSlaMonitor(io) {
+        if (slaMonitorTimer) {
+            return;
+        }
+
+        slaMonitorTimer = setInterval(async () => {
+            try {
+                await this.checkOverdue(io);
+            } catch (error) {
+                Logger.error('Review SLA check failed:', error);
+            }
+        }, SLA_CHECK_INTERVAL_MINUTES * 60 * 1000);
+
+        Logger.info(`Review SLA monitor started (runs every ${SLA_CHECK_INTERVAL_MINUTES} minutes)`);
+    }
+}
+
+module.exports = ReviewQueueService;
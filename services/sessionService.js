@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const { getConnection } = require('../config/database');
+const TokenService = require('./tokenService');
+const Logger = require('../utils/logger');
+
+// Sessions idle longer than the refresh token lifetime can never be resumed
+const SESSION_IDLE_DAYS = 7;
+// Keep ended sessions around for the sessions list / audit trail
+const SESSION_RETENTION_DAYS = 30;
+
+class SessionService {
+    // Create a session for a fresh login
+    static async createSession(userId, { ipAddress = null, userAgent = null, deviceName = null } = {}) {
+        const connection = getConnection();
+        const sessionId = crypto.randomUUID();
+
+        await connection.execute(`
+            INSERT INTO user_sessions (id, user_id, ip_address, user_agent, device_name, last_ip_address)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `, [sessionId, userId, ipAddress, userAgent, deviceName, ipAddress]);
+
+        return sessionId;
+    }
+
+    // Create a session and issue its tokens
+    static async startSession(userId, deviceInfo = {}) {
+        const sessionId = await this.createSession(userId, deviceInfo);
+        const tokens = await TokenService.generateTokens(userId, { ...deviceInfo, sessionId });
+
+        return { sessionId, ...tokens };
+    }
+
+    // Check that a session exists, belongs to the user and has not been revoked
+    static async isSessionActive(sessionId, userId) {
+        const connection = getConnection();
+        const [rows] = await connection.execute(
+            'SELECT id FROM user_sessions WHERE id = ? AND user_id = ? AND revoked_at IS NULL',
+            [sessionId, userId]
+        );
+        return rows.length > 0;
+    }
+
+    // Record activity on a session (throttled to one write per minute)
+    static async touchSession(sessionId, ipAddress = null) {
+        const connection = getConnection();
+        await connection.execute(`
+            UPDATE user_sessions
+            SET last_seen_at = CURRENT_TIMESTAMP, last_ip_address = COALESCE(?, last_ip_address)
+            WHERE id = ? AND revoked_at IS NULL AND last_seen_at < DATE_SUB(NOW(), INTERVAL 1 MINUTE)
+        `, [ipAddress, sessionId]);
+    }
+
+    // List a user's active sessions, most recently used first
+    static async listSessions(userId, currentSessionId = null) {
+        const connection = getConnection();
+        const [rows] = await connection.execute(`
+            SELECT id, ip_address, last_ip_address, user_agent, device_name, last_seen_at, created_at
+            FROM user_sessions
+            WHERE user_id = ? AND revoked_at IS NULL
+            ORDER BY last_seen_at DESC
+        `, [userId]);
+
+        return rows.map(session => ({
+            id: session.id,
+            deviceName: session.device_name,
+            userAgent: session.user_agent,
+            ipAddress: session.last_ip_address || session.ip_address,
+            loginIpAddress: session.ip_address,
+            lastSeenAt: session.last_seen_at,
+            createdAt: session.created_at,
+            isCurrent: session.id === currentSessionId
+        }));
+    }
+
+    // Revoke one session and its refresh tokens
+    static async revokeSession(sessionId, { userId = null, reason = 'revoked', revokedBy = null, db = null } = {}) {
+        const connection = db || getConnection();
+
+        let query = `
+            UPDATE user_sessions
+            SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = ?, revoked_by = ?
+            WHERE id = ? AND revoked_at IS NULL
+        `;
+        const params = [reason, revokedBy, sessionId];
+
+        if (userId) {
+            query += ' AND user_id = ?';
+            params.push(userId);
+        }
+
+        const [result] = await connection.execute(query, params);
+
+        if (result.affectedRows === 0) {
+            return false;
+        }
+
+        await TokenService.revokeFamily(sessionId, reason, db);
+        return true;
+    }
+
+    // Revoke every session a user has, optionally keeping one. A db
+    // connection makes the revocation part of the caller's transaction.
+    static async revokeAllSessions(userId, { exceptSessionId = null, reason = 'logout_all', revokedBy = null, db = null } = {}) {
+        const connection = db || getConnection();
+
+        const [rows] = await connection.execute(
+            'SELECT id FROM user_sessions WHERE user_id = ? AND revoked_at IS NULL',
+            [userId]
+        );
+
+        const sessionIds = rows.map(row => row.id).filter(id => id !== exceptSessionId);
+
+        for (const sessionId of sessionIds) {
+            await this.revokeSession(sessionId, { reason, revokedBy, db });
+        }
+
+        // Catch tokens issued before sessions were tracked
+        if (!exceptSessionId) {
+            await TokenService.revokeAllForUser(userId, reason, db);
+        }
+
+        return sessionIds;
+    }
+
+    // End idle sessions and purge old ended ones
+    static async cleanInactiveSessions() {
+        const connection = getConnection();
+
+        const [idleRows] = await connection.execute(`
+            SELECT id FROM user_sessions
+            WHERE revoked_at IS NULL AND last_seen_at < DATE_SUB(NOW(), INTERVAL ${SESSION_IDLE_DAYS} DAY)
+        `);
+
+        for (const row of idleRows) {
+            await this.revokeSession(row.id, { reason: 'inactive' });
+        }
+
+        const [result] = await connection.execute(`
+            DELETE FROM user_sessions
+            WHERE revoked_at IS NOT NULL AND revoked_at < DATE_SUB(NOW(), INTERVAL ${SESSION_RETENTION_DAYS} DAY)
+        `);
+
+        const total = idleRows.length + result.affectedRows;
+        if (total > 0) {
+            Logger.info(`Ended ${idleRows.length} idle sessions and purged ${result.affectedRows} old sessions`);
+        }
+
+        return total;
+    }
+}
+
+module.exports = SessionService;
@@ -0,0 +1,69 @@
+const HttpSmsProvider = require('./httpSmsProvider');
+
+// Gupshup Enterprise SMS gateway
+class GupshupProvider extends HttpSmsProvider {
+    constructor() {
+        super('gupshup');
+    }
+
+    isConfigured() {
+        return !!(process.env.GUPSHUP_USER_ID && process.env.GUPSHUP_PASSWORD);
+    }
+
+    buildRequest({ to, body }) {
+        const params = new URLSearchParams({
+            method: 'SendMessage',
+            send_to: HttpSmsProvider.toGatewayNumber(to),
+            msg: body,
+            msg_type: 'TEXT',
+            userid: process.env.GUPSHUP_USER_ID,
+            password: process.env.GUPSHUP_PASSWORD,
+            auth_scheme: 'plain',
+            v: '1.1',
+            format: 'json'
+        });
+
+        if (process.env.GUPSHUP_DLT_TEMPLATE_ID) {
+            params.set('dltTemplateId', process.env.GUPSHUP_DLT_TEMPLATE_ID);
+        }
+
+        return {
+            url: process.env.GUPSHUP_API_URL || 'https://enterprise.smsgupshup.com/GatewayAPI/rest',
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: params.toString()
+        };
+    }
+
+    parseResponse(status, payload) {
+        const response = payload?.response;
+
+        if (status >= 400 || response?.status !== 'success') {
+            const reason = response?.details || `HTTP ${status}`;
+            throw this.createError(`SMS delivery failed: ${reason} (Code: gupshup-${response?.id || status})`, {
+                code: `gupshup-${response?.id || status}`,
+                retryable: HttpSmsProvider.isRetryableStatus(status)
+            });
+        }
+        return response.id || null;
+    }
+
+    // Gupshup calls back with externalId, status (SUCCESS, FAIL, ...) and cause
+    parseDeliveryReceipt(req) {
+        const receipt = { ...req.query, ...(req.body || {}) };
+
+        if (!receipt.externalId || !receipt.status) {
+            return [];
+        }
+
+        const status = String(receipt.status).toUpperCase();
+
+        return [{
+            messageId: String(receipt.externalId),
+            status: status === 'SUCCESS' ? 'delivered' : status === 'UNKNOWN' ? 'sent' : 'undelivered',
+            error: status === 'SUCCESS' ? null : receipt.cause || status
+        }];
+    }
+}
+
+module.exports = GupshupProvider;
@@ -0,0 +1,62 @@
+const SmsProvider = require('./smsProvider');
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * Base for gateways reached over plain HTTP (MSG91, Gupshup, ...)
+ * Subclasses build the request and parse the gateway's response.
+ */
+class HttpSmsProvider extends SmsProvider {
+    // Return { url, method, headers, body } for the gateway call
+    buildRequest({ to, body }) {
+        throw new Error(`SMS provider '${this.name}' does not implement buildRequest()`);
+    }
+
+    // Return the gateway message ID, or throw (see createError) if the response reports failure
+    parseResponse(status, payload) {
+        throw new Error(`SMS provider '${this.name}' does not implement parseResponse()`);
+    }
+
+    async send(message) {
+        if (!this.isConfigured()) {
+            throw this.createError(`SMS provider '${this.name}' is not configured`, { retryable: true });
+        }
+
+        const request = this.buildRequest(message);
+
+        let response;
+        try {
+            response = await fetch(request.url, {
+                method: request.method || 'POST',
+                headers: request.headers,
+                body: request.body,
+                signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+            });
+        } catch (error) {
+            throw this.createError(`SMS delivery failed: ${this.name} gateway unreachable (${error.message})`, { retryable: true });
+        }
+
+        const text = await response.text();
+        let payload;
+        try {
+            payload = JSON.parse(text);
+        } catch (error) {
+            payload = text;
+        }
+
+        const messageId = this.parseResponse(response.status, payload);
+        return { provider: this.name, messageId, status: 'sent' };
+    }
+
+    // Gateway outages, throttling and rejected credentials are worth another provider
+    static isRetryableStatus(status) {
+        return status >= 500 || status === 429 || status === 401 || status === 403;
+    }
+
+    // Gateways want the number without the leading +
+    static toGatewayNumber(to) {
+        return to.replace(/\D/g, '');
+    }
+}
+
+module.exports = HttpSmsProvider;
@@ -0,0 +1,82 @@
+const HttpSmsProvider = require('./httpSmsProvider');
+
+// MSG91 Flow API - the flow template must contain a ##message## variable
+class Msg91Provider extends HttpSmsProvider {
+    constructor() {
+        super('msg91');
+    }
+
+    isConfigured() {
+        return !!(process.env.MSG91_AUTH_KEY && process.env.MSG91_TEMPLATE_ID);
+    }
+
+    buildRequest({ to, body }) {
+        return {
+            url: process.env.MSG91_API_URL || 'https://control.msg91.com/api/v5/flow/',
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                authkey: process.env.MSG91_AUTH_KEY
+            },
+            body: JSON.stringify({
+                template_id: process.env.MSG91_TEMPLATE_ID,
+                sender: process.env.MSG91_SENDER_ID,
+                short_url: '0',
+                recipients: [{
+                    mobiles: HttpSmsProvider.toGatewayNumber(to),
+                    message: body
+                }]
+            })
+        };
+    }
+
+    parseResponse(status, payload) {
+        if (status >= 400 || payload?.type !== 'success') {
+            const reason = payload?.message || `HTTP ${status}`;
+            throw this.createError(`SMS delivery failed: ${reason} (Code: msg91-${status})`, {
+                code: `msg91-${status}`,
+                retryable: HttpSmsProvider.isRetryableStatus(status)
+            });
+        }
+        return payload.message || null;
+    }
+
+    // MSG91 posts reports as [{ requestId, report: [{ number, status, desc }] }]
+    parseDeliveryReceipt(req) {
+        let reports = req.body?.data ?? req.body;
+
+        if (typeof reports === 'string') {
+            try {
+                reports = JSON.parse(reports);
+            } catch (error) {
+                return [];
+            }
+        }
+
+        return (Array.isArray(reports) ? reports : [reports])
+            .filter(report => report && report.requestId)
+            .flatMap(report => (report.report || []).map(entry => ({
+                messageId: report.requestId,
+                status: Msg91Provider.mapReportStatus(entry.status),
+                error: Msg91Provider.mapReportStatus(entry.status) === 'delivered' ? null : entry.desc || null
+            })));
+    }
+
+    // 1 = delivered, 2 = failed, 8/25/26 = submitted/pending, anything else was rejected
+    static mapReportStatus(status) {
+        switch (String(status)) {
+            case '1':
+                return 'delivered';
+            case '2':
+                return 'undelivered';
+            case '8':
+            case '25':
+            case '26':
+                return 'sent';
+            default:
+                return 'failed';
+        }
+    }
+}
+
+module.exports = Msg91Provider;
@@ -0,0 +1,73 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const SmsProvider = require('./smsProvider');
+const Logger = require('../../utils/logger');
+
+const MAX_MESSAGES = 500;
+
+/**
+ * Local outbox - keeps messages instead of sending them.
+ * Messages live in memory and, when SMS_OUTBOX_FILE is set, are also
+ * appended to that file as JSON lines so other processes can read them.
+ */
+class OutboxProvider extends SmsProvider {
+    constructor() {
+        super('outbox');
+        this.messages = [];
+        this.filePath = process.env.SMS_OUTBOX_FILE || null;
+    }
+
+    async send({ to, body }) {
+        const message = {
+            id: `outbox-${crypto.randomUUID()}`,
+            to,
+            body,
+            sentAt: new Date().toISOString()
+        };
+
+        this.messages.push(message);
+        if (this.messages.length > MAX_MESSAGES) {
+            this.messages.shift();
+        }
+
+        if (this.filePath) {
+            await fs.promises.appendFile(this.filePath, JSON.stringify(message) + '\n');
+        }
+
+        Logger.debug(`OUTBOX - SMS to ${to}: ${body}`);
+
+        // Nothing leaves the machine, so the message counts as delivered
+        return { provider: this.name, messageId: message.id, status: 'delivered' };
+    }
+
+    // Read messages, newest first, optionally filtered by recipient
+    async getMessages({ to = null, limit = 50 } = {}) {
+        let messages = this.messages;
+
+        if (this.filePath) {
+            try {
+                const content = await fs.promises.readFile(this.filePath, 'utf8');
+                messages = content.split('\n').filter(Boolean).map(line => JSON.parse(line));
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+                messages = [];
+            }
+        }
+
+        if (to) {
+            const digits = to.replace(/\D/g, '').slice(-10);
+            messages = messages.filter(message => message.to.replace(/\D/g, '').endsWith(digits));
+        }
+
+        return messages.slice(-limit).reverse();
+    }
+
+    async clear() {
+        this.messages = [];
+        if (this.filePath) {
+            await fs.promises.rm(this.filePath, { force: true });
+        }
+    }
+}
+
+module.exports = OutboxProvider;
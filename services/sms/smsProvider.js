@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+
+// Delivery states stored on otps.delivery_status, in the order they can advance
+const DELIVERY_STATUSES = ['pending', 'queued', 'sent', 'delivered', 'undelivered', 'failed'];
+const FINAL_DELIVERY_STATUSES = ['delivered', 'undelivered', 'failed'];
+
+/**
+ * Base SMS provider
+ * Every provider implements send() and returns { provider, messageId, status }.
+ * Providers that support delivery receipts also implement parseDeliveryReceipt().
+ */
+class SmsProvider {
+    constructor(name) {
+        this.name = name;
+    }
+
+    // Whether the credentials this provider needs are present
+    isConfigured() {
+        return true;
+    }
+
+    // Send a text message to an E.164 formatted number
+    async send({ to, body }) {
+        throw new Error(`SMS provider '${this.name}' does not implement send()`);
+    }
+
+    // Build a send error. Retryable errors are problems on the provider's side
+    // (outage, throttling, credentials) where another provider may still succeed.
+    // The provider's own code goes on providerCode so it is not mistaken for an HTTP/DB code.
+    createError(message, { code = null, retryable = false } = {}) {
+        const error = new Error(message);
+        error.provider = this.name;
+        error.providerCode = code;
+        error.retryable = retryable;
+        return error;
+    }
+
+    // Whether a delivery receipt request really came from the provider.
+    // By default the webhook URL must carry SMS_WEBHOOK_TOKEN as ?token=
+    verifyWebhook(req) {
+        const expected = process.env.SMS_WEBHOOK_TOKEN;
+        const received = req.query?.token;
+
+        if (!expected || typeof received !== 'string') {
+            return false;
+        }
+
+        const expectedBuffer = Buffer.from(expected);
+        const receivedBuffer = Buffer.from(received);
+
+        return expectedBuffer.length === receivedBuffer.length &&
+            crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+    }
+
+    // Turn a delivery receipt request into [{ messageId, status, error }]
+    parseDeliveryReceipt(req) {
+        throw new Error(`SMS provider '${this.name}' does not support delivery receipts`);
+    }
+}
+
+module.exports = SmsProvider;
+module.exports.DELIVERY_STATUSES = DELIVERY_STATUSES;
+module.exports.FINAL_DELIVERY_STATUSES = FINAL_DELIVERY_STATUSES;
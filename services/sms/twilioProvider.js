@@ -0,0 +1,147 @@
+const twilio = require('twilio');
+const SmsProvider = require('./smsProvider');
+
+// Error codes where another provider may still get the message through:
+// region not enabled, auth failure, rate limited, daily limit reached
+const RETRYABLE_ERROR_CODES = [21408, 20003, 20429, 63038];
+
+// Twilio message statuses mapped to our delivery statuses
+const STATUS_MAP = {
+    accepted: 'queued',
+    scheduled: 'queued',
+    queued: 'queued',
+    sending: 'queued',
+    sent: 'sent',
+    delivered: 'delivered',
+    read: 'delivered',
+    undelivered: 'undelivered',
+    failed: 'failed',
+    canceled: 'failed'
+};
+
+// Initialize Twilio client with better error handling
+let twilioClient = null;
+
+function initializeTwilioClient() {
+    if (!twilioClient) {
+        const accountSid = process.env.TWILIO_ACCOUNT_SID;
+        const authToken = process.env.TWILIO_AUTH_TOKEN;
+
+        if (!accountSid || !authToken) {
+            throw new Error('Twilio credentials not configured. Please set TWILIO_ACCOUNT_SID and TWILIO_AUTH_TOKEN');
+        }
+
+        twilioClient = twilio(accountSid, authToken);
+    }
+
+    return twilioClient;
+}
+
+class TwilioProvider extends SmsProvider {
+    constructor() {
+        super('twilio');
+    }
+
+    isConfigured() {
+        return !!(process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN && process.env.TWILIO_PHONE_NUMBER);
+    }
+
+    async send({ to, body }) {
+        const client = initializeTwilioClient();
+        const fromNumber = process.env.TWILIO_PHONE_NUMBER;
+
+        if (!fromNumber) {
+            throw this.createError('Twilio phone number not configured. Please set TWILIO_PHONE_NUMBER', { retryable: true });
+        }
+
+        const messageOptions = {
+            body,
+            from: fromNumber,
+            to
+        };
+
+        // Ask Twilio to report delivery status when the public URL is known
+        const statusCallback = TwilioProvider.getStatusCallbackUrl();
+        if (statusCallback) {
+            messageOptions.statusCallback = statusCallback;
+        }
+
+        try {
+            const result = await client.messages.create(messageOptions);
+
+            return {
+                provider: this.name,
+                messageId: result.sid,
+                status: STATUS_MAP[result.status] || 'sent'
+            };
+
+        } catch (twilioError) {
+            // Handle specific Twilio errors
+            const code = twilioError.code || null;
+            // Throttling, account and network problems may not affect another provider
+            const retryable = RETRYABLE_ERROR_CODES.includes(code) || !code || twilioError.status >= 500;
+
+            if (code === 21211) {
+                throw this.createError('Invalid phone number format. Please check the phone number.', { code });
+            } else if (code === 21614) {
+                throw this.createError('Phone number is not valid for SMS delivery.', { code });
+            } else if (code === 21408) {
+                throw this.createError('SMS service temporarily unavailable. Please try again later.', { code, retryable });
+            } else if (code === 20003) {
+                throw this.createError('Twilio authentication failed. Please check your credentials.', { code, retryable });
+            } else if (code === 63038) {
+                throw this.createError('Daily SMS limit exceeded. Please upgrade your Twilio account.', { code, retryable });
+            } else {
+                throw this.createError(`SMS delivery failed: ${twilioError.message} (Code: ${code || 'Unknown'})`, { code, retryable });
+            }
+        }
+    }
+
+    // Status callbacks are signed with the auth token (X-Twilio-Signature)
+    verifyWebhook(req) {
+        const authToken = process.env.TWILIO_AUTH_TOKEN;
+        const signature = req.get('X-Twilio-Signature');
+
+        if (!authToken || !signature) {
+            return false;
+        }
+
+        const baseUrl = process.env.SMS_WEBHOOK_BASE_URL || `${req.protocol}://${req.get('host')}`;
+        return twilio.validateRequest(authToken, signature, `${baseUrl.replace(/\/$/, '')}${req.originalUrl}`, req.body || {});
+    }
+
+    parseDeliveryReceipt(req) {
+        const { MessageSid, MessageStatus, ErrorCode } = req.body || {};
+
+        if (!MessageSid || !MessageStatus) {
+            return [];
+        }
+
+        return [{
+            messageId: MessageSid,
+            status: STATUS_MAP[MessageStatus] || null,
+            error: ErrorCode ? `Twilio error ${ErrorCode}` : null
+        }];
+    }
+
+    static getStatusCallbackUrl() {
+        const baseUrl = process.env.SMS_WEBHOOK_BASE_URL;
+        return baseUrl ? `${baseUrl.replace(/\/$/, '')}/api/webhooks/sms/twilio` : null;
+    }
+
+    // Verify account credentials by fetching account details
+    async verifyConfig() {
+        const accountSid = process.env.TWILIO_ACCOUNT_SID;
+        const client = initializeTwilioClient();
+        const account = await client.api.accounts(accountSid).fetch();
+
+        return {
+            friendlyName: account.friendlyName,
+            status: account.status,
+            type: account.type
+        };
+    }
+}
+
+module.exports = TwilioProvider;
+module.exports.initializeTwilioClient = initializeTwilioClient;
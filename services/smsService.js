@@ -0,0 +1,106 @@
+const TwilioProvider = require('./sms/twilioProvider');
+const Msg91Provider = require('./sms/msg91Provider');
+const GupshupProvider = require('./sms/gupshupProvider');
+const OutboxProvider = require('./sms/outboxProvider');
+const Logger = require('../utils/logger');
+
+const providerClasses = {
+    twilio: TwilioProvider,
+    msg91: Msg91Provider,
+    gupshup: GupshupProvider,
+    outbox: OutboxProvider
+};
+
+// One instance per provider so the outbox keeps its messages
+const instances = {};
+
+class SmsService {
+    // Names of all supported providers
+    static get availableProviders() {
+        return Object.keys(providerClasses);
+    }
+
+    // Get a provider instance by name
+    static getProvider(name) {
+        const ProviderClass = providerClasses[name];
+
+        if (!ProviderClass) {
+            throw new Error(`Unknown SMS provider '${name}'. Supported: ${this.availableProviders.join(', ')}`);
+        }
+
+        if (!instances[name]) {
+            instances[name] = new ProviderClass();
+        }
+
+        return instances[name];
+    }
+
+    // Provider chosen by SMS_PROVIDER. Without it, real SMS goes out through
+    // Twilio in production (or with SEND_SMS_IN_DEV) and to the outbox otherwise.
+    static getPrimaryProviderName() {
+        if (process.env.SMS_PROVIDER) {
+            return process.env.SMS_PROVIDER.toLowerCase();
+        }
+
+        const shouldSendSMS = process.env.NODE_ENV === 'production' || process.env.SEND_SMS_IN_DEV === 'true';
+        return shouldSendSMS ? 'twilio' : 'outbox';
+    }
+
+    static getPrimaryProvider() {
+        return this.getProvider(this.getPrimaryProviderName());
+    }
+
+    // Providers to try after the primary, from SMS_FALLBACK_PROVIDERS (comma separated)
+    static getFallbackProviderNames() {
+        const primary = this.getPrimaryProviderName();
+
+        return (process.env.SMS_FALLBACK_PROVIDERS || '')
+            .split(',')
+            .map(name => name.trim().toLowerCase())
+            .filter(name => name && name !== primary);
+    }
+
+    // Send a text message through the configured provider, moving on to the
+    // fallback providers when a provider fails with a retryable error
+    static async send(to, body) {
+        const providerNames = [this.getPrimaryProviderName(), ...this.getFallbackProviderNames()];
+        const failures = [];
+
+        for (const name of providerNames) {
+            const provider = this.getProvider(name);
+
+            try {
+                const result = await provider.send({ to, body });
+
+                if (failures.length > 0) {
+                    Logger.warning(`SMS to ${to} sent via ${name} after failover from ${failures.map(f => f.provider).join(', ')}`);
+                }
+
+                return {
+                    ...result,
+                    failoverFrom: failures.length > 0 ? failures[0].provider : null,
+                    failures
+                };
+
+            } catch (error) {
+                failures.push({ provider: name, code: error.providerCode || null, message: error.message });
+
+                const isLast = name === providerNames[providerNames.length - 1];
+                if (!error.retryable || isLast) {
+                    error.provider = error.provider || name;
+                    error.failures = failures;
+                    throw error;
+                }
+
+                Logger.warning(`SMS provider ${name} failed (${error.message}), trying next provider`);
+            }
+        }
+    }
+
+    // The outbox provider, if it is the one in use
+    static getOutbox() {
+        return this.getPrimaryProviderName() === 'outbox' ? this.getProvider('outbox') : null;
+    }
+}
+
+module.exports = SmsService;
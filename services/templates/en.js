@@ -0,0 +1,43 @@
+// English message templates
+module.exports = {
+    otp: {
+        subject: 'Your Milkano Agro India verification code',
+        body: 'Your Milkano Agro India verification code is: {{otp}}. Valid for {{validMinutes}} minutes. Do not share this code with anyone.'
+    },
+    registration_received: {
+        subject: 'Registration received',
+        body: 'Hi {{name}}, we have received your vendor registration with Milkano Agro India. Our team will review it and update you soon.'
+    },
+    vendor_approved: {
+        subject: 'Registration approved',
+        body: 'Hi {{name}}, your vendor registration with Milkano Agro India has been approved. You can now log in and start supplying.'
+    },
+    vendor_rejected: {
+        subject: 'Registration not approved',
+        body: 'Hi {{name}}, your vendor registration with Milkano Agro India could not be approved. Reason: {{reason}}. Please update your details and resubmit.'
+    },
+    vendor_status_changed: {
+        subject: 'Vendor status updated',
+        body: 'Your vendor status has been updated to {{status}}.'
+    },
+    session_revoked: {
+        subject: 'Signed out',
+        body: 'You have been signed out of this device.'
+    },
+    staff_invited: {
+        subject: 'Account invitation',
+        body: 'You have been invited to Milkano Agro India as {{role}}. Log in with this phone number to get started.'
+    },
+    role_changed: {
+        subject: 'Your access has changed',
+        body: 'Your Milkano Agro India role has been changed to {{role}}.'
+    },
+    account_deactivated: {
+        subject: 'Account deactivated',
+        body: 'Your Milkano Agro India account has been deactivated. Please contact support if you think this is a mistake.'
+    },
+    connected: {
+        subject: null,
+        body: 'Connected to Milkano Agro India server'
+    }
+};
@@ -0,0 +1,43 @@
+// Gujarati message templates
+module.exports = {
+    otp: {
+        subject: 'તમારો Milkano Agro India ચકાસણી કોડ',
+        body: 'તમારો Milkano Agro India ચકાસણી કોડ છે: {{otp}}. આ કોડ {{validMinutes}} મિનિટ માટે માન્ય છે. આ કોડ કોઈની સાથે શેર કરશો નહીં.'
+    },
+    registration_received: {
+        subject: 'નોંધણી પ્રાપ્ત થઈ',
+        body: 'નમસ્તે {{name}}, Milkano Agro India સાથેની તમારી વિક્રેતા નોંધણી અમને પ્રાપ્ત થઈ છે. અમારી ટીમ તેની સમીક્ષા કરીને ટૂંક સમયમાં તમને જાણ કરશે.'
+    },
+    vendor_approved: {
+        subject: 'નોંધણી મંજૂર',
+        body: 'નમસ્તે {{name}}, Milkano Agro India સાથેની તમારી વિક્રેતા નોંધણી મંજૂર થઈ ગઈ છે. હવે તમે લૉગ ઇન કરીને પુરવઠો શરૂ કરી શકો છો.'
+    },
+    vendor_rejected: {
+        subject: 'નોંધણી મંજૂર થઈ નથી',
+        body: 'નમસ્તે {{name}}, Milkano Agro India સાથેની તમારી વિક્રેતા નોંધણી મંજૂર થઈ શકી નથી. કારણ: {{reason}}. કૃપા કરીને તમારી વિગતો અપડેટ કરીને ફરીથી સબમિટ કરો.'
+    },
+    vendor_status_changed: {
+        subject: 'વિક્રેતા સ્થિતિ અપડેટ થઈ',
+        body: 'તમારી વિક્રેતા સ્થિતિ {{status}} માં અપડેટ કરવામાં આવી છે.'
+    },
+    session_revoked: {
+        subject: 'સાઇન આઉટ',
+        body: 'તમને આ ઉપકરણમાંથી સાઇન આઉટ કરવામાં આવ્યા છે.'
+    },
+    staff_invited: {
+        subject: 'તમને આમંત્રિત કરવામાં આવ્યા છે',
+        body: 'તમને Milkano Agro India માં {{role}} તરીકે આમંત્રિત કરવામાં આવ્યા છે. શરૂ કરવા માટે આ જ ફોન નંબરથી લૉગ ઇન કરો.'
+    },
+    role_changed: {
+        subject: 'તમારી ઍક્સેસ બદલાઈ છે',
+        body: 'Milkano Agro India માં તમારી ભૂમિકા બદલીને {{role}} કરવામાં આવી છે.'
+    },
+    account_deactivated: {
+        subject: 'ખાતું નિષ્ક્રિય કરાયું',
+        body: 'તમારું Milkano Agro India ખાતું નિષ્ક્રિય કરવામાં આવ્યું છે. જો તમને લાગે કે આ ભૂલ છે, તો કૃપા કરીને સહાય ટીમનો સંપર્ક કરો.'
+    },
+    connected: {
+        subject: null,
+        body: 'Milkano Agro India સર્વર સાથે જોડાયા'
+    }
+};
@@ -0,0 +1,43 @@
+// Hindi message templates
+module.exports = {
+    otp: {
+        subject: 'आपका Milkano Agro India सत्यापन कोड',
+        body: 'आपका Milkano Agro India सत्यापन कोड है: {{otp}}। यह {{validMinutes}} मिनट तक मान्य है। यह कोड किसी के साथ साझा न करें।'
+    },
+    registration_received: {
+        subject: 'पंजीकरण प्राप्त हुआ',
+        body: 'नमस्ते {{name}}, Milkano Agro India के साथ आपका विक्रेता पंजीकरण हमें प्राप्त हो गया है। हमारी टीम इसकी समीक्षा करके जल्द ही आपको सूचित करेगी।'
+    },
+    vendor_approved: {
+        subject: 'पंजीकरण स्वीकृत',
+        body: 'नमस्ते {{name}}, Milkano Agro India के साथ आपका विक्रेता पंजीकरण स्वीकृत हो गया है। अब आप लॉग इन करके आपूर्ति शुरू कर सकते हैं।'
+    },
+    vendor_rejected: {
+        subject: 'पंजीकरण स्वीकृत नहीं हुआ',
+        body: 'नमस्ते {{name}}, Milkano Agro India के साथ आपका विक्रेता पंजीकरण स्वीकृत नहीं किया जा सका। कारण: {{reason}}। कृपया अपना विवरण अपडेट करके फिर से जमा करें।'
+    },
+    vendor_status_changed: {
+        subject: 'विक्रेता स्थिति अपडेट हुई',
+        body: 'आपकी विक्रेता स्थिति {{status}} में अपडेट कर दी गई है।'
+    },
+    session_revoked: {
+        subject: 'साइन आउट',
+        body: 'आपको इस डिवाइस से साइन आउट कर दिया गया है।'
+    },
+    staff_invited: {
+        subject: 'आपको आमंत्रित किया गया है',
+        body: 'आपको Milkano Agro India में {{role}} के रूप में आमंत्रित किया गया है। शुरू करने के लिए इसी फ़ोन नंबर से लॉग इन करें।'
+    },
+    role_changed: {
+        subject: 'आपकी पहुँच बदल गई है',
+        body: 'Milkano Agro India में आपकी भूमिका बदलकर {{role}} कर दी गई है।'
+    },
+    account_deactivated: {
+        subject: 'खाता निष्क्रिय किया गया',
+        body: 'आपका Milkano Agro India खाता निष्क्रिय कर दिया गया है। यदि आपको लगता है कि यह गलती है, तो कृपया सहायता टीम से संपर्क करें।'
+    },
+    connected: {
+        subject: null,
+        body: 'Milkano Agro India सर्वर से कनेक्ट हो गए'
+    }
+};
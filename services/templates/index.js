@@ -0,0 +1,62 @@
+/**
+ * Built-in message templates, keyed by locale then message type.
+ * Each template has a subject (email subject / notification title) and a body
+ * (SMS, WhatsApp fallback, email text and socket message) with {{name}} placeholders.
+ * Admins can override any of them in the message_templates table.
+ */
+
+const LOCALES = ['en', 'hi', 'mr', 'gu', 'ta', 'te'];
+const DEFAULT_LOCALE = 'en';
+
+// Message types and the variables each may use
+const MESSAGE_TYPES = {
+    otp: {
+        description: 'OTP verification code',
+        variables: ['otp', 'validMinutes']
+    },
+    registration_received: {
+        description: 'Vendor registration received and awaiting review',
+        variables: ['name']
+    },
+    vendor_approved: {
+        description: 'Vendor registration approved',
+        variables: ['name']
+    },
+    vendor_rejected: {
+        description: 'Vendor registration rejected, with the reason',
+        variables: ['name', 'reason']
+    },
+    vendor_status_changed: {
+        description: 'Vendor status changed by an admin',
+        variables: ['status', 'reason']
+    },
+    session_revoked: {
+        description: 'Session ended from another device or by an admin',
+        variables: []
+    },
+    staff_invited: {
+        description: 'Invitation sent to a new staff member',
+        variables: ['role']
+    },
+    role_changed: {
+        description: 'User role changed by an admin',
+        variables: ['role']
+    },
+    account_deactivated: {
+        description: 'Account deactivated by an admin',
+        variables: []
+    },
+    connected: {
+        description: 'Socket connection welcome message',
+        variables: []
+    }
+};
+
+const defaults = Object.fromEntries(LOCALES.map(locale => [locale, require(`./${locale}`)]));
+
+module.exports = {
+    LOCALES,
+    DEFAULT_LOCALE,
+    MESSAGE_TYPES,
+    defaults
+};
@@ -0,0 +1,43 @@
+// Marathi message templates
+module.exports = {
+    otp: {
+        subject: 'तुमचा Milkano Agro India पडताळणी कोड',
+        body: 'तुमचा Milkano Agro India पडताळणी कोड आहे: {{otp}}. हा {{validMinutes}} मिनिटांसाठी वैध आहे. हा कोड कोणालाही सांगू नका.'
+    },
+    registration_received: {
+        subject: 'नोंदणी प्राप्त झाली',
+        body: 'नमस्कार {{name}}, Milkano Agro India सोबतची तुमची विक्रेता नोंदणी आम्हाला प्राप्त झाली आहे. आमची टीम तिचे पुनरावलोकन करून लवकरच तुम्हाला कळवेल.'
+    },
+    vendor_approved: {
+        subject: 'नोंदणी मंजूर',
+        body: 'नमस्कार {{name}}, Milkano Agro India सोबतची तुमची विक्रेता नोंदणी मंजूर झाली आहे. आता तुम्ही लॉग इन करून पुरवठा सुरू करू शकता.'
+    },
+    vendor_rejected: {
+        subject: 'नोंदणी मंजूर झाली नाही',
+        body: 'नमस्कार {{name}}, Milkano Agro India सोबतची तुमची विक्रेता नोंदणी मंजूर होऊ शकली नाही. कारण: {{reason}}. कृपया तुमचे तपशील अद्ययावत करून पुन्हा सादर करा.'
+    },
+    vendor_status_changed: {
+        subject: 'विक्रेता स्थिती अद्ययावत',
+        body: 'तुमची विक्रेता स्थिती {{status}} अशी अद्ययावत करण्यात आली आहे.'
+    },
+    session_revoked: {
+        subject: 'साइन आउट',
+        body: 'तुम्हाला या डिव्हाइसवरून साइन आउट करण्यात आले आहे.'
+    },
+    staff_invited: {
+        subject: 'तुम्हाला आमंत्रित केले आहे',
+        body: 'तुम्हाला Milkano Agro India मध्ये {{role}} म्हणून आमंत्रित केले आहे. सुरू करण्यासाठी याच फोन नंबरने लॉग इन करा.'
+    },
+    role_changed: {
+        subject: 'तुमचा प्रवेश बदलला आहे',
+        body: 'Milkano Agro India मधील तुमची भूमिका बदलून {{role}} करण्यात आली आहे.'
+    },
+    account_deactivated: {
+        subject: 'खाते निष्क्रिय केले',
+        body: 'तुमचे Milkano Agro India खाते निष्क्रिय करण्यात आले आहे. ही चूक आहे असे वाटत असल्यास कृपया सहाय्य टीमशी संपर्क साधा.'
+    },
+    connected: {
+        subject: null,
+        body: 'Milkano Agro India सर्व्हरशी कनेक्ट झाले'
+    }
+};
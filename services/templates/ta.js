@@ -0,0 +1,43 @@
+// Tamil message templates
+module.exports = {
+    otp: {
+        subject: 'உங்கள் Milkano Agro India சரிபார்ப்புக் குறியீடு',
+        body: 'உங்கள் Milkano Agro India சரிபார்ப்புக் குறியீடு: {{otp}}. இது {{validMinutes}} நிமிடங்களுக்குச் செல்லுபடியாகும். இந்தக் குறியீட்டை யாருடனும் பகிர வேண்டாம்.'
+    },
+    registration_received: {
+        subject: 'பதிவு பெறப்பட்டது',
+        body: 'வணக்கம் {{name}}, Milkano Agro India-இல் உங்கள் விற்பனையாளர் பதிவு எங்களுக்குக் கிடைத்துள்ளது. எங்கள் குழு அதை மதிப்பாய்வு செய்து விரைவில் உங்களுக்குத் தெரிவிக்கும்.'
+    },
+    vendor_approved: {
+        subject: 'பதிவு அங்கீகரிக்கப்பட்டது',
+        body: 'வணக்கம் {{name}}, Milkano Agro India-இல் உங்கள் விற்பனையாளர் பதிவு அங்கீகரிக்கப்பட்டுள்ளது. இப்போது நீங்கள் உள்நுழைந்து விநியோகத்தைத் தொடங்கலாம்.'
+    },
+    vendor_rejected: {
+        subject: 'பதிவு அங்கீகரிக்கப்படவில்லை',
+        body: 'வணக்கம் {{name}}, Milkano Agro India-இல் உங்கள் விற்பனையாளர் பதிவை அங்கீகரிக்க இயலவில்லை. காரணம்: {{reason}}. உங்கள் விவரங்களைப் புதுப்பித்து மீண்டும் சமர்ப்பிக்கவும்.'
+    },
+    vendor_status_changed: {
+        subject: 'விற்பனையாளர் நிலை புதுப்பிக்கப்பட்டது',
+        body: 'உங்கள் விற்பனையாளர் நிலை {{status}} எனப் புதுப்பிக்கப்பட்டுள்ளது.'
+    },
+    session_revoked: {
+        subject: 'வெளியேற்றப்பட்டீர்கள்',
+        body: 'இந்தச் சாதனத்திலிருந்து நீங்கள் வெளியேற்றப்பட்டுள்ளீர்கள்.'
+    },
+    staff_invited: {
+        subject: 'நீங்கள் அழைக்கப்பட்டுள்ளீர்கள்',
+        body: 'Milkano Agro India-இல் {{role}} ஆக நீங்கள் அழைக்கப்பட்டுள்ளீர்கள். தொடங்க இதே தொலைபேசி எண்ணுடன் உள்நுழையவும்.'
+    },
+    role_changed: {
+        subject: 'உங்கள் அணுகல் மாற்றப்பட்டது',
+        body: 'Milkano Agro India-இல் உங்கள் பங்கு {{role}} என மாற்றப்பட்டுள்ளது.'
+    },
+    account_deactivated: {
+        subject: 'கணக்கு முடக்கப்பட்டது',
+        body: 'உங்கள் Milkano Agro India கணக்கு முடக்கப்பட்டுள்ளது. இது தவறு என நீங்கள் நினைத்தால், ஆதரவுக் குழுவைத் தொடர்பு கொள்ளவும்.'
+    },
+    connected: {
+        subject: null,
+        body: 'Milkano Agro India சேவையகத்துடன் இணைக்கப்பட்டது'
+    }
+};
@@ -0,0 +1,43 @@
+// Telugu message templates
+module.exports = {
+    otp: {
+        subject: 'మీ Milkano Agro India ధృవీకరణ కోడ్',
+        body: 'మీ Milkano Agro India ధృవీకరణ కోడ్: {{otp}}. ఇది {{validMinutes}} నిమిషాల పాటు చెల్లుతుంది. ఈ కోడ్‌ను ఎవరితోనూ పంచుకోవద్దు.'
+    },
+    registration_received: {
+        subject: 'నమోదు అందింది',
+        body: 'నమస్తే {{name}}, Milkano Agro Indiaలో మీ విక్రేత నమోదు మాకు అందింది. మా బృందం దాన్ని పరిశీలించి త్వరలో మీకు తెలియజేస్తుంది.'
+    },
+    vendor_approved: {
+        subject: 'నమోదు ఆమోదించబడింది',
+        body: 'నమస్తే {{name}}, Milkano Agro Indiaలో మీ విక్రేత నమోదు ఆమోదించబడింది. ఇప్పుడు మీరు లాగిన్ చేసి సరఫరా ప్రారంభించవచ్చు.'
+    },
+    vendor_rejected: {
+        subject: 'నమోదు ఆమోదించబడలేదు',
+        body: 'నమస్తే {{name}}, Milkano Agro Indiaలో మీ విక్రేత నమోదును ఆమోదించలేకపోయాము. కారణం: {{reason}}. దయచేసి మీ వివరాలను నవీకరించి మళ్లీ సమర్పించండి.'
+    },
+    vendor_status_changed: {
+        subject: 'విక్రేత స్థితి నవీకరించబడింది',
+        body: 'మీ విక్రేత స్థితి {{status}}గా నవీకరించబడింది.'
+    },
+    session_revoked: {
+        subject: 'సైన్ అవుట్',
+        body: 'మీరు ఈ పరికరం నుండి సైన్ అవుట్ చేయబడ్డారు.'
+    },
+    staff_invited: {
+        subject: 'మీకు ఆహ్వానం అందింది',
+        body: 'Milkano Agro Indiaలో {{role}}గా మిమ్మల్ని ఆహ్వానించారు. ప్రారంభించడానికి ఇదే ఫోన్ నంబర్‌తో లాగిన్ చేయండి.'
+    },
+    role_changed: {
+        subject: 'మీ యాక్సెస్ మారింది',
+        body: 'Milkano Agro Indiaలో మీ పాత్ర {{role}}గా మార్చబడింది.'
+    },
+    account_deactivated: {
+        subject: 'ఖాతా నిష్క్రియం చేయబడింది',
+        body: 'మీ Milkano Agro India ఖాతా నిష్క్రియం చేయబడింది. ఇది పొరపాటు అని మీరు భావిస్తే, దయచేసి సహాయ బృందాన్ని సంప్రదించండి.'
+    },
+    connected: {
+        subject: null,
+        body: 'Milkano Agro India సర్వర్‌కు కనెక్ట్ అయ్యారు'
+    }
+};
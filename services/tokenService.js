@@ -0,0 +1,218 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { getConnection } = require('../config/database');
+const Logger = require('../utils/logger');
+
+const ACCESS_TOKEN_EXPIRY = '1h';
+const REFRESH_TOKEN_EXPIRY_DAYS = 7;
+
+class TokenService {
+    // Only the SHA-256 of the token ID is stored, never the token itself
+    static hashTokenId(tokenId) {
+        return crypto.createHash('sha256').update(tokenId).digest('hex');
+    }
+
+    // Generate short-lived access token bound to a session
+    static generateAccessToken(userId, sessionId = null) {
+        const payload = sessionId ? { id: userId, sid: sessionId } : { id: userId };
+        return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_EXPIRY });
+    }
+
+    // Issue a refresh token, starting a new family unless one is given
+    static async issueRefreshToken(userId, { familyId = null, ipAddress = null, userAgent = null, deviceName = null } = {}) {
+        const connection = getConnection();
+
+        const tokenId = crypto.randomBytes(32).toString('hex');
+        const tokenHash = this.hashTokenId(tokenId);
+        const family = familyId || crypto.randomUUID();
+        const expiresAt = new Date(Date.now() + REFRESH_TOKEN_EXPIRY_DAYS * 24 * 60 * 60 * 1000);
+
+        await connection.execute(`
+            INSERT INTO refresh_tokens
+            (user_id, token_hash, family_id, ip_address, user_agent, device_name, expires_at)
+            VALUES (?, ?, ?, ?, ?, ?, FROM_UNIXTIME(?))
+        `, [
+            userId,
+            tokenHash,
+            family,
+            ipAddress,
+            userAgent,
+            deviceName,
+            Math.floor(expiresAt.getTime() / 1000)
+        ]);
+
+        const token = jwt.sign(
+            { id: userId, jti: tokenId, fam: family },
+            process.env.JWT_REFRESH_SECRET,
+            { expiresIn: `${REFRESH_TOKEN_EXPIRY_DAYS}d` }
+        );
+
+        return { token, tokenHash, familyId: family, expiresAt };
+    }
+
+    // Generate access and refresh tokens for a fresh login. The session ID
+    // doubles as the refresh token family ID.
+    static async generateTokens(userId, { sessionId = null, ...deviceInfo } = {}) {
+        const { token: refreshToken, familyId } = await this.issueRefreshToken(userId, {
+            ...deviceInfo,
+            familyId: sessionId
+        });
+        const accessToken = this.generateAccessToken(userId, familyId);
+
+        return { accessToken, refreshToken, familyId };
+    }
+
+    // Decode and verify a refresh token's signature
+    static verifyRefreshToken(token) {
+        let decoded;
+        try {
+            decoded = jwt.verify(token, process.env.JWT_REFRESH_SECRET);
+        } catch (error) {
+            throw new Error('Invalid refresh token');
+        }
+
+        // Tokens issued before the server-side store existed carry no jti
+        if (!decoded.jti || !decoded.fam) {
+            throw new Error('Invalid refresh token');
+        }
+
+        return decoded;
+    }
+
+    // Exchange a refresh token for a new pair, revoking the family on reuse
+    static async rotateRefreshToken(token, deviceInfo = {}) {
+        const connection = getConnection();
+        const decoded = this.verifyRefreshToken(token);
+        const tokenHash = this.hashTokenId(decoded.jti);
+
+        const [rows] = await connection.execute(
+            'SELECT id, user_id, family_id, expires_at, revoked_at, revoked_reason FROM refresh_tokens WHERE token_hash = ?',
+            [tokenHash]
+        );
+
+        if (rows.length === 0) {
+            throw new Error('Invalid refresh token');
+        }
+
+        const record = rows[0];
+
+        if (record.revoked_at) {
+            if (record.revoked_reason === 'rotated') {
+                await this.handleTokenReuse(record, deviceInfo);
+                throw new Error('Refresh token reuse detected. Please log in again.');
+            }
+            throw new Error('Refresh token has been revoked');
+        }
+
+        if (new Date() > new Date(record.expires_at)) {
+            throw new Error('Refresh token expired');
+        }
+
+        // Conditional update so two concurrent refreshes cannot both win
+        const [result] = await connection.execute(`
+            UPDATE refresh_tokens
+            SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = 'rotated', last_used_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND revoked_at IS NULL
+        `, [record.id]);
+
+        if (result.affectedRows === 0) {
+            await this.handleTokenReuse(record, deviceInfo);
+            throw new Error('Refresh token reuse detected. Please log in again.');
+        }
+
+        const issued = await this.issueRefreshToken(record.user_id, {
+            ...deviceInfo,
+            familyId: record.family_id
+        });
+
+        await connection.execute(
+            'UPDATE refresh_tokens SET replaced_by_hash = ? WHERE id = ?',
+            [issued.tokenHash, record.id]
+        );
+
+        return {
+            userId: record.user_id,
+            familyId: record.family_id,
+            accessToken: this.generateAccessToken(record.user_id, record.family_id),
+            refreshToken: issued.token
+        };
+    }
+
+    // A rotated token was presented again - assume theft and kill the whole family
+    static async handleTokenReuse(record, { ipAddress = null, userAgent = null } = {}) {
+        const connection = getConnection();
+        const revokedCount = await this.revokeFamily(record.family_id, 'reuse_detected');
+
+        // The family ID is also the session ID, so end that session too
+        await connection.execute(
+            'UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = ? WHERE id = ? AND revoked_at IS NULL',
+            ['reuse_detected', record.family_id]
+        );
+
+        await connection.execute(`
+            INSERT INTO activity_logs
+            (user_id, session_id, action, action_category, action_type, target_type, target_identifier, description,
+             metadata, ip_address, user_agent, severity, status, is_suspicious, requires_attention)
+            VALUES (?, ?, ?, 'security', 'other', 'refresh_token_family', ?, ?, ?, ?, ?, 'high', 'failure', TRUE, TRUE)
+        `, [
+            record.user_id,
+            record.family_id,
+            'REFRESH_TOKEN_REUSE',
+            record.family_id,
+            'Rotated refresh token presented again; token family revoked',
+            JSON.stringify({ familyId: record.family_id, revokedTokens: revokedCount }),
+            ipAddress,
+            userAgent
+        ]);
+
+        Logger.warning(`Refresh token reuse detected for user ${record.user_id}, family ${record.family_id} revoked`);
+    }
+
+    // Revoke every live token in a family
+    static async revokeFamily(familyId, reason = 'logout', db = null) {
+        const connection = db || getConnection();
+        const [result] = await connection.execute(
+            'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = ? WHERE family_id = ? AND revoked_at IS NULL',
+            [reason, familyId]
+        );
+        return result.affectedRows;
+    }
+
+    // Revoke the family a refresh token belongs to, if it belongs to the user
+    static async revokeRefreshToken(token, userId, reason = 'logout') {
+        const decoded = this.verifyRefreshToken(token);
+
+        if (decoded.id !== userId) {
+            throw new Error('Refresh token does not belong to this user');
+        }
+
+        return await this.revokeFamily(decoded.fam, reason);
+    }
+
+    // Revoke every live token a user holds
+    static async revokeAllForUser(userId, reason = 'logout', db = null) {
+        const connection = db || getConnection();
+        const [result] = await connection.execute(
+            'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = ? WHERE user_id = ? AND revoked_at IS NULL',
+            [reason, userId]
+        );
+        return result.affectedRows;
+    }
+
+    // Remove tokens that can no longer be presented. Revoked rows are kept
+    // until they expire so reuse of a rotated token can still be detected.
+    static async cleanExpiredTokens() {
+        const connection = getConnection();
+        const [result] = await connection.execute(
+            'DELETE FROM refresh_tokens WHERE expires_at < NOW()'
+        );
+
+        if (result.affectedRows > 0) {
+            Logger.info(`Cleaned ${result.affectedRows} expired refresh tokens`);
+        }
+
+        return result.affectedRows;
+    }
+}
+
+module.exports = TokenService;
@@ -124,8 +124,29 @@ class UploadService {
         });
     }
 
+    // Sheets read straight from memory (product imports). Other files are
+    // skipped rather than rejected so the route can answer with a 400.
+    static sheetFileFilter = (req, file, cb) => {
+        const ext = path.extname(file.originalname).toLowerCase();
+        const validMimetypes = /application\/(vnd\.ms-excel|vnd\.openxmlformats-officedocument\.spreadsheetml\.sheet|excel|csv|octet-stream)|text\/(plain|csv|comma-separated-values)/;
+
+        cb(null, ['.csv', '.xlsx'].includes(ext) && validMimetypes.test(file.mimetype));
+    };
+
+    // Configure multer to keep a single sheet in memory
+    static createSheetUpload() {
+        return multer({
+            storage: multer.memoryStorage(),
+            fileFilter: this.sheetFileFilter,
+            limits: {
+                fileSize: 5 * 1024 * 1024, // 5MB limit
+                files: 1
+            }
+        });
+    }
+
     // Save file info to database
-    static async saveFileInfo(userId, fileData, vendorOnboardingId = null, category = null) {
+    static async saveFileInfo(userId, fileData, vendorOnboardingId = null, category = null, documentType = null) {
         try {
             const connection = getConnection();
 
@@ -139,13 +160,14 @@ class UploadService {
                 mime_type: fileData.mimetype,
                 file_type: this.getFileCategory(fileData.mimetype),
                 category: category || fileData.metadata?.category || 'general',
+                document_type: documentType,
                 s3_url: fileData.location
             };
 
             const [result] = await connection.execute(`
                 INSERT INTO file_uploads 
-                (user_id, vendor_onboarding_id, file_name, original_name, file_path, file_size, mime_type, file_type, category, s3_url)
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                (user_id, vendor_onboarding_id, file_name, original_name, file_path, file_size, mime_type, file_type, category, document_type, s3_url)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
             `, [
                 fileInfo.user_id,
                 fileInfo.vendor_onboarding_id,
@@ -156,6 +178,7 @@ class UploadService {
                 fileInfo.mime_type,
                 fileInfo.file_type,
                 fileInfo.category,
+                fileInfo.document_type,
                 fileInfo.s3_url
             ]);
 
@@ -212,7 +235,7 @@ class UploadService {
 
             let query = `
                 SELECT id, file_name, original_name, file_path, file_size, mime_type, 
-                       file_type, category, s3_url, created_at
+                       file_type, category, document_type, verification_status, verification_notes, s3_url, created_at
                 FROM file_uploads 
                 WHERE user_id = ?
             `;
@@ -305,13 +328,13 @@ class UploadService {
     }
 
     // Bulk file upload
-    static async uploadMultipleFiles(files, userId, vendorOnboardingId = null, category = null) {
+    static async uploadMultipleFiles(files, userId, vendorOnboardingId = null, category = null, documentType = null) {
         try {
             const uploadedFiles = [];
 
             for (const file of files) {
                 this.validateFile(file);
-                const fileInfo = await this.saveFileInfo(userId, file, vendorOnboardingId, category);
+                const fileInfo = await this.saveFileInfo(userId, file, vendorOnboardingId, category, documentType);
                 uploadedFiles.push(fileInfo);
             }
 
@@ -0,0 +1,168 @@
+const { getConnection } = require('../config/database');
+
+// Shape a users row for admin API responses
+const formatUser = (row) => ({
+    id: row.id,
+    phone: row.phone,
+    email: row.email,
+    role: row.role,
+    isVerified: !!row.is_verified,
+    isActive: !!row.is_active,
+    isLocked: !!row.locked_until && new Date(row.locked_until) > new Date(),
+    lockedUntil: row.locked_until,
+    preferredLanguage: row.preferred_language,
+    entityName: row.entity_name || null,
+    vendorStatus: row.vendor_status || null,
+    mergedIntoVendorId: row.merged_into_vendor_id || null,
+    activeSessions: row.active_sessions || 0,
+    lastLogin: row.last_login,
+    invitedBy: row.invited_by,
+    invitedAt: row.invited_at,
+    deactivatedBy: row.deactivated_by,
+    deactivatedAt: row.deactivated_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+});
+
+const USER_SELECT = `
+    SELECT u.id, u.phone, u.email, u.role, u.is_verified, u.is_active, u.locked_until, u.preferred_language,
+           u.last_login, u.invited_by, u.invited_at, u.deactivated_by, u.deactivated_at, u.created_at, u.updated_at,
+           vp.entity_name, vp.status as vendor_status, vp.merged_into_vendor_id,
+           (SELECT COUNT(*) FROM user_sessions s WHERE s.user_id = u.id AND s.revoked_at IS NULL) as active_sessions
+    FROM users u
+    LEFT JOIN vendor_profiles vp ON vp.user_id = u.id
+`;
+
+class UserManagementService {
+    // List users with optional role/verified/active/locked/search filters
+    static async listUsers({ role, verified, active, locked, search, page = 1, limit = 50 } = {}) {
+        const connection = getConnection();
+        const pageNum = Math.max(parseInt(page) || 1, 1);
+        const limitNum = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+        const offset = (pageNum - 1) * limitNum;
+
+        const conditions = [];
+        const params = [];
+
+        if (role) {
+            conditions.push('u.role = ?');
+            params.push(role);
+        }
+
+        if (verified !== undefined) {
+            conditions.push('u.is_verified = ?');
+            params.push(verified);
+        }
+
+        if (active !== undefined) {
+            conditions.push('u.is_active = ?');
+            params.push(active);
+        }
+
+        if (locked !== undefined) {
+            conditions.push(locked
+                ? '(u.locked_until IS NOT NULL AND u.locked_until > NOW())'
+                : '(u.locked_until IS NULL OR u.locked_until <= NOW())');
+        }
+
+        if (search) {
+            conditions.push('(u.phone LIKE ? OR u.email LIKE ? OR vp.entity_name LIKE ?)');
+            params.push(`%${search}%`, `%${search}%`, `%${search}%`);
+        }
+
+        const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const [rows] = await connection.execute(`
+            ${USER_SELECT}
+            ${whereClause}
+            ORDER BY u.created_at DESC
+            LIMIT ${limitNum} OFFSET ${offset}
+        `, params);
+
+        const [countResult] = await connection.execute(`
+            SELECT COUNT(*) as total
+            FROM users u
+            LEFT JOIN vendor_profiles vp ON vp.user_id = u.id
+            ${whereClause}
+        `, params);
+
+        return {
+            users: rows.map(formatUser),
+            pagination: {
+                page: pageNum,
+                limit: limitNum,
+                total: countResult[0].total,
+                pages: Math.ceil(countResult[0].total / limitNum)
+            }
+        };
+    }
+
+    static async getUser(userId, db = null) {
+        const connection = db || getConnection();
+        const [rows] = await connection.execute(`${USER_SELECT} WHERE u.id = ?`, [userId]);
+        return rows.length > 0 ? formatUser(rows[0]) : null;
+    }
+
+    static async findByPhone(phone) {
+        const connection = getConnection();
+        const [rows] = await connection.execute('SELECT id FROM users WHERE phone = ?', [phone]);
+        return rows[0]?.id || null;
+    }
+
+    static async findByEmail(email) {
+        const connection = getConnection();
+        const [rows] = await connection.execute('SELECT id FROM users WHERE email = ?', [email]);
+        return rows[0]?.id || null;
+    }
+
+    // Number of active admins other than the given user
+    static async countOtherActiveAdmins(userId) {
+        const connection = getConnection();
+        const [rows] = await connection.execute(
+            "SELECT COUNT(*) as count FROM users WHERE role = 'admin' AND is_active = TRUE AND id != ?",
+            [userId]
+        );
+        return rows[0].count;
+    }
+
+    // Create an account for a staff member. They log in with an OTP to the invited phone.
+    static async inviteUser({ phone, email = null, role, language = 'en' }, adminId) {
+        const connection = getConnection();
+        const [result] = await connection.execute(`
+            INSERT INTO users (phone, email, role, is_verified, is_active, preferred_language, invited_by, invited_at)
+            VALUES (?, ?, ?, FALSE, TRUE, ?, ?, CURRENT_TIMESTAMP)
+        `, [phone, email, role, language, adminId]);
+
+        return await this.getUser(result.insertId);
+    }
+
+    static async changeRole(userId, role) {
+        const connection = getConnection();
+        await connection.execute(
+            'UPDATE users SET role = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [role, userId]
+        );
+        return await this.getUser(userId);
+    }
+
+    static async deactivateUser(userId, adminId, db = null) {
+        const connection = db || getConnection();
+        await connection.execute(`
+            UPDATE users
+            SET is_active = FALSE, deactivated_by = ?, deactivated_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [adminId, userId]);
+        return await this.getUser(userId, db);
+    }
+
+    static async reactivateUser(userId) {
+        const connection = getConnection();
+        await connection.execute(
+            'UPDATE users SET is_active = TRUE, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [userId]
+        );
+        return await this.getUser(userId);
+    }
+}
+
+module.exports = UserManagementService;
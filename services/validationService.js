@@ -1,4 +1,9 @@
 const { z } = require('zod');
+const { LOCALES } = require('./templates');
+const { VENDOR_STATES } = require('./vendorLifecycleService');
+const { PROFILE_STATUSES, ONBOARDING_STATUSES, SORT_FIELDS } = require('./vendorSearchService');
+const PincodeService = require('./pincodeService');
+const Helpers = require('../utils/helpers');
 
 class ValidationService {
     // Phone number validation
@@ -16,6 +21,191 @@ class ValidationService {
     static otpSchema = z.string()
         .regex(/^\d{6}$/, 'OTP must be exactly 6 digits');
 
+    // OTP delivery channel validation
+    static otpChannelSchema = z.enum(['sms', 'email', 'whatsapp'], {
+        message: 'OTP channel must be one of sms, email or whatsapp'
+    });
+
+    // Message language validation
+    static languageSchema = z.enum(LOCALES, {
+        message: `Language must be one of: ${LOCALES.join(', ')}`
+    });
+
+    // Message template text validation (admin template management)
+    static messageTemplateSchema = z.object({
+        subject: z.string().trim().min(1, 'Subject cannot be empty').max(255, 'Subject must not exceed 255 characters').nullable().optional(),
+        body: z.string().trim().min(1, 'Message body is required').max(1000, 'Message body must not exceed 1000 characters')
+    });
+
+    // Role permission list validation (admin role management)
+    static rolePermissionsSchema = z.object({
+        permissions: z.array(z.string().regex(/^[a-z]+(\.[a-z]+)+$/, 'Permission names look like vendor.approve')).max(100)
+    });
+
+    // Staff invitation validation (admin user management)
+    static inviteUserSchema = z.object({
+        phone: this.phoneSchema,
+        email: this.emailSchema.nullable().optional(),
+        role: z.string().regex(/^[a-z][a-z0-9_]{1,49}$/, 'Role must be a role name like reviewer'),
+        language: this.languageSchema.optional()
+    });
+
+    // Vendor lifecycle transition validation
+    static vendorTransitionSchema = z.object({
+        status: z.enum(VENDOR_STATES, {
+            message: `Status must be one of: ${VENDOR_STATES.join(', ')}`
+        }),
+        reason: z.string().trim().max(1000, 'Reason must not exceed 1000 characters').nullable().optional()
+    });
+
+    // Reviewer change requests on onboarding form fields
+    static changeRequestSchema = z.object({
+        comments: z.array(z.object({
+            field: z.string().trim().regex(/^([a-z_]+|products\[\d+\]\.[a-z_]+)$/, 'Fields look like ifsc_code or products[2].brand'),
+            comment: z.string().trim().min(1, 'Comment is required').max(1000, 'Comment must not exceed 1000 characters')
+        })).min(1, 'At least one field comment is required').max(100, 'No more than 100 comments at a time'),
+        reason: z.string().trim().max(1000, 'Reason must not exceed 1000 characters').nullable().optional()
+    });
+
+    // Approval stage decision validation
+    static approvalDecisionSchema = z.object({
+        decision: z.enum(['approved', 'rejected'], { message: 'Decision must be approved or rejected' }),
+        notes: z.string().trim().max(1000, 'Notes must not exceed 1000 characters').nullable().optional()
+    });
+
+    // Approval workflow validation (admin workflow management)
+    static approvalWorkflowSchema = z.object({
+        name: z.string().trim().min(1, 'Workflow name is required').max(100, 'Workflow name must not exceed 100 characters'),
+        description: z.string().trim().max(255, 'Description must not exceed 255 characters').nullable().optional(),
+        supplierType: z.string().trim().min(1).max(100, 'Supplier type must not exceed 100 characters').nullable().optional(),
+        category: z.string().trim().min(1).max(255, 'Category must not exceed 255 characters').nullable().optional(),
+        isActive: z.boolean().optional(),
+        stages: z.array(z.object({
+            name: z.string().trim().min(1, 'Stage name is required').max(100, 'Stage name must not exceed 100 characters'),
+            role: z.string().regex(/^[a-z][a-z0-9_]{1,49}$/, 'Role must be a role name like reviewer')
+        })).min(1, 'A workflow needs at least one stage').max(10, 'A workflow can have at most 10 stages')
+    });
+
+    // Admin vendor search filters. List filters take comma-separated or
+    // repeated values; dates are whole days.
+    static searchListSchema = (item, label) => z.union([z.string(), z.array(z.string())])
+        .transform(value => [].concat(value).flatMap(entry => entry.split(',')).map(entry => entry.trim()).filter(Boolean))
+        .pipe(z.array(item).max(20, `Filter by at most 20 ${label}`))
+        .optional();
+
+    static searchDateSchema = z.string().trim().regex(/^\d{4}-\d{2}-\d{2}$/, 'Dates must be in YYYY-MM-DD format')
+        .refine(value => !isNaN(Date.parse(value)) && new Date(value).toISOString().startsWith(value), 'Invalid date')
+        .optional();
+
+    static vendorSearchSchema = z.object({
+        search: z.string().trim().max(200, 'Search must not exceed 200 characters').optional(),
+        gstin: z.string().trim().toUpperCase().regex(/^[0-9A-Z]{2,15}$/, 'GSTIN must be 2 to 15 letters and digits').optional(),
+        phone: z.string().transform(value => value.replace(/\D/g, '')).pipe(z.string().regex(/^\d{4,10}$/, 'Phone must have 4 to 10 digits')).optional(),
+        status: this.searchListSchema(z.enum(PROFILE_STATUSES, { message: `Status must be one of: ${PROFILE_STATUSES.join(', ')}` }), 'statuses'),
+        onboardingStatus: this.searchListSchema(z.enum(ONBOARDING_STATUSES, { message: `Onboarding status must be one of: ${ONBOARDING_STATUSES.join(', ')}` }), 'statuses'),
+        state: this.searchListSchema(z.string().max(100, 'State must not exceed 100 characters'), 'states'),
+        city: this.searchListSchema(z.string().max(100, 'City must not exceed 100 characters'), 'cities'),
+        supplierType: this.searchListSchema(z.string().max(100, 'Supplier type must not exceed 100 characters'), 'supplier types'),
+        categoryId: this.searchListSchema(z.coerce.number().int('Category must be a category id').positive('Category must be a category id'), 'categories'),
+        brand: this.searchListSchema(z.string().max(100, 'Brand must not exceed 100 characters'), 'brands'),
+        createdFrom: this.searchDateSchema,
+        createdTo: this.searchDateSchema,
+        submittedFrom: this.searchDateSchema,
+        submittedTo: this.searchDateSchema,
+        assignedTo: z.union([z.enum(['me', 'unassigned']), z.coerce.number().int().positive()], { message: 'assignedTo must be a user ID, me or unassigned' }).optional(),
+        duplicates: z.enum(['open'], { message: 'duplicates must be open' }).optional(),
+        sort: z.enum(SORT_FIELDS, { message: `Sort must be one of: ${SORT_FIELDS.join(', ')}` }).optional(),
+        order: z.enum(['asc', 'desc'], { message: 'Order must be asc or desc' }).optional(),
+        facets: z.enum(['true', 'false'], { message: 'facets must be true or false' }).transform(value => value === 'true').optional(),
+        page: z.coerce.number({ message: 'Page must be a number' }).int('Page must be a whole number').min(1, 'Page must be at least 1').default(1),
+        limit: z.coerce.number({ message: 'Limit must be a number' }).int('Limit must be a whole number').min(1, 'Limit must be at least 1')
+            .transform(value => Math.min(value, 100)).default(10)
+    }).refine(data => !data.createdFrom || !data.createdTo || data.createdFrom <= data.createdTo, { message: 'createdFrom must not be after createdTo', path: ['createdTo'] })
+        .refine(data => !data.submittedFrom || !data.submittedTo || data.submittedFrom <= data.submittedTo, { message: 'submittedFrom must not be after submittedTo', path: ['submittedTo'] })
+        .refine(data => data.sort !== 'relevance' || !!data.search, { message: 'Sorting by relevance needs a search term', path: ['sort'] });
+
+    // Review assignment validation; without a reviewer the next one in the rotation is used
+    static reviewAssignmentSchema = z.object({
+        reviewerId: z.coerce.number().int().positive('Reviewer ID must be a positive number').nullable().optional()
+    });
+
+    // Manual bank verification decision; notes record the evidence seen
+    static bankVerificationDecisionSchema = z.object({
+        decision: z.enum(['verified', 'rejected'], { message: 'Decision must be verified or rejected' }),
+        notes: z.string({ message: 'Notes are required' }).trim().min(1, 'Notes are required').max(500, 'Notes must not exceed 500 characters')
+    });
+
+    // Document verification decision; rejecting needs a reason the vendor can act on
+    static documentVerificationSchema = z.object({
+        status: z.enum(['pending', 'verified', 'rejected'], { message: 'Status must be pending, verified or rejected' }),
+        notes: z.string().trim().max(500, 'Notes must not exceed 500 characters').nullable().optional()
+    }).refine(data => data.status !== 'rejected' || !!data.notes, { message: 'Notes are required to reject a document', path: ['notes'] });
+
+    // Catalog details of a product, shared by the onboarding form and the product API
+    static productDetailsSchema = {
+        sku: z.string().trim().max(64, 'SKU must not exceed 64 characters')
+            .regex(/^[A-Za-z0-9][A-Za-z0-9._\/-]*$/, 'SKU may only contain letters, digits, dots, dashes, underscores and slashes')
+            .nullable().optional(),
+        unit: z.string().trim().max(50, 'Unit must not exceed 50 characters').nullable().optional(),
+        pricePerUnit: z.number({ message: 'Price per unit must be a number' }).min(0, 'Price per unit cannot be negative')
+            .max(99999999.99, 'Price per unit is too large').nullable().optional(),
+        minimumOrderQuantity: z.number({ message: 'Minimum order quantity must be a number' }).int('Minimum order quantity must be a whole number')
+            .positive('Minimum order quantity must be at least 1').nullable().optional(),
+        productDescription: z.string().trim().max(5000, 'Description must not exceed 5000 characters').nullable().optional(),
+        productSpecifications: z.record(z.string(), z.union([z.string(), z.number(), z.boolean()]), { message: 'Specifications must be an object of names and values' })
+            .nullable().optional()
+    };
+
+    // Product managed through the product API after vendor approval
+    static productSchema = z.object({
+        productCategory: z.string({ message: 'Product category is required' }).trim().min(1, 'Product category is required').max(100, 'Product category must not exceed 100 characters'),
+        subCategory: z.string().trim().max(100, 'Sub category must not exceed 100 characters').nullable().optional(),
+        microCategory: z.string().trim().max(100, 'Micro category must not exceed 100 characters').nullable().optional(),
+        brand: z.string().trim().max(100, 'Brand must not exceed 100 characters').nullable().optional(),
+        productName: z.string({ message: 'Product name is required' }).trim().min(1, 'Product name is required').max(255, 'Product name must not exceed 255 characters'),
+        quantity: z.number({ message: 'Quantity must be a number' }).int('Quantity must be a whole number').min(0, 'Quantity cannot be negative').optional(),
+        ...this.productDetailsSchema
+    });
+
+    // Product taxonomy node. Names and aliases are matched ignoring case and
+    // punctuation, so they need a letter or digit.
+    static categoryNameSchema = z.string({ message: 'Name is required' }).trim().min(1, 'Name is required')
+        .max(100, 'Name must not exceed 100 characters')
+        .refine(name => Helpers.generateSlug(name) !== '', 'Name must contain a letter or digit');
+
+    static categorySchema = z.object({
+        name: this.categoryNameSchema,
+        parentId: z.coerce.number({ message: 'Parent must be a category id' }).int('Parent must be a category id').positive('Parent must be a category id').nullable().optional(),
+        aliases: z.array(this.categoryNameSchema, { message: 'Aliases must be a list of names' }).max(20, 'A category can have at most 20 aliases').optional(),
+        sortOrder: z.number({ message: 'Sort order must be a number' }).int('Sort order must be a whole number').min(0, 'Sort order cannot be negative').optional(),
+        isActive: z.boolean({ message: 'isActive must be true or false' }).optional()
+    });
+
+    // Reviewer decision on a product added or changed after approval
+    static productReviewSchema = z.object({
+        decision: z.enum(['approved', 'rejected'], { message: 'Decision must be approved or rejected' }),
+        notes: z.string().trim().max(500, 'Notes must not exceed 500 characters').nullable().optional()
+    }).refine(data => data.decision !== 'rejected' || !!data.notes, { message: 'Notes are required to reject a product change', path: ['notes'] });
+
+    // Resolving a possible duplicate pair; a merge names the vendor to keep
+    static duplicateResolutionSchema = z.object({
+        action: z.enum(['link', 'merge', 'dismiss'], { message: 'Action must be link, merge or dismiss' }),
+        keepVendorId: z.coerce.number().int().positive('Vendor to keep must be a vendor ID').optional(),
+        notes: z.string().trim().max(1000, 'Notes must not exceed 1000 characters').nullable().optional()
+    }).refine(data => data.action !== 'merge' || !!data.keepVendorId, { message: 'Choose the vendor to keep when merging', path: ['keepVendorId'] })
+        .refine(data => data.action === 'link' || !!data.notes, { message: 'Notes are required to merge or dismiss a duplicate', path: ['notes'] });
+
+    // WhatsApp template validation (admin template management)
+    static whatsappTemplateSchema = z.object({
+        name: z.string().regex(/^[a-z][a-z0-9_]{1,49}$/, 'Template name must be lowercase letters, digits and underscores'),
+        language: z.string().regex(/^[a-z]{2}(-[A-Z]{2})?$/, 'Language must be a code like en or en-IN').default('en'),
+        contentSid: z.string().regex(/^HX[0-9a-fA-F]{32}$/, 'Content SID must look like HX followed by 32 hex characters').nullable().optional(),
+        variables: z.array(z.string().regex(/^\w+$/, 'Variable names may only contain letters, digits and underscores')).max(10).nullable().optional(),
+        fallbackBody: z.string().max(1000, 'Fallback text must not exceed 1000 characters').nullable().optional(),
+        description: z.string().max(255).nullable().optional(),
+        isActive: z.boolean().optional()
+    });
+
     // Vendor registration validation
     static vendorRegistrationSchema = z.object({
         entityType: z.string().min(1, 'Entity type is required'),
@@ -27,9 +217,19 @@ class ValidationService {
         authorizedPersonName: z.string().min(2, 'Authorized person name must be at least 2 characters'),
         contactNumber: this.phoneSchema,
         email: this.emailSchema,
-        category: z.string().min(1, 'Category is required')
+        category: z.string().min(1, 'Category is required'),
+        whatsappOptIn: z.boolean().optional(),
+        preferredLanguage: this.languageSchema.optional()
     });
 
+    // PAN: empty, or 10 characters with a valid holder type
+    static panSchema = z.string().trim().toUpperCase()
+        .refine(val => val === '' || Helpers.validatePAN(val), 'PAN must look like ABCPE1234F, with a valid holder type as the fourth letter');
+
+    // Aadhaar: empty, or 12 digits with a valid Verhoeff check digit
+    static aadhaarSchema = z.string().trim()
+        .refine(val => val === '' || Helpers.validateAadhaar(val), 'Aadhaar number must be 12 digits with a valid check digit');
+
     // Vendor onboarding validation
     static vendorOnboardingSchema = z.object({
         // Profile section
@@ -82,6 +282,11 @@ class ValidationService {
         tinNo: z.string().optional(),
         importExportCode: z.string().optional(),
 
+        // Identity Documents - the Aadhaar number is reduced to its last 4 digits and a token before saving
+        panNumber: this.panSchema.optional(),
+        panDocumentId: z.coerce.number().int().positive('PAN document ID must be a positive number').nullable().optional(),
+        aadhaarNumber: this.aadhaarSchema.optional(),
+
         // Bank Details
         accountNo: z.string().optional(),
         bankName: z.string().optional(),
@@ -102,7 +307,8 @@ class ValidationService {
             microCategory: z.string().optional().default(''),
             brand: z.string().optional().default(''),
             productName: z.string().optional().default(''),
-            quantity: z.number().optional().default(0)
+            quantity: z.number().optional().default(0),
+            ...this.productDetailsSchema
         })).optional().default([])
     });
 
@@ -158,6 +364,11 @@ class ValidationService {
         tinNo: z.string().optional(),
         importExportCode: z.string().optional(),
 
+        // Identity Documents - the Aadhaar number is reduced to its last 4 digits and a token before saving
+        panNumber: this.panSchema.optional(),
+        panDocumentId: z.coerce.number().int().positive('PAN document ID must be a positive number').nullable().optional(),
+        aadhaarNumber: this.aadhaarSchema.optional(),
+
         // Bank Details
         accountNo: z.string().optional(),
         bankName: z.string().optional(),
@@ -178,7 +389,8 @@ class ValidationService {
             microCategory: z.string().optional().default(''),
             brand: z.string().optional().default(''),
             productName: z.string().optional().default(''),
-            quantity: z.number().optional().default(0)
+            quantity: z.number().optional().default(0),
+            ...this.productDetailsSchema
         })).optional().default([])
     });
 
@@ -220,6 +432,229 @@ class ValidationService {
         }
     }
 
+    // Validate OTP channel
+    static validateOTPChannel(channel) {
+        try {
+            return this.otpChannelSchema.parse(channel);
+        } catch (error) {
+            throw new Error(error.issues?.[0]?.message || 'Invalid OTP channel');
+        }
+    }
+
+    // Validate a message language code
+    static validateLanguage(language) {
+        try {
+            return this.languageSchema.parse(language);
+        } catch (error) {
+            throw new Error(error.issues?.[0]?.message || 'Invalid language');
+        }
+    }
+
+    // Validate admin-edited message template text
+    static validateMessageTemplate(data) {
+        try {
+            return this.messageTemplateSchema.parse(data);
+        } catch (error) {
+            throw new Error(error.issues?.[0]?.message || 'Invalid message template');
+        }
+    }
+
+    // Validate the permission list for a role
+    static validateRolePermissions(data) {
+        try {
+            const { permissions } = this.rolePermissionsSchema.parse(data);
+            return { permissions: [...new Set(permissions)] };
+        } catch (error) {
+            throw new Error(error.issues?.[0]?.message || 'Invalid permission list');
+        }
+    }
+
+    // Validate a staff invitation
+    static validateInviteUser(data) {
+        try {
+            return this.inviteUserSchema.parse(data);
+        } catch (error) {
+            throw new Error(error.issues?.[0]?.message || 'Invalid invitation');
+        }
+    }
+
+    // Validate a requested vendor status change
+    static validateVendorTransition(data) {
+        try {
+            const { status, reason } = this.vendorTransitionSchema.parse(data);
+            return { status, reason: reason || null };
+        } catch (error) {
+            throw new Error(error.issues?.[0]?.message || 'Invalid status change');
+        }
+    }
+
+    // Validate a reviewer's request for changes
+    static validateChangeRequest(data) {
+        try {
+            const { comments, reason } = this.changeRequestSchema.parse(data);
+            return { comments, reason: reason || null };
+        } catch (error) {
+            throw new Error(error.issues?.[0]?.message || 'Invalid change request');
+        }
+    }
+
+    // Validate a reviewer's decision on an approval stage
+    static validateApprovalDecision(data) {
+        try {
+            const { decision, notes } = this.approvalDecisionSchema.parse(data);
+            return { decision, notes: notes || null };
+        } catch (error) {
+            throw new Error(error.issues?.[0]?.message || 'Invalid approval decision');
+        }
+    }
+
+    // Validate an approval workflow and its stages
+    static validateApprovalWorkflow(data) {
+        try {
+            const workflow = this.approvalWorkflowSchema.parse(data);
+            return {
+                ...workflow,
+                description: workflow.description || null,
+                supplierType: workflow.supplierType || null,
+                category: workflow.category || null,
+                isActive: workflow.isActive !== false
+            };
+        } catch (error) {
+            throw new Error(error.issues?.[0]?.message || 'Invalid approval workflow');
+        }
+    }
+
+    // Validate a review assignment
+    static validateReviewAssignment(data) {
+        try {
+            const { reviewerId } = this.reviewAssignmentSchema.parse(data || {});
+            return { reviewerId: reviewerId || null };
+        } catch (error) {
+            throw new Error(error.issues?.[0]?.message || 'Invalid review assignment');
+        }
+    }
+
+    // Validate admin vendor search query parameters; empty parameters are ignored
+    static validateVendorSearch(query) {
+        try {
+            const params = Object.fromEntries(Object.entries(query || {}).filter(([, value]) => value !== ''));
+            return this.vendorSearchSchema.parse(params);
+        } catch (error) {
+            throw new Error(error.issues?.[0]?.message || 'Invalid vendor search');
+        }
+    }
+
+    // Check each PIN code against the state entered with it, and rewrite
+    // recognised state names to their canonical spelling so reports group
+    // vendors consistently. fields holds [pincodeField, stateField, label]
+    // entries; a null pincodeField only normalizes the state. Returns an error
+    // message, or null. PIN codes missing from the directory are accepted.
+    static async checkPincodeStates(data, fields) {
+        for (const [pincodeField, stateField, label] of fields) {
+            const entered = data[stateField];
+            const state = entered ? PincodeService.normalizeState(entered) : null;
+
+            if (state) {
+                data[stateField] = state.name;
+            }
+
+            if (!pincodeField || !data[pincodeField] || !entered) {
+                continue;
+            }
+
+            const pincode = await PincodeService.lookup(data[pincodeField]);
+
+            if (pincode && (!state || !pincode.stateCodes.includes(state.code))) {
+                return `${label} ${pincode.pincode} is in ${pincode.state}, not ${entered}`;
+            }
+        }
+
+        return null;
+    }
+
+    // Validate a manual bank verification decision
+    static validateBankVerificationDecision(data) {
+        try {
+            return this.bankVerificationDecisionSchema.parse(data || {});
+        } catch (error) {
+            throw new Error(error.issues?.[0]?.message || 'Invalid bank verification decision');
+        }
+    }
+
+    // Validate a reviewer's decision on an uploaded document
+    static validateDocumentVerification(data) {
+        try {
+            const { status, notes } = this.documentVerificationSchema.parse(data || {});
+            return { status, notes: notes || null };
+        } catch (error) {
+            throw new Error(error.issues?.[0]?.message || 'Invalid document verification');
+        }
+    }
+
+    // Validate how a reviewer resolves a possible duplicate pair
+    static validateDuplicateResolution(data) {
+        try {
+            const { action, keepVendorId, notes } = this.duplicateResolutionSchema.parse(data || {});
+            return { action, keepVendorId: keepVendorId || null, notes: notes || null };
+        } catch (error) {
+            throw new Error(error.issues?.[0]?.message || 'Invalid duplicate resolution');
+        }
+    }
+
+    // Validate a product for the product API; partial for updates
+    static validateProduct(data, { partial = false } = {}) {
+        try {
+            const product = (partial ? this.productSchema.partial() : this.productSchema).parse(data || {});
+
+            if (Object.keys(product).length === 0) {
+                throw new Error('No product fields to update');
+            }
+
+            return product;
+        } catch (error) {
+            throw new Error(error.issues?.[0]?.message || error.message || 'Invalid product');
+        }
+    }
+
+    // Validate a reviewer's decision on a product change
+    static validateProductReview(data) {
+        try {
+            const { decision, notes } = this.productReviewSchema.parse(data || {});
+            return { decision, notes: notes || null };
+        } catch (error) {
+            throw new Error(error.issues?.[0]?.message || 'Invalid product review');
+        }
+    }
+
+    // Validate a product taxonomy node; partial for updates, which cannot
+    // move a node to another parent
+    static validateCategory(data, { partial = false } = {}) {
+        try {
+            const schema = partial ? this.categorySchema.omit({ parentId: true }).partial() : this.categorySchema;
+            const category = schema.parse(data || {});
+
+            if (Object.keys(category).length === 0) {
+                throw new Error('No category fields to update');
+            }
+
+            return category;
+        } catch (error) {
+            throw new Error(error.issues?.[0]?.message || error.message || 'Invalid category');
+        }
+    }
+
+    // Validate a WhatsApp template; partial for updates
+    static validateWhatsAppTemplate(data, { partial = false } = {}) {
+        try {
+            const schema = partial
+                ? this.whatsappTemplateSchema.omit({ name: true, language: true }).partial()
+                : this.whatsappTemplateSchema;
+            return schema.parse(data);
+        } catch (error) {
+            throw new Error(error.issues?.[0]?.message || 'Invalid WhatsApp template');
+        }
+    }
+
     // Validate vendor registration
     static validateVendorRegistration(data) {
         try {
@@ -274,7 +709,13 @@ class ValidationService {
                             'microCategory': 'Micro Category',
                             'brand': 'Brand',
                             'productName': 'Product Name',
-                            'quantity': 'Quantity'
+                            'quantity': 'Quantity',
+                            'sku': 'SKU',
+                            'unit': 'Unit',
+                            'pricePerUnit': 'Price per Unit',
+                            'minimumOrderQuantity': 'Minimum Order Quantity',
+                            'productDescription': 'Description',
+                            'productSpecifications': 'Specifications'
                         };
 
                         const friendlyField = fieldMap[field] || field;
@@ -337,7 +778,13 @@ class ValidationService {
                             'microCategory': 'Micro Category',
                             'brand': 'Brand',
                             'productName': 'Product Name',
-                            'quantity': 'Quantity'
+                            'quantity': 'Quantity',
+                            'sku': 'SKU',
+                            'unit': 'Unit',
+                            'pricePerUnit': 'Price per Unit',
+                            'minimumOrderQuantity': 'Minimum Order Quantity',
+                            'productDescription': 'Description',
+                            'productSpecifications': 'Specifications'
                         };
 
                         const friendlyField = fieldMap[field] || field;
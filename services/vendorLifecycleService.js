@@ -0,0 +1,391 @@
+const { getConnection } = require('../config/database');
+const NotificationService = require('./notificationService');
+const MessageTemplateService = require('./messageTemplateService');
+const Logger = require('../utils/logger');
+
+// Lifecycle states and the vendor_profiles / vendor_onboarding statuses each
+// one is stored as. The two tables are always updated together.
+const STATES = {
+    draft: { profile: 'pending', onboarding: 'draft' },
+    submitted: { profile: 'pending', onboarding: 'submitted' },
+    under_review: { profile: 'pending', onboarding: 'under_review' },
+    requires_changes: { profile: 'pending', onboarding: 'requires_changes' },
+    approved: { profile: 'approved', onboarding: 'approved' },
+    rejected: { profile: 'rejected', onboarding: 'rejected' },
+    suspended: { profile: 'suspended', onboarding: 'approved' }
+};
+
+// Allowed moves: from -> to -> rule. Transitions without a permission are
+// made by the vendor through the onboarding form, not by staff.
+const TRANSITIONS = {
+    draft: {
+        submitted: { action: 'submit', permission: null }
+    },
+    submitted: {
+        under_review: { action: 'start_review', permission: 'vendor.status.update', activity: 'VENDOR_REVIEW_STARTED' },
+        requires_changes: { action: 'request_changes', permission: 'vendor.status.update', activity: 'VENDOR_CHANGES_REQUESTED', reasonRequired: true },
+        approved: { action: 'approve', permission: 'vendor.approve', activity: 'VENDOR_APPROVED' },
+        rejected: { action: 'reject', permission: 'vendor.reject', activity: 'VENDOR_REJECTED', reasonRequired: true }
+    },
+    under_review: {
+        requires_changes: { action: 'request_changes', permission: 'vendor.status.update', activity: 'VENDOR_CHANGES_REQUESTED', reasonRequired: true },
+        approved: { action: 'approve', permission: 'vendor.approve', activity: 'VENDOR_APPROVED' },
+        rejected: { action: 'reject', permission: 'vendor.reject', activity: 'VENDOR_REJECTED', reasonRequired: true }
+    },
+    requires_changes: {
+        submitted: { action: 'submit', permission: null }
+    },
+    approved: {
+        suspended: { action: 'suspend', permission: 'vendor.status.update', activity: 'VENDOR_SUSPENDED', reasonRequired: true }
+    },
+    suspended: {
+        approved: { action: 'reinstate', permission: 'vendor.status.update', activity: 'VENDOR_REINSTATED' },
+        rejected: { action: 'reject', permission: 'vendor.reject', activity: 'VENDOR_REJECTED', reasonRequired: true }
+    },
+    rejected: {
+        under_review: { action: 'reopen', permission: 'vendor.status.update', activity: 'VENDOR_REOPENED' }
+    }
+};
+
+// States in which the vendor may still edit their onboarding form
+const EDITABLE_STATES = ['draft', 'submitted', 'requires_changes'];
+
+// Work out the lifecycle state from the stored statuses. The profile status
+// wins once a decision has been made (older approvals only updated the profile).
+const deriveState = (profileStatus, onboardingStatus) => {
+    if (['approved', 'rejected', 'suspended'].includes(profileStatus)) {
+        return profileStatus;
+    }
+
+    if (!onboardingStatus) {
+        return 'draft';
+    }
+
+    return ['draft', 'submitted', 'under_review', 'requires_changes'].includes(onboardingStatus)
+        ? onboardingStatus
+        : 'under_review';
+};
+
+const VENDOR_SELECT = `
+    SELECT u.id as user_id, u.phone, u.preferred_language,
+           vp.id as vendor_id, vp.entity_name, vp.authorized_person_name, vp.status as profile_status,
+           vp.supplier_type, vp.category,
+           vo.id as onboarding_id, vo.status as onboarding_status, vo.name_of_entity, vo.name_of_authorized_person,
+           vo.type_of_supplier
+    FROM users u
+    LEFT JOIN vendor_profiles vp ON vp.user_id = u.id
+    LEFT JOIN vendor_onboarding vo ON vo.user_id = u.id
+`;
+
+const formatVendor = (row) => ({
+    userId: row.user_id,
+    vendorId: row.vendor_id,
+    onboardingId: row.onboarding_id,
+    phone: row.phone,
+    locale: row.preferred_language,
+    entityName: row.entity_name || row.name_of_entity || null,
+    contactName: row.authorized_person_name || row.name_of_authorized_person || null,
+    supplierType: row.type_of_supplier || row.supplier_type || null,
+    category: row.category || null,
+    profileStatus: row.profile_status,
+    onboardingStatus: row.onboarding_status,
+    state: deriveState(row.profile_status, row.onboarding_status)
+});
+
+// Raised when the vendor's status changed after the caller read it; the
+// error middleware answers it with 409
+const stateChangedError = (vendor) => {
+    const error = new Error(`Vendor ${vendor.entityName || vendor.vendorId || vendor.userId} was changed by someone else. Reload and try again`);
+    error.code = 'VENDOR_STATE_CHANGED';
+    return error;
+};
+
+// Human readable status for messages (under_review -> under review)
+const statusLabel = (state) => state.replace(/_/g, ' ');
+
+// Message sent to the vendor for each new state
+const notificationFor = (to, vendor, reason) => {
+    const name = vendor.contactName || vendor.entityName || 'Vendor';
+
+    if (to === 'approved') {
+        return { template: 'vendor_approved', variables: { name } };
+    }
+
+    if (to === 'rejected') {
+        return { template: 'vendor_rejected', variables: { name, reason: reason || 'Not specified' } };
+    }
+
+    return { template: 'vendor_status_changed', variables: { status: statusLabel(to), reason: reason || '' } };
+};
+
+class VendorLifecycleService {
+    static get states() {
+        return Object.keys(STATES);
+    }
+
+    // Rule for moving between two states, or null if the move is not allowed
+    static getTransition(from, to) {
+        return TRANSITIONS[from]?.[to] || null;
+    }
+
+    // States reachable from a state, with the action and permission for each
+    static getAllowedTransitions(from) {
+        return Object.entries(TRANSITIONS[from] || {}).map(([to, rule]) => ({
+            to,
+            action: rule.action,
+            permission: rule.permission,
+            reasonRequired: !!rule.reasonRequired
+        }));
+    }
+
+    static canEditOnboarding(state) {
+        return EDITABLE_STATES.includes(state);
+    }
+
+    // Current lifecycle state of a vendor by vendor_profiles.id
+    static async getVendor(vendorId) {
+        const connection = getConnection();
+        const [rows] = await connection.execute(`${VENDOR_SELECT} WHERE vp.id = ?`, [vendorId]);
+        return rows.length > 0 ? formatVendor(rows[0]) : null;
+    }
+
+    // Current lifecycle state of a vendor by their user ID
+    static async getVendorByUserId(userId) {
+        const connection = getConnection();
+        const [rows] = await connection.execute(`${VENDOR_SELECT} WHERE u.id = ?`, [userId]);
+        return rows.length > 0 ? formatVendor(rows[0]) : null;
+    }
+
+    // Move a vendor to a new state. Callers check permissions and required
+    // reasons first; this rejects moves the state machine does not allow,
+    // updates both status columns, records the history entry, logs activity
+    // and notifies the vendor and the dashboard. Given a db connection, the
+    // writes join the caller's transaction and the caller calls announce()
+    // once it has committed.
+    static async transition(vendor, to, { actorId, reason = null, ipAddress = null, sessionId = null, io = null, db: outerDb = null }) {
+        const from = vendor.state;
+        const rule = this.getTransition(from, to);
+
+        if (!rule) {
+            throw new Error(`Cannot move vendor from ${from} to ${to}`);
+        }
+
+        const connection = getConnection();
+        const target = STATES[to];
+
+        // Both status columns and the history entry change together, and only
+        // from the state the move was checked against: a concurrent request
+        // that moved the vendor first makes this one fail instead of applying twice
+        const db = outerDb || await connection.getConnection();
+
+        try {
+            if (!outerDb) {
+                await db.beginTransaction();
+            }
+
+            if (vendor.vendorId) {
+                const profileUpdates = ['status = ?'];
+                const profileValues = [target.profile];
+
+                if (to === 'approved' && rule.action === 'approve') {
+                    profileUpdates.push('approved_by = ?', 'approved_at = CURRENT_TIMESTAMP', 'rejection_reason = NULL');
+                    profileValues.push(actorId);
+                } else if (to === 'rejected') {
+                    profileUpdates.push('rejection_reason = ?');
+                    profileValues.push(reason);
+                }
+
+                const [result] = await db.execute(
+                    `UPDATE vendor_profiles SET ${profileUpdates.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status = ?`,
+                    [...profileValues, vendor.vendorId, vendor.profileStatus]
+                );
+
+                if (result.affectedRows === 0) {
+                    throw stateChangedError(vendor);
+                }
+            }
+
+            if (vendor.onboardingId) {
+                const onboardingUpdates = ['status = ?'];
+                const onboardingValues = [target.onboarding];
+
+                if (rule.action === 'submit') {
+                    onboardingUpdates.push('submitted_at = CURRENT_TIMESTAMP');
+                } else if (rule.permission) {
+                    onboardingUpdates.push('reviewed_by = ?', 'reviewed_at = CURRENT_TIMESTAMP', 'review_notes = ?');
+                    onboardingValues.push(actorId, reason);
+                }
+
+                // A form saved for the first time in this request starts as a draft
+                const [result] = await db.execute(
+                    `UPDATE vendor_onboarding SET ${onboardingUpdates.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status = ?`,
+                    [...onboardingValues, vendor.onboardingId, vendor.onboardingStatus || 'draft']
+                );
+
+                if (result.affectedRows === 0) {
+                    throw stateChangedError(vendor);
+                }
+            }
+
+            // Sending the form back or rejecting it ends the current approval round
+            if (vendor.vendorId && (to === 'rejected' || to === 'requires_changes')) {
+                await db.execute(
+                    "UPDATE vendor_approval_stages SET status = 'cancelled' WHERE vendor_profile_id = ? AND status IN ('waiting', 'pending')",
+                    [vendor.vendorId]
+                );
+            }
+
+            await db.execute(`
+                INSERT INTO vendor_status_history
+                (user_id, vendor_profile_id, vendor_onboarding_id, action, from_status, to_status,
+                 profile_status, onboarding_status, reason, changed_by, ip_address)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                vendor.userId,
+                vendor.vendorId || null,
+                vendor.onboardingId || null,
+                rule.action,
+                from,
+                to,
+                vendor.vendorId ? target.profile : null,
+                vendor.onboardingId ? target.onboarding : null,
+                reason,
+                actorId,
+                ipAddress
+            ]);
+
+            if (!outerDb) {
+                await db.commit();
+            }
+        } catch (error) {
+            if (!outerDb) {
+                await db.rollback();
+            }
+            throw error;
+        } finally {
+            if (!outerDb) {
+                db.release();
+            }
+        }
+
+        const updated = {
+            ...vendor,
+            profileStatus: vendor.vendorId ? target.profile : vendor.profileStatus,
+            onboardingStatus: vendor.onboardingId ? target.onboarding : vendor.onboardingStatus,
+            state: to
+        };
+
+        // Submissions are logged and announced by the onboarding controller
+        if (rule.action === 'submit') {
+            return { vendor: updated, from, to, action: rule.action };
+        }
+
+        await (outerDb || connection).execute(`
+            INSERT INTO activity_logs
+            (user_id, session_id, action, action_category, action_type, target_type, target_id, target_identifier,
+             description, old_values, new_values, ip_address)
+            VALUES (?, ?, ?, 'vendor', 'update', 'vendor', ?, ?, ?, ?, ?, ?)
+        `, [
+            actorId,
+            sessionId,
+            rule.activity,
+            vendor.vendorId,
+            vendor.entityName,
+            `Moved vendor ${vendor.entityName || vendor.vendorId} from ${from} to ${to}${reason ? `. Reason: ${reason}` : ''}`,
+            JSON.stringify({ status: from, profileStatus: vendor.profileStatus, onboardingStatus: vendor.onboardingStatus }),
+            JSON.stringify({ status: to, profileStatus: updated.profileStatus, onboardingStatus: updated.onboardingStatus, reason }),
+            ipAddress
+        ]);
+
+        if (!outerDb) {
+            await this.announce(updated, { from, to, action: rule.action, actorId, reason, io });
+        }
+
+        return { vendor: updated, from, to, action: rule.action };
+    }
+
+    // Real-time events and vendor notification for a staff transition
+    static async announce(vendor, { from, to, action, actorId, reason, io }) {
+        const timestamp = new Date().toISOString();
+        const notification = notificationFor(to, vendor, reason);
+
+        if (io) {
+            try {
+                const { body: message } = await MessageTemplateService.render(notification.template, vendor.locale, notification.variables);
+
+                io.to(`user_${vendor.userId}`).emit('vendor_status_changed', {
+                    status: to,
+                    previousStatus: from,
+                    reason,
+                    message,
+                    timestamp
+                });
+            } catch (error) {
+                Logger.error(`Failed to render status message for vendor ${vendor.vendorId}`, error);
+            }
+
+            io.to('admin_room').emit('vendor_status_updated', {
+                vendorId: vendor.vendorId,
+                entityName: vendor.entityName,
+                previousStatus: from,
+                status: to,
+                action,
+                reason,
+                updatedBy: actorId,
+                timestamp
+            });
+
+            // Events sent before the lifecycle existed, kept for existing clients
+            if (action === 'approve') {
+                io.emit('vendor_approved', {
+                    vendorId: vendor.vendorId,
+                    entityName: vendor.entityName,
+                    phone: vendor.phone,
+                    approvedBy: actorId,
+                    timestamp
+                });
+            } else if (action === 'reject') {
+                io.emit('vendor_rejected', {
+                    vendorId: vendor.vendorId,
+                    entityName: vendor.entityName,
+                    phone: vendor.phone,
+                    reason,
+                    rejectedBy: actorId,
+                    timestamp
+                });
+            }
+        }
+
+        // WhatsApp/SMS notification - sent in the background. The vendor already
+        // has the in-app message from vendor_status_changed, so no io here.
+        NotificationService.notifyUser(vendor.userId, notification.template, notification.variables, null);
+    }
+
+    // Status changes for a vendor, newest first
+    static async getHistory(vendorId) {
+        const connection = getConnection();
+        const [rows] = await connection.execute(`
+            SELECT h.id, h.action, h.from_status, h.to_status, h.profile_status, h.onboarding_status,
+                   h.reason, h.changed_by, u.phone as changed_by_phone, u.role as changed_by_role, h.created_at
+            FROM vendor_status_history h
+            LEFT JOIN users u ON u.id = h.changed_by
+            WHERE h.vendor_profile_id = ?
+            ORDER BY h.created_at DESC, h.id DESC
+        `, [vendorId]);
+
+        return rows.map(row => ({
+            id: row.id,
+            action: row.action,
+            fromStatus: row.from_status,
+            toStatus: row.to_status,
+            profileStatus: row.profile_status,
+            onboardingStatus: row.onboarding_status,
+            reason: row.reason,
+            changedBy: row.changed_by ? { id: row.changed_by, phone: row.changed_by_phone, role: row.changed_by_role } : null,
+            createdAt: row.created_at
+        }));
+    }
+}
+
+module.exports = VendorLifecycleService;
+module.exports.VENDOR_STATES = Object.keys(STATES);
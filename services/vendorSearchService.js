@@ -0,0 +1,393 @@
+const { getConnection } = require('../config/database');
+const PincodeService = require('./pincodeService');
+
+// vendor_profiles.status and vendor_onboarding.status values
+const PROFILE_STATUSES = ['pending', 'approved', 'rejected', 'suspended'];
+const ONBOARDING_STATUSES = ['draft', 'submitted', 'under_review', 'approved', 'rejected', 'requires_changes'];
+
+// Sort keys and the column each one orders by, with its default direction
+const SORTS = {
+    relevance: { column: 'relevance', order: 'desc' },
+    createdAt: { column: 'vp.created_at', order: 'desc' },
+    submittedAt: { column: 'vo.submitted_at', order: 'desc' },
+    name: { column: 'vp.entity_name', order: 'asc' },
+    state: { column: 'vp.state', order: 'asc' },
+    city: { column: 'vp.city', order: 'asc' },
+    status: { column: 'vp.status', order: 'asc' }
+};
+
+// Values listed per facet, most common first
+const FACET_LIMIT = 20;
+
+// Full-text terms shorter than InnoDB's innodb_ft_min_token_size, or on its
+// default stopword list, are not indexed and would never match
+const MIN_TERM_LENGTH = 3;
+const STOPWORDS = new Set(['about', 'are', 'com', 'for', 'from', 'how', 'that', 'the', 'this', 'was', 'what', 'when', 'where', 'who', 'will', 'with', 'und', 'www']);
+const MAX_TERMS = 10;
+
+// MATCH column lists; each must be exactly the column list of a FULLTEXT index
+const PROFILE_MATCH = 'MATCH(vp.entity_name, vp.authorized_person_name)';
+const ONBOARDING_MATCH = 'MATCH(vo.name_of_entity, vo.name_of_establishment, vo.name_of_authorized_person)';
+const PRODUCT_MATCH = 'MATCH(p.product_name, p.brand, p.product_category, p.sub_category, p.micro_category)';
+
+const BASE_FROM = `
+    FROM vendor_profiles vp
+    JOIN users u ON vp.user_id = u.id
+    LEFT JOIN vendor_onboarding vo ON vp.user_id = vo.user_id
+`;
+
+// Boolean-mode query requiring every word of the search text, each as a
+// prefix, or null if no word can be found through the index
+const toBooleanQuery = (text) => {
+    const terms = (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+        .filter(term => term.length >= MIN_TERM_LENGTH && !STOPWORDS.has(term))
+        .slice(0, MAX_TERMS);
+
+    return terms.length > 0 ? terms.map(term => `+${term}*`).join(' ') : null;
+};
+
+const placeholders = (values) => values.map(() => '?').join(', ');
+
+// Phone numbers are stored as 10 digits in three places
+const phoneCondition = (digits) => ({
+    sql: '(u.phone LIKE ? OR vp.contact_number LIKE ? OR vo.mobile_no LIKE ?)',
+    params: [`%${digits}%`, `%${digits}%`, `%${digits}%`]
+});
+
+// GSTINs are matched from the start, so a partial GSTIN narrows by state code and PAN
+const gstinCondition = (gstin) => ({
+    sql: '(vo.gstin_number LIKE ? OR vo.gstin_reg_no LIKE ?)',
+    params: [`${gstin}%`, `${gstin}%`]
+});
+
+const productExists = (condition) => `EXISTS (
+    SELECT 1 FROM vendor_products p
+    WHERE p.vendor_onboarding_id = vo.id AND p.is_active = TRUE AND ${condition}
+)`;
+
+class VendorSearchService {
+    // Free-text search over vendor, establishment and authorized person names
+    // and the vendor's products, plus phone numbers and GSTINs when the text
+    // looks like one. Returns the WHERE condition and the relevance score.
+    static searchClauses(search) {
+        const query = toBooleanQuery(search);
+        const compact = search.replace(/\s+/g, '').toUpperCase();
+        const matches = [];
+        const scores = [];
+
+        if (query) {
+            matches.push({ sql: `${PROFILE_MATCH} AGAINST (? IN BOOLEAN MODE)`, params: [query] });
+            matches.push({ sql: `${ONBOARDING_MATCH} AGAINST (? IN BOOLEAN MODE)`, params: [query] });
+            matches.push({ sql: productExists(`${PRODUCT_MATCH} AGAINST (? IN BOOLEAN MODE)`), params: [query] });
+
+            // Names count for more than products
+            scores.push({ sql: `${PROFILE_MATCH} AGAINST (? IN BOOLEAN MODE) * 2`, params: [query] });
+            scores.push({ sql: `IFNULL(${ONBOARDING_MATCH} AGAINST (? IN BOOLEAN MODE), 0) * 2`, params: [query] });
+            scores.push({
+                sql: `IFNULL((SELECT MAX(${PRODUCT_MATCH} AGAINST (? IN BOOLEAN MODE)) FROM vendor_products p
+                    WHERE p.vendor_onboarding_id = vo.id AND p.is_active = TRUE), 0)`,
+                params: [query]
+            });
+        } else {
+            // Too short for the index
+            matches.push({
+                sql: '(vp.entity_name LIKE ? OR vo.name_of_establishment LIKE ?)',
+                params: [`%${search}%`, `%${search}%`]
+            });
+            scores.push({ sql: '(vp.entity_name LIKE ?)', params: [`${search}%`] });
+        }
+
+        // A phone number or GSTIN is a near-certain hit, so it ranks first
+        if (/^\d{4,10}$/.test(compact)) {
+            const phone = phoneCondition(compact);
+            matches.push(phone);
+            scores.push({ sql: `IFNULL(${phone.sql}, 0) * 10`, params: phone.params });
+        }
+
+        if (/^\d{2}[A-Z0-9]{3,13}$/.test(compact) && /[A-Z]/.test(compact)) {
+            const gstin = gstinCondition(compact);
+            matches.push(gstin);
+            scores.push({ sql: `IFNULL(${gstin.sql}, 0) * 10`, params: gstin.params });
+        }
+
+        return {
+            condition: {
+                sql: `(${matches.map(match => match.sql).join(' OR ')})`,
+                params: matches.flatMap(match => match.params)
+            },
+            relevance: {
+                sql: scores.map(score => score.sql).join(' + '),
+                params: scores.flatMap(score => score.params)
+            }
+        };
+    }
+
+    // Every stored spelling of the given states. Profiles keep the state as
+    // entered, so older rows may say "Orissa" or "odisha" for Odisha.
+    static async stateSpellings(states) {
+        const codes = new Set();
+        const spellings = new Set();
+
+        for (const state of states) {
+            const code = PincodeService.normalizeState(state)?.code;
+            if (code) {
+                codes.add(code);
+            } else {
+                spellings.add(state);
+            }
+        }
+
+        if (codes.size > 0) {
+            const connection = getConnection();
+            const [rows] = await connection.execute(`
+                SELECT DISTINCT state FROM vendor_profiles WHERE state IS NOT NULL AND state <> ''
+            `);
+            for (const row of rows) {
+                if (codes.has(PincodeService.normalizeState(row.state)?.code)) {
+                    spellings.add(row.state);
+                }
+            }
+        }
+
+        // Never an empty IN list, which MySQL rejects
+        return spellings.size > 0 ? [...spellings] : [...states];
+    }
+
+    // WHERE conditions for the filters. Each is tagged with the facet it
+    // filters, so a facet can be counted without its own filter.
+    static async buildConditions(filters, { userId }) {
+        const conditions = [];
+        const add = (facet, sql, params = []) => conditions.push({ facet, sql, params });
+
+        if (filters.search) {
+            const { condition } = this.searchClauses(filters.search);
+            add(null, condition.sql, condition.params);
+        }
+
+        if (filters.gstin) {
+            const gstin = gstinCondition(filters.gstin);
+            add(null, gstin.sql, gstin.params);
+        }
+
+        if (filters.phone) {
+            const phone = phoneCondition(filters.phone);
+            add(null, phone.sql, phone.params);
+        }
+
+        if (filters.status?.length) {
+            add('status', `vp.status IN (${placeholders(filters.status)})`, filters.status);
+        }
+
+        if (filters.onboardingStatus?.length) {
+            add('onboardingStatus', `vo.status IN (${placeholders(filters.onboardingStatus)})`, filters.onboardingStatus);
+        }
+
+        // "Orissa" and GST state code "21" both find Odisha, as do older rows
+        // that spell it differently
+        if (filters.state?.length) {
+            const states = await this.stateSpellings(filters.state);
+            add('state', `vp.state IN (${placeholders(states)})`, states);
+        }
+
+        if (filters.city?.length) {
+            add('city', `vp.city IN (${placeholders(filters.city)})`, filters.city);
+        }
+
+        if (filters.supplierType?.length) {
+            add('supplierType', `vp.supplier_type IN (${placeholders(filters.supplierType)})`, filters.supplierType);
+        }
+
+        // A category id matches products under it at any level
+        if (filters.categoryId?.length) {
+            const ids = placeholders(filters.categoryId);
+            add('category', productExists(`(p.category_id IN (${ids}) OR p.sub_category_id IN (${ids}) OR p.micro_category_id IN (${ids}))`),
+                [...filters.categoryId, ...filters.categoryId, ...filters.categoryId]);
+        }
+
+        if (filters.brand?.length) {
+            add('brand', productExists(`p.brand IN (${placeholders(filters.brand)})`), filters.brand);
+        }
+
+        // Date ranges include the whole of the "to" day
+        if (filters.createdFrom) {
+            add(null, 'vp.created_at >= ?', [filters.createdFrom]);
+        }
+
+        if (filters.createdTo) {
+            add(null, 'vp.created_at < DATE_ADD(?, INTERVAL 1 DAY)', [filters.createdTo]);
+        }
+
+        if (filters.submittedFrom) {
+            add(null, 'vo.submitted_at >= ?', [filters.submittedFrom]);
+        }
+
+        if (filters.submittedTo) {
+            add(null, 'vo.submitted_at < DATE_ADD(?, INTERVAL 1 DAY)', [filters.submittedTo]);
+        }
+
+        // Reviewer who owns the submission: a user id, 'me' or 'unassigned'
+        if (filters.assignedTo === 'unassigned') {
+            add(null, 'vo.assigned_to IS NULL');
+        } else if (filters.assignedTo) {
+            add(null, 'vo.assigned_to = ?', [filters.assignedTo === 'me' ? userId : filters.assignedTo]);
+        }
+
+        // Only vendors flagged as a possible duplicate that nobody has resolved yet
+        if (filters.duplicates === 'open') {
+            add(null, `EXISTS (
+                SELECT 1 FROM vendor_duplicate_flags df
+                WHERE df.status = 'open' AND (df.vendor_profile_id = vp.id OR df.matched_vendor_profile_id = vp.id)
+            )`);
+        }
+
+        return conditions;
+    }
+
+    // WHERE clause and parameters for the conditions, leaving out one facet's
+    // own filter when counting that facet
+    static whereClause(conditions, exceptFacet = null) {
+        const applied = conditions.filter(condition => !exceptFacet || condition.facet !== exceptFacet);
+
+        return {
+            sql: applied.length > 0 ? `WHERE ${applied.map(condition => condition.sql).join(' AND ')}` : '',
+            params: applied.flatMap(condition => condition.params)
+        };
+    }
+
+    // Vendors for each value of every facet. A facet's counts apply all the
+    // other filters, so picking more values of the same facet widens the results.
+    static async getFacets(conditions) {
+        const connection = getConnection();
+
+        const count = async (facet, column) => {
+            const where = this.whereClause(conditions, facet);
+            const [rows] = await connection.execute(`
+                SELECT ${column} as value, COUNT(*) as count
+                ${BASE_FROM}
+                ${where.sql ? `${where.sql} AND` : 'WHERE'} ${column} IS NOT NULL AND ${column} <> ''
+                GROUP BY ${column}
+                ORDER BY count DESC, value
+                LIMIT ${FACET_LIMIT}
+            `, where.params);
+            return rows.map(row => ({ value: row.value, count: row.count }));
+        };
+
+        // Vendors with an active product for each value
+        const countProducts = async (facet, select, group, { join = '', productCondition = 'TRUE' } = {}) => {
+            const where = this.whereClause(conditions, facet);
+            const [rows] = await connection.execute(`
+                SELECT ${select}, COUNT(DISTINCT vp.id) as count
+                ${BASE_FROM}
+                JOIN vendor_products p ON p.vendor_onboarding_id = vo.id AND p.is_active = TRUE AND ${productCondition}
+                ${join}
+                ${where.sql}
+                GROUP BY ${group}
+                ORDER BY count DESC
+                LIMIT ${FACET_LIMIT}
+            `, where.params);
+            return rows;
+        };
+
+        const categories = await countProducts('category', 'c.id, c.name', 'c.id, c.name', {
+            join: 'JOIN product_categories c ON c.id = p.category_id'
+        });
+        const brands = await countProducts('brand', 'p.brand as value', 'p.brand', {
+            productCondition: 'p.brand IS NOT NULL AND p.brand <> \'\''
+        });
+
+        // Older rows may spell a state differently, so counts are merged by state code
+        const countStates = async () => {
+            const where = this.whereClause(conditions, 'state');
+            const [rows] = await connection.execute(`
+                SELECT vp.state as value, COUNT(*) as count
+                ${BASE_FROM}
+                ${where.sql ? `${where.sql} AND` : 'WHERE'} vp.state IS NOT NULL AND vp.state <> ''
+                GROUP BY vp.state
+            `, where.params);
+
+            const states = new Map();
+            for (const row of rows) {
+                const state = PincodeService.normalizeState(row.value);
+                const key = state?.code || row.value;
+                const entry = states.get(key) || { value: state?.name || row.value, count: 0 };
+                entry.count += Number(row.count);
+                states.set(key, entry);
+            }
+
+            return [...states.values()]
+                .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value))
+                .slice(0, FACET_LIMIT);
+        };
+
+        return {
+            status: await count('status', 'vp.status'),
+            onboardingStatus: await count('onboardingStatus', 'vo.status'),
+            state: await countStates(),
+            city: await count('city', 'vp.city'),
+            supplierType: await count('supplierType', 'vp.supplier_type'),
+            category: categories.map(row => ({ value: row.id, name: row.name, count: row.count })),
+            brand: brands.map(row => ({ value: row.value, count: row.count }))
+        };
+    }
+
+    // Search vendors for the admin vendor list. Filters come from
+    // ValidationService.validateVendorSearch.
+    static async search(filters, { userId }) {
+        const connection = getConnection();
+        const conditions = await this.buildConditions(filters, { userId });
+        const where = this.whereClause(conditions);
+
+        const sortKey = filters.sort || (filters.search ? 'relevance' : 'createdAt');
+        const sort = SORTS[sortKey];
+        const order = filters.order || sort.order;
+        const relevance = filters.search
+            ? this.searchClauses(filters.search).relevance
+            : { sql: 'NULL', params: [] };
+
+        const page = filters.page || 1;
+        const limit = filters.limit || 10;
+        const offset = (page - 1) * limit;
+
+        const [vendors] = await connection.execute(`
+            SELECT vp.*, u.phone, u.email, u.is_verified, u.created_at as registered_at,
+                   vo.status as onboarding_status, vo.created_at as onboarding_submitted_at, vo.submitted_at,
+                   vo.name_of_establishment, vo.gstin_number,
+                   vo.assigned_to, vo.assigned_at, vo.review_due_at, vo.decision_due_at, vo.escalation_level,
+                   (SELECT COUNT(*) FROM vendor_duplicate_flags df
+                    WHERE df.status = 'open' AND (df.vendor_profile_id = vp.id OR df.matched_vendor_profile_id = vp.id)) as open_duplicate_flags,
+                   ${relevance.sql} as relevance
+            ${BASE_FROM}
+            ${where.sql}
+            ORDER BY ${sort.column} ${order.toUpperCase()}, vp.id ${order.toUpperCase()}
+            LIMIT ${limit} OFFSET ${offset}
+        `, [...relevance.params, ...where.params]);
+
+        const [countResult] = await connection.execute(`
+            SELECT COUNT(*) as total
+            ${BASE_FROM}
+            ${where.sql}
+        `, where.params);
+
+        const total = countResult[0].total;
+
+        return {
+            vendors: vendors.map(vendor => ({
+                ...vendor,
+                relevance: vendor.relevance === null ? null : Math.round(Number(vendor.relevance) * 1000) / 1000
+            })),
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit)
+            },
+            sort: { field: sortKey, order },
+            facets: filters.facets === false ? null : await this.getFacets(conditions)
+        };
+    }
+}
+
+module.exports = VendorSearchService;
+module.exports.PROFILE_STATUSES = PROFILE_STATUSES;
+module.exports.ONBOARDING_STATUSES = ONBOARDING_STATUSES;
+module.exports.SORT_FIELDS = Object.keys(SORTS);
@@ -0,0 +1,232 @@
+const { getConnection } = require('../config/database');
+const TwilioProvider = require('./sms/twilioProvider');
+const { initializeTwilioClient } = TwilioProvider;
+const MessageTemplateService = require('./messageTemplateService');
+const { defaults: defaultMessages, DEFAULT_LOCALE } = require('./templates');
+const Helpers = require('../utils/helpers');
+
+// Templates the code sends. Rows in whatsapp_templates supply the Twilio
+// Content SID (WhatsApp only allows pre-approved templates for messages we
+// start) and may override the variables and SMS fallback text. Without an
+// override the SMS fallback uses the localized message template of the same name.
+const DEFAULT_TEMPLATES = {
+    otp: {
+        description: 'OTP verification code (WhatsApp authentication template)',
+        variables: ['otp']
+    },
+    registration_received: {
+        description: 'Vendor registration received and awaiting review',
+        variables: ['name']
+    },
+    vendor_approved: {
+        description: 'Vendor registration approved',
+        variables: ['name']
+    },
+    vendor_rejected: {
+        description: 'Vendor registration rejected, with the reason',
+        variables: ['name', 'reason']
+    }
+};
+
+// Shape a whatsapp_templates row for API responses
+const formatTemplate = (row) => ({
+    id: row.id,
+    name: row.name,
+    language: row.language,
+    contentSid: row.content_sid,
+    variables: Helpers.parseJson(row.variables) || DEFAULT_TEMPLATES[row.name]?.variables || [],
+    fallbackBody: row.fallback_body,
+    description: row.description,
+    isActive: !!row.is_active,
+    createdBy: row.created_by,
+    updatedBy: row.updated_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+});
+
+class WhatsAppService {
+    // Names of the templates the application sends
+    static get templateNames() {
+        return Object.keys(DEFAULT_TEMPLATES);
+    }
+
+    // Whether Twilio credentials and a WhatsApp sender are present
+    static isConfigured() {
+        return !!(process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN && process.env.TWILIO_WHATSAPP_NUMBER);
+    }
+
+    // Twilio addresses WhatsApp numbers as whatsapp:+<E.164>
+    static toWhatsAppAddress(phone) {
+        return phone.startsWith('whatsapp:') ? phone : `whatsapp:${phone}`;
+    }
+
+    // Resolve a template: the active database row for the language (or the
+    // default language when none is configured) merged over the built-in default
+    static async getTemplate(name, language = DEFAULT_LOCALE) {
+        const defaults = DEFAULT_TEMPLATES[name];
+        const connection = getConnection();
+
+        const [rows] = await connection.execute(
+            'SELECT * FROM whatsapp_templates WHERE name = ? AND language IN (?, ?) AND is_active = TRUE ORDER BY language = ? DESC LIMIT 1',
+            [name, language, DEFAULT_LOCALE, language]
+        );
+
+        if (rows.length === 0) {
+            if (!defaults) {
+                throw new Error(`Unknown WhatsApp template '${name}'`);
+            }
+            return { name, language, contentSid: null, fallbackBody: null, ...defaults };
+        }
+
+        return formatTemplate(rows[0]);
+    }
+
+    // SMS text for a template: the template's own fallback text when it is in
+    // the recipient's language, otherwise the localized message template of the same name
+    static async renderFallback(template, variables = {}, locale = DEFAULT_LOCALE) {
+        const isLocalized = !!MessageTemplateService.messageTypes[template.name];
+
+        if (template.fallbackBody && (template.language === locale || !isLocalized)) {
+            return template.fallbackBody.replace(/\{\{(\w+)\}\}/g, (match, key) =>
+                variables[key] === undefined || variables[key] === null ? '' : String(variables[key])
+            );
+        }
+
+        if (!isLocalized) {
+            return null;
+        }
+
+        const { body } = await MessageTemplateService.render(template.name, locale, variables);
+        return body;
+    }
+
+    // Send a template message. Throws when WhatsApp is not configured, the
+    // template has no Content SID, or Twilio rejects the message.
+    static async sendTemplate(to, name, variables = {}, { language = DEFAULT_LOCALE } = {}) {
+        if (!this.isConfigured()) {
+            throw new Error('WhatsApp not configured. Please set TWILIO_WHATSAPP_NUMBER');
+        }
+
+        const template = await this.getTemplate(name, language);
+
+        if (!template.contentSid) {
+            throw new Error(`WhatsApp template '${name}' (${language}) has no Content SID configured`);
+        }
+
+        // Twilio content variables are positional: {"1": ..., "2": ...}
+        const contentVariables = {};
+        template.variables.forEach((variable, index) => {
+            contentVariables[String(index + 1)] = variables[variable] === undefined ? '' : String(variables[variable]);
+        });
+
+        const messageOptions = {
+            from: this.toWhatsAppAddress(process.env.TWILIO_WHATSAPP_NUMBER),
+            to: this.toWhatsAppAddress(to),
+            contentSid: template.contentSid,
+            contentVariables: JSON.stringify(contentVariables)
+        };
+
+        // WhatsApp status callbacks share the Twilio delivery receipt webhook
+        const statusCallback = TwilioProvider.getStatusCallbackUrl();
+        if (statusCallback) {
+            messageOptions.statusCallback = statusCallback;
+        }
+
+        try {
+            const client = initializeTwilioClient();
+            const result = await client.messages.create(messageOptions);
+
+            return { provider: 'twilio', messageId: result.sid, status: 'queued', template };
+
+        } catch (twilioError) {
+            const error = new Error(`WhatsApp delivery failed: ${twilioError.message} (Code: ${twilioError.code || 'Unknown'})`);
+            error.provider = 'twilio';
+            error.providerCode = twilioError.code || null;
+            throw error;
+        }
+    }
+
+    // List configured templates alongside the built-in template names
+    static async listTemplates() {
+        const connection = getConnection();
+        const [rows] = await connection.execute(
+            'SELECT * FROM whatsapp_templates ORDER BY name, language'
+        );
+
+        return {
+            templates: rows.map(formatTemplate),
+            available: Object.entries(DEFAULT_TEMPLATES).map(([name, template]) => ({
+                name,
+                description: template.description,
+                variables: template.variables,
+                fallbackBody: defaultMessages[DEFAULT_LOCALE][name]?.body || null
+            }))
+        };
+    }
+
+    static async getTemplateById(id) {
+        const connection = getConnection();
+        const [rows] = await connection.execute('SELECT * FROM whatsapp_templates WHERE id = ?', [id]);
+        return rows.length > 0 ? formatTemplate(rows[0]) : null;
+    }
+
+    static async createTemplate({ name, language = 'en', contentSid = null, variables = null, fallbackBody = null, description = null, isActive = true }, adminId) {
+        const connection = getConnection();
+
+        const [result] = await connection.execute(`
+            INSERT INTO whatsapp_templates
+            (name, language, content_sid, variables, fallback_body, description, is_active, created_by, updated_by)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            name,
+            language,
+            contentSid,
+            variables ? JSON.stringify(variables) : null,
+            fallbackBody,
+            description || DEFAULT_TEMPLATES[name]?.description || null,
+            isActive,
+            adminId,
+            adminId
+        ]);
+
+        return await this.getTemplateById(result.insertId);
+    }
+
+    static async updateTemplate(id, changes, adminId) {
+        const connection = getConnection();
+        const columns = {
+            contentSid: 'content_sid',
+            variables: 'variables',
+            fallbackBody: 'fallback_body',
+            description: 'description',
+            isActive: 'is_active'
+        };
+
+        const sets = [];
+        const params = [];
+        for (const [key, column] of Object.entries(columns)) {
+            if (changes[key] !== undefined) {
+                sets.push(`${column} = ?`);
+                params.push(key === 'variables' && changes[key] !== null ? JSON.stringify(changes[key]) : changes[key]);
+            }
+        }
+
+        if (sets.length === 0) {
+            return await this.getTemplateById(id);
+        }
+
+        sets.push('updated_by = ?');
+        params.push(adminId, id);
+
+        await connection.execute(`UPDATE whatsapp_templates SET ${sets.join(', ')} WHERE id = ?`, params);
+        return await this.getTemplateById(id);
+    }
+
+    static async deleteTemplate(id) {
+        const connection = getConnection();
+        const [result] = await connection.execute('DELETE FROM whatsapp_templates WHERE id = ?', [id]);
+        return result.affectedRows > 0;
+    }
+}
+
+module.exports = WhatsAppService;
@@ -1,5 +1,11 @@
 const jwt = require('jsonwebtoken');
 const { getConnection } = require('../config/database');
+const SessionService = require('../services/sessionService');
+const MessageTemplateService = require('../services/messageTemplateService');
+const PermissionService = require('../services/permissionService');
+const VendorLifecycleService = require('../services/vendorLifecycleService');
+const ApprovalWorkflowService = require('../services/approvalWorkflowService');
+const BankVerificationService = require('../services/bankVerificationService');
 const Logger = require('../utils/logger');
 
 // Socket authentication middleware
@@ -17,7 +23,7 @@ const authenticateSocket = async (socket, next) => {
         // Get user from database
         const connection = getConnection();
         const [rows] = await connection.execute(
-            'SELECT id, phone, email, is_verified, is_active, role FROM users WHERE id = ? AND is_active = TRUE',
+            'SELECT id, phone, email, is_verified, is_active, role, preferred_language FROM users WHERE id = ? AND is_active = TRUE',
             [decoded.id]
         );
 
@@ -25,10 +31,24 @@ const authenticateSocket = async (socket, next) => {
             return next(new Error('Authentication error: User not found'));
         }
 
+        // Reject tokens whose session has been revoked
+        if (decoded.sid) {
+            const isActive = await SessionService.isSessionActive(decoded.sid, decoded.id);
+            if (!isActive) {
+                return next(new Error('Authentication error: Session revoked'));
+            }
+            await SessionService.touchSession(decoded.sid, socket.handshake.address);
+        }
+
         const user = rows[0];
         socket.userId = user.id;
         socket.userRole = user.role;
         socket.userPhone = user.phone;
+        socket.sessionId = decoded.sid || null;
+        socket.locale = MessageTemplateService.normalizeLocale(user.preferred_language);
+        // Also kept in socket.data, which fetchSockets() exposes
+        socket.data.locale = socket.locale;
+        socket.receivesDashboardEvents = await PermissionService.hasPermission(user.role, 'dashboard.realtime');
 
         next();
     } catch (error) {
@@ -36,6 +56,17 @@ const authenticateSocket = async (socket, next) => {
     }
 };
 
+// Whether the socket's user may perform an action. Checked per event so
+// role permission changes apply without reconnecting.
+const socketCan = async (socket, permission) => {
+    try {
+        return await PermissionService.hasPermission(socket.userRole, permission);
+    } catch (error) {
+        Logger.error(`Permission check failed for user ${socket.userId}`, error);
+        return false;
+    }
+};
+
 // Main socket handler
 const socketHandler = (io) => {
     // Use authentication middleware
@@ -45,61 +76,79 @@ const socketHandler = (io) => {
         // Join user to their personal room
         socket.join(`user_${socket.userId}`);
 
-        // Join admin users to admin room
-        if (socket.userRole === 'admin') {
+        // Join session room so a revoked session can be disconnected
+        if (socket.sessionId) {
+            socket.join(`session_${socket.sessionId}`);
+        }
+
+        // Join the role room so approval stages can reach their reviewers
+        socket.join(`role_${socket.userRole}`);
+
+        // Join staff who follow the live dashboard to the admin room
+        if (socket.receivesDashboardEvents) {
             socket.join('admin_room');
         }
 
-        // Handle vendor status updates
+        // Handle vendor status updates. Goes through the same lifecycle rules
+        // as PUT /api/vendor/:id/transition.
         socket.on('vendor_status_update', async (data) => {
             try {
-                if (socket.userRole !== 'admin') {
-                    socket.emit('error', { message: 'Unauthorized action' });
+                const { vendorId, status, reason } = data;
+
+                const vendor = await VendorLifecycleService.getVendor(vendorId);
+                if (!vendor) {
+                    socket.emit('error', { message: 'Vendor not found' });
                     return;
                 }
 
-                const { vendorId, status, reason } = data;
-                const connection = getConnection();
+                const rule = VendorLifecycleService.getTransition(vendor.state, status);
+                if (!rule || !rule.permission) {
+                    socket.emit('error', { message: `Cannot move vendor from ${vendor.state} to ${status}` });
+                    return;
+                }
 
-                // Update vendor status
-                await connection.execute(
-                    'UPDATE vendor_profiles SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-                    [status, vendorId]
-                );
+                if (!(await socketCan(socket, rule.permission))) {
+                    socket.emit('error', { message: 'Unauthorized action' });
+                    return;
+                }
 
-                // Get vendor details
-                const [vendorRows] = await connection.execute(`
-                    SELECT vp.*, u.phone FROM vendor_profiles vp
-                    JOIN users u ON vp.user_id = u.id
-                    WHERE vp.id = ?
-                `, [vendorId]);
-
-                if (vendorRows.length > 0) {
-                    const vendor = vendorRows[0];
-
-                    // Notify the specific vendor
-                    io.to(`user_${vendor.user_id}`).emit('vendor_status_changed', {
-                        status,
-                        reason,
-                        timestamp: new Date().toISOString()
-                    });
-
-                    // Notify all admins
-                    io.to('admin_room').emit('vendor_status_updated', {
-                        vendorId,
-                        entityName: vendor.entity_name,
-                        status,
-                        updatedBy: socket.userId,
-                        timestamp: new Date().toISOString()
-                    });
-
-                    // Log activity
-                    await connection.execute(
-                        'INSERT INTO activity_logs (user_id, action, description, ip_address) VALUES (?, ?, ?, ?)',
-                        [socket.userId, 'VENDOR_STATUS_UPDATED', `Updated vendor ${vendor.entity_name} status to ${status}`, socket.handshake.address]
-                    );
+                if (rule.reasonRequired && !reason) {
+                    socket.emit('error', { message: `A reason is required to move a vendor to ${status.replace(/_/g, ' ')}` });
+                    return;
                 }
 
+                const options = {
+                    actorId: socket.userId,
+                    ipAddress: socket.handshake.address,
+                    sessionId: socket.sessionId,
+                    io
+                };
+
+                // Approval decides the pending approval stage when a workflow applies,
+                // and final approval waits for a verified bank account
+                if (rule.action === 'approve') {
+                    const stage = await ApprovalWorkflowService.getCurrentStage(vendor, { io });
+                    if (stage && stage.role !== socket.userRole && !(await socketCan(socket, 'vendor.approval.override'))) {
+                        socket.emit('error', { message: `Stage '${stage.name}' is assigned to the ${stage.role} role` });
+                        return;
+                    }
+
+                    if (!stage || await ApprovalWorkflowService.isFinalStage(vendor, stage)) {
+                        const blocker = await BankVerificationService.getApprovalBlocker(vendor.onboardingId);
+                        if (blocker) {
+                            socket.emit('error', { message: blocker });
+                            return;
+                        }
+                    }
+
+                    if (stage) {
+                        await ApprovalWorkflowService.recordDecision(vendor, stage, 'approved', { ...options, notes: reason || null });
+                        return;
+                    }
+                }
+
+                await VendorLifecycleService.transition(vendor, status, { ...options, reason: reason || null });
+
             } catch (error) {
                 socket.emit('error', { message: 'Failed to update vendor status' });
             }
@@ -213,7 +262,7 @@ const socketHandler = (io) => {
         // Handle admin responses
         socket.on('admin_response', async (data) => {
             try {
-                if (socket.userRole !== 'admin') {
+                if (!(await socketCan(socket, 'support.respond'))) {
                     socket.emit('error', { message: 'Unauthorized action' });
                     return;
                 }
@@ -263,13 +312,16 @@ const socketHandler = (io) => {
             Logger.error(`Socket error for user ${socket.userId}`, error);
         });
 
-        // Send welcome message
-        socket.emit('connected', {
-            message: 'Connected to Milkano Agro India server',
-            userId: socket.userId,
-            role: socket.userRole,
-            timestamp: new Date().toISOString()
-        });
+        // Send welcome message in the user's language
+        MessageTemplateService.render('connected', socket.locale)
+            .catch(() => ({ body: 'Connected to Milkano Agro India server' }))
+            .then(({ body }) => socket.emit('connected', {
+                message: body,
+                userId: socket.userId,
+                role: socket.userRole,
+                locale: socket.locale,
+                timestamp: new Date().toISOString()
+            }));
 
         // Notify admins about new connection
         io.to('admin_room').emit('user_connected', {
@@ -286,4 +338,92 @@ const socketHandler = (io) => {
     });
 };
 
-module.exports = socketHandler;
\ No newline at end of file
+// Notify (in each socket's language) and disconnect every socket attached to the given sessions
+const disconnectSessions = async (io, sessionIds, reason = 'revoked') => {
+    if (!io) return;
+
+    for (const sessionId of sessionIds) {
+        const room = `session_${sessionId}`;
+
+        try {
+            const sockets = await io.in(room).fetchSockets();
+
+            for (const socket of sockets) {
+                const { body: message } = await MessageTemplateService.render('session_revoked', socket.data.locale);
+                socket.emit('session_revoked', {
+                    sessionId,
+                    reason,
+                    message,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        } catch (error) {
+            Logger.error(`Failed to notify sockets of session ${sessionId}`, error);
+        }
+
+        io.in(room).disconnectSockets(true);
+    }
+};
+
+// Send a message to each of a user's sockets in that socket's language,
+// optionally disconnecting them afterwards
+const notifyUserSockets = async (io, userId, event, templateKey, { variables = {}, payload = {}, disconnect = false } = {}) => {
+    if (!io) return;
+    const room = `user_${userId}`;
+
+    try {
+        const sockets = await io.in(room).fetchSockets();
+
+        for (const socket of sockets) {
+            const { body: message } = await MessageTemplateService.render(templateKey, socket.data.locale, variables);
+            socket.emit(event, {
+                ...payload,
+                message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    } catch (error) {
+        Logger.error(`Failed to notify sockets of user ${userId}`, error);
+    }
+
+    if (disconnect) {
+        io.in(room).disconnectSockets(true);
+    }
+};
+
+// Apply a role change to a user's connected sockets so permission checks and
+// admin room membership follow it without reconnecting
+const applyRoleChange = async (io, userId, role, roleDisplayName = role) => {
+    if (!io) return;
+
+    try {
+        const permissions = await PermissionService.getPermissionsForRole(role);
+        const receivesDashboardEvents = permissions.includes('dashboard.realtime');
+
+        // With the default in-memory adapter these are the live Socket objects
+        const sockets = await io.in(`user_${userId}`).fetchSockets();
+        for (const socket of sockets) {
+            socket.leave(`role_${socket.userRole}`);
+            socket.join(`role_${role}`);
+            socket.userRole = role;
+            socket.receivesDashboardEvents = receivesDashboardEvents;
+            if (receivesDashboardEvents) {
+                socket.join('admin_room');
+            } else {
+                socket.leave('admin_room');
+            }
+        }
+
+        await notifyUserSockets(io, userId, 'role_changed', 'role_changed', {
+            variables: { role: roleDisplayName },
+            payload: { role, permissions }
+        });
+    } catch (error) {
+        Logger.error(`Failed to apply role change to sockets of user ${userId}`, error);
+    }
+};
+
+module.exports = socketHandler;
+module.exports.disconnectSessions = disconnectSessions;
+module.exports.notifyUserSockets = notifyUserSockets;
+module.exports.applyRoleChange = applyRoleChange;
\ No newline at end of file
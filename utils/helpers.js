@@ -1,5 +1,30 @@
 const crypto = require('crypto');
 
+// Verhoeff checksum tables (dihedral group D5 multiplication, position
+// permutation and inverse), used by the Aadhaar check digit
+const VERHOEFF_D = [
+    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+    [1, 2, 3, 4, 0, 6, 7, 8, 9, 5],
+    [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+    [3, 4, 0, 1, 2, 8, 9, 5, 6, 7],
+    [4, 0, 1, 2, 3, 9, 5, 6, 7, 8],
+    [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+    [6, 5, 9, 8, 7, 1, 0, 4, 3, 2],
+    [7, 6, 5, 9, 8, 2, 1, 0, 4, 3],
+    [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+    [9, 8, 7, 6, 5, 4, 3, 2, 1, 0]
+];
+const VERHOEFF_P = [
+    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+    [1, 5, 7, 6, 2, 8, 3, 0, 9, 4],
+    [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+    [8, 9, 1, 6, 0, 4, 3, 5, 2, 7],
+    [9, 4, 5, 3, 1, 2, 6, 8, 7, 0],
+    [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+    [2, 7, 9, 3, 8, 0, 6, 4, 1, 5],
+    [7, 0, 4, 6, 9, 1, 3, 2, 5, 8]
+];
+
 class Helpers {
     static generateRandomString(length = 32) {
         return crypto.randomBytes(length).toString('hex');
@@ -33,11 +58,68 @@ class Helpers {
         return ifscRegex.test(ifsc);
     }
 
+    // The fourth character is the holder type (P person, C company, H HUF,
+    // F firm, A AOP, T trust, B BOI, L local authority, J artificial juridical
+    // person, G government). The algorithm behind the final check letter is
+    // not published, so it is only checked to be a letter.
     static validatePAN(pan) {
-        const panRegex = /^[A-Z]{5}[0-9]{4}[A-Z]{1}$/;
+        const panRegex = /^[A-Z]{3}[PCHFATBLJG][A-Z][0-9]{4}[A-Z]$/;
         return panRegex.test(pan);
     }
 
+    // 12 digits, not starting with 0 or 1, ending in a Verhoeff check digit.
+    // Spaces and hyphens between the digit groups are ignored.
+    static validateAadhaar(aadhaar) {
+        const digits = String(aadhaar || '').replace(/[\s-]/g, '');
+
+        if (!/^[2-9][0-9]{11}$/.test(digits)) {
+            return false;
+        }
+
+        let check = 0;
+        digits.split('').reverse().forEach((digit, index) => {
+            check = VERHOEFF_D[check][VERHOEFF_P[index % 8][Number(digit)]];
+        });
+        return check === 0;
+    }
+
+    static maskAadhaar(aadhaar) {
+        const digits = String(aadhaar || '').replace(/\D/g, '');
+        return `XXXX XXXX ${digits.slice(-4)}`;
+    }
+
+    // Split one CSV line, honouring double-quoted values
+    static parseCsvLine(line) {
+        const values = [];
+        let current = '';
+        let quoted = false;
+
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+
+            if (quoted) {
+                if (char === '"' && line[i + 1] === '"') {
+                    current += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    current += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                values.push(current);
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+
+        values.push(current);
+        return values.map(value => value.trim());
+    }
+
     static formatFileSize(bytes) {
         if (bytes === 0) return '0 Bytes';
         const k = 1024;
@@ -67,6 +149,12 @@ class Helpers {
         }
     }
 
+    // Value of a JSON column. mysql2 returns JSON columns parsed, but older
+    // drivers return strings.
+    static parseJson(value) {
+        return typeof value === 'string' ? JSON.parse(value) : value;
+    }
+
     static deepClone(obj) {
         return JSON.parse(JSON.stringify(obj));
     }
@@ -149,6 +237,83 @@ class Helpers {
         return `${maskedUsername}@${domain}`;
     }
 
+    // Lower-case a business name and drop punctuation, "M/s" and the usual
+    // spellings of company suffixes so "ACME Pvt. Ltd." matches "Acme Private Limited"
+    static normalizeBusinessName(name) {
+        return String(name || '')
+            .toLowerCase()
+            .replace(/&/g, ' and ')
+            .replace(/^\s*m\s*\/\s*s\.?\s+/, '')
+            .replace(/[^a-z0-9\s]/g, ' ')
+            .replace(/\bprivate\b/g, 'pvt')
+            .replace(/\blimited\b/g, 'ltd')
+            .replace(/\bcompany\b/g, 'co')
+            .replace(/\b(the|messrs)\b/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    // Similarity of two business names from 0 to 1 (Dice coefficient over
+    // character pairs of the normalized names)
+    static nameMatchScore(a, b) {
+        const left = this.normalizeBusinessName(a).replace(/ /g, '');
+        const right = this.normalizeBusinessName(b).replace(/ /g, '');
+
+        if (!left || !right) {
+            return 0;
+        }
+        if (left === right) {
+            return 1;
+        }
+        if (left.length < 2 || right.length < 2) {
+            return 0;
+        }
+
+        const pairs = new Map();
+        for (let i = 0; i < left.length - 1; i++) {
+            const pair = left.substring(i, i + 2);
+            pairs.set(pair, (pairs.get(pair) || 0) + 1);
+        }
+
+        let shared = 0;
+        for (let i = 0; i < right.length - 1; i++) {
+            const pair = right.substring(i, i + 2);
+            if (pairs.get(pair) > 0) {
+                pairs.set(pair, pairs.get(pair) - 1);
+                shared++;
+            }
+        }
+
+        return Math.round((2 * shared / (left.length + right.length - 2)) * 100) / 100;
+    }
+
+    // Similarity of two short labels from 0 to 1 (edit distance counting a
+    // swapped pair of letters as one edit, so "Diary" is close to "Dairy")
+    static spellingMatchScore(a, b) {
+        const left = String(a || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+        const right = String(b || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+        if (!left || !right) {
+            return 0;
+        }
+
+        const distance = Array.from({ length: left.length + 1 }, (_, i) => [i]);
+        for (let j = 1; j <= right.length; j++) distance[0][j] = j;
+
+        for (let i = 1; i <= left.length; i++) {
+            for (let j = 1; j <= right.length; j++) {
+                const cost = left[i - 1] === right[j - 1] ? 0 : 1;
+                distance[i][j] = Math.min(distance[i - 1][j] + 1, distance[i][j - 1] + 1, distance[i - 1][j - 1] + cost);
+
+                if (i > 1 && j > 1 && left[i - 1] === right[j - 2] && left[i - 2] === right[j - 1]) {
+                    distance[i][j] = Math.min(distance[i][j], distance[i - 2][j - 2] + 1);
+                }
+            }
+        }
+
+        return Math.round((1 - distance[left.length][right.length] / Math.max(left.length, right.length)) * 100) / 100;
+    }
+
     static validatePincode(pincode) {
         const pincodeRegex = /^[1-9][0-9]{5}$/;
         return pincodeRegex.test(pincode);
@@ -3,6 +3,8 @@ const {
     getSchemasInOrder,
     getAllConstraints,
     getAllIndexes,
+    getAllMigrations,
+    getAllSeeds,
     getAllTriggers,
     schemaMetadata,
     validation
@@ -49,6 +51,47 @@ class SchemaManager {
         }
     }
 
+    /**
+     * Apply column/index migrations to existing tables
+     */
+    async runMigrations() {
+        try {
+            Logger.info('Applying schema migrations...');
+
+            // Errors meaning the change is already in place
+            const alreadyAppliedCodes = [
+                'ER_DUP_FIELDNAME',
+                'ER_DUP_KEYNAME',
+                'ER_FK_DUP_NAME',
+                'ER_CANT_DROP_FIELD_OR_KEY',
+                'ER_CHECK_CONSTRAINT_NOT_FOUND'
+            ];
+
+            const migrations = getAllMigrations();
+            let appliedCount = 0;
+
+            for (const migration of migrations) {
+                try {
+                    await this.connection.execute(migration);
+                    appliedCount++;
+                } catch (error) {
+                    if (alreadyAppliedCodes.includes(error.code)) {
+                        Logger.debug(`Migration already applied: ${migration.substring(0, 50)}...`);
+                    } else {
+                        Logger.warning(`Failed to apply migration: ${error.message}`);
+                    }
+                }
+            }
+
+            Logger.success(`Migrations processing completed. ${appliedCount} migrations applied.`);
+            return appliedCount;
+
+        } catch (error) {
+            Logger.error('Migration failed:', error);
+            throw error;
+        }
+    }
+
     async addConstraints() {
         try {
             Logger.info('Adding database constraints...');
@@ -139,15 +182,45 @@ class SchemaManager {
         }
     }
 
+    /**
+     * Insert reference data (roles, permissions, ...)
+     */
+    async seedData() {
+        try {
+            Logger.info('Seeding reference data...');
+
+            const seeds = getAllSeeds();
+            let appliedCount = 0;
+
+            for (const seed of seeds) {
+                try {
+                    await this.connection.execute(seed);
+                    appliedCount++;
+                } catch (error) {
+                    Logger.warning(`Failed to apply seed: ${error.message}`);
+                }
+            }
+
+            Logger.success(`Seeding completed. ${appliedCount} seed statements applied.`);
+            return appliedCount;
+
+        } catch (error) {
+            Logger.error('Seeding failed:', error);
+            throw error;
+        }
+    }
+
     async setupDatabase() {
         try {
             Logger.info('🚀 Starting complete database setup...');
 
             const results = {
                 tables: 0,
+                migrations: 0,
                 constraints: 0,
                 indexes: 0,
                 triggers: 0,
+                seeds: 0,
                 startTime: new Date(),
                 endTime: null,
                 duration: null
@@ -155,21 +228,27 @@ class SchemaManager {
 
             results.tables = await this.createTables();
 
+            results.migrations = await this.runMigrations();
+
             results.constraints = await this.addConstraints();
 
             results.indexes = await this.createIndexes();
 
             results.triggers = await this.createTriggers();
 
+            results.seeds = await this.seedData();
+
             results.endTime = new Date();
             results.duration = results.endTime - results.startTime;
 
             Logger.success('🎉 Database setup completed successfully!');
             Logger.info(`📊 Setup Summary:
                 - Tables: ${results.tables}
+                - Migrations: ${results.migrations}
                 - Constraints: ${results.constraints}
                 - Indexes: ${results.indexes}
                 - Triggers: ${results.triggers}
+                - Seeds: ${results.seeds}
                 - Duration: ${results.duration}ms
             `);
 